@@ -0,0 +1,110 @@
+/**
+ * Sync Store Tests
+ * 
+ * @description Unit tests for the reference sync server's revision store
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createSyncStore } from '../syncStore.js';
+
+const patient = (fields = {}) => ({ id: 'p1', firstName: 'Amina', lastName: 'Okello', ...fields });
+
+describe('createSyncStore', () => {
+  it('should accept new records and bump revisions on top of the current one', () => {
+    const store = createSyncStore();
+    
+    const first = store.push({ deviceId: 'a', changes: [{ key: 'patients', id: 'p1', baseRev: null, record: patient() }] });
+    expect(first.results[0]).toEqual({ key: 'patients', id: 'p1', status: 'ok', rev: 1 });
+    
+    const second = store.push({
+      deviceId: 'a',
+      changes: [{ key: 'patients', id: 'p1', baseRev: 1, record: patient({ phone: '0700' }) }]
+    });
+    expect(second.results[0].rev).toBe(2);
+  });
+  
+  it('should return the server version when a change is based on an old revision', () => {
+    const store = createSyncStore();
+    store.push({ deviceId: 'a', deviceName: 'Front desk', changes: [{ key: 'patients', id: 'p1', baseRev: null, record: patient() }] });
+    store.push({ deviceId: 'a', deviceName: 'Front desk', changes: [{ key: 'patients', id: 'p1', baseRev: 1, record: patient({ phone: '0700' }) }] });
+    
+    const { results } = store.push({
+      deviceId: 'b',
+      changes: [{ key: 'patients', id: 'p1', baseRev: 1, record: patient({ phone: '0800' }) }]
+    });
+    
+    expect(results[0]).toMatchObject({
+      status: 'conflict',
+      rev: 2,
+      record: patient({ phone: '0700' }),
+      deviceName: 'Front desk'
+    });
+  });
+  
+  it('should accept a stale change that matches the server version', () => {
+    const store = createSyncStore();
+    store.push({ deviceId: 'a', changes: [{ key: 'patients', id: 'p1', baseRev: null, record: patient({ updatedAt: '1' }) }] });
+    
+    const { results } = store.push({
+      deviceId: 'b',
+      changes: [{ key: 'patients', id: 'p1', baseRev: null, record: patient({ updatedAt: '2' }) }]
+    });
+    
+    expect(results[0]).toMatchObject({ status: 'ok', rev: 1 });
+  });
+  
+  it('should pull other devices\' changes in order, including deletions', () => {
+    const store = createSyncStore();
+    store.push({ deviceId: 'a', changes: [{ key: 'patients', id: 'p1', baseRev: null, record: patient() }] });
+    store.push({ deviceId: 'b', changes: [{ key: 'patients', id: 'p2', baseRev: null, record: patient({ id: 'p2' }) }] });
+    store.push({ deviceId: 'a', changes: [{ key: 'patients', id: 'p1', baseRev: 1, record: null }] });
+    
+    const forB = store.pull({ since: 0, deviceId: 'b' });
+    expect(forB.changes.map(c => [c.id, c.rev, c.record])).toEqual([
+      ['p1', 2, null]
+    ]);
+    expect(forB.cursor).toBe(3);
+    expect(forB.hasMore).toBe(false);
+    
+    expect(store.pull({ since: 2, deviceId: 'c' }).changes).toHaveLength(1);
+  });
+  
+  it('should page pulls and survive a save and reload', () => {
+    const store = createSyncStore();
+    ['p1', 'p2', 'p3'].forEach(id => {
+      store.push({ deviceId: 'a', changes: [{ key: 'patients', id, baseRev: null, record: patient({ id }) }] });
+    });
+    
+    const reloaded = createSyncStore(JSON.parse(JSON.stringify(store.toJSON())));
+    const page = reloaded.pull({ since: 0, deviceId: 'b', limit: 2 });
+    
+    expect(page.changes.map(c => c.id)).toEqual(['p1', 'p2']);
+    expect(page.hasMore).toBe(true);
+    expect(reloaded.pull({ since: page.cursor, deviceId: 'b' }).changes.map(c => c.id)).toEqual(['p3']);
+  });
+  
+  it('should undo a push whose save fails', () => {
+    const store = createSyncStore();
+    store.push({ deviceId: 'a', changes: [{ key: 'patients', id: 'p1', baseRev: null, record: patient() }] });
+    const failingSave = () => {
+      throw new Error('Disk full');
+    };
+    
+    expect(() => store.push({
+      deviceId: 'a',
+      changes: [
+        { key: 'patients', id: 'p1', baseRev: 1, record: patient({ phone: '0700' }) },
+        { key: 'patients', id: 'p2', baseRev: null, record: patient({ id: 'p2' }) }
+      ]
+    }, failingSave)).toThrow('Disk full');
+    
+    const pulled = store.pull({ since: 0, deviceId: 'b' });
+    expect(pulled.changes.map(c => [c.id, c.rev, c.record.phone])).toEqual([['p1', 1, undefined]]);
+    expect(pulled.cursor).toBe(1);
+    expect(store.push({
+      deviceId: 'a',
+      changes: [{ key: 'patients', id: 'p2', baseRev: null, record: patient({ id: 'p2' }) }]
+    }).results[0].rev).toBe(1);
+    expect(store.toJSON().seq).toBe(2);
+  });
+});
@@ -0,0 +1,192 @@
+/**
+ * ClinicCare Lite Sync Server
+ * 
+ * @description Small self-hosted server that lets several devices share data.
+ * Reference implementation of the protocol used by src/db/sync.js.
+ * @features
+ *   - POST /sync/push  { deviceId, deviceName, changes } -> { results }
+ *   - GET  /sync/pull?since=<cursor>&deviceId=<id> -> { changes, cursor, hasMore }
+ *   - GET  /sync/health -> { ok: true }
+ *   - Shared token (SYNC_TOKEN), sent as "Authorization: Bearer <token>".
+ *   - Other machines can only connect over HTTPS (SYNC_TLS_CERT and
+ *     SYNC_TLS_KEY) with a token, so neither the token nor the records cross
+ *     the network in the clear. Otherwise the server only listens on 127.0.0.1
+ *     (this machine), e.g. behind a TLS proxy running on the same machine.
+ *   - State is saved to a JSON file before a push is acknowledged; if saving
+ *     fails the push is undone. Records arrive decrypted, so the file holds
+ *     patient data in plain text: keep it on an encrypted disk and readable
+ *     only by the server's user.
+ * 
+ * @example
+ *   SYNC_TOKEN=secret SYNC_TLS_CERT=cert.pem SYNC_TLS_KEY=key.pem node server/sync-server.js
+ */
+
+import http from 'node:http';
+import https from 'node:https';
+import crypto from 'node:crypto';
+import fs from 'node:fs';
+import path from 'node:path';
+import { createSyncStore } from './syncStore.js';
+
+const PORT = Number(process.env.SYNC_PORT) || 8787;
+const TOKEN = process.env.SYNC_TOKEN || '';
+const TLS = process.env.SYNC_TLS_CERT && process.env.SYNC_TLS_KEY
+  ? { cert: fs.readFileSync(process.env.SYNC_TLS_CERT), key: fs.readFileSync(process.env.SYNC_TLS_KEY) }
+  : null;
+// Other machines may only reach the server with a token, and only over TLS
+const HOST = TOKEN && TLS ? '0.0.0.0' : '127.0.0.1';
+const DATA_FILE = process.env.SYNC_DATA_FILE || path.resolve('sync-data.json');
+// Largest request body accepted (bytes)
+const MAX_BODY = 20 * 1024 * 1024;
+
+/**
+ * Load saved state, if any
+ * @returns {Object} Saved state, or an empty one
+ */
+function loadState() {
+  try {
+    return JSON.parse(fs.readFileSync(DATA_FILE, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.error(`Could not read ${DATA_FILE}:`, e.message);
+    return {};
+  }
+}
+
+/**
+ * Save state atomically (write a temporary file, then rename it)
+ * @param {Object} state - State to save
+ */
+function saveState(state) {
+  const temp = `${DATA_FILE}.tmp`;
+  fs.writeFileSync(temp, JSON.stringify(state));
+  fs.renameSync(temp, DATA_FILE);
+}
+
+/**
+ * Whether a request carries the sync token. Both sides are hashed first so
+ * the comparison takes the same time whatever the header holds.
+ * @param {http.IncomingMessage} req - Request
+ * @returns {boolean} Whether it is authorized
+ */
+function isAuthorized(req) {
+  if (!TOKEN) return true;
+  const digest = (value) => crypto.createHash('sha256').update(value).digest();
+  return crypto.timingSafeEqual(digest(req.headers.authorization || ''), digest(`Bearer ${TOKEN}`));
+}
+
+/**
+ * Send a JSON response, allowing any origin (the app is served elsewhere)
+ * @param {http.ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {Object} body - Response body
+ */
+function send(res, status, body) {
+  res.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Headers': 'Content-Type, Authorization',
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS'
+  });
+  res.end(body === undefined ? '' : JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req - Request
+ * @returns {Promise<Object>} Parsed body
+ */
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY) {
+        reject(Object.assign(new Error('Request body too large'), { status: 413 }));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8') || '{}'));
+      } catch (e) {
+        reject(Object.assign(new Error('Request body is not valid JSON'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Whether a push body has the expected shape
+ * @param {Object} body - Push body
+ * @returns {boolean} Whether it is valid
+ */
+function isValidPush(body) {
+  return typeof body.deviceId === 'string' &&
+    Array.isArray(body.changes) &&
+    body.changes.every(c => typeof c.key === 'string' && typeof c.id === 'string');
+}
+
+const store = createSyncStore(loadState());
+
+const handleRequest = async (req, res) => {
+  if (req.method === 'OPTIONS') {
+    send(res, 204);
+    return;
+  }
+  
+  const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+  
+  if (!isAuthorized(req)) {
+    send(res, 401, { error: 'Invalid or missing sync token' });
+    return;
+  }
+  
+  try {
+    if (req.method === 'GET' && url.pathname === '/sync/health') {
+      send(res, 200, { ok: true });
+    } else if (req.method === 'GET' && url.pathname === '/sync/pull') {
+      send(res, 200, store.pull({
+        since: Number(url.searchParams.get('since')) || 0,
+        deviceId: url.searchParams.get('deviceId'),
+        limit: Number(url.searchParams.get('limit')) || undefined
+      }));
+    } else if (req.method === 'POST' && url.pathname === '/sync/push') {
+      const body = await readBody(req);
+      if (!isValidPush(body)) {
+        send(res, 400, { error: 'Expected { deviceId, changes: [{ key, id, baseRev, record }] }' });
+        return;
+      }
+      let result;
+      try {
+        result = store.push(body, saveState);
+      } catch (e) {
+        console.error(`Could not save ${DATA_FILE}:`, e.message);
+        send(res, 503, { error: 'The sync server could not save the changes, so none were accepted' });
+        return;
+      }
+      send(res, 200, result);
+    } else {
+      send(res, 404, { error: 'Not found' });
+    }
+  } catch (e) {
+    console.error(e);
+    send(res, e.status || 500, { error: e.message });
+  }
+};
+
+const server = TLS ? https.createServer(TLS, handleRequest) : http.createServer(handleRequest);
+
+server.listen(PORT, HOST, () => {
+  console.log(`ClinicCare sync server listening on ${TLS ? 'https' : 'http'}://${HOST}:${PORT}/sync`);
+  console.log(`Saving data to ${DATA_FILE} (patient data in plain text)`);
+  if (!TOKEN) {
+    console.warn('No SYNC_TOKEN set: only this machine can connect. Set one to sync other devices.');
+  } else if (!TLS) {
+    console.warn('No SYNC_TLS_CERT/SYNC_TLS_KEY set: only this machine can connect, so the token is never sent in the clear. '
+      + 'Set them, or put a TLS proxy on this machine in front of the server, to sync other devices.');
+  }
+});
@@ -0,0 +1,146 @@
+/**
+ * Sync Store
+ * 
+ * @description Revision store behind the reference sync server
+ * @features
+ *   - Keeps the latest version of every record pushed by any device
+ *   - Each record has a revision, bumped on every accepted change
+ *   - A change is accepted only if it was made on top of the current
+ *     revision (baseRev); otherwise it is a conflict and the server's
+ *     version is returned so the device can resolve it
+ *   - Every accepted change gets a global sequence number; devices pull
+ *     everything after the last sequence they saw
+ *   - Deletes are kept as tombstones (record: null) so they reach every device
+ *   - A push is saved before it is applied for good; if saving fails it is
+ *     undone, so no device is sent a revision that isn't on disk
+ */
+
+// Most changes returned by one pull
+const DEFAULT_PULL_LIMIT = 500;
+
+/**
+ * Whether two records hold the same data, ignoring bookkeeping fields
+ * @param {Object|null} a - Record
+ * @param {Object|null} b - Record
+ * @returns {boolean} Whether they match
+ */
+function sameContent(a, b) {
+  const strip = (record) => {
+    if (!record) return null;
+    const { syncRev, createdAt, updatedAt, fieldClocks, removedItems, ...data } = record;
+    return JSON.stringify(data, Object.keys(data).sort());
+  };
+  return strip(a) === strip(b);
+}
+
+/**
+ * Create a sync store
+ * @param {Object} data - Saved state ({ seq, records }) to start from
+ * @returns {Object} Store with push/pull/toJSON
+ */
+export function createSyncStore(data = {}) {
+  const state = {
+    seq: data.seq || 0,
+    records: { ...(data.records || {}) }
+  };
+  
+  return {
+    /**
+     * Apply changes pushed by a device. They are saved before anyone is told
+     * about them: if saving fails, every change is undone and the error thrown.
+     * @param {Object} body - { deviceId, deviceName, changes: [{ key, id, baseRev, record, changedBy }] }
+     * @param {Function} save - Saves the state ({ seq, records }); called once
+     *   when any change was accepted
+     * @returns {Object} { results: [{ key, id, status: 'ok', rev } |
+     *   { key, id, status: 'conflict', rev, record, changedBy, deviceName }] }
+     */
+    push({ deviceId, deviceName = null, changes = [] }, save = () => {}) {
+      // Entries as they were before this push, to undo it if saving fails
+      const previous = { seq: state.seq, entries: new Map() };
+      
+      const results = changes.map(({ key, id, baseRev = null, record = null, changedBy = null }) => {
+        const slot = `${key}:${id}`;
+        const current = state.records[slot];
+        const currentRev = current ? current.rev : null;
+        
+        if (currentRev !== baseRev) {
+          // Both sides made the same change: nothing to resolve
+          if (current && sameContent(current.record, record)) {
+            return { key, id, status: 'ok', rev: currentRev };
+          }
+          return {
+            key,
+            id,
+            status: 'conflict',
+            rev: currentRev,
+            record: current ? current.record : null,
+            changedBy: current ? current.changedBy : null,
+            deviceName: current ? current.deviceName : null
+          };
+        }
+        
+        if (!previous.entries.has(slot)) previous.entries.set(slot, current);
+        state.seq += 1;
+        const rev = (currentRev || 0) + 1;
+        state.records[slot] = {
+          key,
+          id,
+          rev,
+          seq: state.seq,
+          record,
+          deviceId,
+          deviceName,
+          changedBy,
+          updatedAt: new Date().toISOString()
+        };
+        return { key, id, status: 'ok', rev };
+      });
+      
+      if (previous.entries.size > 0) {
+        try {
+          save(state);
+        } catch (e) {
+          state.seq = previous.seq;
+          previous.entries.forEach((entry, slot) => {
+            if (entry) state.records[slot] = entry;
+            else delete state.records[slot];
+          });
+          throw e;
+        }
+      }
+      
+      return { results };
+    },
+    
+    /**
+     * Changes accepted after a sequence number, other than the device's own
+     * @param {Object} query - { since, deviceId, limit }
+     * @returns {Object} { changes: [{ key, id, rev, record, changedBy, deviceName }],
+     *   cursor, hasMore }
+     */
+    pull({ since = 0, deviceId = null, limit = DEFAULT_PULL_LIMIT }) {
+      const after = Object.values(state.records)
+        .filter(entry => entry.seq > since)
+        .sort((a, b) => a.seq - b.seq);
+      const page = after.slice(0, limit);
+      
+      return {
+        changes: page
+          .filter(entry => entry.deviceId !== deviceId)
+          .map(({ key, id, rev, record, changedBy, deviceName }) => ({
+            key, id, rev, record, changedBy, deviceName
+          })),
+        cursor: page.length > 0 ? page[page.length - 1].seq : since,
+        hasMore: after.length > page.length
+      };
+    },
+    
+    /**
+     * State to save between server restarts
+     * @returns {Object} { seq, records }
+     */
+    toJSON() {
+      return state;
+    }
+  };
+}
@@ -3,18 +3,31 @@
  * 
  * @description Root component handling routing and layout structure
  * @features
- *   - Role-based route protection
+ *   - Permission-based route protection
+ *   - Unlock screen while encrypted patient data is locked
+ *   - Temporary passwords set by an admin must be changed first
+ *   - Idle auto-lock that keeps the page as it was underneath
  *   - Offline detection
+ *   - Sync conflict and storage warnings
  *   - Responsive sidebar navigation
  */
 
 import React, { useState, useEffect } from 'react';
 import { Routes, Route, Navigate } from 'react-router-dom';
 import { useAuth } from './context/AuthContext';
+import { useSyncStatus } from './hooks/useSyncStatus';
+import { useEncryption } from './hooks/useEncryption';
+import { SYNC_STATES } from './db/sync';
+import { PERMISSIONS } from './utils/permissions';
 
 // Layout Components
 import Sidebar from './components/layout/Sidebar';
 import Header from './components/layout/Header';
+import StorageBanner from './components/layout/StorageBanner';
+import SyncBanner from './components/layout/SyncBanner';
+import UnlockScreen from './components/layout/UnlockScreen';
+import PasswordChangeScreen from './components/layout/PasswordChangeScreen';
+import SessionLockScreen from './components/layout/SessionLockScreen';
 import ToastContainer from './components/common/ToastContainer';
 
 // Page Components
@@ -27,6 +40,8 @@ import Inventory from './pages/Inventory';
 import Appointments from './pages/Appointments';
 import Analytics from './pages/Analytics';
 import Settings from './pages/Settings';
+import Users from './pages/Users';
+import AccessLog from './pages/AccessLog';
 
 // Workflow Pages
 import CheckIn from './pages/CheckIn';
@@ -39,21 +54,41 @@ import VisitSummary from './pages/VisitSummary';
 
 /**
  * Protected Route Wrapper
- * Redirects to login if user is not authenticated
+ * Redirects to login if user is not authenticated, asks for the clinic
+ * passphrase while encrypted data is locked, and for a new password while
+ * the account still has a temporary one. A locked session hides the page
+ * without unmounting it, so nothing typed is lost.
  */
-const ProtectedRoute = ({ children, allowedRoles = [] }) => {
-  const { user, isAuthenticated } = useAuth();
+const ProtectedRoute = ({ children, permission }) => {
+  const { user, isAuthenticated, locked, can } = useAuth();
+  const encryption = useEncryption();
   
   if (!isAuthenticated) {
     return <Navigate to="/login" replace />;
   }
   
-  // Check role-based access if roles are specified
-  if (allowedRoles.length > 0 && !allowedRoles.includes(user?.role)) {
+  // Nothing is shown until it's known whether the data is encrypted
+  if (!encryption.loaded) return null;
+  if (encryption.locked) {
+    return <UnlockScreen />;
+  }
+  if (user?.mustChangePassword) {
+    return <PasswordChangeScreen />;
+  }
+  
+  // Check the permission if the route needs one
+  if (permission && !can(permission)) {
     return <Navigate to="/dashboard" replace />;
   }
   
-  return children;
+  return (
+    <>
+      <div hidden={locked} aria-hidden={locked}>
+        {children}
+      </div>
+      {locked && <SessionLockScreen />}
+    </>
+  );
 };
 
 /**
@@ -63,6 +98,7 @@ const ProtectedRoute = ({ children, allowedRoles = [] }) => {
 const MainLayout = ({ children }) => {
   const [sidebarOpen, setSidebarOpen] = useState(false);
   const [isOffline, setIsOffline] = useState(!navigator.onLine);
+  const { state: syncState } = useSyncStatus();
   
   // Monitor online/offline status
   useEffect(() => {
@@ -88,6 +124,8 @@ const MainLayout = ({ children }) => {
         <Header onMenuClick={() => setSidebarOpen(true)} />
         
         <main className="p-4 lg:p-8 pb-24">
+          <StorageBanner />
+          <SyncBanner />
           {children}
         </main>
       </div>
@@ -96,7 +134,9 @@ const MainLayout = ({ children }) => {
       {isOffline && (
         <div className="offline-banner" role="alert">
           <span className="mr-2">📴</span>
-          You're offline. Changes will sync when connection is restored.
+          {syncState === SYNC_STATES.DISABLED
+            ? "You're offline. Changes are saved on this device."
+            : "You're offline. Changes will sync when connection is restored."}
         </div>
       )}
       
@@ -143,7 +183,7 @@ function App() {
       } />
       
       <Route path="/patients" element={
-        <ProtectedRoute allowedRoles={['clinician', 'admin']}>
+        <ProtectedRoute permission={[PERMISSIONS.PATIENTS_READ, PERMISSIONS.PATIENTS_REGISTER]}>
           <MainLayout>
             <Patients />
           </MainLayout>
@@ -151,7 +191,7 @@ function App() {
       } />
       
       <Route path="/patients/:id" element={
-        <ProtectedRoute allowedRoles={['clinician', 'admin']}>
+        <ProtectedRoute permission={PERMISSIONS.PATIENTS_READ}>
           <MainLayout>
             <PatientDetail />
           </MainLayout>
@@ -159,7 +199,7 @@ function App() {
       } />
       
       <Route path="/inventory" element={
-        <ProtectedRoute allowedRoles={['inventory_manager', 'clinician', 'admin']}>
+        <ProtectedRoute permission={PERMISSIONS.INVENTORY_READ}>
           <MainLayout>
             <Inventory />
           </MainLayout>
@@ -167,7 +207,7 @@ function App() {
       } />
       
       <Route path="/appointments" element={
-        <ProtectedRoute allowedRoles={['clinician', 'admin']}>
+        <ProtectedRoute permission={PERMISSIONS.APPOINTMENTS_READ}>
           <MainLayout>
             <Appointments />
           </MainLayout>
@@ -175,7 +215,7 @@ function App() {
       } />
       
       <Route path="/analytics" element={
-        <ProtectedRoute>
+        <ProtectedRoute permission={PERMISSIONS.ANALYTICS_READ}>
           <MainLayout>
             <Analytics />
           </MainLayout>
@@ -190,9 +230,25 @@ function App() {
         </ProtectedRoute>
       } />
       
+      <Route path="/users" element={
+        <ProtectedRoute permission={PERMISSIONS.USERS_MANAGE}>
+          <MainLayout>
+            <Users />
+          </MainLayout>
+        </ProtectedRoute>
+      } />
+      
+      <Route path="/access-log" element={
+        <ProtectedRoute permission={PERMISSIONS.AUDIT_READ}>
+          <MainLayout>
+            <AccessLog />
+          </MainLayout>
+        </ProtectedRoute>
+      } />
+      
       {/* Clinic Workflow Routes */}
       <Route path="/check-in" element={
-        <ProtectedRoute allowedRoles={['clinician', 'admin']}>
+        <ProtectedRoute permission={PERMISSIONS.CHECKIN_WRITE}>
           <MainLayout>
             <CheckIn />
           </MainLayout>
@@ -200,7 +256,7 @@ function App() {
       } />
       
       <Route path="/triage" element={
-        <ProtectedRoute allowedRoles={['clinician', 'admin']}>
+        <ProtectedRoute permission={PERMISSIONS.TRIAGE_WRITE}>
           <MainLayout>
             <Triage />
           </MainLayout>
@@ -208,7 +264,7 @@ function App() {
       } />
       
       <Route path="/queue" element={
-        <ProtectedRoute allowedRoles={['clinician', 'admin']}>
+        <ProtectedRoute permission={PERMISSIONS.QUEUE_READ}>
           <MainLayout>
             <Queue />
           </MainLayout>
@@ -216,7 +272,7 @@ function App() {
       } />
       
       <Route path="/consultation" element={
-        <ProtectedRoute allowedRoles={['clinician', 'admin']}>
+        <ProtectedRoute permission={PERMISSIONS.CONSULTATION_WRITE}>
           <MainLayout>
             <Consultation />
           </MainLayout>
@@ -224,7 +280,7 @@ function App() {
       } />
       
       <Route path="/pharmacy" element={
-        <ProtectedRoute allowedRoles={['clinician', 'inventory_manager', 'admin']}>
+        <ProtectedRoute permission={PERMISSIONS.PRESCRIPTIONS_DISPENSE}>
           <MainLayout>
             <Pharmacy />
           </MainLayout>
@@ -232,7 +288,7 @@ function App() {
       } />
       
       <Route path="/lab" element={
-        <ProtectedRoute allowedRoles={['clinician', 'admin']}>
+        <ProtectedRoute permission={PERMISSIONS.LAB_READ}>
           <MainLayout>
             <Lab />
           </MainLayout>
@@ -240,7 +296,7 @@ function App() {
       } />
       
       <Route path="/visit/:appointmentId" element={
-        <ProtectedRoute allowedRoles={['clinician', 'admin']}>
+        <ProtectedRoute permission={PERMISSIONS.PATIENTS_READ}>
           <MainLayout>
             <VisitSummary />
           </MainLayout>
@@ -6,6 +6,7 @@
 
 import React, { useState } from 'react';
 import { useFormValidation } from '../../hooks/useFormValidation';
+import { usePatientAccess } from '../../hooks/usePatientAccess';
 import { APPOINTMENT_STATUS } from '../../utils/constants';
 
 // Validation schema
@@ -48,6 +49,7 @@ const APPOINTMENT_TYPES = [
 function AppointmentForm({ appointment, patients, defaultDate, isWalkIn = false, onSubmit, onCancel }) {
   const isEditing = !!appointment;
   const [patientSearch, setPatientSearch] = useState('');
+  const { isMasked, displayName } = usePatientAccess();
   
   // Parse existing datetime
   const existingDate = appointment?.datetime?.split('T')[0] || defaultDate || new Date().toISOString().split('T')[0];
@@ -117,10 +119,10 @@ function AppointmentForm({ appointment, patients, defaultDate, isWalkIn = false,
         {selectedPatient ? (
           <div className="flex items-center gap-3 p-3 bg-clinic-50 border border-clinic-200 rounded-xl">
             <div className="w-10 h-10 rounded-full bg-clinic-500 text-white flex items-center justify-center font-semibold">
-              {selectedPatient.name.charAt(0)}
+              {displayName(selectedPatient).charAt(0)}
             </div>
             <div className="flex-1">
-              <p className="font-medium text-slate-800">{selectedPatient.name}</p>
+              <p className="font-medium text-slate-800">{displayName(selectedPatient)}</p>
               <p className="text-sm text-slate-500">ID: {selectedPatient.id.slice(0, 12)}...</p>
             </div>
             <button
@@ -157,11 +159,13 @@ function AppointmentForm({ appointment, patients, defaultDate, isWalkIn = false,
                       className="w-full flex items-center gap-3 p-3 hover:bg-slate-50 text-left border-b last:border-b-0"
                     >
                       <div className="w-8 h-8 rounded-full bg-slate-200 flex items-center justify-center text-sm font-medium">
-                        {patient.name.charAt(0)}
+                        {displayName(patient).charAt(0)}
                       </div>
                       <div>
-                        <p className="font-medium text-slate-800">{patient.name}</p>
-                        <p className="text-xs text-slate-500">{patient.contact || 'No contact'}</p>
+                        <p className="font-medium text-slate-800">{displayName(patient)}</p>
+                        <p className="text-xs text-slate-500">
+                          {isMasked(patient) ? 'Restricted' : (patient.contact || 'No contact')}
+                        </p>
                       </div>
                     </button>
                   ))
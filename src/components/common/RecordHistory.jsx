@@ -0,0 +1,117 @@
+/**
+ * Record History Component
+ * 
+ * @description Shows who changed a record, when, and what changed
+ * @props
+ *   - storageKey: string - Collection of the record (one of STORAGE_KEYS)
+ *   - recordId: string - Record ID
+ *   - fields: Array - Only show changes to these fields (default: all)
+ *   - fieldLabels: Object - Display names by field
+ *   - canRevert: boolean - Offer to revert the record to an earlier version
+ */
+
+import React, { useState } from 'react';
+import { useRecordHistory } from '../../hooks/useRecordHistory';
+import { useNotifications } from '../../context/NotificationContext';
+import { HISTORY_ACTIONS } from '../../db/history';
+import { formatDateTime, formatFieldValue } from '../../utils/helpers';
+import LoadingSpinner from './LoadingSpinner';
+import ConfirmDialog from './ConfirmDialog';
+
+const ACTION_LABELS = {
+  [HISTORY_ACTIONS.CREATE]: 'Created',
+  [HISTORY_ACTIONS.UPDATE]: 'Updated',
+  [HISTORY_ACTIONS.DELETE]: 'Moved to trash',
+  [HISTORY_ACTIONS.RESTORE]: 'Restored',
+  [HISTORY_ACTIONS.PURGE]: 'Permanently deleted',
+  [HISTORY_ACTIONS.REVERT]: 'Reverted',
+  [HISTORY_ACTIONS.SYNC]: 'Synced from another device',
+  [HISTORY_ACTIONS.MERGE]: 'Merged with another device\'s edits',
+  [HISTORY_ACTIONS.PATIENT_MERGE]: 'Duplicate patient merged'
+};
+
+function RecordHistory({ storageKey, recordId, fields = null, fieldLabels = {}, canRevert = false }) {
+  const { versions, isLoading, revert } = useRecordHistory(storageKey, recordId);
+  const { success, error: showError } = useNotifications();
+  const [revertConfirm, setRevertConfirm] = useState(null);
+  
+  const shown = versions
+    .map(v => ({
+      ...v,
+      changes: fields ? v.changes.filter(c => fields.includes(c.field)) : v.changes
+    }))
+    .filter(v => v.changes.length > 0);
+  
+  const handleRevert = async () => {
+    const result = await revert(revertConfirm.version);
+    if (result.success) {
+      success(`Reverted to version ${revertConfirm.version}`);
+    } else {
+      showError(result.error?.message || 'Failed to revert');
+    }
+  };
+  
+  if (isLoading) {
+    return <LoadingSpinner size="sm" text="Loading history..." />;
+  }
+  
+  if (shown.length === 0) {
+    return <p className="text-sm text-slate-500">No recorded changes.</p>;
+  }
+  
+  return (
+    <div>
+      <ol className="space-y-3">
+        {shown.map(v => (
+          <li key={v.version} className="p-3 border border-slate-200 rounded-lg">
+            <div className="flex items-start justify-between gap-3">
+              <div className="text-sm">
+                <p className="font-medium text-slate-800">
+                  v{v.version} · {ACTION_LABELS[v.action] || v.action}
+                  {v.revertedTo !== undefined && ` to v${v.revertedTo}`}
+                </p>
+                <p className="text-xs text-slate-500">
+                  {formatDateTime(v.changedAt)} by {v.changedBy?.name || 'Unknown'}
+                  {v.device && ` on ${v.device}`}
+                </p>
+              </div>
+              {canRevert && v.version !== versions[0].version && (
+                <button
+                  onClick={() => setRevertConfirm(v)}
+                  className="btn-ghost py-1 px-2 text-xs flex-shrink-0"
+                >
+                  Revert to this
+                </button>
+              )}
+            </div>
+            <ul className="mt-2 space-y-1 text-sm">
+              {v.changes.map(change => (
+                <li key={change.field} className="text-slate-600">
+                  <span className="font-medium text-slate-700">
+                    {fieldLabels[change.field] || change.field}:
+                  </span>{' '}
+                  {v.action !== HISTORY_ACTIONS.CREATE && (
+                    <><span className="line-through text-slate-400">{formatFieldValue(change.from)}</span> → </>
+                  )}
+                  {formatFieldValue(change.to)}
+                </li>
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ol>
+      
+      <ConfirmDialog
+        isOpen={!!revertConfirm}
+        onClose={() => setRevertConfirm(null)}
+        onConfirm={handleRevert}
+        title="Revert Record"
+        message={`Restore the values saved in version ${revertConfirm?.version}? The current values stay in the history.`}
+        confirmText="Revert"
+        confirmVariant="primary"
+      />
+    </div>
+  );
+}
+
+export default RecordHistory;
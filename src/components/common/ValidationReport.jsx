@@ -0,0 +1,41 @@
+/**
+ * Validation Report Component
+ * 
+ * @description Lists the records rejected by a collection schema and why
+ * @props
+ *   - report: Array - Invalid records ({ index, id, errors: [{ field, message }] })
+ *   - title: string - Optional heading (e.g. the collection name)
+ *   - limit: number - Most records to list before summarizing the rest
+ */
+
+import React from 'react';
+
+function ValidationReport({ report, title, limit = 20 }) {
+  if (!report || report.length === 0) return null;
+  
+  const shown = report.slice(0, limit);
+  const hidden = report.length - shown.length;
+  
+  return (
+    <div className="alert-danger">
+      <div className="min-w-0 flex-1">
+        <p className="font-semibold mb-2">
+          {title ? `${title}: ` : ''}{report.length} invalid record{report.length === 1 ? '' : 's'}
+        </p>
+        <ul className="space-y-1 text-sm max-h-60 overflow-y-auto">
+          {shown.map(issue => (
+            <li key={`${issue.index}-${issue.id}`}>
+              <span className="font-medium">
+                Record {issue.index + 1}{issue.id ? ` (${issue.id})` : ''}:
+              </span>{' '}
+              {issue.errors.map(e => `${e.field} ${e.message}`).join('; ')}
+            </li>
+          ))}
+        </ul>
+        {hidden > 0 && <p className="text-sm mt-2">…and {hidden} more</p>}
+      </div>
+    </div>
+  );
+}
+
+export default ValidationReport;
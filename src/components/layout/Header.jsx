@@ -5,8 +5,12 @@
  */
 
 import React, { useState, useEffect } from 'react';
-import { useLocation } from 'react-router-dom';
+import { useLocation, Link } from 'react-router-dom';
 import { useAuth } from '../../context/AuthContext';
+import { useSyncStatus } from '../../hooks/useSyncStatus';
+import { SYNC_STATES } from '../../db/sync';
+import { PERMISSIONS } from '../../utils/permissions';
+import PatientSearch from './PatientSearch';
 
 // Page titles mapping
 const PAGE_TITLES = {
@@ -20,9 +24,10 @@ const PAGE_TITLES = {
 
 function Header({ onMenuClick }) {
   const location = useLocation();
-  const { user } = useAuth();
+  const { user, can } = useAuth();
   const [currentTime, setCurrentTime] = useState(new Date());
   const [isOnline, setIsOnline] = useState(navigator.onLine);
+  const sync = useSyncStatus();
   
   // Get page title from route
   const pageTitle = PAGE_TITLES[location.pathname] || 
@@ -51,6 +56,17 @@ function Header({ onMenuClick }) {
     };
   }, []);
   
+  // Short sync summary; nothing while sync is off
+  const syncLabel = (() => {
+    if (sync.state === SYNC_STATES.DISABLED) return null;
+    if (sync.conflicts > 0) return `${sync.conflicts} conflict${sync.conflicts === 1 ? '' : 's'}`;
+    if (sync.state === SYNC_STATES.SYNCING) return 'Syncing...';
+    if (sync.state === SYNC_STATES.ERROR) return 'Sync failed';
+    if (sync.pending > 0) return `${sync.pending} to sync`;
+    return 'Synced';
+  })();
+  const syncNeedsAttention = sync.conflicts > 0 || sync.state === SYNC_STATES.ERROR;
+  
   const formatDate = (date) => {
     return date.toLocaleDateString('en-US', {
       weekday: 'long',
@@ -89,6 +105,9 @@ function Header({ onMenuClick }) {
         
         {/* Right: Status & Actions */}
         <div className="flex items-center gap-3">
+          {/* Jump to Patient */}
+          {can([PERMISSIONS.PATIENTS_READ, PERMISSIONS.PATIENTS_REGISTER]) && <PatientSearch />}
+          
           {/* Online/Offline Status */}
           <div className={`
             flex items-center gap-2 px-3 py-1.5 rounded-full text-sm font-medium
@@ -100,6 +119,20 @@ function Header({ onMenuClick }) {
             <span className="hidden sm:inline">{isOnline ? 'Online' : 'Offline'}</span>
           </div>
           
+          {/* Sync Status */}
+          {syncLabel && (
+            <Link
+              to="/settings"
+              className={`
+                hidden sm:flex items-center px-3 py-1.5 rounded-full text-sm font-medium
+                ${syncNeedsAttention ? 'bg-red-100 text-red-700' : 'bg-slate-100 text-slate-600'}
+              `}
+              title={sync.lastError || 'Multi-device sync'}
+            >
+              {syncLabel}
+            </Link>
+          )}
+          
           {/* Quick Actions */}
           <div className="flex items-center gap-2">
             {/* Notifications Bell - Could be expanded later */}
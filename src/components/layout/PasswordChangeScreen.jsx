@@ -0,0 +1,47 @@
+/**
+ * Password Change Screen Component
+ * 
+ * @description Shown instead of the app after an administrator created the
+ * account or reset its password: the temporary password has to be replaced
+ * before anything else
+ */
+
+import React from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import PasswordChangeForm from '../settings/PasswordChangeForm';
+
+function PasswordChangeScreen() {
+  const { user, logout } = useAuth();
+  const navigate = useNavigate();
+  
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+  
+  return (
+    <div className="min-h-screen flex items-center justify-center p-6 bg-slate-50">
+      <div className="card w-full max-w-lg">
+        <div className="text-center mb-6">
+          <div className="text-4xl mb-3">🔑</div>
+          <h2 className="text-2xl font-heading font-bold text-slate-800 mb-2">
+            Choose a New Password
+          </h2>
+          <p className="text-slate-500">
+            Signed in as {user?.name}. Your password was set by an administrator;
+            replace it with one only you know.
+          </p>
+        </div>
+        
+        <PasswordChangeForm submitLabel="Save Password" />
+        
+        <button onClick={handleLogout} className="btn-ghost w-full mt-3">
+          Sign out
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default PasswordChangeScreen;
@@ -0,0 +1,167 @@
+/**
+ * Patient Search Component
+ * 
+ * @description Header search box that jumps straight to a patient, found by
+ * name (typos and spelling variants allowed), MRN, phone, date of birth or
+ * ID number
+ * @features
+ *   - Results ranked by relevance as you type (see utils/patientSearch.js)
+ *   - Arrow keys move through results, Enter opens one, Escape closes
+ *   - "/" anywhere outside a text field focuses the box
+ *   - Restricted patients show masked names
+ *   - Users who can't open charts are taken to the patient list instead
+ */
+
+import React, { useState, useMemo, useEffect, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { useCollection } from '../../hooks/useCollection';
+import { usePatientAccess } from '../../hooks/usePatientAccess';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { PERMISSIONS } from '../../utils/permissions';
+import { formatDate, getInitials } from '../../utils/helpers';
+import { createPatientIndex, searchPatients, MATCH_FIELDS } from '../../utils/patientSearch';
+
+const MAX_RESULTS = 8;
+
+const MATCH_LABELS = {
+  [MATCH_FIELDS.NAME]: 'Name',
+  [MATCH_FIELDS.MRN]: 'MRN',
+  [MATCH_FIELDS.PHONE]: 'Phone',
+  [MATCH_FIELDS.DOB]: 'Date of birth',
+  [MATCH_FIELDS.ID_NUMBER]: 'ID number'
+};
+
+function PatientSearch() {
+  const navigate = useNavigate();
+  const { can } = useAuth();
+  const { isMasked, displayName } = usePatientAccess();
+  const patients = useCollection(STORAGE_KEYS.PATIENTS);
+  const inputRef = useRef(null);
+  
+  const [query, setQuery] = useState('');
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(0);
+  
+  const index = useMemo(() => createPatientIndex(patients), [patients]);
+  const results = useMemo(() => searchPatients(index, query, { limit: MAX_RESULTS }), [index, query]);
+  
+  // "/" focuses the search, unless the user is typing somewhere else
+  useEffect(() => {
+    const handleKeyDown = (e) => {
+      const target = e.target;
+      const isTyping = ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName) || target.isContentEditable;
+      if (e.key === '/' && !isTyping) {
+        e.preventDefault();
+        inputRef.current?.focus();
+      }
+    };
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, []);
+  
+  const openPatient = (patient) => {
+    setQuery('');
+    setIsOpen(false);
+    inputRef.current?.blur();
+    if (can(PERMISSIONS.PATIENTS_READ)) {
+      navigate(`/patients/${patient.id}`);
+    } else {
+      navigate(`/patients?q=${encodeURIComponent(patient.mrn || patient.name)}`);
+    }
+  };
+  
+  const handleKeyDown = (e) => {
+    if (e.key === 'Escape') {
+      setIsOpen(false);
+      inputRef.current?.blur();
+    } else if (e.key === 'ArrowDown' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex(i => (i + 1) % results.length);
+    } else if (e.key === 'ArrowUp' && results.length > 0) {
+      e.preventDefault();
+      setActiveIndex(i => (i - 1 + results.length) % results.length);
+    } else if (e.key === 'Enter' && results[activeIndex]) {
+      e.preventDefault();
+      openPatient(results[activeIndex].patient);
+    }
+  };
+  
+  return (
+    <div className="relative hidden md:block w-64 lg:w-80">
+      <div className="absolute left-3 top-1/2 -translate-y-1/2 pointer-events-none">
+        <svg className="w-5 h-5 text-slate-400" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+            d="M21 21l-6-6m2-5a7 7 0 11-14 0 7 7 0 0114 0z" />
+        </svg>
+      </div>
+      <input
+        ref={inputRef}
+        type="search"
+        value={query}
+        onChange={(e) => {
+          setQuery(e.target.value);
+          setActiveIndex(0);
+          setIsOpen(true);
+        }}
+        onFocus={() => setIsOpen(true)}
+        // Delay so a click on a result lands before the list closes
+        onBlur={() => setTimeout(() => setIsOpen(false), 150)}
+        onKeyDown={handleKeyDown}
+        className="input pl-10"
+        placeholder="Find patient (press /)"
+        aria-label="Find patient by name, MRN, phone or date of birth"
+        role="combobox"
+        aria-expanded={isOpen && query.trim() !== ''}
+        aria-controls="patient-search-results"
+      />
+      
+      {isOpen && query.trim() !== '' && (
+        <div
+          id="patient-search-results"
+          role="listbox"
+          className="absolute right-0 mt-2 w-full min-w-[20rem] bg-white rounded-xl shadow-lg border border-slate-200 z-40 overflow-hidden"
+        >
+          {results.length === 0 ? (
+            <p className="px-4 py-3 text-sm text-slate-500">No patient matches "{query.trim()}"</p>
+          ) : (
+            results.map(({ patient, matchedOn }, i) => {
+              const masked = isMasked(patient);
+              return (
+                <button
+                  key={patient.id}
+                  type="button"
+                  role="option"
+                  aria-selected={i === activeIndex}
+                  onMouseDown={(e) => e.preventDefault()}
+                  onClick={() => openPatient(patient)}
+                  onMouseEnter={() => setActiveIndex(i)}
+                  className={`w-full flex items-center gap-3 px-4 py-2.5 text-left
+                    ${i === activeIndex ? 'bg-clinic-50' : 'hover:bg-slate-50'}`}
+                >
+                  <span className="w-8 h-8 shrink-0 rounded-full bg-gradient-to-br from-clinic-400 to-clinic-600
+                                   flex items-center justify-center text-white font-semibold text-xs">
+                    {masked ? '?' : getInitials(patient.name)}
+                  </span>
+                  <span className="flex-1 min-w-0">
+                    <span className="block text-sm font-medium text-slate-800 truncate">{displayName(patient)}</span>
+                    <span className="block text-xs text-slate-500 truncate">
+                      {patient.mrn || `ID: ${patient.id.slice(0, 8)}`}
+                      {!masked && patient.dob && ` · ${formatDate(patient.dob)}`}
+                      {!masked && patient.contact && ` · ${patient.contact}`}
+                    </span>
+                  </span>
+                  <span className="text-[10px] uppercase tracking-wide text-slate-400 whitespace-nowrap">
+                    {matchedOn.map(field => MATCH_LABELS[field]).join(', ')}
+                  </span>
+                </button>
+              );
+            })
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default PatientSearch;
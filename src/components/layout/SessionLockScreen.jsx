@@ -0,0 +1,110 @@
+/**
+ * Session Lock Screen Component
+ * 
+ * @description Covers the app after a few idle minutes or when the user
+ * locks it. The page underneath stays as it was (hidden, not unmounted);
+ * the user's PIN or password unlocks it, or someone else can sign in.
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { readSessionState, MAX_PIN_ATTEMPTS } from '../../utils/session';
+
+function SessionLockScreen() {
+  const { user, logout, unlockWithPin, unlockWithPassword } = useAuth();
+  const navigate = useNavigate();
+  const [usePassword, setUsePassword] = useState(
+    () => !user?.hasPin || readSessionState().pinAttempts >= MAX_PIN_ATTEMPTS
+  );
+  const [secret, setSecret] = useState('');
+  const [error, setError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsUnlocking(true);
+    const result = usePassword ? await unlockWithPassword(secret) : await unlockWithPin(secret);
+    setIsUnlocking(false);
+    if (result.success) return;
+    
+    if (result.locked) {
+      navigate('/login');
+      return;
+    }
+    if (result.pinBlocked) setUsePassword(true);
+    setError(result.message);
+    setSecret('');
+  };
+  
+  const handleSwitchUser = () => {
+    logout();
+    navigate('/login');
+  };
+  
+  const toggleMethod = () => {
+    setUsePassword(prev => !prev);
+    setSecret('');
+    setError(null);
+  };
+  
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center p-6 bg-slate-50">
+      <div className="card w-full max-w-md">
+        <div className="text-center mb-6">
+          <div className="w-16 h-16 mx-auto mb-3 rounded-full bg-gradient-to-br from-clinic-400 to-clinic-600
+                          flex items-center justify-center text-white font-bold text-2xl">
+            {user?.name?.charAt(0) || 'U'}
+          </div>
+          <h2 className="text-2xl font-heading font-bold text-slate-800 mb-2">
+            Screen Locked
+          </h2>
+          <p className="text-slate-500">
+            {user?.name} · {usePassword ? 'Enter your password to continue.' : 'Enter your PIN to continue.'}
+          </p>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <div className="input-group">
+            <label htmlFor="lock-secret" className="label">
+              {usePassword ? 'Password' : 'PIN'}
+            </label>
+            <input
+              key={usePassword ? 'password' : 'pin'}
+              id="lock-secret"
+              type="password"
+              inputMode={usePassword ? undefined : 'numeric'}
+              value={secret}
+              onChange={(e) => setSecret(e.target.value)}
+              className={`input ${error ? 'input-error' : ''}`}
+              autoComplete={usePassword ? 'current-password' : 'off'}
+              autoFocus
+            />
+            {error && (
+              <p className="mt-1.5 text-sm text-red-600">{error}</p>
+            )}
+          </div>
+          
+          <button
+            type="submit"
+            disabled={isUnlocking || !secret}
+            className="btn-primary w-full py-3"
+          >
+            {isUnlocking ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+        
+        {user?.hasPin && (
+          <button onClick={toggleMethod} className="btn-ghost w-full mt-3">
+            {usePassword ? 'Use PIN instead' : 'Use password instead'}
+          </button>
+        )}
+        <button onClick={handleSwitchUser} className="btn-ghost w-full mt-1">
+          Switch user
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default SessionLockScreen;
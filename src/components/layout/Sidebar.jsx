@@ -1,11 +1,12 @@
 /**
  * Sidebar Navigation Component
  * 
- * @description Main navigation sidebar with role-based menu visibility
+ * @description Main navigation sidebar with permission-based menu visibility
  * @features
  *   - Responsive design (drawer on mobile, fixed on desktop)
- *   - Role-based menu filtering
+ *   - Permission-based menu filtering
  *   - Active route highlighting
+ *   - Lock the screen or log out from the footer
  */
 
 import React from 'react';
@@ -75,6 +76,18 @@ const Icons = {
         d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
     </svg>
   ),
+  users: (
+    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+        d="M12 4.354a4 4 0 110 5.292M15 21H3v-1a6 6 0 0112 0v1zm0 0h6v-1a6 6 0 00-9-5.197M13 7a4 4 0 11-8 0 4 4 0 018 0z" />
+    </svg>
+  ),
+  accessLog: (
+    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+        d="M9 12l2 2 4-4m5.618-4.016A11.955 11.955 0 0112 2.944a11.955 11.955 0 01-8.618 3.04A12.02 12.02 0 003 9c0 5.591 3.824 10.29 9 11.622 5.176-1.332 9-6.03 9-11.622 0-1.042-.133-2.052-.382-3.016z" />
+    </svg>
+  ),
   analytics: (
     <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
@@ -88,6 +101,12 @@ const Icons = {
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
     </svg>
   ),
+  lock: (
+    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+        d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+    </svg>
+  ),
   logout: (
     <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
       <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
@@ -102,11 +121,16 @@ const Icons = {
 };
 
 function Sidebar({ isOpen, onClose }) {
-  const { user, logout, hasRole } = useAuth();
+  const { user, logout, lockSession, can, roleLabel } = useAuth();
   const navigate = useNavigate();
   
-  // Filter navigation items based on user role
-  const visibleNavItems = NAV_ITEMS.filter(item => hasRole(item.roles));
+  // Filter navigation items by permission, then drop sections left empty
+  const permittedNavItems = NAV_ITEMS.filter(item => !item.permission || can(item.permission));
+  const visibleNavItems = permittedNavItems.filter((item, index) => {
+    if (!item.section) return true;
+    const next = permittedNavItems[index + 1];
+    return Boolean(next && !next.section);
+  });
   
   const handleLogout = () => {
     logout();
@@ -171,7 +195,7 @@ function Sidebar({ isOpen, onClose }) {
               </div>
               <div className="flex-1 min-w-0">
                 <p className="font-medium text-slate-800 truncate">{user?.name || 'User'}</p>
-                <p className="text-xs text-slate-500 capitalize">{user?.role?.replace('_', ' ') || 'Guest'}</p>
+                <p className="text-xs text-slate-500">{user ? roleLabel(user.role) : 'Guest'}</p>
               </div>
             </div>
           </div>
@@ -213,6 +237,16 @@ function Sidebar({ isOpen, onClose }) {
           
           {/* Footer Actions */}
           <div className="p-4 border-t border-slate-100">
+            <button
+              onClick={() => {
+                onClose();
+                lockSession();
+              }}
+              className="nav-link w-full"
+            >
+              {Icons.lock}
+              <span>Lock Screen</span>
+            </button>
             <button
               onClick={handleLogout}
               className="nav-link w-full text-red-600 hover:bg-red-50 hover:text-red-700"
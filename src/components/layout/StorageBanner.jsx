@@ -0,0 +1,42 @@
+/**
+ * Storage Banner Component
+ * 
+ * @description Warns when the browser's storage is nearly full, and that
+ * changes are not being saved once it is full
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useStorageHealth } from '../../hooks/useStorageHealth';
+import { STORAGE_LEVELS } from '../../db/quota';
+import { formatBytes } from '../../utils/helpers';
+
+function StorageBanner() {
+  const { level, ratio, remaining } = useStorageHealth();
+  
+  if (level === STORAGE_LEVELS.OK) return null;
+  
+  const isFull = level === STORAGE_LEVELS.FULL;
+  const percent = ratio === null ? null : Math.round(ratio * 100);
+  
+  return (
+    <div className={`${isFull ? 'alert-danger' : 'alert-warning'} mb-6`} role="alert">
+      <span className="text-xl">{isFull ? '⛔' : '⚠️'}</span>
+      <div className="flex-1 text-sm">
+        <p className="font-semibold">
+          {isFull ? 'Storage is full' : `Storage is ${percent}% full`}
+        </p>
+        <p>
+          {isFull
+            ? 'New changes are blocked and will not be saved until space is freed. '
+            : `About ${formatBytes(remaining)} left. `}
+          <Link to="/settings" className="underline font-medium">
+            Archive old visits in Settings
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default StorageBanner;
@@ -0,0 +1,35 @@
+/**
+ * Sync Banner Component
+ * 
+ * @description Tells users when a record was deleted on one device and
+ * edited on another, and someone has to choose whether it stays
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { useSyncStatus } from '../../hooks/useSyncStatus';
+
+function SyncBanner() {
+  const { conflicts } = useSyncStatus();
+  
+  if (conflicts === 0) return null;
+  
+  return (
+    <div className="alert-warning mb-6" role="alert">
+      <span className="text-xl">🔀</span>
+      <div className="flex-1 text-sm">
+        <p className="font-semibold">
+          {conflicts} record{conflicts === 1 ? ' was' : 's were'} deleted on one device but edited on another
+        </p>
+        <p>
+          Nothing is removed until someone chooses.{' '}
+          <Link to="/settings" className="underline font-medium">
+            Resolve conflicts in Settings
+          </Link>
+        </p>
+      </div>
+    </div>
+  );
+}
+
+export default SyncBanner;
@@ -0,0 +1,86 @@
+/**
+ * Unlock Screen Component
+ * 
+ * @description Shown instead of the app while patient data is encrypted and
+ * locked, e.g. after the page was reloaded: the clinic passphrase unlocks it
+ */
+
+import React, { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { useEncryption } from '../../hooks/useEncryption';
+
+function UnlockScreen() {
+  const { user, logout } = useAuth();
+  const { unlock } = useEncryption();
+  const navigate = useNavigate();
+  const [passphrase, setPassphrase] = useState('');
+  const [error, setError] = useState(null);
+  const [isUnlocking, setIsUnlocking] = useState(false);
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setIsUnlocking(true);
+    const result = await unlock(passphrase);
+    setIsUnlocking(false);
+    if (!result.success) {
+      setError(result.error.message);
+      setPassphrase('');
+    }
+  };
+  
+  const handleLogout = () => {
+    logout();
+    navigate('/login');
+  };
+  
+  return (
+    <div className="min-h-screen flex items-center justify-center p-6 bg-slate-50">
+      <div className="card w-full max-w-md">
+        <div className="text-center mb-6">
+          <div className="text-4xl mb-3">🔒</div>
+          <h2 className="text-2xl font-heading font-bold text-slate-800 mb-2">
+            Patient Data Locked
+          </h2>
+          <p className="text-slate-500">
+            Signed in as {user?.name}. Enter the clinic passphrase to unlock the records on this device.
+          </p>
+        </div>
+        
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <div className="input-group">
+            <label htmlFor="unlock-passphrase" className="label">
+              Clinic Passphrase
+            </label>
+            <input
+              id="unlock-passphrase"
+              type="password"
+              value={passphrase}
+              onChange={(e) => setPassphrase(e.target.value)}
+              className={`input ${error ? 'input-error' : ''}`}
+              autoComplete="off"
+              autoFocus
+            />
+            {error && (
+              <p className="mt-1.5 text-sm text-red-600">{error}</p>
+            )}
+          </div>
+          
+          <button
+            type="submit"
+            disabled={isUnlocking || !passphrase}
+            className="btn-primary w-full py-3"
+          >
+            {isUnlocking ? 'Unlocking...' : 'Unlock'}
+          </button>
+        </form>
+        
+        <button onClick={handleLogout} className="btn-ghost w-full mt-3">
+          Sign in as someone else
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default UnlockScreen;
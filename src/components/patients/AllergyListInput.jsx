@@ -0,0 +1,83 @@
+/**
+ * Allergy List Input Component
+ * 
+ * @description Edit a patient's allergies one entry at a time: substance,
+ * reaction and severity
+ * @props
+ *   - value: Array - Allergy entries ({ substance, reaction, severity })
+ *   - onChange: function - Called with the new list
+ */
+
+import React from 'react';
+import { ALLERGY_SEVERITY, ALLERGY_SEVERITY_OPTIONS } from '../../utils/allergies';
+
+const EMPTY_ENTRY = { substance: '', reaction: '', severity: ALLERGY_SEVERITY.UNKNOWN };
+
+function AllergyListInput({ value, onChange }) {
+  const updateEntry = (index, field, fieldValue) => {
+    onChange(value.map((entry, i) => (i === index ? { ...entry, [field]: fieldValue } : entry)));
+  };
+  
+  const removeEntry = (index) => {
+    onChange(value.filter((_, i) => i !== index));
+  };
+  
+  return (
+    <div className="space-y-2">
+      {value.length === 0 && (
+        <p className="text-sm text-slate-400">No known allergies recorded</p>
+      )}
+      
+      {value.map((entry, index) => (
+        <div key={index} className="grid grid-cols-1 sm:grid-cols-[1fr_1fr_8rem_auto] gap-2 items-center">
+          <input
+            type="text"
+            value={entry.substance}
+            onChange={(e) => updateEntry(index, 'substance', e.target.value)}
+            className="input"
+            placeholder="Substance, e.g., Penicillin"
+            aria-label="Allergy substance"
+          />
+          <input
+            type="text"
+            value={entry.reaction}
+            onChange={(e) => updateEntry(index, 'reaction', e.target.value)}
+            className="input"
+            placeholder="Reaction, e.g., Hives"
+            aria-label="Reaction"
+          />
+          <select
+            value={entry.severity}
+            onChange={(e) => updateEntry(index, 'severity', e.target.value)}
+            className="select"
+            aria-label="Severity"
+          >
+            {ALLERGY_SEVERITY_OPTIONS.map(opt => (
+              <option key={opt.value} value={opt.value}>{opt.label}</option>
+            ))}
+          </select>
+          <button
+            type="button"
+            onClick={() => removeEntry(index)}
+            className="text-red-500 hover:text-red-600 p-1 justify-self-start"
+            aria-label="Remove allergy"
+          >
+            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M6 18L18 6M6 6l12 12" />
+            </svg>
+          </button>
+        </div>
+      ))}
+      
+      <button
+        type="button"
+        onClick={() => onChange([...value, { ...EMPTY_ENTRY }])}
+        className="btn-secondary text-sm"
+      >
+        + Add Allergy
+      </button>
+    </div>
+  );
+}
+
+export default AllergyListInput;
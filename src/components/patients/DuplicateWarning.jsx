@@ -0,0 +1,64 @@
+/**
+ * Duplicate Warning Component
+ * 
+ * @description Shown when a patient being registered looks like someone
+ * already on file, so reception can use the existing record instead
+ * @props
+ *   - matches: Array - From findDuplicates ({ patient, reasons })
+ *   - canOpenCharts: boolean - Link each match to its chart
+ *   - onContinue: function - Register the new patient anyway
+ *   - onCancel: function - Go back to the form
+ */
+
+import React from 'react';
+import { Link } from 'react-router-dom';
+import { DUPLICATE_REASON_LABELS } from '../../utils/patientIdentity';
+import { formatDate } from '../../utils/helpers';
+import Badge from '../common/Badge';
+
+function DuplicateWarning({ matches, canOpenCharts, onContinue, onCancel }) {
+  return (
+    <div className="space-y-4">
+      <p className="text-sm text-slate-600">
+        {matches.length === 1 ? 'This patient looks like someone' : `This patient looks like ${matches.length} people`} already
+        registered. Check with the patient before creating a new record.
+      </p>
+      
+      <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg max-h-80 overflow-y-auto">
+        {matches.map(({ patient, reasons }) => (
+          <div key={patient.id} className="flex items-start justify-between gap-3 px-4 py-3">
+            <div>
+              <p className="font-medium text-slate-800">{patient.name}</p>
+              <p className="text-xs text-slate-500">
+                {patient.mrn || `ID: ${patient.id.slice(0, 8)}`}
+                {patient.dob && ` · Born ${formatDate(patient.dob)}`}
+                {patient.contact && ` · ${patient.contact}`}
+              </p>
+              <div className="flex flex-wrap gap-1 mt-2">
+                {reasons.map(reason => (
+                  <Badge key={reason} variant="warning">{DUPLICATE_REASON_LABELS[reason]}</Badge>
+                ))}
+              </div>
+            </div>
+            {canOpenCharts && (
+              <Link to={`/patients/${patient.id}`} className="btn-secondary whitespace-nowrap">
+                Open
+              </Link>
+            )}
+          </div>
+        ))}
+      </div>
+      
+      <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
+        <button type="button" onClick={onCancel} className="btn-secondary">
+          Back to Form
+        </button>
+        <button type="button" onClick={onContinue} className="btn-primary">
+          Register as New Patient
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default DuplicateWarning;
@@ -0,0 +1,323 @@
+/**
+ * Merge Patients Wizard Component
+ * 
+ * @description Merge a duplicate registration into the record that is kept,
+ * in three steps: pick the duplicate, choose which details to keep, confirm
+ * @features
+ *   - Suggests likely duplicates of the open patient; any other can be searched
+ *   - Only fields that differ are asked about; allergies, history and visits
+ *     are kept from both
+ *   - Shows how many appointments, consultations, prescriptions and other
+ *     records will move before anything is changed
+ * @props
+ *   - patient: Object - Patient whose chart the wizard was opened from
+ *   - patients: Array - Every live patient
+ *   - onMerged: function - Called with the surviving patient's ID
+ *   - onCancel: function - Cancel handler
+ */
+
+import React, { useState, useMemo, useEffect } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { useNotifications } from '../../context/NotificationContext';
+import { usePatientAccess } from '../../hooks/usePatientAccess';
+import { findLinkedRecords, mergePatients } from '../../db/patients';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { formatDate } from '../../utils/helpers';
+import { createPatientIndex, searchPatients } from '../../utils/patientSearch';
+import {
+  MERGE_FIELDS,
+  COMBINED_FIELDS,
+  DUPLICATE_REASON_LABELS,
+  findDuplicates,
+  defaultMergeChoices
+} from '../../utils/patientIdentity';
+import Badge from '../common/Badge';
+import SearchInput from '../common/SearchInput';
+
+const LINKED_LABELS = {
+  [STORAGE_KEYS.APPOINTMENTS]: 'Appointments',
+  [STORAGE_KEYS.TRIAGE]: 'Triage records',
+  [STORAGE_KEYS.QUEUE]: 'Queue entries',
+  [STORAGE_KEYS.CONSULTATIONS]: 'Consultations',
+  [STORAGE_KEYS.PRESCRIPTIONS]: 'Prescriptions',
+  [STORAGE_KEYS.LAB_ORDERS]: 'Lab orders'
+};
+
+const STEPS = ['Find the duplicate', 'Choose what to keep', 'Confirm'];
+
+const sameValue = (a, b) => String(a ?? '').trim().toLowerCase() === String(b ?? '').trim().toLowerCase();
+
+function MergePatientsWizard({ patient, patients, onMerged, onCancel }) {
+  const { user } = useAuth();
+  const { error: showError } = useNotifications();
+  const { isMasked, displayName } = usePatientAccess();
+  
+  const [step, setStep] = useState(0);
+  const [query, setQuery] = useState('');
+  const [otherId, setOtherId] = useState(null);
+  const [keepOther, setKeepOther] = useState(false);
+  const [choices, setChoices] = useState({});
+  const [linked, setLinked] = useState(null);
+  const [isMerging, setIsMerging] = useState(false);
+  
+  const others = useMemo(() => patients.filter(p => p.id !== patient.id), [patients, patient.id]);
+  const suggestions = useMemo(() => findDuplicates(patient, others), [patient, others]);
+  const searchIndex = useMemo(() => createPatientIndex(others), [others]);
+  const searchResults = useMemo(
+    () => searchPatients(searchIndex, query, { limit: 10 }).map(match => match.patient),
+    [searchIndex, query]
+  );
+  
+  const other = others.find(p => p.id === otherId);
+  const survivor = keepOther ? other : patient;
+  const duplicate = keepOther ? patient : other;
+  const duplicateId = duplicate?.id;
+  const differing = other ? MERGE_FIELDS.filter(({ field }) => !sameValue(survivor[field], duplicate[field])) : [];
+  
+  // Count what will move once the merge is about to be confirmed
+  useEffect(() => {
+    if (step !== 2 || !duplicateId) return undefined;
+    let cancelled = false;
+    setLinked(null);
+    findLinkedRecords(duplicateId).then(found => {
+      if (!cancelled) setLinked(found.filter(({ records }) => records.length > 0));
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [step, duplicateId]);
+  
+  const handlePick = (id) => {
+    const picked = others.find(p => p.id === id);
+    // Keep the earlier registration by default: its MRN is the one in use longest
+    const otherIsOlder = new Date(picked.createdAt || 0) < new Date(patient.createdAt || 0);
+    setOtherId(id);
+    setKeepOther(otherIsOlder);
+    setChoices(otherIsOlder ? defaultMergeChoices(picked, patient) : defaultMergeChoices(patient, picked));
+  };
+  
+  const handleKeepChange = (value) => {
+    setKeepOther(value);
+    setChoices(value ? defaultMergeChoices(other, patient) : defaultMergeChoices(patient, other));
+  };
+  
+  const handleMerge = async () => {
+    setIsMerging(true);
+    const result = await mergePatients({
+      survivorId: survivor.id,
+      duplicateId,
+      choices,
+      user
+    });
+    setIsMerging(false);
+    if (!result.success) {
+      showError(result.error?.message || 'Patients could not be merged');
+      return;
+    }
+    onMerged(survivor.id, result);
+  };
+  
+  const renderCandidate = (candidate, reasons = []) => {
+    const masked = isMasked(candidate);
+    return (
+      <label
+        key={candidate.id}
+        className={`flex items-start gap-3 px-4 py-3 ${masked ? 'opacity-60' : 'cursor-pointer hover:bg-slate-50'}`}
+      >
+        <input
+          type="radio"
+          name="duplicate"
+          checked={otherId === candidate.id}
+          onChange={() => handlePick(candidate.id)}
+          disabled={masked}
+          className="mt-1"
+        />
+        <span className="flex-1">
+          <span className="block font-medium text-slate-800">{displayName(candidate)}</span>
+          <span className="block text-xs text-slate-500">
+            {candidate.mrn || `ID: ${candidate.id.slice(0, 8)}`}
+            {!masked && candidate.dob && ` · Born ${formatDate(candidate.dob)}`}
+            {!masked && candidate.contact && ` · ${candidate.contact}`}
+          </span>
+          {masked && (
+            <span className="block text-xs text-amber-600 mt-1">Restricted chart: open it first to merge it</span>
+          )}
+          {reasons.length > 0 && (
+            <span className="flex flex-wrap gap-1 mt-2">
+              {reasons.map(reason => (
+                <Badge key={reason} variant="warning">{DUPLICATE_REASON_LABELS[reason]}</Badge>
+              ))}
+            </span>
+          )}
+        </span>
+      </label>
+    );
+  };
+  
+  const renderRecordSummary = (record) => (
+    <span>
+      <span className="block font-medium text-slate-800">{record.name}</span>
+      <span className="block text-xs text-slate-500">
+        {record.mrn || `ID: ${record.id.slice(0, 8)}`} · Registered {formatDate(record.createdAt)}
+      </span>
+    </span>
+  );
+  
+  return (
+    <div className="space-y-4">
+      <p className="text-xs font-medium text-slate-400 uppercase tracking-wide">
+        Step {step + 1} of {STEPS.length}: {STEPS[step]}
+      </p>
+      
+      {step === 0 && (
+        <div className="space-y-4">
+          {suggestions.length > 0 && (
+            <div>
+              <p className="label">Likely duplicates of {patient.name}</p>
+              <div className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+                {suggestions.map(({ patient: match, reasons }) => renderCandidate(match, reasons))}
+              </div>
+            </div>
+          )}
+          <div>
+            <p className="label">{suggestions.length > 0 ? 'Or search for another patient' : 'Search for the duplicate'}</p>
+            <SearchInput
+              value={query}
+              onChange={(e) => setQuery(e.target.value)}
+              placeholder="Name, MRN, national ID or phone..."
+            />
+            {searchResults.length > 0 && (
+              <div className="mt-2 divide-y divide-slate-100 border border-slate-200 rounded-lg max-h-64 overflow-y-auto">
+                {searchResults.map(result => renderCandidate(result))}
+              </div>
+            )}
+            {query && searchResults.length === 0 && (
+              <p className="mt-2 text-sm text-slate-500">No other patient matches "{query}".</p>
+            )}
+          </div>
+        </div>
+      )}
+      
+      {step === 1 && other && (
+        <div className="space-y-4">
+          <div>
+            <p className="label">Record to keep</p>
+            <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+              {[false, true].map(value => (
+                <label
+                  key={String(value)}
+                  className={`flex items-start gap-3 p-3 border rounded-lg cursor-pointer
+                    ${keepOther === value ? 'border-clinic-500 bg-clinic-50' : 'border-slate-200'}`}
+                >
+                  <input
+                    type="radio"
+                    name="survivor"
+                    checked={keepOther === value}
+                    onChange={() => handleKeepChange(value)}
+                    className="mt-1"
+                  />
+                  {renderRecordSummary(value ? other : patient)}
+                </label>
+              ))}
+            </div>
+          </div>
+          
+          {differing.length > 0 ? (
+            <div>
+              <p className="label">Details that differ</p>
+              <div className="table-container border border-slate-200 rounded-lg">
+                <table className="table">
+                  <thead>
+                    <tr>
+                      <th>Field</th>
+                      <th>Kept record</th>
+                      <th>Duplicate</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {differing.map(({ field, label }) => (
+                      <tr key={field}>
+                        <td className="text-slate-600">{label}</td>
+                        {['survivor', 'duplicate'].map(source => (
+                          <td key={source}>
+                            <label className="flex items-center gap-2 cursor-pointer">
+                              <input
+                                type="radio"
+                                name={`field-${field}`}
+                                checked={choices[field] === source}
+                                onChange={() => setChoices(prev => ({ ...prev, [field]: source }))}
+                              />
+                              <span className="text-slate-800">
+                                {(source === 'survivor' ? survivor : duplicate)[field] || '-'}
+                              </span>
+                            </label>
+                          </td>
+                        ))}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          ) : (
+            <p className="text-sm text-slate-600">All other details already match.</p>
+          )}
+          
+          <p className="text-sm text-slate-500">
+            {COMBINED_FIELDS.map(({ label }) => label).join(' and ')} from both records are kept, and so are all their visits.
+          </p>
+        </div>
+      )}
+      
+      {step === 2 && other && (
+        <div className="space-y-4">
+          <p className="text-sm text-slate-600">
+            <span className="font-medium text-slate-800">{duplicate.name}</span>
+            {duplicate.mrn && ` (${duplicate.mrn})`} will be merged into{' '}
+            <span className="font-medium text-slate-800">{survivor.name}</span>
+            {survivor.mrn && ` (${survivor.mrn})`} and moved to the trash. Its MRN stays
+            listed on the kept record as a former number.
+          </p>
+          <div className="p-3 bg-slate-50 rounded-lg">
+            <p className="text-sm font-medium text-slate-700 mb-2">Records that will move</p>
+            {linked === null ? (
+              <p className="text-sm text-slate-500">Counting...</p>
+            ) : linked.length === 0 ? (
+              <p className="text-sm text-slate-500">None: the duplicate has no appointments or clinical records.</p>
+            ) : (
+              <ul className="text-sm text-slate-600 space-y-1">
+                {linked.map(({ key, records }) => (
+                  <li key={key}>{LINKED_LABELS[key] || key}: {records.length}</li>
+                ))}
+              </ul>
+            )}
+          </div>
+        </div>
+      )}
+      
+      <div className="flex justify-between gap-3 pt-4 border-t border-slate-100">
+        <button type="button" onClick={onCancel} className="btn-secondary">
+          Cancel
+        </button>
+        <div className="flex gap-3">
+          {step > 0 && (
+            <button type="button" onClick={() => setStep(step - 1)} className="btn-secondary">
+              Back
+            </button>
+          )}
+          {step < STEPS.length - 1 ? (
+            <button type="button" onClick={() => setStep(step + 1)} disabled={!other} className="btn-primary">
+              Next
+            </button>
+          ) : (
+            <button type="button" onClick={handleMerge} disabled={isMerging || linked === null} className="btn-danger">
+              {isMerging ? 'Merging...' : 'Merge Records'}
+            </button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export default MergePatientsWizard;
@@ -7,6 +7,8 @@
 import React from 'react';
 import { useFormValidation } from '../../hooks/useFormValidation';
 import { GENDER_OPTIONS } from '../../utils/constants';
+import { parseAllergies } from '../../utils/allergies';
+import AllergyListInput from './AllergyListInput';
 
 // Validation schema
 const patientSchema = {
@@ -24,6 +26,14 @@ const patientSchema = {
     label: 'Gender',
     required: true
   },
+  nationalId: {
+    label: 'National ID',
+    maxLength: 30
+  },
+  insuranceNumber: {
+    label: 'Insurance Number',
+    maxLength: 30
+  },
   contact: {
     label: 'Contact Number',
     phone: true
@@ -63,22 +73,27 @@ function PatientForm({ patient, onSubmit, onCancel }) {
     touched,
     isSubmitting,
     handleSubmit,
-    getFieldProps
+    getFieldProps,
+    setValue
   } = useFormValidation(patientSchema, {
     name: patient?.name || '',
     dob: patient?.dob || '',
     gender: patient?.gender || '',
+    nationalId: patient?.nationalId || '',
+    insuranceNumber: patient?.insuranceNumber || '',
     contact: patient?.contact || '',
     email: patient?.email || '',
     address: patient?.address || '',
     nextOfKin: patient?.nextOfKin || '',
     nextOfKinContact: patient?.nextOfKinContact || '',
     bloodType: patient?.bloodType || '',
-    allergies: patient?.allergies || '',
+    allergies: parseAllergies(patient?.allergies),
     medicalHistory: patient?.medicalHistory || ''
   });
   
   const onFormSubmit = async (data) => {
+    // Rows left without a substance are dropped
+    data.allergies = parseAllergies(data.allergies);
     // Preserve visits if editing
     if (isEditing) {
       data.visits = patient.visits || [];
@@ -88,6 +103,13 @@ function PatientForm({ patient, onSubmit, onCancel }) {
   
   return (
     <form onSubmit={handleSubmit(onFormSubmit)} className="space-y-4">
+      {/* MRN is generated on registration and never edited */}
+      {isEditing && patient.mrn && (
+        <p className="text-sm text-slate-500">
+          Medical record number: <span className="font-mono font-medium text-slate-800">{patient.mrn}</span>
+        </p>
+      )}
+      
       {/* Name */}
       <div className="input-group">
         <label htmlFor="name" className="label">
@@ -143,6 +165,37 @@ function PatientForm({ patient, onSubmit, onCancel }) {
         </div>
       </div>
       
+      {/* National ID & Insurance Row */}
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="input-group">
+          <label htmlFor="nationalId" className="label">National ID</label>
+          <input
+            id="nationalId"
+            type="text"
+            {...getFieldProps('nationalId')}
+            className={`input ${touched.nationalId && errors.nationalId ? 'input-error' : ''}`}
+            placeholder="ID or passport number"
+          />
+          {touched.nationalId && errors.nationalId && (
+            <p className="mt-1.5 text-sm text-red-600">{errors.nationalId}</p>
+          )}
+        </div>
+        
+        <div className="input-group">
+          <label htmlFor="insuranceNumber" className="label">Insurance Number</label>
+          <input
+            id="insuranceNumber"
+            type="text"
+            {...getFieldProps('insuranceNumber')}
+            className={`input ${touched.insuranceNumber && errors.insuranceNumber ? 'input-error' : ''}`}
+            placeholder="Member or policy number"
+          />
+          {touched.insuranceNumber && errors.insuranceNumber && (
+            <p className="mt-1.5 text-sm text-red-600">{errors.insuranceNumber}</p>
+          )}
+        </div>
+      </div>
+      
       {/* Contact & Email Row */}
       <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
         <div className="input-group">
@@ -244,16 +297,13 @@ function PatientForm({ patient, onSubmit, onCancel }) {
         
         {/* Allergies */}
         <div className="input-group mb-4">
-          <label htmlFor="allergies" className="label">
+          <p className="label">
             Known Allergies
             <span className="text-xs text-slate-400 ml-2">(drugs, food, environmental)</span>
-          </label>
-          <textarea
-            id="allergies"
-            {...getFieldProps('allergies')}
-            className="input min-h-[60px]"
-            placeholder="e.g., Penicillin, Peanuts, Latex..."
-            rows={2}
+          </p>
+          <AllergyListInput
+            value={values.allergies}
+            onChange={(allergies) => setValue('allergies', allergies)}
           />
         </div>
         
@@ -0,0 +1,96 @@
+/**
+ * Restricted Patient Component
+ * 
+ * @description Masked view of a restricted chart, shown instead of the
+ * patient's details to anyone not assigned to them. Breaking the glass
+ * asks for a justification, which is logged for admins to review.
+ * @props
+ *   - patient: Object - Patient record
+ *   - onManage: function - Optional; shows a "Manage access" button
+ *   - compact: boolean - Smaller layout for side panels and modals
+ */
+
+import React, { useState } from 'react';
+import { usePatientAccess } from '../../hooks/usePatientAccess';
+import { useNotifications } from '../../context/NotificationContext';
+import { OVERRIDE_HOURS } from '../../db/accessLog';
+import { maskName, justificationError } from '../../utils/restrictions';
+
+function RestrictedPatient({ patient, onManage, compact = false }) {
+  const { breakGlass } = usePatientAccess();
+  const { success, error: showError } = useNotifications();
+  const [justification, setJustification] = useState('');
+  const [error, setError] = useState(null);
+  const [isOpening, setIsOpening] = useState(false);
+  
+  const handleBreakGlass = async (e) => {
+    e.preventDefault();
+    const problem = justificationError(justification);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    setIsOpening(true);
+    const result = await breakGlass(patient, justification);
+    setIsOpening(false);
+    if (!result.success) {
+      showError('Could not record the override, so the chart stays closed');
+      return;
+    }
+    success('Access recorded. An administrator will review it.', 'Chart Opened');
+  };
+  
+  return (
+    <div className={compact ? 'p-4' : 'card'}>
+      <div className="flex items-start gap-4 mb-4">
+        <div className="w-12 h-12 shrink-0 rounded-xl bg-amber-100 text-amber-600 flex items-center justify-center">
+          <svg className="w-6 h-6" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+              d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+          </svg>
+        </div>
+        <div>
+          <h2 className="text-lg font-semibold text-slate-800">{maskName(patient.name)}</h2>
+          <p className="text-sm text-slate-500">ID: {patient.id}</p>
+          <p className="text-sm text-slate-600 mt-2">
+            This chart is restricted to the patient's assigned clinicians.
+            To open it anyway, say why. Your name and reason are logged and reviewed by an administrator.
+          </p>
+        </div>
+      </div>
+      
+      <form onSubmit={handleBreakGlass} className="space-y-3">
+        <div className="input-group">
+          <label htmlFor={`justification-${patient.id}`} className="label">Reason for access</label>
+          <textarea
+            id={`justification-${patient.id}`}
+            value={justification}
+            onChange={(e) => {
+              setJustification(e.target.value);
+              setError(null);
+            }}
+            className={`input min-h-[60px] ${error ? 'input-error' : ''}`}
+            placeholder="e.g., Emergency treatment, assigned clinician unavailable"
+            rows={2}
+          />
+          {error && <p className="mt-1.5 text-sm text-red-600">{error}</p>}
+        </div>
+        <div className="flex flex-wrap items-center justify-between gap-3">
+          <p className="text-xs text-slate-400">The chart stays open to you for {OVERRIDE_HOURS} hours.</p>
+          <div className="flex gap-2">
+            {onManage && (
+              <button type="button" onClick={onManage} className="btn-secondary">
+                Manage access
+              </button>
+            )}
+            <button type="submit" disabled={isOpening} className="btn-danger">
+              {isOpening ? 'Opening...' : 'Break the glass'}
+            </button>
+          </div>
+        </div>
+      </form>
+    </div>
+  );
+}
+
+export default RestrictedPatient;
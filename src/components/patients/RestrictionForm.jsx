@@ -0,0 +1,88 @@
+/**
+ * Restriction Form Component
+ * 
+ * @description Turn a patient's chart restriction on or off and choose the
+ * clinicians who may open it without breaking the glass
+ * @props
+ *   - patient: Object - Patient record
+ *   - onSubmit: function - Called with { restricted, assignedClinicians }
+ *   - onCancel: function - Cancel handler
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { PERMISSIONS } from '../../utils/permissions';
+
+function RestrictionForm({ patient, onSubmit, onCancel }) {
+  const { users, roles, roleLabel } = useAuth();
+  const [restricted, setRestricted] = useState(Boolean(patient.restricted));
+  const [assigned, setAssigned] = useState(patient.assignedClinicians || []);
+  
+  // Anyone who can open charts at all can be assigned
+  const chartReaders = roles
+    .filter(role => role.permissions.includes(PERMISSIONS.PATIENTS_READ))
+    .map(role => role.id);
+  const candidates = users.filter(u => (u.active && chartReaders.includes(u.role)) || assigned.includes(u.id));
+  
+  const toggleAssigned = (userId) => {
+    setAssigned(prev => (prev.includes(userId) ? prev.filter(id => id !== userId) : [...prev, userId]));
+  };
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit({ restricted, assignedClinicians: restricted ? assigned : [] });
+  };
+  
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <label className="flex items-start gap-3">
+        <input
+          type="checkbox"
+          checked={restricted}
+          onChange={(e) => setRestricted(e.target.checked)}
+          className="mt-1 rounded border-slate-300"
+        />
+        <span>
+          <span className="font-medium text-slate-800">Restrict this chart</span>
+          <span className="block text-sm text-slate-500">
+            Only the clinicians below see it. Anyone else gets a masked view and must give a reason to open it.
+          </span>
+        </span>
+      </label>
+      
+      {restricted && (
+        <div>
+          <p className="label">Assigned clinicians</p>
+          <div className="max-h-64 overflow-y-auto divide-y divide-slate-100 border border-slate-200 rounded-lg">
+            {candidates.map(account => (
+              <label key={account.id} className="flex items-center gap-3 px-3 py-2 hover:bg-slate-50">
+                <input
+                  type="checkbox"
+                  checked={assigned.includes(account.id)}
+                  onChange={() => toggleAssigned(account.id)}
+                  className="rounded border-slate-300"
+                />
+                <span className="text-sm text-slate-800">{account.name}</span>
+                <span className="text-xs text-slate-400">{roleLabel(account.role)}</span>
+              </label>
+            ))}
+          </div>
+          {assigned.length === 0 && (
+            <p className="mt-1.5 text-sm text-amber-600">With nobody assigned, every opening needs a reason.</p>
+          )}
+        </div>
+      )}
+      
+      <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
+        <button type="button" onClick={onCancel} className="btn-secondary">
+          Cancel
+        </button>
+        <button type="submit" className="btn-primary">
+          Save
+        </button>
+      </div>
+    </form>
+  );
+}
+
+export default RestrictionForm;
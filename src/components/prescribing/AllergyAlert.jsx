@@ -0,0 +1,110 @@
+/**
+ * Allergy Alert Component
+ * 
+ * @description Shown when a medication being prescribed matches one of the
+ * patient's recorded allergies. A severe allergy to the drug or its class
+ * stops the prescription; otherwise the prescriber may go ahead with a reason.
+ * @props
+ *   - medication: Object - Medication being added
+ *   - conflicts: Array - From checkAllergies
+ *   - onOverride: function - Called with the reason to prescribe it anyway
+ *   - onCancel: function - Leave the medication out
+ */
+
+import React, { useState } from 'react';
+import { DRUG_CLASSES } from '../../utils/drugClasses';
+import {
+  ALLERGY_SEVERITY,
+  ALLERGY_SEVERITY_LABELS,
+  isHardStop,
+  overrideReasonError
+} from '../../utils/allergies';
+import Badge from '../common/Badge';
+
+/**
+ * Why an allergy matched the medication
+ */
+function describeConflict({ drugClass, crossReactive }) {
+  if (!drugClass) return 'Same drug';
+  const label = DRUG_CLASSES[drugClass]?.label || drugClass;
+  return crossReactive ? `Possible cross-reaction (${label})` : `Same class (${label})`;
+}
+
+function AllergyAlert({ medication, conflicts, onOverride, onCancel }) {
+  const [reason, setReason] = useState('');
+  const [error, setError] = useState(null);
+  const blocked = isHardStop(conflicts);
+  
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    const problem = overrideReasonError(reason);
+    if (problem) {
+      setError(problem);
+      return;
+    }
+    onOverride(reason.trim());
+  };
+  
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="p-4 rounded-xl bg-red-50 border border-red-200">
+        <p className="text-sm text-red-800">
+          <span className="font-semibold">{medication.name}</span>
+          {blocked
+            ? ' can\'t be prescribed: the patient has a severe allergy to it. Choose another drug, or correct the allergy record if it is wrong.'
+            : ' may cause an allergic reaction in this patient.'}
+        </p>
+      </div>
+      
+      <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg">
+        {conflicts.map(({ allergy, ...conflict }) => (
+          <li key={allergy.substance} className="flex items-start justify-between gap-3 px-4 py-3">
+            <div>
+              <p className="font-medium text-slate-800">{allergy.substance}</p>
+              <p className="text-xs text-slate-500">
+                {describeConflict(conflict)}
+                {allergy.reaction && ` · Reaction: ${allergy.reaction}`}
+              </p>
+            </div>
+            <Badge variant={allergy.severity === ALLERGY_SEVERITY.SEVERE ? 'danger' : 'warning'}>
+              {ALLERGY_SEVERITY_LABELS[allergy.severity]}
+            </Badge>
+          </li>
+        ))}
+      </ul>
+      
+      {!blocked && (
+        <div className="input-group">
+          <label htmlFor="allergyOverrideReason" className="label">
+            Reason to prescribe anyway <span className="text-red-500">*</span>
+          </label>
+          <textarea
+            id="allergyOverrideReason"
+            value={reason}
+            onChange={(e) => {
+              setReason(e.target.value);
+              setError(null);
+            }}
+            className={`input min-h-[60px] ${error ? 'input-error' : ''}`}
+            placeholder="e.g., Tolerated a full course in 2024; rash was not allergic"
+            rows={2}
+          />
+          {error && <p className="mt-1.5 text-sm text-red-600">{error}</p>}
+        </div>
+      )}
+      
+      <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
+        <button type="button" onClick={onCancel} className={blocked ? 'btn-primary' : 'btn-secondary'}>
+          {blocked ? 'Choose Another Drug' : 'Don\'t Prescribe'}
+        </button>
+        {!blocked && (
+          <button type="submit" className="btn-danger">
+            Prescribe Anyway
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default AllergyAlert;
@@ -0,0 +1,48 @@
+/**
+ * Dose Suggestion Component
+ * 
+ * @description Weight-based dose for the medication being prescribed, worked
+ * out from the triage weight and the patient's age, with any problem with the
+ * dose typed so far
+ * @props
+ *   - medication: Object - Medication being entered ({ name, dosage })
+ *   - patient: Object - { weightKg, ageMonths } from patientDosingInfo
+ *   - onUse: function - Called with the suggested dose text
+ */
+
+import React from 'react';
+import { suggestDose, checkDose } from '../../utils/dosing';
+
+function DoseSuggestion({ medication, patient, onUse }) {
+  const suggestion = suggestDose(medication, patient);
+  if (!suggestion) return null;
+  
+  const issues = checkDose(medication, patient);
+  
+  return (
+    <div className="p-3 rounded-lg bg-sky-50 border border-sky-200 space-y-1">
+      {suggestion.dose && (
+        <div className="flex items-center justify-between gap-3">
+          <p className="text-sm text-sky-800">
+            Suggested for {suggestion.weightKg} kg: <span className="font-semibold">{suggestion.dose}</span> per dose
+            <span className="block text-xs text-sky-600">{suggestion.basis}</span>
+          </p>
+          {medication.dosage !== suggestion.dose && (
+            <button
+              type="button"
+              onClick={() => onUse(suggestion.dose)}
+              className="px-3 py-1 text-sm bg-white hover:bg-sky-100 rounded-lg text-sky-700 border border-sky-200"
+            >
+              Use
+            </button>
+          )}
+        </div>
+      )}
+      {issues.map(issue => (
+        <p key={issue.type} className="text-sm text-red-600">⚠️ {issue.message}</p>
+      ))}
+    </div>
+  );
+}
+
+export default DoseSuggestion;
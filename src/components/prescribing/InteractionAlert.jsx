@@ -0,0 +1,56 @@
+/**
+ * Interaction Alert Component
+ * 
+ * @description Shown when a medication being prescribed interacts with, or
+ * duplicates, one already on the prescription. The prescriber has to
+ * acknowledge the alerts before adding it.
+ * @props
+ *   - medication: Object - Medication being added
+ *   - alerts: Array - From interactionsWith
+ *   - onAcknowledge: function - Add the medication anyway
+ *   - onCancel: function - Leave the medication out
+ */
+
+import React, { useState } from 'react';
+import { INTERACTION_SEVERITY_LABELS, highestSeverity } from '../../utils/interactions';
+import InteractionList from './InteractionList';
+
+function InteractionAlert({ medication, alerts, onAcknowledge, onCancel }) {
+  const [acknowledged, setAcknowledged] = useState(false);
+  const severity = highestSeverity(alerts);
+  
+  return (
+    <div className="space-y-4">
+      <div className="p-4 rounded-xl bg-amber-50 border border-amber-200">
+        <p className="text-sm text-amber-800">
+          <span className="font-semibold">{medication.name}</span>
+          {` has ${alerts.length === 1 ? 'an interaction alert' : `${alerts.length} interaction alerts`}`}
+          {` with this prescription (${INTERACTION_SEVERITY_LABELS[severity].toLowerCase()} at worst).`}
+        </p>
+      </div>
+      
+      <InteractionList alerts={alerts} />
+      
+      <label className="flex items-start gap-2 text-sm text-slate-700">
+        <input
+          type="checkbox"
+          checked={acknowledged}
+          onChange={(e) => setAcknowledged(e.target.checked)}
+          className="mt-0.5 rounded border-slate-300"
+        />
+        I have reviewed these alerts and will add the medication anyway
+      </label>
+      
+      <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
+        <button type="button" onClick={onCancel} className="btn-secondary">
+          Don't Add
+        </button>
+        <button type="button" onClick={onAcknowledge} disabled={!acknowledged} className="btn-danger">
+          Add Anyway
+        </button>
+      </div>
+    </div>
+  );
+}
+
+export default InteractionAlert;
@@ -0,0 +1,47 @@
+/**
+ * Interaction List Component
+ * 
+ * @description Interaction and duplicate therapy alerts, most serious first,
+ * each with its effect and what to do about it
+ * @props
+ *   - alerts: Array - From checkInteractions or interactionsWith
+ */
+
+import React from 'react';
+import {
+  ALERT_TYPES,
+  INTERACTION_SEVERITY,
+  INTERACTION_SEVERITY_LABELS
+} from '../../utils/interactions';
+import Badge from '../common/Badge';
+
+const SEVERITY_VARIANTS = {
+  [INTERACTION_SEVERITY.MINOR]: 'info',
+  [INTERACTION_SEVERITY.MODERATE]: 'warning',
+  [INTERACTION_SEVERITY.MAJOR]: 'danger',
+  [INTERACTION_SEVERITY.CONTRAINDICATED]: 'danger'
+};
+
+function InteractionList({ alerts }) {
+  return (
+    <ul className="divide-y divide-slate-100 border border-slate-200 rounded-lg bg-white">
+      {alerts.map((alert, index) => (
+        <li key={index} className="flex items-start justify-between gap-3 px-4 py-3">
+          <div>
+            <p className="font-medium text-slate-800">
+              {alert.type === ALERT_TYPES.DUPLICATE ? 'Duplicate therapy: ' : ''}
+              {alert.drugs.join(' + ')}
+            </p>
+            <p className="text-sm text-slate-600">{alert.effect}</p>
+            <p className="text-xs text-slate-500">{alert.advice}</p>
+          </div>
+          <Badge variant={SEVERITY_VARIANTS[alert.severity]}>
+            {INTERACTION_SEVERITY_LABELS[alert.severity]}
+          </Badge>
+        </li>
+      ))}
+    </ul>
+  );
+}
+
+export default InteractionList;
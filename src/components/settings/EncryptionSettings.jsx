@@ -0,0 +1,141 @@
+/**
+ * Encryption Settings Component
+ * 
+ * @description Encryption at rest for the records on this device.
+ * Administrators turn it on with a clinic passphrase and rotate the key
+ * (which also changes the passphrase); everyone else sees whether it is on.
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { useNotifications } from '../../context/NotificationContext';
+import { useEncryption } from '../../hooks/useEncryption';
+import { PERMISSIONS } from '../../utils/permissions';
+import { enableEncryption, rotateEncryptionKey, MIN_PASSPHRASE_LENGTH } from '../../db/encryption';
+import { formatDateTime } from '../../utils/helpers';
+
+const EMPTY_FORM = { current: '', next: '', confirm: '' };
+
+function EncryptionSettings() {
+  const { can } = useAuth();
+  const { success, error: showError } = useNotifications();
+  const encryption = useEncryption();
+  const [form, setForm] = useState(EMPTY_FORM);
+  
+  const canConfigure = can(PERMISSIONS.SETTINGS_MANAGE);
+  
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.next.length < MIN_PASSPHRASE_LENGTH) {
+      showError(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`);
+      return;
+    }
+    if (form.next !== form.confirm) {
+      showError('The passphrases do not match');
+      return;
+    }
+    
+    const result = encryption.enabled
+      ? await rotateEncryptionKey(form.current, form.next)
+      : await enableEncryption(form.next);
+    
+    if (!result.success) {
+      showError(result.error.message, encryption.enabled ? 'Key not rotated' : 'Encryption not turned on');
+      return;
+    }
+    setForm(EMPTY_FORM);
+    success(encryption.enabled
+      ? 'Every record was re-encrypted with a new key. Use the new passphrase from now on.'
+      : 'Records on this device are now encrypted. The passphrase is needed at every sign-in.');
+  };
+  
+  if (!encryption.loaded) return null;
+  
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-heading font-semibold text-slate-800">
+            Encryption at Rest
+          </h2>
+          <p className="text-sm text-slate-500">
+            {encryption.enabled
+              ? `On since ${formatDateTime(encryption.createdAt)}${encryption.rotatedAt ? ` · key rotated ${formatDateTime(encryption.rotatedAt)}` : ''}`
+              : 'Records are stored unencrypted in this browser'}
+          </p>
+        </div>
+        <span className={`px-3 py-1 rounded-full text-sm font-medium ${encryption.enabled ? 'bg-green-100 text-green-700' : 'bg-slate-100 text-slate-600'}`}>
+          {encryption.enabled ? 'On' : 'Off'}
+        </span>
+      </div>
+      
+      {!canConfigure ? (
+        <p className="text-sm text-slate-500">Only administrators can change encryption settings.</p>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="alert-warning text-sm">
+            <p>
+              {encryption.enabled
+                ? 'Rotating replaces the clinic passphrase and re-encrypts every record with a new key. Other open tabs will ask for the new passphrase.'
+                : 'Everyone will need the clinic passphrase to sign in on this device. If it is lost, the records cannot be recovered. Exported backups are not encrypted.'}
+            </p>
+          </div>
+          
+          {encryption.enabled && (
+            <div className="input-group">
+              <label htmlFor="currentPassphrase" className="label">Current Passphrase</label>
+              <input
+                id="currentPassphrase"
+                type="password"
+                value={form.current}
+                onChange={(e) => handleChange('current', e.target.value)}
+                className="input"
+                autoComplete="off"
+              />
+            </div>
+          )}
+          
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="input-group">
+              <label htmlFor="newPassphrase" className="label">
+                {encryption.enabled ? 'New Passphrase' : 'Clinic Passphrase'}
+              </label>
+              <input
+                id="newPassphrase"
+                type="password"
+                value={form.next}
+                onChange={(e) => handleChange('next', e.target.value)}
+                className="input"
+                placeholder={`At least ${MIN_PASSPHRASE_LENGTH} characters`}
+                autoComplete="new-password"
+              />
+            </div>
+            <div className="input-group">
+              <label htmlFor="confirmPassphrase" className="label">Confirm Passphrase</label>
+              <input
+                id="confirmPassphrase"
+                type="password"
+                value={form.confirm}
+                onChange={(e) => handleChange('confirm', e.target.value)}
+                className="input"
+                autoComplete="new-password"
+              />
+            </div>
+          </div>
+          
+          <button type="submit" disabled={encryption.busy} className="btn-primary">
+            {encryption.busy
+              ? 'Re-encrypting records...'
+              : encryption.enabled ? 'Rotate Key' : 'Encrypt Records'}
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
+
+export default EncryptionSettings;
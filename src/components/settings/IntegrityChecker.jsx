@@ -0,0 +1,134 @@
+/**
+ * Integrity Checker Component
+ * 
+ * @description Lists references between collections that point at missing
+ * or deleted records, and lets administrators fix them.
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { useNotifications } from '../../context/NotificationContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import { checkIntegrity, fixIntegrityIssues, INTEGRITY_FIX } from '../../db/integrity';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ConfirmDialog from '../common/ConfirmDialog';
+
+const FIX_LABELS = {
+  [INTEGRITY_FIX.TRASH]: 'Move to trash',
+  [INTEGRITY_FIX.CLEAR]: 'Clear reference'
+};
+
+function IntegrityChecker() {
+  const { user, can } = useAuth();
+  const { success, error: showError } = useNotifications();
+  
+  const [issues, setIssues] = useState(null);
+  const [isChecking, setIsChecking] = useState(false);
+  const [isFixing, setIsFixing] = useState(false);
+  const [showFixConfirm, setShowFixConfirm] = useState(false);
+  
+  const canFix = can(PERMISSIONS.SETTINGS_MANAGE);
+  
+  const runCheck = async () => {
+    setIsChecking(true);
+    try {
+      setIssues(await checkIntegrity());
+    } catch (err) {
+      showError('Failed to check data integrity');
+    } finally {
+      setIsChecking(false);
+    }
+  };
+  
+  const applyFixes = async (toFix) => {
+    setIsFixing(true);
+    const result = await fixIntegrityIssues(toFix, user?.name);
+    setIsFixing(false);
+    
+    if (!result.success) {
+      showError('Failed to fix references. No changes were made.');
+      return;
+    }
+    success(`Fixed ${result.count} dangling reference${result.count === 1 ? '' : 's'}`);
+    runCheck();
+  };
+  
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-heading font-semibold text-slate-800">
+            Data Integrity
+          </h2>
+          <p className="text-sm text-slate-500">
+            Find records that refer to patients, appointments or consultations that no longer exist.
+          </p>
+        </div>
+        <button onClick={runCheck} disabled={isChecking} className="btn-secondary flex-shrink-0">
+          {isChecking ? 'Checking...' : 'Run Check'}
+        </button>
+      </div>
+      
+      {isChecking && <LoadingSpinner text="Checking references..." />}
+      
+      {!isChecking && issues?.length === 0 && (
+        <div className="alert-success">
+          <p>No dangling references found.</p>
+        </div>
+      )}
+      
+      {!isChecking && issues?.length > 0 && (
+        <div className="space-y-3">
+          <ul className="divide-y divide-slate-100 border border-slate-200 rounded-xl">
+            {issues.map(issue => (
+              <li key={issue.id} className="flex items-center justify-between gap-4 p-3">
+                <div className="min-w-0 text-sm">
+                  <p className="font-medium text-slate-800 truncate">
+                    {issue.key} / {issue.record.id}
+                  </p>
+                  <p className="text-slate-500">
+                    <code>{issue.field}</code> → {issue.relation.to} / {issue.value}{' '}
+                    ({issue.targetState === 'missing' ? 'does not exist' : 'is in the trash'})
+                  </p>
+                </div>
+                {canFix && (
+                  <button
+                    onClick={() => applyFixes([issue])}
+                    disabled={isFixing}
+                    className="btn-ghost py-1.5 px-3 text-sm flex-shrink-0"
+                  >
+                    {FIX_LABELS[issue.fix]}
+                  </button>
+                )}
+              </li>
+            ))}
+          </ul>
+          
+          {canFix ? (
+            <button
+              onClick={() => setShowFixConfirm(true)}
+              disabled={isFixing}
+              className="btn-primary"
+            >
+              Fix All ({issues.length})
+            </button>
+          ) : (
+            <p className="text-sm text-slate-500">Only administrators can fix references.</p>
+          )}
+        </div>
+      )}
+      
+      <ConfirmDialog
+        isOpen={showFixConfirm}
+        onClose={() => setShowFixConfirm(false)}
+        onConfirm={() => applyFixes(issues)}
+        title="Fix All References"
+        message="Orphaned appointments and visit records will be moved to the trash, and other dangling references will be cleared. Continue?"
+        confirmText="Fix All"
+        confirmVariant="primary"
+      />
+    </div>
+  );
+}
+
+export default IntegrityChecker;
@@ -0,0 +1,106 @@
+/**
+ * Merge Reports Component
+ * 
+ * @description Lists what merging imports and other devices' edits
+ * overwrote: for each field both copies changed, the value kept and the
+ * value that lost
+ */
+
+import React, { useState } from 'react';
+import { useLocalDB } from '../../hooks/useLocalDB';
+import { useNotifications } from '../../context/NotificationContext';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { MERGE_SIDES, MERGE_SOURCES } from '../../db/merge';
+import { formatDateTime, formatFieldValue } from '../../utils/helpers';
+
+// Reports shown before "Show all"
+const INITIAL_COUNT = 10;
+
+const SOURCE_LABELS = {
+  [MERGE_SOURCES.IMPORT]: 'an import',
+  [MERGE_SOURCES.SYNC]: 'another device'
+};
+
+/**
+ * One disagreement between the two copies
+ */
+function MergeChange({ change }) {
+  const replaced = change.kept === MERGE_SIDES.INCOMING;
+  const field = change.item ? `${change.field} entry` : change.field;
+  
+  return (
+    <li className="text-sm text-slate-600">
+      <span className="font-medium text-slate-700">{field}:</span>{' '}
+      {replaced ? (
+        <>
+          <span className="line-through text-slate-400">{formatFieldValue(change.local)}</span>
+          {' → '}{change.incoming === null && change.item ? '(removed)' : formatFieldValue(change.incoming)}
+        </>
+      ) : (
+        <>
+          kept {formatFieldValue(change.local)}
+          <span className="text-slate-400"> (older: {formatFieldValue(change.incoming)})</span>
+        </>
+      )}
+    </li>
+  );
+}
+
+function MergeReports() {
+  const { data: reports, clear } = useLocalDB(STORAGE_KEYS.MERGE_REPORTS);
+  const { success } = useNotifications();
+  const [showAll, setShowAll] = useState(false);
+  
+  if (reports.length === 0) return null;
+  
+  const newestFirst = [...reports].reverse();
+  const shown = showAll ? newestFirst : newestFirst.slice(0, INITIAL_COUNT);
+  
+  const handleClear = () => {
+    clear();
+    success('Merge reports cleared');
+  };
+  
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-heading font-semibold text-slate-800">
+            Merge Reports ({reports.length})
+          </h2>
+          <p className="text-sm text-slate-500">
+            Records changed in two places keep the newest value of each field.
+            These are the values that were replaced or ignored.
+          </p>
+        </div>
+        <button onClick={handleClear} className="btn-ghost flex-shrink-0">
+          Clear
+        </button>
+      </div>
+      
+      <ul className="divide-y divide-slate-100 border border-slate-200 rounded-xl">
+        {shown.map(report => (
+          <li key={report.id} className="p-3">
+            <p className="font-medium text-slate-800">{report.label}</p>
+            <p className="text-xs text-slate-500 mb-1">
+              Merged with {report.from || SOURCE_LABELS[report.source]} · {formatDateTime(report.createdAt)}
+            </p>
+            <ul className="space-y-0.5">
+              {report.changes.map((change, i) => (
+                <MergeChange key={`${change.field}:${change.item || i}`} change={change} />
+              ))}
+            </ul>
+          </li>
+        ))}
+      </ul>
+      
+      {reports.length > INITIAL_COUNT && (
+        <button onClick={() => setShowAll(!showAll)} className="btn-ghost mt-3 text-sm">
+          {showAll ? 'Show fewer' : `Show all ${reports.length}`}
+        </button>
+      )}
+    </div>
+  );
+}
+
+export default MergeReports;
@@ -0,0 +1,110 @@
+/**
+ * Password Change Form Component
+ * 
+ * @description Lets the signed-in user change their own password, with the
+ * password policy checklist. Used in Settings and on the screen shown after
+ * an administrator set a temporary password.
+ * @props
+ *   - onChanged: function - Called after the password was changed
+ *   - submitLabel: string - Submit button text
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { useNotifications } from '../../context/NotificationContext';
+import { PASSWORD_RULES } from '../../utils/passwords';
+
+const EMPTY_FORM = { current: '', next: '', confirm: '' };
+
+function PasswordChangeForm({ onChanged, submitLabel = 'Change Password' }) {
+  const { user, changePassword } = useAuth();
+  const { success, error: showError } = useNotifications();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.next !== form.confirm) {
+      showError('The new passwords do not match');
+      return;
+    }
+    
+    setIsSaving(true);
+    const result = await changePassword(form.current, form.next);
+    setIsSaving(false);
+    
+    if (!result.success) {
+      showError(result.message, 'Password not changed');
+      return;
+    }
+    setForm(EMPTY_FORM);
+    success('Use the new password from now on', 'Password changed');
+    onChanged?.();
+  };
+  
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <div className="input-group">
+        <label htmlFor="currentPassword" className="label">Current Password</label>
+        <input
+          id="currentPassword"
+          type="password"
+          value={form.current}
+          onChange={(e) => handleChange('current', e.target.value)}
+          className="input"
+          autoComplete="current-password"
+        />
+      </div>
+      
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="input-group">
+          <label htmlFor="newPassword" className="label">New Password</label>
+          <input
+            id="newPassword"
+            type="password"
+            value={form.next}
+            onChange={(e) => handleChange('next', e.target.value)}
+            className="input"
+            autoComplete="new-password"
+          />
+        </div>
+        <div className="input-group">
+          <label htmlFor="confirmNewPassword" className="label">Confirm New Password</label>
+          <input
+            id="confirmNewPassword"
+            type="password"
+            value={form.confirm}
+            onChange={(e) => handleChange('confirm', e.target.value)}
+            className="input"
+            autoComplete="new-password"
+          />
+        </div>
+      </div>
+      
+      <ul className="space-y-0.5">
+        {PASSWORD_RULES.map(rule => {
+          const met = rule.test(form.next, { username: user?.username });
+          return (
+            <li key={rule.id} className={`text-xs ${met ? 'text-green-600' : 'text-slate-500'}`}>
+              {met ? '✓' : '○'} {rule.label}
+            </li>
+          );
+        })}
+      </ul>
+      
+      <button
+        type="submit"
+        disabled={isSaving || !form.current || !form.next}
+        className="btn-primary"
+      >
+        {isSaving ? 'Saving...' : submitLabel}
+      </button>
+    </form>
+  );
+}
+
+export default PasswordChangeForm;
@@ -0,0 +1,115 @@
+/**
+ * PIN Settings Component
+ * 
+ * @description Lets the signed-in user set, change or remove the PIN that
+ * unlocks their locked screen. The password is asked for to confirm.
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { useNotifications } from '../../context/NotificationContext';
+import { MIN_PIN_LENGTH, MAX_PIN_LENGTH } from '../../utils/passwords';
+
+const EMPTY_FORM = { password: '', pin: '', confirm: '' };
+
+function PinSettings() {
+  const { user, setPin, removePin } = useAuth();
+  const { success, error: showError } = useNotifications();
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  
+  const handleChange = (field, value) => {
+    setForm(prev => ({ ...prev, [field]: value }));
+  };
+  
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (form.pin !== form.confirm) {
+      showError('The PINs do not match');
+      return;
+    }
+    
+    setIsSaving(true);
+    const result = await setPin(form.password, form.pin);
+    setIsSaving(false);
+    
+    if (!result.success) {
+      showError(result.message, 'PIN not saved');
+      return;
+    }
+    setForm(EMPTY_FORM);
+    success('Use it to unlock your screen after it locks', 'PIN saved');
+  };
+  
+  const handleRemove = () => {
+    removePin();
+    success('Only your password unlocks your screen now', 'PIN removed');
+  };
+  
+  return (
+    <form onSubmit={handleSubmit} className="space-y-4">
+      <p className="text-sm text-slate-500">
+        {user?.hasPin
+          ? 'You have a PIN for unlocking your locked screen. Enter a new one to change it.'
+          : `A ${MIN_PIN_LENGTH}-${MAX_PIN_LENGTH} digit PIN unlocks your screen faster than the password. It cannot be used to sign in.`}
+      </p>
+      
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-4">
+        <div className="input-group">
+          <label htmlFor="pinPassword" className="label">Password</label>
+          <input
+            id="pinPassword"
+            type="password"
+            value={form.password}
+            onChange={(e) => handleChange('password', e.target.value)}
+            className="input"
+            autoComplete="current-password"
+          />
+        </div>
+        <div className="input-group">
+          <label htmlFor="newPin" className="label">New PIN</label>
+          <input
+            id="newPin"
+            type="password"
+            inputMode="numeric"
+            maxLength={MAX_PIN_LENGTH}
+            value={form.pin}
+            onChange={(e) => handleChange('pin', e.target.value)}
+            className="input"
+            autoComplete="off"
+          />
+        </div>
+        <div className="input-group">
+          <label htmlFor="confirmPin" className="label">Confirm PIN</label>
+          <input
+            id="confirmPin"
+            type="password"
+            inputMode="numeric"
+            maxLength={MAX_PIN_LENGTH}
+            value={form.confirm}
+            onChange={(e) => handleChange('confirm', e.target.value)}
+            className="input"
+            autoComplete="off"
+          />
+        </div>
+      </div>
+      
+      <div className="flex gap-3">
+        <button
+          type="submit"
+          disabled={isSaving || !form.password || !form.pin}
+          className="btn-primary"
+        >
+          {isSaving ? 'Saving...' : user?.hasPin ? 'Change PIN' : 'Set PIN'}
+        </button>
+        {user?.hasPin && (
+          <button type="button" onClick={handleRemove} className="btn-ghost">
+            Remove PIN
+          </button>
+        )}
+      </div>
+    </form>
+  );
+}
+
+export default PinSettings;
@@ -0,0 +1,90 @@
+/**
+ * Session Settings Component
+ * 
+ * @description Idle timeouts for this device. Administrators choose how
+ * long before an idle screen locks and before the session ends; everyone
+ * else sees the current timeouts.
+ */
+
+import React from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { useNotifications } from '../../context/NotificationContext';
+import { PERMISSIONS } from '../../utils/permissions';
+import { LOCK_AFTER_OPTIONS, EXPIRE_AFTER_OPTIONS } from '../../utils/session';
+
+/**
+ * Label for a timeout choice
+ * @param {number} minutes - Minutes (0 = never)
+ * @returns {string} Label
+ */
+function timeoutLabel(minutes) {
+  if (minutes === 0) return 'Never';
+  if (minutes < 60) return `${minutes} minutes`;
+  const hours = minutes / 60;
+  return `${hours} hour${hours === 1 ? '' : 's'}`;
+}
+
+function SessionSettings() {
+  const { can, sessionSettings, updateSessionSettings } = useAuth();
+  const { success, error: showError } = useNotifications();
+  
+  const canConfigure = can(PERMISSIONS.SETTINGS_MANAGE);
+  
+  const handleChange = (field, value) => {
+    const result = updateSessionSettings({ ...sessionSettings, [field]: Number(value) });
+    if (result.success) {
+      success(result.message);
+    } else {
+      showError(result.message);
+    }
+  };
+  
+  return (
+    <div className="card">
+      <h2 className="text-lg font-heading font-semibold text-slate-800 mb-1">
+        Session Timeouts
+      </h2>
+      <p className="text-sm text-slate-500 mb-4">
+        For shared computers: an idle screen locks and needs a PIN or password,
+        and a long-idle session signs out. Applies to this device only.
+      </p>
+      
+      <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+        <div className="input-group">
+          <label htmlFor="lockAfter" className="label">Lock screen after</label>
+          <select
+            id="lockAfter"
+            value={sessionSettings.lockAfterMinutes}
+            onChange={(e) => handleChange('lockAfterMinutes', e.target.value)}
+            className="select"
+            disabled={!canConfigure}
+          >
+            {LOCK_AFTER_OPTIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{timeoutLabel(minutes)}</option>
+            ))}
+          </select>
+        </div>
+        <div className="input-group">
+          <label htmlFor="expireAfter" className="label">Sign out after</label>
+          <select
+            id="expireAfter"
+            value={sessionSettings.expireAfterMinutes}
+            onChange={(e) => handleChange('expireAfterMinutes', e.target.value)}
+            className="select"
+            disabled={!canConfigure}
+          >
+            {EXPIRE_AFTER_OPTIONS.map(minutes => (
+              <option key={minutes} value={minutes}>{timeoutLabel(minutes)}</option>
+            ))}
+          </select>
+        </div>
+      </div>
+      
+      {!canConfigure && (
+        <p className="mt-3 text-sm text-slate-500">Only administrators can change session timeouts.</p>
+      )}
+    </div>
+  );
+}
+
+export default SessionSettings;
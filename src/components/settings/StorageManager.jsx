@@ -0,0 +1,232 @@
+/**
+ * Storage Manager Component
+ * 
+ * @description Shows how much storage each collection uses and how much is
+ * left, and lets administrators archive old completed visits to free space.
+ */
+
+import React, { useState } from 'react';
+import { format, subMonths } from 'date-fns';
+import { useAuth } from '../../context/AuthContext';
+import { useNotifications } from '../../context/NotificationContext';
+import { useStorageHealth } from '../../hooks/useStorageHealth';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { PERMISSIONS } from '../../utils/permissions';
+import { STORAGE_LEVELS, STORAGE_THRESHOLDS, measureCollections } from '../../db/quota';
+import { collectArchivableVisits, createVisitArchive, removeArchivedVisits } from '../../db/archive';
+import { exportToJSON } from '../../utils/exportUtils';
+import { formatBytes, formatNumber } from '../../utils/helpers';
+import LoadingSpinner from '../common/LoadingSpinner';
+import ConfirmDialog from '../common/ConfirmDialog';
+
+const COLLECTION_LABELS = {
+  [STORAGE_KEYS.PATIENTS]: 'Patients',
+  [STORAGE_KEYS.INVENTORY]: 'Inventory',
+  [STORAGE_KEYS.APPOINTMENTS]: 'Appointments',
+  [STORAGE_KEYS.SETTINGS]: 'Settings',
+  [STORAGE_KEYS.TRIAGE]: 'Triage Records',
+  [STORAGE_KEYS.QUEUE]: 'Queue Entries',
+  [STORAGE_KEYS.CONSULTATIONS]: 'Consultations',
+  [STORAGE_KEYS.PRESCRIPTIONS]: 'Prescriptions',
+  [STORAGE_KEYS.LAB_ORDERS]: 'Lab Orders',
+  [STORAGE_KEYS.HISTORY]: 'Change History',
+  [STORAGE_KEYS.OUTBOX]: 'Changes Waiting to Sync',
+  [STORAGE_KEYS.MERGE_REPORTS]: 'Merge Reports',
+  [STORAGE_KEYS.ACCESS_LOG]: 'Chart Access Log'
+};
+
+const ARCHIVE_AGE_OPTIONS = [
+  { value: 6, label: '6 months' },
+  { value: 12, label: '1 year' },
+  { value: 24, label: '2 years' },
+  { value: 60, label: '5 years' }
+];
+
+const BAR_COLORS = {
+  [STORAGE_LEVELS.OK]: 'bg-clinic-500',
+  [STORAGE_LEVELS.WARNING]: 'bg-amber-500',
+  [STORAGE_LEVELS.FULL]: 'bg-red-500'
+};
+
+function StorageManager() {
+  const { user, can } = useAuth();
+  const { success, error: showError, info } = useNotifications();
+  const health = useStorageHealth();
+  
+  const [collections, setCollections] = useState(null);
+  const [isMeasuring, setIsMeasuring] = useState(false);
+  const [archiveAge, setArchiveAge] = useState(12);
+  const [archivable, setArchivable] = useState(null);
+  const [isArchiving, setIsArchiving] = useState(false);
+  const [showArchiveConfirm, setShowArchiveConfirm] = useState(false);
+  
+  const canArchive = can(PERMISSIONS.SETTINGS_MANAGE);
+  const percent = health.ratio === null ? null : Math.round(health.ratio * 100);
+  
+  const measure = async () => {
+    setIsMeasuring(true);
+    try {
+      await health.refresh();
+      setCollections(await measureCollections());
+    } catch (err) {
+      showError('Failed to measure storage');
+    } finally {
+      setIsMeasuring(false);
+    }
+  };
+  
+  const findVisits = async () => {
+    const before = format(subMonths(new Date(), archiveAge), 'yyyy-MM-dd');
+    try {
+      const found = await collectArchivableVisits(before);
+      setArchivable(found);
+      if (found.appointments.length === 0) {
+        info('No completed visits that old');
+      }
+    } catch (err) {
+      showError('Failed to find visits to archive');
+    }
+  };
+  
+  const archiveVisits = async () => {
+    setIsArchiving(true);
+    // Save the archive before anything is removed
+    const archive = createVisitArchive(archivable, user?.name);
+    exportToJSON(archive, `cliniccare_archive_${archive.before}`);
+    const result = await removeArchivedVisits(archivable);
+    setIsArchiving(false);
+    
+    if (!result.success) {
+      showError('Failed to remove archived visits. No records were removed.');
+      return;
+    }
+    success(`Archived ${archive.visits} visit${archive.visits === 1 ? '' : 's'} (${result.count} records)`);
+    setArchivable(null);
+    if (collections) measure();
+  };
+  
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-heading font-semibold text-slate-800">
+            Storage
+          </h2>
+          <p className="text-sm text-slate-500">
+            A warning is shown at {Math.round(STORAGE_THRESHOLDS.WARNING * 100)}% full;
+            at {Math.round(STORAGE_THRESHOLDS.FULL * 100)}% new changes are blocked.
+          </p>
+        </div>
+        <button onClick={measure} disabled={isMeasuring} className="btn-secondary flex-shrink-0">
+          {isMeasuring ? 'Measuring...' : 'Measure Usage'}
+        </button>
+      </div>
+      
+      {health.quota ? (
+        <div className="mb-4">
+          <div className="flex justify-between text-sm text-slate-600 mb-1">
+            <span>{formatBytes(health.usage)} of {formatBytes(health.quota)} used ({percent}%)</span>
+            <span>{formatBytes(health.remaining)} left</span>
+          </div>
+          <div className="h-2 bg-slate-100 rounded-full overflow-hidden">
+            <div
+              className={`h-full ${BAR_COLORS[health.level]}`}
+              style={{ width: `${Math.min(percent, 100)}%` }}
+            />
+          </div>
+        </div>
+      ) : (
+        <p className="text-sm text-slate-500 mb-4">
+          This browser does not report how much storage is available.
+        </p>
+      )}
+      
+      {health.exceeded && (
+        <div className="alert-danger mb-4">
+          <p>The last change could not be saved because storage ran out. Archive old visits or purge the trash to free space.</p>
+        </div>
+      )}
+      
+      {isMeasuring && <LoadingSpinner text="Measuring collections..." />}
+      
+      {!isMeasuring && collections && (
+        <table className="w-full text-sm mb-6">
+          <thead>
+            <tr className="text-left text-slate-500 border-b border-slate-200">
+              <th className="py-2 font-medium">Collection</th>
+              <th className="py-2 font-medium text-right">Records</th>
+              <th className="py-2 font-medium text-right">Size</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {collections.map(({ key, count, bytes }) => (
+              <tr key={key}>
+                <td className="py-2 text-slate-800">{COLLECTION_LABELS[key] || key}</td>
+                <td className="py-2 text-right text-slate-600">{formatNumber(count)}</td>
+                <td className="py-2 text-right text-slate-600">{formatBytes(bytes)}</td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+      
+      <h3 className="text-sm font-semibold text-slate-700 mb-1">Archive Old Visits</h3>
+      <p className="text-sm text-slate-500 mb-3">
+        Completed visits are saved to an archive file with their triage, consultation,
+        prescriptions, lab orders and change history, then removed from this device.
+        Patients are kept.
+      </p>
+      
+      <div className="flex flex-wrap items-end gap-3">
+        <div className="input-group">
+          <label htmlFor="archiveAge" className="label">Completed more than</label>
+          <select
+            id="archiveAge"
+            value={archiveAge}
+            onChange={(e) => {
+              setArchiveAge(Number(e.target.value));
+              setArchivable(null);
+            }}
+            className="input w-40"
+          >
+            {ARCHIVE_AGE_OPTIONS.map(option => (
+              <option key={option.value} value={option.value}>{option.label} ago</option>
+            ))}
+          </select>
+        </div>
+        <button onClick={findVisits} className="btn-secondary">
+          Find Visits
+        </button>
+        {canArchive && archivable?.appointments.length > 0 && (
+          <button
+            onClick={() => setShowArchiveConfirm(true)}
+            disabled={isArchiving}
+            className="btn-primary"
+          >
+            {isArchiving ? 'Archiving...' : `Archive ${archivable.appointments.length} Visits`}
+          </button>
+        )}
+      </div>
+      
+      {archivable?.appointments.length > 0 && (
+        <p className="text-sm text-slate-600 mt-3">
+          {archivable.appointments.length} visits before {archivable.before},{' '}
+          {archivable.records.length} records in all.
+          {!canArchive && ' Only administrators can archive visits.'}
+        </p>
+      )}
+      
+      <ConfirmDialog
+        isOpen={showArchiveConfirm}
+        onClose={() => setShowArchiveConfirm(false)}
+        onConfirm={archiveVisits}
+        title="Archive Visits"
+        message={`An archive file will be downloaded, then ${archivable?.records.length || 0} records will be removed from this device. Keep the file safe: it is the only copy. Continue?`}
+        confirmText="Archive"
+        confirmVariant="primary"
+      />
+    </div>
+  );
+}
+
+export default StorageManager;
@@ -0,0 +1,122 @@
+/**
+ * Sync Conflicts Component
+ * 
+ * @description Records deleted on one device and edited on another before
+ * either synced. Edits on both sides are merged automatically; a deletion
+ * needs someone to say whether the record stays.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { useNotifications } from '../../context/NotificationContext';
+import { useSyncStatus } from '../../hooks/useSyncStatus';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { CONFLICT_CHOICES, getConflicts, resolveConflict } from '../../db/sync';
+import { formatDateTime } from '../../utils/helpers';
+
+const COLLECTION_LABELS = {
+  [STORAGE_KEYS.PATIENTS]: 'Patient',
+  [STORAGE_KEYS.APPOINTMENTS]: 'Appointment',
+  [STORAGE_KEYS.TRIAGE]: 'Triage Record',
+  [STORAGE_KEYS.QUEUE]: 'Queue Entry',
+  [STORAGE_KEYS.CONSULTATIONS]: 'Consultation',
+  [STORAGE_KEYS.PRESCRIPTIONS]: 'Prescription',
+  [STORAGE_KEYS.LAB_ORDERS]: 'Lab Order',
+  [STORAGE_KEYS.INVENTORY]: 'Inventory Item',
+  [STORAGE_KEYS.SETTINGS]: 'Setting'
+};
+
+/**
+ * Short label for a record in conflict
+ * @param {Object} conflict - Conflict from getConflicts()
+ * @returns {string} Label
+ */
+const describeConflict = ({ local, remote, recordId }) => {
+  const record = local || remote || {};
+  return record.name || record.patientName || recordId;
+};
+
+/**
+ * One record in conflict
+ */
+function ConflictCard({ conflict, onResolved }) {
+  const { success, error: showError } = useNotifications();
+  const [isSaving, setIsSaving] = useState(false);
+  
+  const { entry, local } = conflict;
+  const other = entry.conflict;
+  
+  const resolve = async (choice, message) => {
+    setIsSaving(true);
+    const result = await resolveConflict(entry.id, choice);
+    setIsSaving(false);
+    if (result.success) {
+      success(message);
+      onResolved();
+    } else {
+      showError(result.error?.message || 'Failed to resolve conflict');
+    }
+  };
+  
+  return (
+    <li className="border border-amber-200 rounded-xl p-4 bg-amber-50/50">
+      <p className="font-medium text-slate-800">
+        {COLLECTION_LABELS[conflict.key] || conflict.key}: {describeConflict(conflict)}
+      </p>
+      <p className="text-xs text-slate-500 mb-3">
+        {local ? 'Edited on this device' : 'Deleted on this device'},{' '}
+        {local ? 'deleted' : 'edited'} on {other.deviceName || 'another device'}
+        {other.changedBy?.name && ` by ${other.changedBy.name}`}
+        {' · '}found {formatDateTime(other.detectedAt)}
+      </p>
+      
+      <div className="flex flex-wrap gap-2">
+        <button
+          onClick={() => resolve(CONFLICT_CHOICES.LOCAL, local ? 'Kept the record' : 'Kept the deletion')}
+          disabled={isSaving}
+          className="btn-secondary py-1.5 px-3 text-sm"
+        >
+          {local ? 'Keep the Record' : 'Keep It Deleted'}
+        </button>
+        <button
+          onClick={() => resolve(CONFLICT_CHOICES.REMOTE, local ? 'Deleted the record' : 'Brought the record back')}
+          disabled={isSaving}
+          className="btn-secondary py-1.5 px-3 text-sm"
+        >
+          {local ? 'Delete It Here Too' : 'Bring It Back'}
+        </button>
+      </div>
+    </li>
+  );
+}
+
+function SyncConflicts() {
+  const { conflicts: count } = useSyncStatus();
+  const [conflicts, setConflicts] = useState([]);
+  
+  const load = () => getConflicts().then(setConflicts);
+  
+  useEffect(() => {
+    load();
+  }, [count]);
+  
+  if (conflicts.length === 0) return null;
+  
+  return (
+    <div id="sync-conflicts" className="mt-6">
+      <h3 className="text-sm font-semibold text-slate-700 mb-1">
+        Conflicting Edits ({conflicts.length})
+      </h3>
+      <p className="text-sm text-slate-500 mb-3">
+        These records were deleted on one device and edited on another before they synced.
+        Nothing is removed until you choose.
+      </p>
+      <ul className="space-y-3">
+        {conflicts.map(conflict => (
+          <ConflictCard key={conflict.entry.id} conflict={conflict} onResolved={load} />
+        ))}
+      </ul>
+    </div>
+  );
+}
+
+export default SyncConflicts;
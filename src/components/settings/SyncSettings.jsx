@@ -0,0 +1,223 @@
+/**
+ * Sync Settings Component
+ * 
+ * @description Connects this device to a sync server so several devices share
+ * the same data. Administrators set the server; anyone can sync now and
+ * settle records deleted on one device but edited on another.
+ */
+
+import React, { useState, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useAuth } from '../../context/AuthContext';
+import { useNotifications } from '../../context/NotificationContext';
+import { useSyncStatus } from '../../hooks/useSyncStatus';
+import { PERMISSIONS } from '../../utils/permissions';
+import { SYNC_STATES, getSyncConfig, saveSyncConfig, testSyncServer } from '../../db/sync';
+import { formatDateTime } from '../../utils/helpers';
+import SyncConflicts from './SyncConflicts';
+
+const STATE_LABELS = {
+  [SYNC_STATES.DISABLED]: { label: 'Off', className: 'bg-slate-100 text-slate-600' },
+  [SYNC_STATES.IDLE]: { label: 'Up to date', className: 'bg-green-100 text-green-700' },
+  [SYNC_STATES.SYNCING]: { label: 'Syncing...', className: 'bg-clinic-100 text-clinic-700' },
+  [SYNC_STATES.OFFLINE]: { label: 'Offline', className: 'bg-amber-100 text-amber-700' },
+  [SYNC_STATES.ERROR]: { label: 'Failed', className: 'bg-red-100 text-red-700' }
+};
+
+function SyncSettings() {
+  const { can } = useAuth();
+  const { success, error: showError, warning } = useNotifications();
+  const status = useSyncStatus();
+  
+  const [config, setConfig] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  
+  const canConfigure = can(PERMISSIONS.SETTINGS_MANAGE);
+  const stateLabel = STATE_LABELS[status.state];
+  
+  useEffect(() => {
+    getSyncConfig().then(setConfig);
+  }, []);
+  
+  const handleChange = (field, value) => {
+    setConfig(prev => ({ ...prev, [field]: value }));
+  };
+  
+  const handleSave = async () => {
+    if (config.enabled && !config.url.trim()) {
+      showError('Enter the sync server address first');
+      return;
+    }
+    setIsSaving(true);
+    try {
+      if (config.enabled) {
+        const check = await testSyncServer(config);
+        if (!check.success) {
+          showError(check.error.message, 'Sync server not reachable');
+          return;
+        }
+      }
+      setConfig(await saveSyncConfig(config));
+      success(config.enabled ? 'Sync settings saved' : 'Sync turned off');
+      if (config.enabled) status.syncNow();
+    } catch (err) {
+      showError('Failed to save sync settings');
+    } finally {
+      setIsSaving(false);
+    }
+  };
+  
+  const handleSyncNow = async () => {
+    const result = await status.syncNow();
+    if (!result.success) {
+      showError(result.error?.message || 'Sync failed');
+    } else if (result.rejected > 0) {
+      warning(`${result.rejected} record${result.rejected === 1 ? ' was' : 's were'} skipped because they failed validation. See the list below.`, 'Sync incomplete');
+    } else if (result.duplicateMrns > 0) {
+      warning(`${result.duplicateMrns} MRN${result.duplicateMrns === 1 ? ' is' : 's are'} shared by more than one patient. See the list below.`, 'Duplicate MRNs');
+    } else if (result.conflicts > 0) {
+      warning(`${result.conflicts} record${result.conflicts === 1 ? ' was' : 's were'} deleted on one device but edited on another. Choose what to keep below.`, 'Sync conflicts');
+    } else {
+      const merged = result.merged > 0 ? `, ${result.merged} merged` : '';
+      success(`Sync complete: ${result.pushed} sent, ${result.pulled} received${merged}`);
+    }
+  };
+  
+  if (!config) return null;
+  
+  return (
+    <div className="card">
+      <div className="flex items-center justify-between gap-4 mb-4">
+        <div>
+          <h2 className="text-lg font-heading font-semibold text-slate-800">
+            Multi-Device Sync
+          </h2>
+          <p className="text-sm text-slate-500">
+            {status.lastSyncAt ? `Last synced ${formatDateTime(status.lastSyncAt)}` : 'Not synced yet'}
+            {status.pending > 0 && ` · ${status.pending} change${status.pending === 1 ? '' : 's'} waiting`}
+          </p>
+        </div>
+        <span className={`px-3 py-1 rounded-full text-sm font-medium ${stateLabel.className}`}>
+          {stateLabel.label}
+        </span>
+      </div>
+      
+      {status.state === SYNC_STATES.ERROR && status.lastError && (
+        <div className="alert-danger mb-4">
+          <p>{status.lastError}</p>
+        </div>
+      )}
+      
+      {status.rejected.length > 0 && (
+        <div className="alert-warning mb-4">
+          <p className="font-medium">
+            {status.rejected.length} record{status.rejected.length === 1 ? '' : 's'} from other devices could not be applied
+          </p>
+          <p className="text-sm">They failed this device's checks, often because the other device runs a different version. Update both devices; the next change to each record is tried again.</p>
+          <ul className="mt-2 text-sm space-y-1">
+            {status.rejected.map(r => (
+              <li key={`${r.key}:${r.id}`}>
+                <span className="font-mono">{r.key}/{r.id}</span>
+                {r.device && ` from ${r.device}`}: {r.errors.map(e => `${e.field} ${e.message}`).join('; ')}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      
+      {status.duplicateMrns.length > 0 && (
+        <div className="alert-warning mb-4">
+          <p className="font-medium">
+            {status.duplicateMrns.length} MRN{status.duplicateMrns.length === 1 ? ' is' : 's are'} shared by more than one patient
+          </p>
+          <p className="text-sm">Merge the records if they are the same person; otherwise tell your administrator before using these numbers.</p>
+          <ul className="mt-2 text-sm space-y-1">
+            {status.duplicateMrns.map(({ mrn, patientIds }) => (
+              <li key={mrn}>
+                <Link to={`/patients?q=${encodeURIComponent(mrn)}`} className="font-mono underline">{mrn}</Link>
+                {` · ${patientIds.length} patients`}
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+      
+      <div className="space-y-4">
+        <div className="input-group">
+          <label htmlFor="syncUrl" className="label">Sync Server Address</label>
+          <input
+            id="syncUrl"
+            type="url"
+            value={config.url}
+            onChange={(e) => handleChange('url', e.target.value)}
+            className="input"
+            placeholder="https://192.168.1.10:8787/sync"
+            disabled={!canConfigure}
+          />
+        </div>
+        
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+          <div className="input-group">
+            <label htmlFor="syncToken" className="label">Access Token</label>
+            <input
+              id="syncToken"
+              type="password"
+              value={config.token}
+              onChange={(e) => handleChange('token', e.target.value)}
+              className="input"
+              placeholder="Optional"
+              autoComplete="off"
+              disabled={!canConfigure}
+            />
+          </div>
+          <div className="input-group">
+            <label htmlFor="syncDeviceName" className="label">This Device's Name</label>
+            <input
+              id="syncDeviceName"
+              type="text"
+              value={config.deviceName}
+              onChange={(e) => handleChange('deviceName', e.target.value)}
+              className="input"
+              placeholder="e.g. Reception PC"
+              disabled={!canConfigure}
+            />
+          </div>
+        </div>
+        
+        <label className="flex items-center gap-3 text-sm text-slate-700">
+          <input
+            type="checkbox"
+            checked={config.enabled}
+            onChange={(e) => handleChange('enabled', e.target.checked)}
+            className="w-4 h-4 rounded border-slate-300 text-clinic-600"
+            disabled={!canConfigure}
+          />
+          Sync this device automatically
+        </label>
+        
+        {!canConfigure && (
+          <p className="text-sm text-slate-500">Only administrators can change sync settings.</p>
+        )}
+        
+        <div className="flex flex-wrap gap-3">
+          {canConfigure && (
+            <button onClick={handleSave} disabled={isSaving} className="btn-primary">
+              {isSaving ? 'Connecting...' : 'Save Sync Settings'}
+            </button>
+          )}
+          <button
+            onClick={handleSyncNow}
+            disabled={status.state === SYNC_STATES.DISABLED || status.state === SYNC_STATES.SYNCING}
+            className="btn-secondary"
+          >
+            Sync Now
+          </button>
+        </div>
+      </div>
+      
+      <SyncConflicts />
+    </div>
+  );
+}
+
+export default SyncSettings;
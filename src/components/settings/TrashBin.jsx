@@ -0,0 +1,140 @@
+/**
+ * Trash Bin Component
+ * 
+ * @description Lists soft-deleted records per collection. Administrators can
+ * restore them (with everything deleted alongside) or purge them for good.
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../../context/AuthContext';
+import { useLocalDB } from '../../hooks/useLocalDB';
+import { useNotifications } from '../../context/NotificationContext';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { PERMISSIONS } from '../../utils/permissions';
+import { TRASH_COLLECTIONS } from '../../db/trash';
+import { formatDateTime } from '../../utils/helpers';
+import ConfirmDialog from '../common/ConfirmDialog';
+
+const COLLECTION_LABELS = {
+  [STORAGE_KEYS.PATIENTS]: 'Patients',
+  [STORAGE_KEYS.APPOINTMENTS]: 'Appointments',
+  [STORAGE_KEYS.TRIAGE]: 'Triage Records',
+  [STORAGE_KEYS.QUEUE]: 'Queue Entries',
+  [STORAGE_KEYS.CONSULTATIONS]: 'Consultations',
+  [STORAGE_KEYS.PRESCRIPTIONS]: 'Prescriptions',
+  [STORAGE_KEYS.LAB_ORDERS]: 'Lab Orders',
+  [STORAGE_KEYS.INVENTORY]: 'Inventory'
+};
+
+/**
+ * Short label for a deleted record
+ * @param {Object} record - Deleted record
+ * @returns {string} Label
+ */
+const describeRecord = (record) => (
+  record.name || record.patientName || record.diagnosis || record.id
+);
+
+/**
+ * Deleted records of one collection
+ */
+function TrashSection({ storageKey, canManage }) {
+  const { deleted, restore, purge } = useLocalDB(storageKey);
+  const { success, error: showError } = useNotifications();
+  const [purgeConfirm, setPurgeConfirm] = useState(null);
+  
+  // Records removed along with a parent are restored/purged through it
+  const roots = deleted.filter(record => !record.deletedWith);
+  
+  const handleRestore = async (record) => {
+    const result = await restore(record.id);
+    if (result.success) {
+      const related = result.count > 1 ? ` and ${result.count - 1} related records` : '';
+      success(`Restored ${describeRecord(record)}${related}`);
+    } else {
+      showError(result.error?.message || 'Failed to restore record');
+    }
+  };
+  
+  const handlePurge = async () => {
+    const result = await purge(purgeConfirm.id);
+    if (result.success) {
+      success(`Permanently deleted ${describeRecord(purgeConfirm)}`);
+    } else {
+      showError(result.error?.message || 'Failed to purge record');
+    }
+  };
+  
+  if (roots.length === 0) return null;
+  
+  return (
+    <div>
+      <h3 className="text-sm font-semibold text-slate-700 mb-2">
+        {COLLECTION_LABELS[storageKey]} ({roots.length})
+      </h3>
+      <ul className="divide-y divide-slate-100 border border-slate-200 rounded-xl">
+        {roots.map(record => (
+          <li key={record.id} className="flex items-center justify-between gap-4 p-3">
+            <div className="min-w-0">
+              <p className="font-medium text-slate-800 truncate">{describeRecord(record)}</p>
+              <p className="text-xs text-slate-500">
+                Deleted {formatDateTime(record.deletedAt)} by {record.deletedBy || 'Unknown'}
+              </p>
+            </div>
+            {canManage && (
+              <div className="flex gap-2 flex-shrink-0">
+                <button
+                  onClick={() => handleRestore(record)}
+                  className="btn-secondary py-1.5 px-3 text-sm"
+                >
+                  Restore
+                </button>
+                <button
+                  onClick={() => setPurgeConfirm(record)}
+                  className="btn-ghost text-red-600 py-1.5 px-3 text-sm"
+                >
+                  Purge
+                </button>
+              </div>
+            )}
+          </li>
+        ))}
+      </ul>
+      
+      <ConfirmDialog
+        isOpen={!!purgeConfirm}
+        onClose={() => setPurgeConfirm(null)}
+        onConfirm={handlePurge}
+        title="Purge Record"
+        message={`Permanently delete ${purgeConfirm ? describeRecord(purgeConfirm) : ''} and the records deleted with it? This cannot be undone.`}
+        confirmText="Purge"
+        confirmVariant="danger"
+      />
+    </div>
+  );
+}
+
+function TrashBin() {
+  const { can } = useAuth();
+  const canManage = can(PERMISSIONS.SETTINGS_MANAGE);
+  
+  return (
+    <div className="card">
+      <h2 className="text-lg font-heading font-semibold text-slate-800 mb-1">
+        Trash
+      </h2>
+      <p className="text-sm text-slate-500 mb-4">
+        Deleted records are kept here until purged.
+        {!canManage && ' Only administrators can restore or purge them.'}
+      </p>
+      
+      <div className="space-y-4">
+        {TRASH_COLLECTIONS.map(key => (
+          <TrashSection key={key} storageKey={key} canManage={canManage} />
+        ))}
+      </div>
+    </div>
+  );
+}
+
+export default TrashBin;
@@ -0,0 +1,92 @@
+/**
+ * User Activity Component
+ * 
+ * @description What one user has created, changed and deleted, newest first,
+ * read from the record history of every collection
+ * @props
+ *   - userId: string - User ID
+ */
+
+import React, { useState, useEffect } from 'react';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { HISTORY_ACTIONS, getUserActivity } from '../../db/history';
+import { formatDateTime } from '../../utils/helpers';
+import LoadingSpinner from '../common/LoadingSpinner';
+
+const COLLECTION_LABELS = {
+  [STORAGE_KEYS.PATIENTS]: 'Patient',
+  [STORAGE_KEYS.APPOINTMENTS]: 'Appointment',
+  [STORAGE_KEYS.TRIAGE]: 'Triage record',
+  [STORAGE_KEYS.QUEUE]: 'Queue entry',
+  [STORAGE_KEYS.CONSULTATIONS]: 'Consultation',
+  [STORAGE_KEYS.PRESCRIPTIONS]: 'Prescription',
+  [STORAGE_KEYS.LAB_ORDERS]: 'Lab order',
+  [STORAGE_KEYS.INVENTORY]: 'Inventory item',
+  [STORAGE_KEYS.SETTINGS]: 'Settings'
+};
+
+const ACTION_LABELS = {
+  [HISTORY_ACTIONS.CREATE]: 'created',
+  [HISTORY_ACTIONS.UPDATE]: 'updated',
+  [HISTORY_ACTIONS.DELETE]: 'moved to trash',
+  [HISTORY_ACTIONS.RESTORE]: 'restored',
+  [HISTORY_ACTIONS.PURGE]: 'permanently deleted',
+  [HISTORY_ACTIONS.REVERT]: 'reverted',
+  [HISTORY_ACTIONS.SYNC]: 'synced',
+  [HISTORY_ACTIONS.MERGE]: 'merged'
+};
+
+// How many entries are shown
+const ACTIVITY_LIMIT = 200;
+
+function UserActivity({ userId }) {
+  const [activity, setActivity] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  
+  useEffect(() => {
+    let cancelled = false;
+    setIsLoading(true);
+    getUserActivity(userId, { limit: ACTIVITY_LIMIT }).then((entries) => {
+      if (!cancelled) {
+        setActivity(entries);
+        setIsLoading(false);
+      }
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [userId]);
+  
+  if (isLoading) {
+    return <LoadingSpinner size="sm" text="Loading activity..." />;
+  }
+  
+  if (activity.length === 0) {
+    return <p className="text-sm text-slate-500">No recorded activity.</p>;
+  }
+  
+  return (
+    <div>
+      <ol className="divide-y divide-slate-100 max-h-[480px] overflow-y-auto">
+        {activity.map(entry => (
+          <li key={`${entry.key}:${entry.recordId}:${entry.version}`} className="py-2.5">
+            <p className="text-sm text-slate-800">
+              <span className="font-medium">{COLLECTION_LABELS[entry.key] || entry.key}</span>
+              {' '}{ACTION_LABELS[entry.action] || entry.action}
+              <span className="text-xs text-slate-400"> · {entry.recordId}</span>
+            </p>
+            <p className="text-xs text-slate-500">
+              {formatDateTime(entry.changedAt)}
+              {entry.action === HISTORY_ACTIONS.UPDATE && ` · ${entry.changes.map(c => c.field).join(', ')}`}
+            </p>
+          </li>
+        ))}
+      </ol>
+      {activity.length === ACTIVITY_LIMIT && (
+        <p className="mt-3 text-xs text-slate-400">Showing the latest {ACTIVITY_LIMIT} changes.</p>
+      )}
+    </div>
+  );
+}
+
+export default UserActivity;
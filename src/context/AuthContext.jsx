@@ -4,17 +4,182 @@
  * @description Provides authentication state and methods throughout the app
  * @features
  *   - Client-side authentication using localStorage
- *   - Role-based access control (clinician, inventory_manager, admin)
- *   - Persistent sessions across browser reloads
+ *   - Passwords stored only as salted PBKDF2 hashes (see utils/passwords.js);
+ *     accounts saved before that are re-hashed at their next sign-in
+ *   - Accounts lock for a while after repeated failed sign-ins
+ *   - Permission-based access control: roles bundle permissions and admins
+ *     can change them or add roles (see utils/permissions.js)
+ *   - Self-signup only until the first admin exists; after that admins
+ *     create accounts, assign roles, deactivate accounts and reset passwords
+ *   - Accounts created or reset by an admin must choose a new password
+ *   - Persistent sessions across browser reloads, locked after a few idle
+ *     minutes (unlocked with a PIN or the password) and ended after longer
+ *     (see utils/session.js)
  */
 
 import React, { createContext, useContext, useState, useEffect } from 'react';
+import {
+  hashPassword,
+  verifyPassword,
+  passwordPolicyErrors,
+  pinPolicyError,
+  lockoutRemaining,
+  failedLoginUpdate
+} from '../utils/passwords';
+import {
+  SESSION_STATE_KEY,
+  SESSION_SETTINGS_KEY,
+  SESSION_STATES,
+  ACTIVITY_EVENTS,
+  ACTIVITY_WRITE_INTERVAL,
+  IDLE_CHECK_INTERVAL,
+  MAX_PIN_ATTEMPTS,
+  readSessionSettings,
+  saveSessionSettings,
+  sessionSettingsError,
+  readSessionState,
+  writeSessionState,
+  clearSessionState,
+  sessionStatus
+} from '../utils/session';
+import { ROLES } from '../utils/constants';
+import {
+  PERMISSIONS,
+  resolveRoles,
+  roleHasPermission,
+  normalizePermissions
+} from '../utils/permissions';
 
 const AuthContext = createContext(null);
 
 // Storage keys
 const AUTH_USER_KEY = 'cliniccare_user';
 const AUTH_USERS_KEY = 'cliniccare_users';
+const AUTH_ROLES_KEY = 'cliniccare_roles';
+
+// Fields of a stored user that never go into the session
+const PRIVATE_FIELDS = ['password', 'passwordHash', 'pinHash', 'failedLogins', 'lockedUntil'];
+
+const INVALID_LOGIN = 'Invalid username or password';
+const SIGNUP_CLOSED = 'Sign-up is closed. Ask an administrator to create your account.';
+const NOT_ADMIN = { success: false, message: 'Only administrators can manage user accounts' };
+const NO_MANAGER_LEFT = 'Someone active must still be able to manage users';
+
+/**
+ * Every registered user
+ * @returns {Array} Stored users
+ */
+function readUsers() {
+  const usersJson = localStorage.getItem(AUTH_USERS_KEY);
+  return usersJson ? JSON.parse(usersJson) : [];
+}
+
+/**
+ * Role definitions saved by admins (built-in roles only when changed)
+ * @returns {Array} Saved roles
+ */
+function readSavedRoles() {
+  const rolesJson = localStorage.getItem(AUTH_ROLES_KEY);
+  return rolesJson ? JSON.parse(rolesJson) : [];
+}
+
+/**
+ * Whether a stored user may sign in (accounts are active unless deactivated)
+ * @param {Object} storedUser - Stored user
+ * @returns {boolean} Whether the account is active
+ */
+const isActive = storedUser => storedUser.active !== false;
+
+/**
+ * Active users who can manage users (administrators, unless an admin gave
+ * the permission to another role too)
+ * @param {Array} users - Stored users
+ * @param {Array} roles - Resolved roles
+ * @returns {Array} Active users with users.manage
+ */
+const activeManagers = (users, roles) =>
+  users.filter(u => isActive(u) && roleHasPermission(roles, u.role, PERMISSIONS.USERS_MANAGE));
+
+/**
+ * Find a user by username, ignoring case
+ * @param {Array} users - Stored users
+ * @param {string} username - Username
+ * @returns {Object|undefined} Stored user
+ */
+const findByUsername = (users, username) =>
+  users.find(u => u.username.toLowerCase() === username.toLowerCase());
+
+/**
+ * Check a password against a stored user
+ * @param {Object} storedUser - Stored user
+ * @param {string} password - Password entered
+ * @returns {Promise<boolean>} Whether it is right
+ */
+function checkPassword(storedUser, password) {
+  // Accounts created before hashing still hold the plain password
+  return storedUser.passwordHash
+    ? verifyPassword(password, storedUser.passwordHash)
+    : Promise.resolve(storedUser.password === password);
+}
+
+/**
+ * Message listing the password rules a password breaks
+ * @param {string} password - Proposed password
+ * @param {string} username - Username of the account
+ * @returns {string|null} Message, or null if the password is fine
+ */
+function policyMessage(password, username) {
+  const policyErrors = passwordPolicyErrors(password, { username });
+  return policyErrors.length > 0 ? `Password needs: ${policyErrors.join(', ').toLowerCase()}` : null;
+}
+
+/**
+ * Save changes to one stored user, re-reading the list first so changes
+ * made while a password was being hashed aren't lost
+ * @param {string} id - User ID
+ * @param {Object} changes - Fields to set (undefined removes a field)
+ */
+function updateStoredUser(id, changes) {
+  const users = readUsers();
+  const idx = users.findIndex(u => u.id === id);
+  if (idx === -1) return;
+  users[idx] = JSON.parse(JSON.stringify({ ...users[idx], ...changes }));
+  localStorage.setItem(AUTH_USERS_KEY, JSON.stringify(users));
+}
+
+/**
+ * Session copy of a stored user
+ * @param {Object} storedUser - Stored user
+ * @returns {Object} User without password or lockout fields
+ */
+function toSessionUser(storedUser) {
+  const sessionUser = { ...storedUser, hasPin: Boolean(storedUser.pinHash) };
+  PRIVATE_FIELDS.forEach(field => delete sessionUser[field]);
+  return sessionUser;
+}
+
+/**
+ * Copy of a stored user for the user management list
+ * @param {Object} storedUser - Stored user
+ * @returns {Object} Session fields plus whether it is locked out
+ */
+function toListedUser(storedUser) {
+  return {
+    ...toSessionUser(storedUser),
+    active: isActive(storedUser),
+    locked: lockoutRemaining(storedUser) > 0
+  };
+}
+
+/**
+ * Message for a locked account
+ * @param {number} remaining - Milliseconds until it unlocks
+ * @returns {string} Message
+ */
+function lockoutMessage(remaining) {
+  const minutes = Math.ceil(remaining / 60000);
+  return `Too many failed sign-in attempts. Try again in ${minutes} minute${minutes === 1 ? '' : 's'}.`;
+}
 
 /**
  * AuthProvider Component
@@ -22,57 +187,210 @@ const AUTH_USERS_KEY = 'cliniccare_users';
  */
 export function AuthProvider({ children }) {
   const [user, setUser] = useState(null);
+  const [users, setUsers] = useState([]);
+  const [roles, setRoles] = useState(() => resolveRoles(readSavedRoles()));
   const [isLoading, setIsLoading] = useState(true);
+  const [locked, setLocked] = useState(false);
+  const [sessionExpired, setSessionExpired] = useState(false);
+  const [sessionSettings, setSessionSettings] = useState(readSessionSettings);
   
-  // Check for existing session on mount
-  useEffect(() => {
-    const storedUser = localStorage.getItem(AUTH_USER_KEY);
-    if (storedUser) {
-      try {
-        setUser(JSON.parse(storedUser));
-      } catch (e) {
-        localStorage.removeItem(AUTH_USER_KEY);
+  /**
+   * Start (or refresh) the session for a stored user
+   * @param {Object} storedUser - Stored user
+   */
+  const startSession = (storedUser) => {
+    const sessionUser = toSessionUser(storedUser);
+    setUser(sessionUser);
+    localStorage.setItem(AUTH_USER_KEY, JSON.stringify(sessionUser));
+  };
+  
+  /**
+   * Start a new session after signing in
+   * @param {Object} storedUser - Stored user
+   */
+  const beginSession = (storedUser) => {
+    writeSessionState({ lastActiveAt: new Date().toISOString(), locked: false, pinAttempts: 0 });
+    setLocked(false);
+    setSessionExpired(false);
+    startSession(storedUser);
+  };
+  
+  /**
+   * End the session
+   * @param {boolean} expired - Whether it ended because it was idle too long
+   */
+  const endSession = (expired = false) => {
+    setUser(null);
+    setLocked(false);
+    setSessionExpired(expired);
+    localStorage.removeItem(AUTH_USER_KEY);
+    clearSessionState();
+  };
+  
+  /**
+   * Lock or end the session if it has been idle too long
+   * @returns {boolean} Whether the session is still going
+   */
+  const checkIdle = () => {
+    const state = readSessionState();
+    const status = sessionStatus(state, readSessionSettings());
+    if (status === SESSION_STATES.EXPIRED) {
+      endSession(true);
+      return false;
+    }
+    if (status === SESSION_STATES.LOCKED && !state.locked) {
+      writeSessionState({ locked: true, pinAttempts: 0 });
+    } else if (!state.lastActiveAt) {
+      // Sessions started before idle tracking
+      writeSessionState({ lastActiveAt: new Date().toISOString() });
+    }
+    setLocked(status === SESSION_STATES.LOCKED);
+    return true;
+  };
+  
+  /**
+   * Re-read the users list, and end or refresh the session if an admin
+   * deactivated the account or changed its role
+   */
+  const syncWithStoredUsers = () => {
+    const storedUsers = readUsers();
+    setUsers(storedUsers.map(toListedUser));
+    setRoles(resolveRoles(readSavedRoles()));
+    
+    const storedSession = localStorage.getItem(AUTH_USER_KEY);
+    if (!storedSession) {
+      setUser(null);
+      setLocked(false);
+      return;
+    }
+    try {
+      const sessionUser = JSON.parse(storedSession);
+      const storedUser = storedUsers.find(u => u.id === sessionUser.id);
+      if (storedUser && isActive(storedUser)) {
+        if (checkIdle()) startSession(storedUser);
+      } else {
+        endSession();
       }
+    } catch (e) {
+      endSession();
     }
+  };
+  
+  // Check for existing session on mount, and follow changes from other tabs
+  useEffect(() => {
+    syncWithStoredUsers();
     setIsLoading(false);
+    
+    const handleStorage = (e) => {
+      if (e.key === AUTH_USERS_KEY || e.key === AUTH_USER_KEY || e.key === AUTH_ROLES_KEY) {
+        syncWithStoredUsers();
+      } else if (e.key === SESSION_STATE_KEY && localStorage.getItem(AUTH_USER_KEY)) {
+        // Locked or unlocked in another tab
+        setLocked(readSessionState().locked);
+      } else if (e.key === SESSION_SETTINGS_KEY) {
+        setSessionSettings(readSessionSettings());
+      }
+    };
+    window.addEventListener('storage', handleStorage);
+    return () => window.removeEventListener('storage', handleStorage);
   }, []);
   
+  // While signed in, record activity and watch the idle time
+  useEffect(() => {
+    if (!user) return undefined;
+    
+    let lastWrite = 0;
+    const handleActivity = () => {
+      const now = Date.now();
+      if (now - lastWrite < ACTIVITY_WRITE_INTERVAL || readSessionState().locked) return;
+      lastWrite = now;
+      writeSessionState({ lastActiveAt: new Date(now).toISOString() });
+    };
+    
+    ACTIVITY_EVENTS.forEach(event => window.addEventListener(event, handleActivity, { passive: true }));
+    const timer = setInterval(checkIdle, IDLE_CHECK_INTERVAL);
+    return () => {
+      ACTIVITY_EVENTS.forEach(event => window.removeEventListener(event, handleActivity));
+      clearInterval(timer);
+    };
+  }, [user?.id]);
+  
+  /**
+   * Save changes to a stored user and refresh the list (and the session,
+   * if it is the signed-in user)
+   * @param {string} id - User ID
+   * @param {Object} changes - Fields to set (undefined removes a field)
+   */
+  const saveUser = (id, changes) => {
+    updateStoredUser(id, changes);
+    syncWithStoredUsers();
+  };
+  
+  /**
+   * The signed-in user as stored, if they are active and have a permission.
+   * Checked against the stored users and roles, not the session, so someone
+   * whose role changed can't keep using it from an old tab.
+   * @param {string} permission - Permission needed
+   * @returns {Object|null} Stored user
+   */
+  const currentUserWith = (permission) => {
+    if (!user) return null;
+    const storedUser = readUsers().find(u => u.id === user.id);
+    const storedRoles = resolveRoles(readSavedRoles());
+    return storedUser && isActive(storedUser) && roleHasPermission(storedRoles, storedUser.role, permission)
+      ? storedUser
+      : null;
+  };
+  
+  // Self-signup stays open only until someone can manage users
+  const signupOpen = activeManagers(users, roles).length === 0;
+  
   /**
-   * Register a new user
+   * Register the first account, which becomes the clinic's admin. Closed
+   * once an admin exists; admins then use createUser.
    * @param {Object} userData - User registration data
-   * @returns {Object} Result with success status and message
+   * @returns {Promise<Object>} Result with success status and message
    */
-  const signup = (userData) => {
-    const { username, password, name, role } = userData;
+  const signup = async (userData) => {
+    const { username, password, name } = userData;
     
-    // Get existing users
-    const usersJson = localStorage.getItem(AUTH_USERS_KEY);
-    const users = usersJson ? JSON.parse(usersJson) : [];
+    if (activeManagers(readUsers(), resolveRoles(readSavedRoles())).length > 0) {
+      return { success: false, message: SIGNUP_CLOSED };
+    }
     
     // Check if username already exists
-    if (users.find(u => u.username.toLowerCase() === username.toLowerCase())) {
+    if (findByUsername(readUsers(), username)) {
       return { success: false, message: 'Username already exists' };
     }
     
-    // Create new user (in production, password would be hashed)
+    const invalidPassword = policyMessage(password, username);
+    if (invalidPassword) {
+      return { success: false, message: invalidPassword };
+    }
+    
     const newUser = {
       id: `user_${Date.now()}`,
       username,
-      password, // Note: In production, never store plain passwords
+      passwordHash: await hashPassword(password),
       name,
-      role: role || 'clinician',
+      role: ROLES.ADMIN,
       createdAt: new Date().toISOString()
     };
     
-    // Save to users list
-    users.push(newUser);
-    localStorage.setItem(AUTH_USERS_KEY, JSON.stringify(users));
+    // Save to users list (re-read: hashing takes a moment)
+    const storedUsers = readUsers();
+    if (activeManagers(storedUsers, resolveRoles(readSavedRoles())).length > 0) {
+      return { success: false, message: SIGNUP_CLOSED };
+    }
+    if (findByUsername(storedUsers, username)) {
+      return { success: false, message: 'Username already exists' };
+    }
+    storedUsers.push(newUser);
+    localStorage.setItem(AUTH_USERS_KEY, JSON.stringify(storedUsers));
     
     // Auto-login the new user
-    const sessionUser = { ...newUser };
-    delete sessionUser.password;
-    setUser(sessionUser);
-    localStorage.setItem(AUTH_USER_KEY, JSON.stringify(sessionUser));
+    beginSession(newUser);
+    syncWithStoredUsers();
     
     return { success: true, message: 'Account created successfully' };
   };
@@ -81,25 +399,48 @@ export function AuthProvider({ children }) {
    * Login with credentials
    * @param {string} username - Username
    * @param {string} password - Password
-   * @returns {Object} Result with success status and message
+   * @returns {Promise<Object>} Result with success status and message
+   *   (`locked` is set while the account is locked out)
    */
-  const login = (username, password) => {
-    const usersJson = localStorage.getItem(AUTH_USERS_KEY);
-    const users = usersJson ? JSON.parse(usersJson) : [];
-    
-    const foundUser = users.find(
-      u => u.username.toLowerCase() === username.toLowerCase() && u.password === password
-    );
+  const login = async (username, password) => {
+    const foundUser = findByUsername(readUsers(), username);
     
     if (!foundUser) {
-      return { success: false, message: 'Invalid username or password' };
+      // Take as long as a real check, so timing doesn't reveal which usernames exist
+      await hashPassword(password);
+      return { success: false, message: INVALID_LOGIN };
+    }
+    
+    const remaining = lockoutRemaining(foundUser);
+    if (remaining > 0) {
+      return { success: false, locked: true, message: lockoutMessage(remaining) };
+    }
+    
+    const valid = await checkPassword(foundUser, password);
+    
+    if (!valid) {
+      const update = failedLoginUpdate(foundUser);
+      updateStoredUser(foundUser.id, update);
+      return update.lockedUntil
+        ? { success: false, locked: true, message: lockoutMessage(lockoutRemaining(update)) }
+        : { success: false, message: INVALID_LOGIN };
+    }
+    
+    // Only said to someone who knows the password
+    if (!isActive(foundUser)) {
+      return { success: false, message: 'This account has been deactivated. Ask an administrator.' };
     }
     
+    const changes = { failedLogins: undefined, lockedUntil: undefined };
+    if (!foundUser.passwordHash) {
+      changes.passwordHash = await hashPassword(password);
+      changes.password = undefined;
+    }
+    updateStoredUser(foundUser.id, changes);
+    
     // Create session (exclude password)
-    const sessionUser = { ...foundUser };
-    delete sessionUser.password;
-    setUser(sessionUser);
-    localStorage.setItem(AUTH_USER_KEY, JSON.stringify(sessionUser));
+    beginSession(foundUser);
+    syncWithStoredUsers();
     
     return { success: true, message: 'Login successful' };
   };
@@ -108,53 +449,393 @@ export function AuthProvider({ children }) {
    * Logout current user
    */
   const logout = () => {
-    setUser(null);
-    localStorage.removeItem(AUTH_USER_KEY);
+    endSession();
+  };
+  
+  /**
+   * Lock the screen now (e.g. before walking away). The page stays as it
+   * is underneath.
+   */
+  const lockSession = () => {
+    if (!user) return;
+    writeSessionState({ locked: true, pinAttempts: 0 });
+    setLocked(true);
   };
   
   /**
-   * Update user role
-   * @param {string} newRole - New role to set
+   * Unlock the locked screen and count it as activity
    */
-  const updateRole = (newRole) => {
+  const resumeSession = () => {
+    writeSessionState({ locked: false, pinAttempts: 0, lastActiveAt: new Date().toISOString() });
+    setLocked(false);
+  };
+  
+  /**
+   * Unlock the locked screen with the user's PIN. After MAX_PIN_ATTEMPTS
+   * wrong PINs only the password works.
+   * @param {string} pin - PIN entered
+   * @returns {Promise<Object>} Result with success status and message
+   *   (`pinBlocked` is set once the password is needed)
+   */
+  const unlockWithPin = async (pin) => {
+    const storedUser = user && readUsers().find(u => u.id === user.id);
+    if (!storedUser?.pinHash || readSessionState().pinAttempts >= MAX_PIN_ATTEMPTS) {
+      return { success: false, pinBlocked: true, message: 'Unlock with your password' };
+    }
+    
+    if (await verifyPassword(pin, storedUser.pinHash)) {
+      resumeSession();
+      return { success: true, message: 'Unlocked' };
+    }
+    
+    const { pinAttempts } = writeSessionState({ pinAttempts: readSessionState().pinAttempts + 1 });
+    return pinAttempts >= MAX_PIN_ATTEMPTS
+      ? { success: false, pinBlocked: true, message: 'Too many wrong PINs. Unlock with your password.' }
+      : { success: false, message: 'Wrong PIN' };
+  };
+  
+  /**
+   * Unlock the locked screen with the user's password. Failures count
+   * toward the sign-in lockout; a locked-out account is signed out.
+   * @param {string} password - Password entered
+   * @returns {Promise<Object>} Result with success status and message
+   */
+  const unlockWithPassword = async (password) => {
+    const storedUser = user && readUsers().find(u => u.id === user.id);
+    if (!storedUser) {
+      return { success: false, message: 'Not signed in' };
+    }
+    
+    if (await checkPassword(storedUser, password)) {
+      updateStoredUser(storedUser.id, { failedLogins: undefined, lockedUntil: undefined });
+      resumeSession();
+      return { success: true, message: 'Unlocked' };
+    }
+    
+    const update = failedLoginUpdate(storedUser);
+    updateStoredUser(storedUser.id, update);
+    if (update.lockedUntil) {
+      endSession();
+      return { success: false, locked: true, message: lockoutMessage(lockoutRemaining(update)) };
+    }
+    return { success: false, message: 'Wrong password' };
+  };
+  
+  /**
+   * Set or change the signed-in user's screen-unlock PIN
+   * @param {string} currentPassword - Password, to confirm it is them
+   * @param {string} pin - New PIN
+   * @returns {Promise<Object>} Result with success status and message
+   */
+  const setPin = async (currentPassword, pin) => {
+    const storedUser = user && readUsers().find(u => u.id === user.id);
+    if (!storedUser) {
+      return { success: false, message: 'Not signed in' };
+    }
+    if (!(await checkPassword(storedUser, currentPassword))) {
+      return { success: false, message: 'The password is wrong' };
+    }
+    const invalidPin = pinPolicyError(pin);
+    if (invalidPin) {
+      return { success: false, message: invalidPin };
+    }
+    
+    saveUser(storedUser.id, { pinHash: await hashPassword(pin) });
+    return { success: true, message: 'PIN saved' };
+  };
+  
+  /**
+   * Remove the signed-in user's PIN, so only the password unlocks
+   */
+  const removePin = () => {
     if (!user) return;
+    saveUser(user.id, { pinHash: undefined });
+  };
+  
+  /**
+   * Change this device's idle timeouts (settings.manage)
+   * @param {Object} settings - { lockAfterMinutes, expireAfterMinutes }
+   * @returns {Object} Result with success status and message
+   */
+  const updateSessionSettings = (settings) => {
+    if (!currentUserWith(PERMISSIONS.SETTINGS_MANAGE)) {
+      return { success: false, message: 'Only administrators can change session timeouts' };
+    }
+    const invalid = sessionSettingsError(settings);
+    if (invalid) {
+      return { success: false, message: invalid };
+    }
+    saveSessionSettings(settings);
+    setSessionSettings(readSessionSettings());
+    return { success: true, message: 'Session timeouts updated' };
+  };
+  
+  /**
+   * Change the signed-in user's own password
+   * @param {string} currentPassword - Password in use
+   * @param {string} newPassword - New password
+   * @returns {Promise<Object>} Result with success status and message
+   */
+  const changePassword = async (currentPassword, newPassword) => {
+    const storedUser = user && readUsers().find(u => u.id === user.id);
+    if (!storedUser) {
+      return { success: false, message: 'Not signed in' };
+    }
     
-    const updatedUser = { ...user, role: newRole };
-    setUser(updatedUser);
-    localStorage.setItem(AUTH_USER_KEY, JSON.stringify(updatedUser));
-    
-    // Also update in users list
-    const usersJson = localStorage.getItem(AUTH_USERS_KEY);
-    if (usersJson) {
-      const users = JSON.parse(usersJson);
-      const idx = users.findIndex(u => u.id === user.id);
-      if (idx !== -1) {
-        users[idx].role = newRole;
-        localStorage.setItem(AUTH_USERS_KEY, JSON.stringify(users));
-      }
+    if (!(await checkPassword(storedUser, currentPassword))) {
+      return { success: false, message: 'The current password is wrong' };
+    }
+    if (currentPassword === newPassword) {
+      return { success: false, message: 'Choose a password different from the current one' };
     }
+    const invalidPassword = policyMessage(newPassword, storedUser.username);
+    if (invalidPassword) {
+      return { success: false, message: invalidPassword };
+    }
+    
+    saveUser(storedUser.id, {
+      passwordHash: await hashPassword(newPassword),
+      password: undefined,
+      mustChangePassword: undefined
+    });
+    return { success: true, message: 'Password changed' };
   };
   
   /**
-   * Check if user has specific role
-   * @param {string|string[]} roles - Role(s) to check
-   * @returns {boolean} Whether user has the role
+   * Create an account (users.manage). The user must change the temporary
+   * password at first sign-in.
+   * @param {Object} userData - { name, username, role, password }
+   * @returns {Promise<Object>} Result with success status and message
    */
-  const hasRole = (roles) => {
+  const createUser = async (userData) => {
+    const admin = currentUserWith(PERMISSIONS.USERS_MANAGE);
+    if (!admin) return NOT_ADMIN;
+    
+    const { name, username, role, password } = userData;
+    if (!resolveRoles(readSavedRoles()).some(r => r.id === role)) {
+      return { success: false, message: 'Unknown role' };
+    }
+    if (findByUsername(readUsers(), username)) {
+      return { success: false, message: 'Username already exists' };
+    }
+    const invalidPassword = policyMessage(password, username);
+    if (invalidPassword) {
+      return { success: false, message: invalidPassword };
+    }
+    
+    const newUser = {
+      id: `user_${Date.now()}`,
+      username,
+      passwordHash: await hashPassword(password),
+      name,
+      role,
+      mustChangePassword: true,
+      createdBy: admin.id,
+      createdAt: new Date().toISOString()
+    };
+    
+    const storedUsers = readUsers();
+    if (findByUsername(storedUsers, username)) {
+      return { success: false, message: 'Username already exists' };
+    }
+    storedUsers.push(newUser);
+    localStorage.setItem(AUTH_USERS_KEY, JSON.stringify(storedUsers));
+    syncWithStoredUsers();
+    
+    return { success: true, message: `Account created for ${name}` };
+  };
+  
+  /**
+   * Change a user's role (users.manage). Refused if nobody active could
+   * manage users afterwards.
+   * @param {string} id - User ID
+   * @param {string} role - New role
+   * @returns {Object} Result with success status and message
+   */
+  const updateUserRole = (id, role) => {
+    if (!currentUserWith(PERMISSIONS.USERS_MANAGE)) return NOT_ADMIN;
+    const storedRoles = resolveRoles(readSavedRoles());
+    const newRole = storedRoles.find(r => r.id === role);
+    if (!newRole) {
+      return { success: false, message: 'Unknown role' };
+    }
+    
+    const storedUsers = readUsers();
+    const target = storedUsers.find(u => u.id === id);
+    if (!target) {
+      return { success: false, message: 'User not found' };
+    }
+    const afterChange = storedUsers.map(u => (u.id === id ? { ...u, role } : u));
+    if (activeManagers(afterChange, storedRoles).length === 0) {
+      return { success: false, message: NO_MANAGER_LEFT };
+    }
+    
+    saveUser(id, { role });
+    return { success: true, message: `${target.name}'s role changed to ${newRole.label}` };
+  };
+  
+  /**
+   * Create a role or change what one may do (users.manage). Administrator
+   * always keeps every permission; built-in roles keep their names.
+   * @param {Object} role - { id (omit for a new role), label (kept if omitted), permissions }
+   * @returns {Object} Result with success status and message
+   */
+  const saveRole = (role) => {
+    if (!currentUserWith(PERMISSIONS.USERS_MANAGE)) return NOT_ADMIN;
+    if (role.id === ROLES.ADMIN) {
+      return { success: false, message: 'The Administrator role always has every permission' };
+    }
+    
+    const savedRoles = readSavedRoles();
+    const existing = resolveRoles(savedRoles).find(r => r.id === role.id);
+    if (role.id && !existing) {
+      return { success: false, message: 'Unknown role' };
+    }
+    const label = existing?.builtIn ? existing.label : (role.label ?? existing?.label ?? '').trim();
+    if (!label) {
+      return { success: false, message: 'Give the role a name' };
+    }
+    if (resolveRoles(savedRoles).some(r => r.id !== role.id && r.label.toLowerCase() === label.toLowerCase())) {
+      return { success: false, message: 'A role with that name already exists' };
+    }
+    
+    const saved = {
+      id: role.id || `role_${Date.now()}`,
+      label,
+      permissions: normalizePermissions(role.permissions || []),
+      updatedAt: new Date().toISOString()
+    };
+    const nextRoles = [...savedRoles.filter(r => r.id !== saved.id), saved];
+    if (activeManagers(readUsers(), resolveRoles(nextRoles)).length === 0) {
+      return { success: false, message: NO_MANAGER_LEFT };
+    }
+    
+    localStorage.setItem(AUTH_ROLES_KEY, JSON.stringify(nextRoles));
+    syncWithStoredUsers();
+    return { success: true, message: `${label} ${role.id ? 'updated' : 'created'}`, role: saved };
+  };
+  
+  /**
+   * Delete a custom role nobody has (users.manage)
+   * @param {string} id - Role ID
+   * @returns {Object} Result with success status and message
+   */
+  const deleteRole = (id) => {
+    if (!currentUserWith(PERMISSIONS.USERS_MANAGE)) return NOT_ADMIN;
+    const role = roles.find(r => r.id === id);
+    if (!role || role.builtIn) {
+      return { success: false, message: 'Built-in roles cannot be deleted' };
+    }
+    const holders = readUsers().filter(u => u.role === id);
+    if (holders.length > 0) {
+      return { success: false, message: `${holders.length} user${holders.length === 1 ? ' has' : 's have'} this role. Give them another role first.` };
+    }
+    
+    localStorage.setItem(AUTH_ROLES_KEY, JSON.stringify(readSavedRoles().filter(r => r.id !== id)));
+    syncWithStoredUsers();
+    return { success: true, message: `${role.label} deleted` };
+  };
+  
+  /**
+   * Deactivate or reactivate an account (users.manage). Nobody can
+   * deactivate themselves, so someone who can manage users always remains.
+   * @param {string} id - User ID
+   * @param {boolean} active - Whether the account may sign in
+   * @returns {Object} Result with success status and message
+   */
+  const setUserActive = (id, active) => {
+    const admin = currentUserWith(PERMISSIONS.USERS_MANAGE);
+    if (!admin) return NOT_ADMIN;
+    if (id === admin.id) {
+      return { success: false, message: 'You cannot deactivate your own account' };
+    }
+    
+    const target = readUsers().find(u => u.id === id);
+    if (!target) {
+      return { success: false, message: 'User not found' };
+    }
+    
+    saveUser(id, active
+      ? { active: undefined, deactivatedAt: undefined }
+      : { active: false, deactivatedAt: new Date().toISOString() });
+    return { success: true, message: `${target.name}'s account was ${active ? 'reactivated' : 'deactivated'}` };
+  };
+  
+  /**
+   * Set a temporary password for a user (users.manage). Clears a lockout
+   * and the PIN; the user must choose a new password at their next sign-in.
+   * @param {string} id - User ID
+   * @param {string} temporaryPassword - Temporary password
+   * @returns {Promise<Object>} Result with success status and message
+   */
+  const resetPassword = async (id, temporaryPassword) => {
+    if (!currentUserWith(PERMISSIONS.USERS_MANAGE)) return NOT_ADMIN;
+    
+    const target = readUsers().find(u => u.id === id);
+    if (!target) {
+      return { success: false, message: 'User not found' };
+    }
+    const invalidPassword = policyMessage(temporaryPassword, target.username);
+    if (invalidPassword) {
+      return { success: false, message: invalidPassword };
+    }
+    
+    saveUser(id, {
+      passwordHash: await hashPassword(temporaryPassword),
+      password: undefined,
+      mustChangePassword: true,
+      pinHash: undefined,
+      failedLogins: undefined,
+      lockedUntil: undefined
+    });
+    return { success: true, message: `Password reset for ${target.name}` };
+  };
+  
+  /**
+   * Check if the signed-in user has a permission
+   * @param {string|string[]} permission - Permission, or several (any one is enough)
+   * @returns {boolean} Whether their role grants it
+   */
+  const can = (permission) => {
     if (!user) return false;
-    const roleArray = Array.isArray(roles) ? roles : [roles];
-    return roleArray.includes(user.role) || user.role === 'admin';
+    return roleHasPermission(roles, user.role, permission);
   };
   
+  /**
+   * Display name of a role
+   * @param {string} roleId - Role ID
+   * @returns {string} Label (the ID if the role was deleted)
+   */
+  const roleLabel = (roleId) => roles.find(r => r.id === roleId)?.label || roleId;
+  
   const value = {
     user,
+    users,
+    roles,
     isAuthenticated: !!user,
     isLoading,
+    locked,
+    sessionExpired,
+    sessionSettings,
+    signupOpen,
     signup,
     login,
     logout,
-    updateRole,
-    hasRole
+    changePassword,
+    lockSession,
+    unlockWithPin,
+    unlockWithPassword,
+    setPin,
+    removePin,
+    updateSessionSettings,
+    createUser,
+    updateUserRole,
+    setUserActive,
+    resetPassword,
+    saveRole,
+    deleteRole,
+    can,
+    roleLabel
   };
   
   return (
@@ -176,4 +857,11 @@ export function useAuth() {
   return context;
 }
 
-
+/**
+ * Signed-in user, or null when signed out or outside an AuthProvider.
+ * For code that records who made a change but must not require auth.
+ * @returns {Object|null} Session user
+ */
+export function useCurrentUser() {
+  return useContext(AuthContext)?.user || null;
+}
@@ -0,0 +1,70 @@
+/**
+ * Data Context
+ * 
+ * @description Shares one in-memory store per collection across the app
+ * @features
+ *   - Each collection is loaded from IndexedDB once, not once per component
+ *   - Stores are created on first use and live as long as the provider
+ *   - Credits writes to the signed-in user in the record history
+ *   - Syncs with the sync server in the background while someone is signed in
+ *     and the data is unlocked
+ *   - Locks encrypted data at sign-out and drops every decrypted record held
+ *     in memory whenever the data is locked
+ */
+
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { createStoreRegistry } from '../db/collectionStore';
+import { setHistoryActor } from '../db/history';
+import { startAutoSync } from '../db/sync';
+import { lockEncryption } from '../db/encryption';
+import { useEncryption } from '../hooks/useEncryption';
+import { useCurrentUser } from './AuthContext';
+
+const DataContext = createContext(null);
+
+/**
+ * DataProvider Component
+ * Owns the collection stores used by useLocalDB and useCollection
+ */
+export function DataProvider({ children }) {
+  const [registry, setRegistry] = useState(createStoreRegistry);
+  const user = useCurrentUser();
+  const signedIn = Boolean(user);
+  const { locked } = useEncryption();
+  
+  useEffect(() => {
+    setHistoryActor(user);
+  }, [user]);
+  
+  useEffect(() => {
+    if (!signedIn) lockEncryption();
+  }, [signedIn]);
+  
+  useEffect(() => {
+    if (locked) setRegistry(createStoreRegistry());
+  }, [locked]);
+  
+  useEffect(() => {
+    if (!signedIn || locked) return undefined;
+    return startAutoSync();
+  }, [signedIn, locked]);
+  
+  return (
+    <DataContext.Provider value={registry}>
+      {children}
+    </DataContext.Provider>
+  );
+}
+
+/**
+ * Custom hook to access the shared store for a collection
+ * @param {string} key - Collection key (one of STORAGE_KEYS)
+ * @returns {Object} Collection store
+ */
+export function useCollectionStore(key) {
+  const registry = useContext(DataContext);
+  if (!registry) {
+    throw new Error('useCollectionStore must be used within a DataProvider');
+  }
+  return registry.get(key);
+}
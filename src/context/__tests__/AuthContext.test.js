@@ -0,0 +1,344 @@
+/**
+ * AuthContext Tests
+ * 
+ * @description Unit tests for the first-admin sign-up, admin-managed accounts,
+ * roles and permissions
+ */
+
+import React from 'react';
+import { renderHook, act } from '@testing-library/react';
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+
+// Mock localStorage
+const localStorageMock = (() => {
+  let store = {};
+  return {
+    getItem: vi.fn((key) => store[key] || null),
+    setItem: vi.fn((key, value) => {
+      store[key] = value;
+    }),
+    removeItem: vi.fn((key) => {
+      delete store[key];
+    }),
+    clear: vi.fn(() => {
+      store = {};
+    })
+  };
+})();
+
+Object.defineProperty(window, 'localStorage', {
+  value: localStorageMock
+});
+
+// Import after mocking
+import { AuthProvider, useAuth } from '../AuthContext';
+import { ROLES } from '../../utils/constants';
+import { PERMISSIONS } from '../../utils/permissions';
+
+const wrapper = ({ children }) => React.createElement(AuthProvider, null, children);
+
+const ADMIN = { name: 'Ada Admin', username: 'ada', password: 'bootstrap2025' };
+
+/**
+ * Render the auth hook with the first admin signed up and signed in
+ */
+async function renderAsAdmin() {
+  const { result } = renderHook(() => useAuth(), { wrapper });
+  await act(() => result.current.signup(ADMIN));
+  return result;
+}
+
+/**
+ * Create an account as the signed-in admin
+ */
+async function addUser(result, username, role = ROLES.CLINICIAN) {
+  let created;
+  await act(async () => {
+    created = await result.current.createUser({ name: username, username, role, password: 'temporary2025' });
+  });
+  expect(created.success).toBe(true);
+  return result.current.users.find(u => u.username === username);
+}
+
+describe('AuthContext user management', () => {
+  beforeEach(() => {
+    localStorageMock.clear();
+  });
+  
+  it('should make the first account an admin and then close sign-up', async () => {
+    const result = await renderAsAdmin();
+    
+    expect(result.current.user.role).toBe(ROLES.ADMIN);
+    expect(result.current.signupOpen).toBe(false);
+    
+    let second;
+    await act(async () => {
+      second = await result.current.signup({ name: 'Eve', username: 'eve', password: 'intruder2025', role: ROLES.ADMIN });
+    });
+    expect(second.success).toBe(false);
+    expect(result.current.users).toHaveLength(1);
+  });
+  
+  it('should make accounts created by an admin change their temporary password', async () => {
+    const result = await renderAsAdmin();
+    await addUser(result, 'bob');
+    act(() => result.current.logout());
+    
+    await act(() => result.current.login('bob', 'temporary2025'));
+    expect(result.current.user.mustChangePassword).toBe(true);
+    
+    let changed;
+    await act(async () => {
+      changed = await result.current.changePassword('temporary2025', 'my-own-pass-42');
+    });
+    expect(changed.success).toBe(true);
+    expect(result.current.user.mustChangePassword).toBeUndefined();
+  });
+  
+  it('should only let admins change roles', async () => {
+    const result = await renderAsAdmin();
+    const bob = await addUser(result, 'bob');
+    act(() => result.current.logout());
+    await act(() => result.current.login('bob', 'temporary2025'));
+    
+    let escalated;
+    act(() => {
+      escalated = result.current.updateUserRole(bob.id, ROLES.ADMIN);
+    });
+    expect(escalated.success).toBe(false);
+    expect(result.current.users.find(u => u.id === bob.id).role).toBe(ROLES.CLINICIAN);
+  });
+  
+  it('should never leave the clinic without an active admin', async () => {
+    const result = await renderAsAdmin();
+    const adminId = result.current.user.id;
+    
+    let demoted;
+    act(() => {
+      demoted = result.current.updateUserRole(adminId, ROLES.CLINICIAN);
+    });
+    expect(demoted.success).toBe(false);
+    
+    let deactivated;
+    act(() => {
+      deactivated = result.current.setUserActive(adminId, false);
+    });
+    expect(deactivated.success).toBe(false);
+    expect(result.current.user.role).toBe(ROLES.ADMIN);
+  });
+  
+  it('should refuse sign-in to deactivated accounts until reactivated', async () => {
+    const result = await renderAsAdmin();
+    const bob = await addUser(result, 'bob');
+    act(() => {
+      result.current.setUserActive(bob.id, false);
+    });
+    act(() => result.current.logout());
+    
+    let login;
+    await act(async () => {
+      login = await result.current.login('bob', 'temporary2025');
+    });
+    expect(login.success).toBe(false);
+    expect(login.message).toMatch(/deactivated/);
+    
+    await act(() => result.current.login('ada', ADMIN.password));
+    act(() => {
+      result.current.setUserActive(bob.id, true);
+    });
+    act(() => result.current.logout());
+    await act(async () => {
+      login = await result.current.login('bob', 'temporary2025');
+    });
+    expect(login.success).toBe(true);
+  });
+  
+  it('should lift a lockout when an admin resets the password', async () => {
+    const result = await renderAsAdmin();
+    const bob = await addUser(result, 'bob');
+    act(() => result.current.logout());
+    for (let i = 0; i < 5; i++) {
+      await act(() => result.current.login('bob', 'wrong-password-1'));
+    }
+    
+    await act(() => result.current.login('ada', ADMIN.password));
+    expect(result.current.users.find(u => u.id === bob.id).locked).toBe(true);
+    
+    await act(() => result.current.resetPassword(bob.id, 'fresh-start-99'));
+    expect(result.current.users.find(u => u.id === bob.id).locked).toBe(false);
+    act(() => result.current.logout());
+    
+    let login;
+    await act(async () => {
+      login = await result.current.login('bob', 'fresh-start-99');
+    });
+    expect(login.success).toBe(true);
+    expect(result.current.user.mustChangePassword).toBe(true);
+  });
+});
+
+describe('AuthContext session lock', () => {
+  beforeEach(() => {
+    localStorageMock.clear();
+  });
+  
+  it('should restore a session idle past the lock timeout as locked, and end one idle past expiry', async () => {
+    const first = await renderAsAdmin();
+    expect(first.current.locked).toBe(false);
+    
+    const session = JSON.parse(localStorage.getItem('cliniccare_session'));
+    localStorage.setItem('cliniccare_session', JSON.stringify({
+      ...session,
+      lastActiveAt: new Date(Date.now() - 10 * 60000).toISOString()
+    }));
+    const { result: reloaded } = renderHook(() => useAuth(), { wrapper });
+    expect(reloaded.current.user.username).toBe('ada');
+    expect(reloaded.current.locked).toBe(true);
+    
+    localStorage.setItem('cliniccare_session', JSON.stringify({
+      ...session,
+      lastActiveAt: new Date(Date.now() - 2 * 3600000).toISOString()
+    }));
+    const { result: expired } = renderHook(() => useAuth(), { wrapper });
+    expect(expired.current.user).toBeNull();
+    expect(expired.current.sessionExpired).toBe(true);
+  });
+  
+  it('should unlock with the PIN, and ask for the password after too many wrong PINs', async () => {
+    const result = await renderAsAdmin();
+    await act(() => result.current.setPin(ADMIN.password, '4821'));
+    expect(result.current.user.hasPin).toBe(true);
+    
+    act(() => result.current.lockSession());
+    expect(result.current.locked).toBe(true);
+    await act(() => result.current.unlockWithPin('4821'));
+    expect(result.current.locked).toBe(false);
+    
+    act(() => result.current.lockSession());
+    let attempt;
+    for (let i = 0; i < 3; i++) {
+      await act(async () => {
+        attempt = await result.current.unlockWithPin('0000');
+      });
+    }
+    expect(attempt.pinBlocked).toBe(true);
+    await act(async () => {
+      attempt = await result.current.unlockWithPin('4821');
+    });
+    expect(attempt.success).toBe(false);
+    expect(result.current.locked).toBe(true);
+    
+    await act(() => result.current.unlockWithPassword(ADMIN.password));
+    expect(result.current.locked).toBe(false);
+  });
+  
+  it('should only let admins change the timeouts', async () => {
+    const result = await renderAsAdmin();
+    await addUser(result, 'bob');
+    
+    let saved;
+    act(() => {
+      saved = result.current.updateSessionSettings({ lockAfterMinutes: 10, expireAfterMinutes: 120 });
+    });
+    expect(saved.success).toBe(true);
+    expect(result.current.sessionSettings.lockAfterMinutes).toBe(10);
+    
+    act(() => result.current.logout());
+    await act(() => result.current.login('bob', 'temporary2025'));
+    act(() => {
+      saved = result.current.updateSessionSettings({ lockAfterMinutes: 0, expireAfterMinutes: 0 });
+    });
+    expect(saved.success).toBe(false);
+  });
+});
+
+describe('AuthContext roles and permissions', () => {
+  beforeEach(() => {
+    localStorageMock.clear();
+  });
+  
+  it('should check permissions of the signed-in role', async () => {
+    const result = await renderAsAdmin();
+    await addUser(result, 'rita', ROLES.RECEPTIONIST);
+    act(() => result.current.logout());
+    await act(() => result.current.login('rita', 'temporary2025'));
+    
+    expect(result.current.can(PERMISSIONS.PATIENTS_REGISTER)).toBe(true);
+    expect(result.current.can(PERMISSIONS.PATIENTS_READ)).toBe(false);
+    expect(result.current.can([PERMISSIONS.PATIENTS_READ, PERMISSIONS.APPOINTMENTS_WRITE])).toBe(true);
+  });
+  
+  it('should let an admin change what a role may do, and apply it at once', async () => {
+    const result = await renderAsAdmin();
+    await addUser(result, 'rita', ROLES.RECEPTIONIST);
+    
+    let saved;
+    act(() => {
+      saved = result.current.saveRole({ id: ROLES.RECEPTIONIST, permissions: [PERMISSIONS.PATIENTS_READ, 'made.up'] });
+    });
+    expect(saved.success).toBe(true);
+    expect(result.current.roles.find(r => r.id === ROLES.RECEPTIONIST).permissions).toEqual([PERMISSIONS.PATIENTS_READ]);
+    
+    act(() => result.current.logout());
+    await act(() => result.current.login('rita', 'temporary2025'));
+    expect(result.current.can(PERMISSIONS.PATIENTS_READ)).toBe(true);
+    expect(result.current.can(PERMISSIONS.PATIENTS_REGISTER)).toBe(false);
+    
+    act(() => {
+      saved = result.current.saveRole({ id: ROLES.RECEPTIONIST, permissions: [PERMISSIONS.USERS_MANAGE] });
+    });
+    expect(saved.success).toBe(false);
+  });
+  
+  it('should create custom roles and only delete them once nobody has them', async () => {
+    const result = await renderAsAdmin();
+    
+    let saved;
+    act(() => {
+      saved = result.current.saveRole({ label: 'Midwife', permissions: [PERMISSIONS.TRIAGE_WRITE] });
+    });
+    expect(saved.success).toBe(true);
+    const midwife = await addUser(result, 'mia', saved.role.id);
+    expect(result.current.roleLabel(midwife.role)).toBe('Midwife');
+    
+    let deleted;
+    act(() => {
+      deleted = result.current.deleteRole(saved.role.id);
+    });
+    expect(deleted.success).toBe(false);
+    
+    act(() => {
+      result.current.updateUserRole(midwife.id, ROLES.NURSE);
+    });
+    act(() => {
+      deleted = result.current.deleteRole(saved.role.id);
+    });
+    expect(deleted.success).toBe(true);
+    expect(result.current.roles.some(r => r.label === 'Midwife')).toBe(false);
+  });
+  
+  it('should never leave the clinic without someone who can manage users', async () => {
+    const result = await renderAsAdmin();
+    
+    let saved;
+    act(() => {
+      saved = result.current.saveRole({ label: 'Office Manager', permissions: [PERMISSIONS.USERS_MANAGE] });
+    });
+    const manager = await addUser(result, 'otto', saved.role.id);
+    
+    let demoted;
+    act(() => {
+      demoted = result.current.updateUserRole(result.current.user.id, ROLES.CLINICIAN);
+    });
+    expect(demoted.success).toBe(true);
+    act(() => result.current.logout());
+    await act(() => result.current.login('otto', 'temporary2025'));
+    
+    let narrowed;
+    act(() => {
+      narrowed = result.current.saveRole({ id: manager.role, permissions: [PERMISSIONS.QUEUE_READ] });
+    });
+    expect(narrowed.success).toBe(false);
+    expect(narrowed.message).toMatch(/manage users/);
+  });
+});
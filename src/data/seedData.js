@@ -5,6 +5,9 @@
  * Import this data via Settings > Restore from Backup or use the loadSeedData function
  */
 
+import { STORAGE_KEYS } from '../utils/constants';
+import { ready, getAll, replaceCollection } from '../db/storage';
+
 export const seedPatients = [
   {
     id: 'p_001',
@@ -350,38 +353,25 @@ export const fullSeedBackup = {
 };
 
 /**
- * Load seed data into localStorage
+ * Load seed data into the local database
  * @param {boolean} force - Whether to overwrite existing data
+ * @returns {Promise<void>}
  */
-export function loadSeedData(force = false) {
-  const keys = {
-    patients: 'cliniccare_patients',
-    inventory: 'cliniccare_inventory',
-    appointments: 'cliniccare_appointments',
-    settings: 'cliniccare_settings'
+export async function loadSeedData(force = false) {
+  const collections = {
+    [STORAGE_KEYS.PATIENTS]: seedPatients,
+    [STORAGE_KEYS.INVENTORY]: seedInventory,
+    [STORAGE_KEYS.APPOINTMENTS]: seedAppointments,
+    [STORAGE_KEYS.SETTINGS]: [seedSettings]
   };
   
-  Object.entries(keys).forEach(([key, storageKey]) => {
-    const existing = localStorage.getItem(storageKey);
-    if (!existing || force) {
-      let data;
-      switch (key) {
-        case 'patients':
-          data = seedPatients;
-          break;
-        case 'inventory':
-          data = seedInventory;
-          break;
-        case 'appointments':
-          data = seedAppointments;
-          break;
-        case 'settings':
-          data = [seedSettings];
-          break;
-      }
-      localStorage.setItem(storageKey, JSON.stringify(data));
+  await ready();
+  for (const [storageKey, data] of Object.entries(collections)) {
+    const existing = await getAll(storageKey);
+    if (existing.length === 0 || force) {
+      await replaceCollection(storageKey, data);
     }
-  });
+  }
   
   console.log('Seed data loaded successfully!');
 }
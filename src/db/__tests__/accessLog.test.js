@@ -0,0 +1,114 @@
+/**
+ * Chart Access Log Tests
+ * 
+ * @description Unit tests for the hash-chained log of chart openings
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  logChartAccess,
+  logOverride,
+  logOverrideReview,
+  activeOverrides,
+  verifyAccessLog,
+  ACCESS_VIEWS,
+  ACCESS_LOG_HEAD_ID,
+  OVERRIDE_HOURS
+} from '../accessLog';
+import { getAll, getRecord, putRecord, putRecords, deleteRecord, clearCollection, META_STORE } from '../storage';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const { ACCESS_LOG, LAB_ORDERS } = STORAGE_KEYS;
+
+const NURSE = { id: 'u1', name: 'Nurse Joy', role: 'nurse', password: 'secret' };
+
+const openChart = (patientId, user = NURSE) => logChartAccess({
+  view: ACCESS_VIEWS.CHART,
+  patientId,
+  patientName: `Patient ${patientId}`,
+  user
+});
+
+describe('chart access log', () => {
+  beforeEach(async () => {
+    await clearCollection(ACCESS_LOG);
+    await clearCollection(LAB_ORDERS);
+    await clearCollection(META_STORE);
+    await putRecords(LAB_ORDERS, [
+      { id: 'l1', patientId: 'p1', appointmentId: 'a1', tests: [{ code: 'HIV' }, { code: 'CBC' }] },
+      { id: 'l2', patientId: 'p1', appointmentId: 'a2', tests: [{ code: 'MP' }] }
+    ]);
+  });
+  
+  it('should chain each entry to the one before it', async () => {
+    await openChart('p1');
+    await openChart('p2', { id: 'u2', name: 'Dr. Ada', role: 'doctor' });
+    
+    const entries = (await getAll(ACCESS_LOG)).sort((a, b) => a.seq - b.seq);
+    expect(entries.map(e => e.seq)).toEqual([1, 2]);
+    expect(entries[0].prevHash).toBe('0'.repeat(64));
+    expect(entries[1].prevHash).toBe(entries[0].hash);
+    expect(entries[0].user).toEqual({ id: 'u1', name: 'Nurse Joy', role: 'nurse' });
+    expect(await getRecord(META_STORE, ACCESS_LOG_HEAD_ID)).toMatchObject({ seq: 2, hash: entries[1].hash });
+    expect(await verifyAccessLog()).toEqual({ valid: true, count: 2, brokenAt: null });
+  });
+  
+  it('should give concurrent openings their own place in the chain', async () => {
+    await Promise.all([openChart('p1'), openChart('p2'), openChart('p3')]);
+    
+    const entries = await getAll(ACCESS_LOG);
+    expect(entries.map(e => e.seq).sort()).toEqual([1, 2, 3]);
+    expect((await verifyAccessLog()).valid).toBe(true);
+  });
+  
+  it('should flag sensitive tests on the chart or the visit opened', async () => {
+    const { entry: chart } = await openChart('p1');
+    const { entry: otherVisit } = await logChartAccess({
+      view: ACCESS_VIEWS.VISIT_SUMMARY, patientId: 'p1', appointmentId: 'a2', user: NURSE
+    });
+    
+    expect(chart.sensitiveTests).toEqual(['HIV']);
+    expect(otherVisit.sensitiveTests).toEqual([]);
+  });
+  
+  it('should detect edited, removed and truncated entries', async () => {
+    await openChart('p1');
+    await openChart('p2');
+    await openChart('p3');
+    
+    const second = await getRecord(ACCESS_LOG, 'access_2');
+    await putRecord(ACCESS_LOG, { ...second, user: { id: 'u9', name: 'Someone Else', role: 'nurse' } });
+    expect(await verifyAccessLog()).toMatchObject({ valid: false, brokenAt: 2 });
+    
+    await putRecord(ACCESS_LOG, second);
+    await deleteRecord(ACCESS_LOG, 'access_2');
+    expect(await verifyAccessLog()).toMatchObject({ valid: false, brokenAt: 3 });
+    
+    await putRecord(ACCESS_LOG, second);
+    await deleteRecord(ACCESS_LOG, 'access_3');
+    expect(await verifyAccessLog()).toMatchObject({ valid: false, brokenAt: 3 });
+  });
+  
+  it('should chain overrides and their reviews, and keep the reason tamper-evident', async () => {
+    const { entry: override } = await logOverride({
+      patientId: 'p1', patientName: 'Patient p1', justification: '  Emergency, assigned doctor off duty ', user: NURSE
+    });
+    const { entry: review } = await logOverrideReview(override, { id: 'u0', name: 'Ada Admin', role: 'admin' });
+    
+    expect(override).toMatchObject({ view: ACCESS_VIEWS.OVERRIDE, justification: 'Emergency, assigned doctor off duty' });
+    expect(review).toMatchObject({ view: ACCESS_VIEWS.OVERRIDE_REVIEW, reviewOf: override.seq, prevHash: override.hash });
+    expect((await verifyAccessLog()).valid).toBe(true);
+    
+    await putRecord(ACCESS_LOG, { ...override, justification: 'Routine check' });
+    expect(await verifyAccessLog()).toMatchObject({ valid: false, brokenAt: override.seq });
+  });
+  
+  it('should only keep overrides in effect for a while', async () => {
+    const { entry } = await logOverride({ patientId: 'p1', justification: 'Emergency treatment', user: NURSE });
+    const accessedAt = new Date(entry.accessedAt).getTime();
+    
+    expect(activeOverrides([entry], 'u1', accessedAt + 1000).has('p1')).toBe(true);
+    expect(activeOverrides([entry], 'u2', accessedAt + 1000).has('p1')).toBe(false);
+    expect(activeOverrides([entry], 'u1', accessedAt + OVERRIDE_HOURS * 3600000 + 1000).has('p1')).toBe(false);
+  });
+});
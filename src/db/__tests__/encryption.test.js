@@ -0,0 +1,112 @@
+/**
+ * Encryption at Rest Tests
+ * 
+ * @description Unit tests for encrypting, unlocking and re-keying stored records
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import localforage from 'localforage';
+import { createTransaction } from '../transaction';
+import { getRecord, putRecords, clearCollection, readKeyring, DB_NAME, META_STORE } from '../storage';
+import { setKeyring, clearDataKeys } from '../cipher';
+import {
+  enableEncryption,
+  unlockEncryption,
+  lockEncryption,
+  rotateEncryptionKey,
+  getEncryptionStatus,
+  ENCRYPTION_ERRORS
+} from '../encryption';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const { PATIENTS, HISTORY } = STORAGE_KEYS;
+const PASSPHRASE = 'correct horse battery';
+
+// Reads what IndexedDB actually holds, bypassing the storage layer
+const raw = (key, id) => localforage.createInstance({ name: DB_NAME, storeName: key }).getItem(id);
+
+describe('encryption at rest', () => {
+  beforeEach(async () => {
+    for (const key of [PATIENTS, HISTORY, META_STORE]) {
+      await clearCollection(key);
+    }
+    setKeyring(null);
+    clearDataKeys();
+  });
+  
+  afterEach(async () => {
+    await clearCollection(META_STORE);
+    setKeyring(null);
+    clearDataKeys();
+  });
+  
+  it('should encrypt records already stored and every record written afterwards', async () => {
+    await putRecords(PATIENTS, [{ id: 'p1', name: 'Amina Okello', diagnosis: 'HIV' }]);
+    
+    const result = await enableEncryption(PASSPHRASE);
+    const tx = createTransaction();
+    tx.create(PATIENTS, { id: 'p2', name: 'Grace Adeyemi' });
+    await tx.commit();
+    
+    expect(result.success).toBe(true);
+    for (const id of ['p1', 'p2']) {
+      const stored = await raw(PATIENTS, id);
+      expect(stored.encrypted).toBe('AES-GCM');
+      expect(JSON.stringify(stored)).not.toContain('Okello');
+    }
+    expect((await raw(HISTORY, `${PATIENTS}:p2`)).encrypted).toBe('AES-GCM');
+    expect(await getRecord(PATIENTS, 'p1')).toMatchObject({ name: 'Amina Okello', diagnosis: 'HIV' });
+    expect(getEncryptionStatus()).toMatchObject({ enabled: true, unlocked: true, busy: false });
+  });
+  
+  it('should refuse reads while locked and unlock only with the right passphrase', async () => {
+    await putRecords(PATIENTS, [{ id: 'p1', name: 'Amina Okello' }]);
+    await enableEncryption(PASSPHRASE);
+    
+    lockEncryption();
+    
+    await expect(getRecord(PATIENTS, 'p1')).rejects.toMatchObject({ code: ENCRYPTION_ERRORS.LOCKED });
+    const wrong = await unlockEncryption('not the passphrase');
+    expect(wrong.error.code).toBe(ENCRYPTION_ERRORS.WRONG_PASSPHRASE);
+    
+    expect((await unlockEncryption(PASSPHRASE)).success).toBe(true);
+    expect((await getRecord(PATIENTS, 'p1')).name).toBe('Amina Okello');
+  });
+  
+  it('should reject a short passphrase', async () => {
+    const result = await enableEncryption('short');
+    
+    expect(result.error.code).toBe(ENCRYPTION_ERRORS.WEAK_PASSPHRASE);
+    expect(await readKeyring()).toBeNull();
+  });
+  
+  it('should rotate to a new passphrase and data key', async () => {
+    await putRecords(PATIENTS, [{ id: 'p1', name: 'Amina Okello' }]);
+    await enableEncryption(PASSPHRASE);
+    const before = await raw(PATIENTS, 'p1');
+    
+    expect((await rotateEncryptionKey('not the passphrase', 'a brand new passphrase')).success).toBe(false);
+    const result = await rotateEncryptionKey(PASSPHRASE, 'a brand new passphrase');
+    
+    expect(result.success).toBe(true);
+    const keyring = await readKeyring();
+    expect(Object.keys(keyring.keys)).toEqual([keyring.current]);
+    expect(keyring.pending).toBe(false);
+    expect((await raw(PATIENTS, 'p1')).kid).toBe(keyring.current);
+    expect(keyring.current).not.toBe(before.kid);
+    
+    lockEncryption();
+    expect((await unlockEncryption(PASSPHRASE)).success).toBe(false);
+    expect((await unlockEncryption('a brand new passphrase')).success).toBe(true);
+    expect((await getRecord(PATIENTS, 'p1')).name).toBe('Amina Okello');
+  });
+  
+  it('should not let an encrypted record be read as another record', async () => {
+    await putRecords(PATIENTS, [{ id: 'p1', name: 'Amina Okello' }]);
+    await enableEncryption(PASSPHRASE);
+    
+    await localforage.createInstance({ name: DB_NAME, storeName: PATIENTS }).setItem('p2', await raw(PATIENTS, 'p1'));
+    
+    await expect(getRecord(PATIENTS, 'p2')).rejects.toThrow();
+  });
+});
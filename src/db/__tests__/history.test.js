@@ -0,0 +1,142 @@
+/**
+ * Record History Tests
+ * 
+ * @description Unit tests for the per-record audit trail
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { createTransaction } from '../transaction';
+import { getRecord, clearCollection, META_STORE } from '../storage';
+import {
+  getRecordHistory,
+  setHistoryActor,
+  diffRecords,
+  recordAtVersion,
+  revertUpdates,
+  getUserActivity,
+  actorName,
+  HISTORY_ACTIONS
+} from '../history';
+import { softDelete } from '../trash';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const PATIENTS = 'history_test_patients';
+
+const commit = (build) => {
+  const tx = createTransaction();
+  build(tx);
+  return tx.commit();
+};
+
+describe('record history', () => {
+  beforeEach(async () => {
+    await clearCollection(PATIENTS);
+    await clearCollection(STORAGE_KEYS.HISTORY);
+    await clearCollection(META_STORE);
+    setHistoryActor({ id: 'u1', name: 'Dr. Ada', role: 'doctor', password: 'secret' });
+  });
+  
+  afterEach(() => {
+    setHistoryActor(null);
+  });
+  
+  it('should record create, update and delete with the acting user and a diff', async () => {
+    await commit(tx => tx.create(PATIENTS, { id: 'p1', name: 'Jane', allergies: '' }));
+    await commit(tx => tx.update(PATIENTS, 'p1', { allergies: 'Penicillin' }));
+    await softDelete(PATIENTS, 'p1', 'Dr. Ada');
+    
+    const versions = await getRecordHistory(PATIENTS, 'p1');
+    
+    expect(versions.map(v => v.action)).toEqual([
+      HISTORY_ACTIONS.CREATE,
+      HISTORY_ACTIONS.UPDATE,
+      HISTORY_ACTIONS.DELETE
+    ]);
+    expect(versions.map(v => v.version)).toEqual([1, 2, 3]);
+    expect(versions[1].changes).toEqual([{ field: 'allergies', from: '', to: 'Penicillin' }]);
+    expect(versions[1].changedBy).toEqual({ id: 'u1', name: 'Dr. Ada', role: 'doctor' });
+    expect(versions[1].changedAt).toBeTruthy();
+  });
+  
+  it('should not add a version when nothing but timestamps changed', async () => {
+    await commit(tx => tx.create(PATIENTS, { id: 'p1', name: 'Jane' }));
+    await commit(tx => tx.update(PATIENTS, 'p1', { name: 'Jane' }));
+    
+    expect(await getRecordHistory(PATIENTS, 'p1')).toHaveLength(1);
+  });
+  
+  it('should not keep history for a rolled back transaction', async () => {
+    await commit(tx => tx.create(PATIENTS, { id: 'p1', name: 'Jane' }));
+    const result = await commit((tx) => {
+      tx.update(PATIENTS, 'p1', { name: 'Janet' });
+      tx.update(PATIENTS, 'missing', { name: 'Nobody' });
+    });
+    
+    expect(result.success).toBe(false);
+    expect(await getRecordHistory(PATIENTS, 'p1')).toHaveLength(1);
+  });
+  
+  it('should revert a record to an earlier version as a new version', async () => {
+    await commit(tx => tx.create(PATIENTS, { id: 'p1', name: 'Jane', allergies: 'None' }));
+    await commit(tx => tx.update(PATIENTS, 'p1', { allergies: 'Penicillin', notes: 'Rash' }));
+    await commit(tx => tx.update(PATIENTS, 'p1', { name: 'Janet' }));
+    
+    const history = await getRecordHistory(PATIENTS, 'p1');
+    await commit(tx => tx.update(PATIENTS, 'p1', stored => revertUpdates(stored, history, 1), {
+      action: HISTORY_ACTIONS.REVERT,
+      revertedTo: 1
+    }));
+    
+    const reverted = await getRecord(PATIENTS, 'p1');
+    expect(reverted).toMatchObject({ name: 'Jane', allergies: 'None', notes: null });
+    
+    const versions = await getRecordHistory(PATIENTS, 'p1');
+    expect(versions).toHaveLength(4);
+    expect(versions[3]).toMatchObject({ action: HISTORY_ACTIONS.REVERT, revertedTo: 1 });
+  });
+  
+  it('should list the changes credited to one user across records, newest first', async () => {
+    await commit(tx => tx.create(PATIENTS, { id: 'p1', name: 'Jane' }));
+    setHistoryActor({ id: 'u2', name: 'Nurse Bo', role: 'nurse' });
+    await commit(tx => tx.update(PATIENTS, 'p1', { allergies: 'Latex' }));
+    setHistoryActor({ id: 'u1', name: 'Dr. Ada', role: 'doctor' });
+    await new Promise(resolve => setTimeout(resolve, 5));
+    await commit(tx => tx.create(PATIENTS, { id: 'p2', name: 'John' }));
+    
+    const activity = await getUserActivity('u1');
+    
+    expect(activity.map(a => a.recordId)).toEqual(['p2', 'p1']);
+    expect(activity[0]).toMatchObject({ key: PATIENTS, action: HISTORY_ACTIONS.CREATE });
+    expect((await getUserActivity('u2')).map(a => a.action)).toEqual([HISTORY_ACTIONS.UPDATE]);
+  });
+});
+
+describe('actorName', () => {
+  it('should read stored actors and the plain labels of older records', () => {
+    expect(actorName({ id: 'u1', name: 'Dr. Ada' })).toBe('Dr. Ada');
+    expect(actorName('Current Doctor')).toBe('Current Doctor');
+    expect(actorName(null)).toBe('Unknown');
+  });
+});
+
+describe('diffRecords', () => {
+  it('should ignore bookkeeping fields and treat missing as null', () => {
+    const before = { id: '1', updatedAt: 'a', name: 'Jane', tags: ['a'] };
+    const after = { id: '1', updatedAt: 'b', name: 'Jane', tags: ['a', 'b'], deletedWith: null };
+    
+    expect(diffRecords(before, after)).toEqual([
+      { field: 'tags', from: ['a'], to: ['a', 'b'] }
+    ]);
+  });
+  
+  it('should rebuild the record as it was at each version', () => {
+    const versions = [
+      { version: 1, changes: [{ field: 'name', from: null, to: 'Jane' }] },
+      { version: 2, changes: [{ field: 'name', from: 'Jane', to: 'Janet' }] }
+    ];
+    const current = { id: '1', name: 'Janet' };
+    
+    expect(recordAtVersion(current, versions, 1).name).toBe('Jane');
+    expect(recordAtVersion(current, versions, 0).name).toBeNull();
+  });
+});
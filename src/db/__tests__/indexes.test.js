@@ -0,0 +1,60 @@
+/**
+ * Secondary Index Tests
+ * 
+ * @description Unit tests for indexed collection queries
+ */
+
+import { describe, it, expect } from 'vitest';
+import { createQuery } from '../indexes';
+import { ACCESS_VIEWS } from '../accessLog';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const appointments = [
+  { id: 'a1', patientId: 'p1', status: 'scheduled', datetime: '2025-11-27T09:30' },
+  { id: 'a2', patientId: 'p2', status: 'checked_in', datetime: '2025-11-28T09:00' },
+  { id: 'a3', patientId: 'p1', status: 'scheduled', datetime: '2025-11-28T14:00' },
+  { id: 'a4', patientId: 'p3', status: 'completed', date: '2025-11-30' }
+];
+
+describe('createQuery', () => {
+  const query = createQuery(STORAGE_KEYS.APPOINTMENTS, appointments);
+  
+  it('should find records by a declared index', () => {
+    expect(query.findBy('patientId', 'p1').map(a => a.id)).toEqual(['a1', 'a3']);
+    expect(query.findBy('status', 'checked_in').map(a => a.id)).toEqual(['a2']);
+    expect(query.findBy('patientId', 'nobody')).toEqual([]);
+  });
+  
+  it('should index every collection by id', () => {
+    expect(query.findBy('id', 'a4')[0].patientId).toBe('p3');
+  });
+  
+  it('should index appointments by day from datetime or date', () => {
+    expect(query.findBy('day', '2025-11-28').map(a => a.id)).toEqual(['a2', 'a3']);
+    expect(query.findBy('day', '2025-11-30').map(a => a.id)).toEqual(['a4']);
+  });
+  
+  it('should return records in a range in key order', () => {
+    expect(query.range('day', '2025-11-28', '2025-11-30').map(a => a.id)).toEqual(['a2', 'a3', 'a4']);
+    expect(query.range('day', null, '2025-11-27').map(a => a.id)).toEqual(['a1']);
+    expect(query.range('day', '2025-12-01')).toEqual([]);
+  });
+  
+  it('should return the same array for repeated lookups', () => {
+    expect(query.findBy('patientId', 'p1')).toBe(query.findBy('patientId', 'p1'));
+  });
+  
+  it('should reject an undeclared index', () => {
+    expect(() => query.findBy('clinician', 'Dr. A')).toThrow('Unknown index "clinician"');
+  });
+  
+  it('should index access log overrides by the user who broke the glass', () => {
+    const log = createQuery(STORAGE_KEYS.ACCESS_LOG, [
+      { id: 'access_1', view: ACCESS_VIEWS.CHART, patientId: 'p1', user: { id: 'u1' } },
+      { id: 'access_2', view: ACCESS_VIEWS.OVERRIDE, patientId: 'p2', user: { id: 'u1' } },
+      { id: 'access_3', view: ACCESS_VIEWS.OVERRIDE, patientId: 'p3', user: { id: 'u2' } }
+    ]);
+    
+    expect(log.findBy('overrideBy', 'u1').map(entry => entry.id)).toEqual(['access_2']);
+  });
+});
@@ -0,0 +1,85 @@
+/**
+ * Integrity Checker Tests
+ * 
+ * @description Unit tests for dangling reference detection and repair
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { checkIntegrity, fixIntegrityIssues, INTEGRITY_FIX } from '../integrity';
+import { softDelete, restoreDeleted, isDeleted } from '../trash';
+import { getRecord, putRecords, clearCollection } from '../storage';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const { PATIENTS, APPOINTMENTS, CONSULTATIONS, PRESCRIPTIONS } = STORAGE_KEYS;
+
+describe('checkIntegrity', () => {
+  beforeEach(async () => {
+    for (const key of Object.values(STORAGE_KEYS)) {
+      await clearCollection(key);
+    }
+    await putRecords(PATIENTS, [{ id: 'p1', name: 'Grace Adeyemi' }]);
+    await putRecords(APPOINTMENTS, [
+      { id: 'a1', patientId: 'p1' },
+      { id: 'a2', patientId: 'p_gone' }
+    ]);
+  });
+  
+  it('should report nothing for consistent data', async () => {
+    await clearCollection(APPOINTMENTS);
+    await putRecords(APPOINTMENTS, [{ id: 'a1', patientId: 'p1' }]);
+    
+    expect(await checkIntegrity()).toEqual([]);
+  });
+  
+  it('should report references to missing records', async () => {
+    const issues = await checkIntegrity();
+    
+    expect(issues).toHaveLength(1);
+    expect(issues[0]).toMatchObject({
+      key: APPOINTMENTS,
+      field: 'patientId',
+      value: 'p_gone',
+      targetState: 'missing',
+      fix: INTEGRITY_FIX.TRASH
+    });
+  });
+  
+  it('should trash cascade orphans together with their dependents', async () => {
+    await putRecords(PRESCRIPTIONS, [{ id: 'rx1', appointmentId: 'a2' }]);
+    
+    const result = await fixIntegrityIssues(await checkIntegrity(), 'Admin');
+    
+    expect(result.success).toBe(true);
+    expect(isDeleted(await getRecord(APPOINTMENTS, 'a2'))).toBe(true);
+    expect(isDeleted(await getRecord(PRESCRIPTIONS, 'rx1'))).toBe(true);
+    expect(await checkIntegrity()).toEqual([]);
+  });
+  
+  it('should clear references under restrict relations', async () => {
+    await putRecords(CONSULTATIONS, [{ id: 'c1', patientId: 'p1', appointmentId: 'a_gone' }]);
+    await clearCollection(APPOINTMENTS);
+    
+    const issues = await checkIntegrity();
+    expect(issues.map(i => i.fix)).toEqual([INTEGRITY_FIX.CLEAR]);
+    
+    await fixIntegrityIssues(issues, 'Admin');
+    
+    const consultation = await getRecord(CONSULTATIONS, 'c1');
+    expect(isDeleted(consultation)).toBe(false);
+    expect(consultation.appointmentId).toBeNull();
+  });
+  
+  it('should join orphans to a trashed parent so they are restored with it', async () => {
+    await clearCollection(APPOINTMENTS);
+    await softDelete(PATIENTS, 'p1', 'Admin');
+    // Written later, e.g. synced in from another device
+    await putRecords(APPOINTMENTS, [{ id: 'a3', patientId: 'p1' }]);
+    
+    const issues = await checkIntegrity();
+    expect(issues[0].targetState).toBe('deleted');
+    await fixIntegrityIssues(issues, 'Admin');
+    await restoreDeleted(PATIENTS, 'p1');
+    
+    expect(isDeleted(await getRecord(APPOINTMENTS, 'a3'))).toBe(false);
+  });
+});
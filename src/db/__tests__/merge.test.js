@@ -0,0 +1,128 @@
+/**
+ * Record Merging Tests
+ * 
+ * @description Unit tests for field clocks and field-level merging
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createTransaction } from '../transaction';
+import { getRecord, clearCollection, META_STORE } from '../storage';
+import { mergeRecords, mergeReportFor, tick, MERGE_SIDES, MERGE_SOURCES } from '../merge';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const { PATIENTS, HISTORY } = STORAGE_KEYS;
+
+const commit = (build) => {
+  const tx = createTransaction();
+  build(tx);
+  return tx.commit();
+};
+
+describe('mergeRecords', () => {
+  it('should keep the value with the newest clock for each field', () => {
+    const [older, newer] = [tick(), tick()];
+    const local = { id: 'p1', name: 'Grace', contact: '0700', fieldClocks: { name: newer, contact: older } };
+    const incoming = { id: 'p1', name: 'Grace A.', contact: '0711', fieldClocks: { name: older, contact: newer } };
+    
+    const { record, changes } = mergeRecords(PATIENTS, local, incoming);
+    
+    expect(record).toMatchObject({ name: 'Grace', contact: '0711', fieldClocks: { name: newer, contact: newer } });
+    expect(changes).toEqual([
+      { field: 'name', local: 'Grace', incoming: 'Grace A.', kept: MERGE_SIDES.LOCAL },
+      { field: 'contact', local: '0700', incoming: '0711', kept: MERGE_SIDES.INCOMING }
+    ]);
+  });
+  
+  it('should merge visits entry by entry and not bring back removed ones', () => {
+    const [older, newer] = [tick(), tick()];
+    const local = {
+      id: 'p1',
+      visits: [{ id: 'v1', reason: 'Cough' }, { id: 'v2', reason: 'Fever' }],
+      fieldClocks: { visits: older }
+    };
+    const incoming = {
+      id: 'p1',
+      visits: [{ id: 'v1', reason: 'Dry cough' }, { id: 'v3', reason: 'Review' }],
+      fieldClocks: { visits: newer },
+      removedItems: { visits: { v2: newer } }
+    };
+    
+    const { record, changes } = mergeRecords(PATIENTS, local, incoming);
+    
+    expect(record.visits.map(v => v.id)).toEqual(['v1', 'v3']);
+    expect(record.visits[0].reason).toBe('Dry cough');
+    expect(record.removedItems).toEqual({ visits: { v2: newer } });
+    expect(changes.map(c => [c.item, c.kept])).toEqual([
+      ['v1', MERGE_SIDES.INCOMING],
+      ['v2', MERGE_SIDES.INCOMING]
+    ]);
+  });
+  
+  it('should fall back to updatedAt for records saved before clocks existed', () => {
+    const local = { id: 'p1', contact: '0700', createdAt: '2025-01-01T00:00:00.000Z', updatedAt: '2025-03-01T00:00:00.000Z' };
+    const incoming = { id: 'p1', contact: '0711', createdAt: '2025-01-02T00:00:00.000Z', updatedAt: '2025-02-01T00:00:00.000Z' };
+    
+    const { record, changes } = mergeRecords(PATIENTS, local, incoming);
+    
+    expect(record).toMatchObject({
+      contact: '0700',
+      createdAt: '2025-01-01T00:00:00.000Z',
+      updatedAt: '2025-03-01T00:00:00.000Z'
+    });
+    expect(changes[0].kept).toBe(MERGE_SIDES.LOCAL);
+  });
+  
+  it('should describe a merge for the merge reports', () => {
+    const report = mergeReportFor({
+      key: PATIENTS,
+      record: { id: 'p1', name: 'Grace' },
+      changes: [],
+      source: MERGE_SOURCES.IMPORT,
+      from: 'patients.json'
+    });
+    
+    expect(report).toEqual({
+      key: PATIENTS,
+      recordId: 'p1',
+      label: 'Grace',
+      source: MERGE_SOURCES.IMPORT,
+      from: 'patients.json',
+      changes: []
+    });
+  });
+});
+
+describe('field clocks', () => {
+  beforeEach(async () => {
+    await clearCollection(PATIENTS);
+    await clearCollection(HISTORY);
+    await clearCollection(META_STORE);
+  });
+  
+  it('should clock only the fields a write changes', async () => {
+    await commit(tx => tx.create(PATIENTS, { id: 'p1', name: 'Grace', contact: '0700' }));
+    const created = await getRecord(PATIENTS, 'p1');
+    
+    await commit(tx => tx.update(PATIENTS, 'p1', { contact: '0711' }));
+    const updated = await getRecord(PATIENTS, 'p1');
+    
+    expect(created.fieldClocks.name).toBeTruthy();
+    expect(updated.fieldClocks.name).toBe(created.fieldClocks.name);
+    expect(updated.fieldClocks.contact > created.fieldClocks.contact).toBe(true);
+  });
+  
+  it('should remember removed visits', async () => {
+    await commit(tx => tx.create(PATIENTS, { id: 'p1', name: 'Grace', visits: [{ id: 'v1', date: '2025-01-01' }, { id: 'v2', date: '2025-02-01' }] }));
+    await commit(tx => tx.update(PATIENTS, 'p1', patient => ({ visits: patient.visits.filter(v => v.id !== 'v2') })));
+    
+    const patient = await getRecord(PATIENTS, 'p1');
+    
+    expect(patient.removedItems.visits.v2).toBe(patient.fieldClocks.visits);
+  });
+  
+  it('should leave collections that are not synced alone', async () => {
+    await commit(tx => tx.create('merge_test_notes', { id: 'n1', text: 'Hello' }));
+    
+    expect((await getRecord('merge_test_notes', 'n1')).fieldClocks).toBeUndefined();
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Patient Records Tests
+ * 
+ * @description Unit tests for MRN allocation and merging duplicate patients
+ */
+
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { allocateMrn, assignMissingMrns, findDuplicateMrns, mergePatients, MRN_COUNTER_ID } from '../patients';
+import { restoreDeleted, isDeleted } from '../trash';
+import { getRecordHistory, HISTORY_ACTIONS } from '../history';
+import { getAll, getRecord, putRecords, clearCollection, META_STORE } from '../storage';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { formatMrn, parseMrn } from '../../utils/patientIdentity';
+
+const { PATIENTS, SETTINGS, APPOINTMENTS, CONSULTATIONS, PRESCRIPTIONS, LAB_ORDERS } = STORAGE_KEYS;
+
+describe('patient records', () => {
+  beforeEach(async () => {
+    for (const key of Object.values(STORAGE_KEYS)) {
+      await clearCollection(key);
+    }
+    await clearCollection(META_STORE);
+  });
+  
+  describe('MRNs', () => {
+    const useDeviceCode = (device, sequence = 0) => putRecords(META_STORE, [{ id: MRN_COUNTER_ID, device, sequence }]);
+    
+    it('should hand out distinct numbers with the configured prefix and this device\'s code', async () => {
+      await putRecords(SETTINGS, [{ id: 's1', mrnPrefix: 'cc' }]);
+      
+      const mrns = await Promise.all([allocateMrn(), allocateMrn(), allocateMrn()]);
+      
+      const { device } = await getRecord(META_STORE, MRN_COUNTER_ID);
+      expect(device).toMatch(/^\d{4}$/);
+      expect(mrns.map(mrn => parseMrn(mrn)).sort((a, b) => a.sequence - b.sequence)).toEqual([
+        { prefix: 'CC', device, sequence: 1 },
+        { prefix: 'CC', device, sequence: 2 },
+        { prefix: 'CC', device, sequence: 3 }
+      ]);
+      expect(await getRecord(META_STORE, MRN_COUNTER_ID)).toMatchObject({ device, sequence: 3 });
+    });
+    
+    it('should continue after the highest MRN this device already gave out', async () => {
+      await useDeviceCode('1001');
+      await putRecords(PATIENTS, [
+        { id: 'p1', name: 'Restored Patient', mrn: formatMrn('MRN', 41, '1001') },
+        { id: 'p2', name: 'Kept', mergedRecords: [{ id: 'p3', mrn: formatMrn('MRN', 50, '1001') }] },
+        { id: 'p4', name: 'From Another Device', mrn: formatMrn('MRN', 90, '2002') },
+        { id: 'p5', name: 'Older Number', mrn: 'MRN-0000999' }
+      ]);
+      
+      expect(parseMrn(await allocateMrn())).toMatchObject({ device: '1001', sequence: 51 });
+    });
+    
+    it('should pick a device code that no synced patient uses', async () => {
+      // Counter from before device codes
+      await putRecords(META_STORE, [{ id: MRN_COUNTER_ID, sequence: 7 }]);
+      await putRecords(PATIENTS, [{ id: 'p1', name: 'Synced Patient', mrn: formatMrn('MRN', 3, '1001') }]);
+      const random = vi.spyOn(Math, 'random').mockReturnValueOnce(0.10015).mockReturnValueOnce(0.20025);
+      
+      const mrn = await allocateMrn();
+      random.mockRestore();
+      
+      expect(parseMrn(mrn)).toMatchObject({ device: '2002', sequence: 1 });
+    });
+    
+    it('should give older patients without one an MRN in registration order', async () => {
+      await useDeviceCode('1001');
+      await putRecords(PATIENTS, [
+        { id: 'p1', name: 'Second', createdAt: '2025-02-01T00:00:00.000Z' },
+        { id: 'p2', name: 'First', createdAt: '2025-01-01T00:00:00.000Z' },
+        { id: 'p3', name: 'Has One', mrn: 'MRN-0000018' },
+        { id: 'p4', name: 'Trashed', deletedAt: '2025-03-01T00:00:00.000Z' }
+      ]);
+      
+      const result = await assignMissingMrns();
+      
+      expect(result).toMatchObject({ success: true, count: 2 });
+      expect((await getRecord(PATIENTS, 'p2')).mrn).toBe('MRN-1001-0000015');
+      expect((await getRecord(PATIENTS, 'p1')).mrn).toBe('MRN-1001-0000023');
+      expect((await getRecord(PATIENTS, 'p4')).mrn).toBeUndefined();
+    });
+    
+    it('should find MRNs shared by live patients', () => {
+      const patients = [
+        { id: 'p1', mrn: 'MRN-1001-0000015' },
+        { id: 'p2', mrn: 'MRN-1001-0000015' },
+        { id: 'p3', mrn: 'MRN-0000018', mergedRecords: [{ id: 'p9', mrn: 'MRN-0000026' }] },
+        { id: 'p4', mrn: 'MRN-0000026' },
+        { id: 'p5', mrn: 'MRN-0000018', deletedAt: '2025-03-01T00:00:00.000Z' }
+      ];
+      
+      expect(findDuplicateMrns(patients)).toEqual([
+        { mrn: 'MRN-1001-0000015', patientIds: ['p1', 'p2'] },
+        { mrn: 'MRN-0000026', patientIds: ['p3', 'p4'] }
+      ]);
+    });
+  });
+  
+  describe('mergePatients', () => {
+    beforeEach(async () => {
+      await putRecords(PATIENTS, [
+        { id: 'keep', name: 'Grace Adeyemi', mrn: 'MRN-0000018', dob: '1990-04-12', allergies: 'Penicillin' },
+        { id: 'dup', name: 'Grace Adeyemy', mrn: 'MRN-0000026', dob: '1990-04-12', contact: '0803 555 0101', allergies: 'Latex' }
+      ]);
+      await putRecords(APPOINTMENTS, [
+        { id: 'a1', patientId: 'keep' },
+        { id: 'a2', patientId: 'dup' }
+      ]);
+      await putRecords(CONSULTATIONS, [{ id: 'c2', appointmentId: 'a2', patientId: 'dup' }]);
+      await putRecords(PRESCRIPTIONS, [{ id: 'rx2', appointmentId: 'a2', patientId: 'dup' }]);
+      await putRecords(LAB_ORDERS, [{ id: 'l2', appointmentId: 'a2', patientId: 'dup', deletedAt: '2025-01-01T00:00:00.000Z' }]);
+    });
+    
+    it('should move every record of the duplicate onto the kept patient', async () => {
+      const result = await mergePatients({
+        survivorId: 'keep',
+        duplicateId: 'dup',
+        user: { id: 'u1', name: 'Dr. Okafor', role: 'clinician' }
+      });
+      
+      expect(result).toMatchObject({ success: true, moved: 4 });
+      const moved = [
+        ...(await getAll(APPOINTMENTS)),
+        ...(await getAll(CONSULTATIONS)),
+        ...(await getAll(PRESCRIPTIONS)),
+        ...(await getAll(LAB_ORDERS))
+      ];
+      expect(moved.every(record => record.patientId === 'keep')).toBe(true);
+      
+      const kept = await getRecord(PATIENTS, 'keep');
+      expect(kept).toMatchObject({ name: 'Grace Adeyemi', contact: '0803 555 0101' });
+      expect(kept.allergies.map(a => a.substance)).toEqual(['Penicillin', 'Latex']);
+      expect(kept.mergedRecords).toEqual([expect.objectContaining({ id: 'dup', mrn: 'MRN-0000026' })]);
+      
+      const duplicate = await getRecord(PATIENTS, 'dup');
+      expect(isDeleted(duplicate)).toBe(true);
+      expect(duplicate.mergedInto).toBe('keep');
+      
+      const [version] = (await getRecordHistory(APPOINTMENTS, 'a2')).slice(-1);
+      expect(version).toMatchObject({ action: HISTORY_ACTIONS.PATIENT_MERGE, mergedFrom: 'dup' });
+    });
+    
+    it('should not restore a merged duplicate from the trash', async () => {
+      await mergePatients({ survivorId: 'keep', duplicateId: 'dup' });
+      
+      const result = await restoreDeleted(PATIENTS, 'dup');
+      
+      expect(result.success).toBe(false);
+      expect(isDeleted(await getRecord(PATIENTS, 'dup'))).toBe(true);
+    });
+    
+    it('should refuse to merge a patient into itself', async () => {
+      const result = await mergePatients({ survivorId: 'keep', duplicateId: 'keep' });
+      
+      expect(result.success).toBe(false);
+      expect((await getAll(APPOINTMENTS)).find(a => a.id === 'a2').patientId).toBe('dup');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Storage Quota Tests
+ * 
+ * @description Unit tests for storage health, write blocking and visit archiving
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import {
+  refreshStorageHealth,
+  getStorageHealth,
+  isWriteBlocked,
+  isQuotaExceeded,
+  reportQuotaExceeded,
+  measureCollections,
+  QuotaError,
+  STORAGE_LEVELS
+} from '../quota';
+import { collectArchivableVisits, createVisitArchive, removeArchivedVisits } from '../archive';
+import { createTransaction } from '../transaction';
+import { getRecord, getAll, putRecords, clearCollection, META_STORE } from '../storage';
+import { getRecordHistory } from '../history';
+import { STORAGE_KEYS, APPOINTMENT_STATUS } from '../../utils/constants';
+
+const { PATIENTS, APPOINTMENTS, TRIAGE, CONSULTATIONS, PRESCRIPTIONS, HISTORY } = STORAGE_KEYS;
+
+/**
+ * Make navigator.storage.estimate() report the given usage
+ */
+function stubEstimate(usage, quota) {
+  Object.defineProperty(navigator, 'storage', {
+    value: { estimate: async () => ({ usage, quota }) },
+    configurable: true
+  });
+}
+
+describe('storage health', () => {
+  afterEach(async () => {
+    delete navigator.storage;
+    await refreshStorageHealth({ freed: true });
+  });
+  
+  it('should report usage, remaining quota and a level', async () => {
+    stubEstimate(850, 1000);
+    await refreshStorageHealth();
+    
+    expect(getStorageHealth()).toMatchObject({
+      usage: 850,
+      quota: 1000,
+      remaining: 150,
+      level: STORAGE_LEVELS.WARNING
+    });
+    expect(isWriteBlocked()).toBe(false);
+    
+    stubEstimate(960, 1000);
+    await refreshStorageHealth();
+    expect(getStorageHealth().level).toBe(STORAGE_LEVELS.FULL);
+  });
+  
+  it('should stay full after a quota error until space is freed', async () => {
+    const error = reportQuotaExceeded(new DOMException('Full', 'QuotaExceededError'));
+    
+    expect(error).toBeInstanceOf(QuotaError);
+    await refreshStorageHealth();
+    expect(isWriteBlocked()).toBe(true);
+    
+    await refreshStorageHealth({ freed: true });
+    expect(isWriteBlocked()).toBe(false);
+  });
+  
+  it('should recognise quota errors from the browser', () => {
+    expect(isQuotaExceeded(new DOMException('Full', 'QuotaExceededError'))).toBe(true);
+    expect(isQuotaExceeded({ target: { error: { name: 'QuotaExceededError' } } })).toBe(true);
+    expect(isQuotaExceeded(new Error('Network down'))).toBe(false);
+  });
+});
+
+describe('write blocking', () => {
+  beforeEach(async () => {
+    await clearCollection(PATIENTS);
+    await clearCollection(META_STORE);
+  });
+  
+  afterEach(async () => {
+    delete navigator.storage;
+    await refreshStorageHealth({ freed: true });
+  });
+  
+  it('should refuse transactions while storage is full, except ones that free space', async () => {
+    await putRecords(PATIENTS, [{ id: 'p1', name: 'Jane' }]);
+    stubEstimate(990, 1000);
+    await refreshStorageHealth();
+    
+    const tx = createTransaction();
+    tx.create(PATIENTS, { id: 'p2', name: 'John' });
+    const refused = await tx.commit();
+    
+    expect(refused.success).toBe(false);
+    expect(refused.error).toBeInstanceOf(QuotaError);
+    expect(await getRecord(PATIENTS, 'p2')).toBeNull();
+    
+    const purge = createTransaction({ freesSpace: true });
+    purge.remove(PATIENTS, 'p1');
+    expect((await purge.commit()).success).toBe(true);
+    expect(await getRecord(PATIENTS, 'p1')).toBeNull();
+  });
+  
+  it('should measure each collection', async () => {
+    await putRecords(PATIENTS, [{ id: 'p1', name: 'Jane' }, { id: 'p2', name: 'John' }]);
+    
+    const patients = (await measureCollections()).find(c => c.key === PATIENTS);
+    
+    expect(patients.count).toBe(2);
+    expect(patients.bytes).toBeGreaterThan(0);
+    expect((await measureCollections()).some(c => c.key === STORAGE_KEYS.USERS)).toBe(false);
+  });
+});
+
+describe('visit archive', () => {
+  const keys = [PATIENTS, APPOINTMENTS, TRIAGE, CONSULTATIONS, PRESCRIPTIONS, HISTORY, META_STORE];
+  
+  beforeEach(async () => {
+    for (const key of keys) await clearCollection(key);
+    
+    const tx = createTransaction();
+    tx.create(PATIENTS, { id: 'p1', name: 'Jane' });
+    tx.create(APPOINTMENTS, {
+      id: 'old', patientId: 'p1', datetime: '2023-01-10T09:00', status: APPOINTMENT_STATUS.COMPLETED
+    });
+    tx.create(APPOINTMENTS, {
+      id: 'recent', patientId: 'p1', datetime: '2025-06-10T09:00', status: APPOINTMENT_STATUS.COMPLETED
+    });
+    tx.create(APPOINTMENTS, {
+      id: 'missed', patientId: 'p1', datetime: '2023-01-11T09:00', status: APPOINTMENT_STATUS.NO_SHOW
+    });
+    tx.create(TRIAGE, { id: 't1', appointmentId: 'old', patientId: 'p1' });
+    tx.create(CONSULTATIONS, { id: 'c1', appointmentId: 'old', patientId: 'p1' });
+    tx.create(PRESCRIPTIONS, { id: 'rx1', appointmentId: 'old', consultationId: 'c1', patientId: 'p1', medications: [] });
+    await tx.commit();
+  });
+  
+  it('should collect old completed visits with their records and history', async () => {
+    const collected = await collectArchivableVisits('2024-01-01');
+    
+    expect(collected.appointments.map(a => a.id)).toEqual(['old']);
+    expect(collected.records.map(r => `${r.key}:${r.record.id}`).sort()).toEqual([
+      `${APPOINTMENTS}:old`,
+      `${CONSULTATIONS}:c1`,
+      `${PRESCRIPTIONS}:rx1`,
+      `${TRIAGE}:t1`
+    ].sort());
+    expect(collected.history).toHaveLength(4);
+    
+    const archive = createVisitArchive(collected, 'Admin');
+    expect(archive).toMatchObject({ visits: 1, before: '2024-01-01', archivedBy: 'Admin' });
+    expect(archive.collections[CONSULTATIONS]).toHaveLength(1);
+  });
+  
+  it('should remove archived visits and their history, keeping the patient', async () => {
+    const collected = await collectArchivableVisits('2024-01-01');
+    const result = await removeArchivedVisits(collected);
+    
+    expect(result).toMatchObject({ success: true, count: 4 });
+    expect((await getAll(APPOINTMENTS)).map(a => a.id).sort()).toEqual(['missed', 'recent']);
+    expect(await getAll(CONSULTATIONS)).toEqual([]);
+    expect(await getRecordHistory(APPOINTMENTS, 'old')).toEqual([]);
+    expect(await getRecordHistory(APPOINTMENTS, 'recent')).toHaveLength(1);
+    expect(await getRecord(PATIENTS, 'p1')).not.toBeNull();
+  });
+});
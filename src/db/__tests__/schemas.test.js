@@ -0,0 +1,117 @@
+/**
+ * Schema Tests
+ * 
+ * @description Unit tests for collection schema validation
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { validateRecord, validateRecords, SchemaError } from '../schemas';
+import { createTransaction } from '../transaction';
+import { getRecord, putRecords, clearCollection, META_STORE } from '../storage';
+import { STORAGE_KEYS, APPOINTMENT_STATUS } from '../../utils/constants';
+
+const { PATIENTS, APPOINTMENTS, INVENTORY } = STORAGE_KEYS;
+
+const appointment = {
+  id: 'a1',
+  patientId: 'p1',
+  datetime: '2025-11-28T09:00',
+  status: APPOINTMENT_STATUS.SCHEDULED
+};
+
+describe('validateRecord', () => {
+  it('should accept a valid record and allow unknown fields', () => {
+    expect(validateRecord(APPOINTMENTS, { ...appointment, notes: 'Bring card' })).toEqual([]);
+  });
+  
+  it('should report required fields, types, enums and date formats', () => {
+    const errors = validateRecord(APPOINTMENTS, {
+      id: 'a1',
+      datetime: '28/11/2025',
+      status: 'waiting',
+      isWalkIn: 'yes'
+    });
+    
+    expect(errors.map(e => e.field)).toEqual(['patientId', 'datetime', 'status', 'isWalkIn']);
+  });
+  
+  it('should allow empty optional fields but not impossible dates', () => {
+    expect(validateRecord(PATIENTS, { id: 'p1', name: 'Jane', dob: '', email: null })).toEqual([]);
+    expect(validateRecord(PATIENTS, { id: 'p1', name: 'Jane', dob: '2025-13-45' }))
+      .toEqual([{ field: 'dob', message: 'must be a date (YYYY-MM-DD)' }]);
+  });
+  
+  it('should check nested list items', () => {
+    const errors = validateRecord(INVENTORY, {
+      id: 'i1',
+      name: 'Gloves',
+      category: 'supplies',
+      quantity: 10,
+      unit: 'boxes',
+      transactions: [{ t: 'in', qty: 10 }, { t: 'lost', qty: -1 }]
+    });
+    
+    expect(errors.map(e => e.field)).toEqual(['transactions[1].t', 'transactions[1].qty']);
+  });
+  
+  it('should accept any of a field\'s listed types', () => {
+    const patient = { id: 'p1', name: 'Jane' };
+    
+    expect(validateRecord(PATIENTS, { ...patient, allergies: 'Penicillin, Latex' })).toEqual([]);
+    expect(validateRecord(PATIENTS, { ...patient, allergies: [{ substance: 'Penicillin', severity: 'severe' }] }))
+      .toEqual([]);
+    expect(validateRecord(PATIENTS, { ...patient, allergies: [{ severity: 'fatal' }] }).map(e => e.field))
+      .toEqual(['allergies[0].substance', 'allergies[0].severity']);
+    expect(validateRecord(PATIENTS, { ...patient, allergies: 42 }))
+      .toEqual([{ field: 'allergies', message: 'must be a list or text' }]);
+  });
+  
+  it('should only check the given fields', () => {
+    expect(validateRecord(APPOINTMENTS, { id: 'a1', status: 'scheduled' }, ['status'])).toEqual([]);
+  });
+  
+  it('should accept any record in a collection without a schema', () => {
+    expect(validateRecord('unknown_key', { anything: true })).toEqual([]);
+  });
+});
+
+describe('validateRecords', () => {
+  it('should report each invalid record with its position and id', () => {
+    const report = validateRecords(APPOINTMENTS, [appointment, { id: 'a2', patientId: 'p1' }]);
+    
+    expect(report).toHaveLength(1);
+    expect(report[0]).toMatchObject({ index: 1, id: 'a2' });
+    expect(report[0].errors.map(e => e.field)).toEqual(['datetime', 'status']);
+  });
+});
+
+describe('transactions', () => {
+  beforeEach(async () => {
+    await clearCollection(APPOINTMENTS);
+    await clearCollection(META_STORE);
+  });
+  
+  it('should roll back a transaction that writes an invalid record', async () => {
+    const tx = createTransaction();
+    tx.create(APPOINTMENTS, appointment);
+    tx.create(APPOINTMENTS, { id: 'a2', patientId: 'p1', status: 'waiting' });
+    
+    const result = await tx.commit();
+    
+    expect(result.success).toBe(false);
+    expect(result.error).toBeInstanceOf(SchemaError);
+    expect(result.error.report[0].id).toBe('a2');
+    expect(await getRecord(APPOINTMENTS, 'a1')).toBeNull();
+  });
+  
+  it('should still update records saved before a rule existed', async () => {
+    await putRecords(APPOINTMENTS, [{ id: 'old', patientId: 'p1', status: 'scheduled' }]);
+    
+    const tx = createTransaction();
+    tx.update(APPOINTMENTS, 'old', { status: APPOINTMENT_STATUS.CANCELLED });
+    const result = await tx.commit();
+    
+    expect(result.success).toBe(true);
+    expect((await getRecord(APPOINTMENTS, 'old')).status).toBe(APPOINTMENT_STATUS.CANCELLED);
+  });
+});
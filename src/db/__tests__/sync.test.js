@@ -0,0 +1,248 @@
+/**
+ * Sync Tests
+ * 
+ * @description Unit tests for the outbox, push/pull, merging and conflict resolution,
+ * against an in-process copy of the reference sync server
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import {
+  saveSyncConfig,
+  syncNow,
+  refreshSyncStatus,
+  getConflicts,
+  resolveConflict,
+  CONFLICT_CHOICES
+} from '../sync';
+import { tick } from '../merge';
+import { getOutbox } from '../outbox';
+import { createTransaction } from '../transaction';
+import { getAll, getRecord, clearCollection, META_STORE } from '../storage';
+import { getRecordHistory } from '../history';
+import { createSyncStore } from '../../../server/syncStore.js';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const { PATIENTS, HISTORY, OUTBOX, MERGE_REPORTS } = STORAGE_KEYS;
+
+/**
+ * Transport that talks to a store in memory, copying data as JSON would
+ */
+const transportFor = (store) => {
+  const copy = value => JSON.parse(JSON.stringify(value));
+  return {
+    push: async body => copy(store.push(copy(body))),
+    pull: async query => copy(store.pull(query))
+  };
+};
+
+/**
+ * Push a patient from another device straight to the server
+ */
+const pushFromOtherDevice = (store, record, baseRev) => store.push({
+  deviceId: 'other-device',
+  deviceName: 'Reception PC',
+  changes: [{ key: PATIENTS, id: record.id, baseRev, record, changedBy: { id: 'u2', name: 'Nurse Wanjiru' } }]
+});
+
+async function savePatient(record) {
+  const tx = createTransaction();
+  tx.put(PATIENTS, record);
+  await tx.commit();
+}
+
+describe('sync', () => {
+  let store;
+  let transport;
+  
+  beforeEach(async () => {
+    for (const key of [PATIENTS, HISTORY, OUTBOX, MERGE_REPORTS, META_STORE]) {
+      await clearCollection(key);
+    }
+    store = createSyncStore();
+    transport = transportFor(store);
+  });
+  
+  it('should not queue changes until a sync server is configured', async () => {
+    await savePatient({ id: 'p1', name: 'Grace Adeyemi' });
+    expect(await getOutbox()).toHaveLength(0);
+    
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    await savePatient({ id: 'p2', name: 'Samuel Mensah' });
+    
+    expect((await getOutbox()).map(entry => entry.recordId)).toEqual(['p2']);
+  });
+  
+  it('should push existing and new records, then stamp their revisions', async () => {
+    await savePatient({ id: 'p1', name: 'Grace Adeyemi' });
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    await savePatient({ id: 'p2', name: 'Samuel Mensah' });
+    
+    const result = await syncNow({ transport });
+    
+    expect(result).toMatchObject({ success: true, pushed: 2, conflicts: 0 });
+    expect(await getOutbox()).toHaveLength(0);
+    expect((await getRecord(PATIENTS, 'p1')).syncRev).toBe(1);
+    expect(store.pull({ since: 0 }).changes.map(c => c.id).sort()).toEqual(['p1', 'p2']);
+    expect(store.pull({ since: 0 }).changes[0].record.syncRev).toBeUndefined();
+  });
+  
+  it('should pull other devices\' changes and credit them in the history', async () => {
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    pushFromOtherDevice(store, { id: 'p9', name: 'Halima Yusuf' }, null);
+    
+    const result = await syncNow({ transport });
+    
+    expect(result).toMatchObject({ success: true, pulled: 1 });
+    expect(await getRecord(PATIENTS, 'p9')).toMatchObject({ name: 'Halima Yusuf', syncRev: 1 });
+    expect(await getOutbox()).toHaveLength(0);
+    const [version] = await getRecordHistory(PATIENTS, 'p9');
+    expect(version).toMatchObject({ action: 'sync', device: 'Reception PC' });
+    expect(version.changedBy.name).toBe('Nurse Wanjiru');
+  });
+  
+  it('should skip and report pulled records that fail validation, and still move on', async () => {
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    pushFromOtherDevice(store, { id: 'p8', name: 'Halima Yusuf', dob: '2025-13-45' }, null);
+    pushFromOtherDevice(store, { id: 'p9', name: 'Samuel Mensah' }, null);
+    
+    const result = await syncNow({ transport });
+    
+    expect(result).toMatchObject({ success: true, pulled: 1, rejected: 1 });
+    expect(await getRecord(PATIENTS, 'p8')).toBeNull();
+    expect(await getRecord(PATIENTS, 'p9')).not.toBeNull();
+    const { rejected, cursor } = await getRecord(META_STORE, 'sync_state');
+    expect(rejected).toEqual([expect.objectContaining({ key: PATIENTS, id: 'p8', device: 'Reception PC' })]);
+    expect(rejected[0].errors[0].field).toBe('dob');
+    
+    expect(await syncNow({ transport })).toMatchObject({ success: true, pulled: 0, rejected: 0 });
+    expect((await getRecord(META_STORE, 'sync_state')).cursor).toBe(cursor);
+    
+    pushFromOtherDevice(store, { id: 'p8', name: 'Halima Yusuf', dob: '2015-03-14' }, 1);
+    expect(await syncNow({ transport })).toMatchObject({ success: true, pulled: 1 });
+    expect((await getRecord(META_STORE, 'sync_state')).rejected).toEqual([]);
+  });
+  
+  it('should flag an MRN another device also gave out', async () => {
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    await savePatient({ id: 'p1', name: 'Grace Adeyemi', mrn: 'MRN-1001-0000015' });
+    pushFromOtherDevice(store, { id: 'p9', name: 'Halima Yusuf', mrn: 'MRN-1001-0000015' }, null);
+    
+    const result = await syncNow({ transport });
+    
+    expect(result).toMatchObject({ success: true, pulled: 1, duplicateMrns: 1 });
+    expect((await refreshSyncStatus()).duplicateMrns).toEqual([
+      { mrn: 'MRN-1001-0000015', patientIds: expect.arrayContaining(['p1', 'p9']) }
+    ]);
+  });
+  
+  it('should merge edits made on both devices, keeping the newest value of each field', async () => {
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    await savePatient({ id: 'p1', name: 'Grace Adeyemi', contact: '0700', address: 'Old Road' });
+    await syncNow({ transport });
+    
+    // The other device changes the name and contact first...
+    const { syncRev, ...synced } = await getRecord(PATIENTS, 'p1');
+    const remoteClock = tick();
+    pushFromOtherDevice(store, {
+      ...synced,
+      name: 'Grace A.',
+      contact: '0711',
+      fieldClocks: { ...synced.fieldClocks, name: remoteClock, contact: remoteClock }
+    }, 1);
+    // ...then this device changes the contact and address
+    await savePatient({ ...(await getRecord(PATIENTS, 'p1')), contact: '0722', address: 'New Road' });
+    
+    const result = await syncNow({ transport });
+    
+    expect(result).toMatchObject({ success: true, merged: 1, conflicts: 0 });
+    expect(await getRecord(PATIENTS, 'p1')).toMatchObject({
+      name: 'Grace A.',
+      contact: '0722',
+      address: 'New Road',
+      syncRev: 3
+    });
+    expect(await getOutbox()).toHaveLength(0);
+    const serverCopy = store.pull({ since: 0, deviceId: 'other-device' }).changes.find(c => c.id === 'p1');
+    expect(serverCopy.record).toMatchObject({ name: 'Grace A.', contact: '0722', address: 'New Road' });
+    
+    const [report] = await getAll(MERGE_REPORTS);
+    expect(report).toMatchObject({ recordId: 'p1', source: 'sync', from: 'Reception PC' });
+    expect(report.changes).toContainEqual({ field: 'contact', local: '0722', incoming: '0711', kept: 'local' });
+    const versions = await getRecordHistory(PATIENTS, 'p1');
+    expect(versions[versions.length - 1].action).toBe('merge');
+  });
+  
+  it('should leave a record deleted on one device and edited on another for someone to resolve', async () => {
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    await savePatient({ id: 'p1', name: 'Grace Adeyemi', contact: '0700' });
+    await syncNow({ transport });
+    pushFromOtherDevice(store, { id: 'p1', name: 'Grace Adeyemi' }, 1);
+    store.push({ deviceId: 'other-device', changes: [{ key: PATIENTS, id: 'p1', baseRev: 2, record: null }] });
+    await savePatient({ ...(await getRecord(PATIENTS, 'p1')), contact: '0722' });
+    
+    const result = await syncNow({ transport });
+    
+    expect(result).toMatchObject({ success: true, conflicts: 1 });
+    const [conflict] = await getConflicts();
+    expect(conflict).toMatchObject({ key: PATIENTS, recordId: 'p1', remote: null });
+    expect(conflict.entry.conflict.remoteRev).toBe(3);
+    // Nothing is removed until someone decides
+    expect((await getRecord(PATIENTS, 'p1')).contact).toBe('0722');
+  });
+  
+  it('should apply the other device\'s deletion when chosen', async () => {
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    await savePatient({ id: 'p1', name: 'Grace Adeyemi' });
+    await syncNow({ transport });
+    store.push({ deviceId: 'other-device', changes: [{ key: PATIENTS, id: 'p1', baseRev: 1, record: null }] });
+    await savePatient({ ...(await getRecord(PATIENTS, 'p1')), contact: '0722' });
+    await syncNow({ transport });
+    
+    const result = await resolveConflict(`${PATIENTS}:p1`, CONFLICT_CHOICES.REMOTE);
+    
+    expect(result.success).toBe(true);
+    expect(await getRecord(PATIENTS, 'p1')).toBeNull();
+    expect(await getOutbox()).toHaveLength(0);
+  });
+  
+  it('should push the record again when it is kept', async () => {
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    await savePatient({ id: 'p1', name: 'Grace Adeyemi' });
+    await syncNow({ transport });
+    store.push({ deviceId: 'other-device', changes: [{ key: PATIENTS, id: 'p1', baseRev: 1, record: null }] });
+    await savePatient({ ...(await getRecord(PATIENTS, 'p1')), contact: '0722' });
+    await syncNow({ transport });
+    
+    await resolveConflict(`${PATIENTS}:p1`, CONFLICT_CHOICES.LOCAL);
+    const result = await syncNow({ transport });
+    
+    expect(result).toMatchObject({ success: true, pushed: 1, conflicts: 0 });
+    const serverCopy = store.pull({ since: 0, deviceId: 'other-device' }).changes.find(c => c.id === 'p1');
+    expect(serverCopy).toMatchObject({ rev: 3, record: { contact: '0722' } });
+  });
+  
+  it('should treat identical edits on both devices as already synced', async () => {
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    await savePatient({ id: 'p1', name: 'Grace Adeyemi' });
+    await syncNow({ transport });
+    pushFromOtherDevice(store, { id: 'p1', name: 'Grace Okafor' }, 1);
+    await savePatient({ ...(await getRecord(PATIENTS, 'p1')), name: 'Grace Okafor' });
+    
+    const result = await syncNow({ transport });
+    
+    expect(result).toMatchObject({ success: true, conflicts: 0 });
+    expect(await getOutbox()).toHaveLength(0);
+    expect((await getRecord(PATIENTS, 'p1')).syncRev).toBe(2);
+  });
+  
+  it('should report a server that can\'t be reached and keep the outbox', async () => {
+    await saveSyncConfig({ url: 'http://sync.local/sync', enabled: true });
+    await savePatient({ id: 'p1', name: 'Grace Adeyemi' });
+    const offline = { push: async () => { throw new Error('offline'); }, pull: async () => ({}) };
+    
+    const result = await syncNow({ transport: offline });
+    
+    expect(result.success).toBe(false);
+    expect(await getOutbox()).toHaveLength(1);
+  });
+});
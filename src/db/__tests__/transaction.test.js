@@ -0,0 +1,102 @@
+/**
+ * Transaction Tests
+ * 
+ * @description Unit tests for atomic multi-collection writes
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { createTransaction } from '../transaction';
+import {
+  getAll,
+  getRecord,
+  putRecords,
+  clearCollection,
+  writeJournal,
+  recoverInterruptedTransaction,
+  META_STORE
+} from '../storage';
+
+const APPOINTMENTS = 'tx_test_appointments';
+const CONSULTATIONS = 'tx_test_consultations';
+
+describe('createTransaction', () => {
+  beforeEach(async () => {
+    await clearCollection(APPOINTMENTS);
+    await clearCollection(CONSULTATIONS);
+    await clearCollection(META_STORE);
+    await putRecords(APPOINTMENTS, [{ id: 'apt1', status: 'in_queue' }]);
+  });
+  
+  it('should commit writes across collections', async () => {
+    const tx = createTransaction();
+    const consultation = tx.create(CONSULTATIONS, { appointmentId: 'apt1' });
+    tx.update(APPOINTMENTS, 'apt1', { status: 'pharmacy', consultationId: consultation.id });
+    
+    const result = await tx.commit();
+    
+    expect(result.success).toBe(true);
+    expect(await getAll(CONSULTATIONS)).toHaveLength(1);
+    expect((await getRecord(APPOINTMENTS, 'apt1')).status).toBe('pharmacy');
+  });
+  
+  it('should write nothing when any operation fails', async () => {
+    const tx = createTransaction();
+    tx.create(CONSULTATIONS, { appointmentId: 'apt1' });
+    tx.update(APPOINTMENTS, 'apt1', { status: 'pharmacy' });
+    tx.update(APPOINTMENTS, 'missing', { status: 'completed' });
+    
+    const result = await tx.commit();
+    
+    expect(result.success).toBe(false);
+    expect(await getAll(CONSULTATIONS)).toEqual([]);
+    expect((await getRecord(APPOINTMENTS, 'apt1')).status).toBe('in_queue');
+  });
+  
+  it('should fold several updates to the same record into one write', async () => {
+    const tx = createTransaction();
+    tx.update(APPOINTMENTS, 'apt1', { status: 'with_doctor' });
+    tx.update(APPOINTMENTS, 'apt1', { calledAt: '2025-01-01T09:00:00.000Z' });
+    
+    await tx.commit();
+    
+    const stored = await getRecord(APPOINTMENTS, 'apt1');
+    expect(stored.status).toBe('with_doctor');
+    expect(stored.calledAt).toBe('2025-01-01T09:00:00.000Z');
+  });
+  
+  it('should refuse to commit twice', async () => {
+    const tx = createTransaction();
+    tx.update(APPOINTMENTS, 'apt1', { status: 'with_doctor' });
+    await tx.commit();
+    
+    expect(() => tx.commit()).toThrow('already been committed');
+  });
+});
+
+describe('recoverInterruptedTransaction', () => {
+  beforeEach(async () => {
+    await clearCollection(APPOINTMENTS);
+    await clearCollection(CONSULTATIONS);
+    await clearCollection(META_STORE);
+  });
+  
+  it('should roll back a half-applied transaction from its journal', async () => {
+    // Simulate a crash after the consultation was written but before the appointment
+    await writeJournal({
+      id: 'tx1',
+      entries: [
+        { key: CONSULTATIONS, id: 'c1', before: null },
+        { key: APPOINTMENTS, id: 'apt1', before: { id: 'apt1', status: 'in_queue' } }
+      ]
+    });
+    await putRecords(CONSULTATIONS, [{ id: 'c1', appointmentId: 'apt1' }]);
+    await putRecords(APPOINTMENTS, [{ id: 'apt1', status: 'pharmacy' }]);
+    
+    const recovered = await recoverInterruptedTransaction();
+    
+    expect(recovered).toBe(true);
+    expect(await getAll(CONSULTATIONS)).toEqual([]);
+    expect((await getRecord(APPOINTMENTS, 'apt1')).status).toBe('in_queue');
+    expect(await recoverInterruptedTransaction()).toBe(false);
+  });
+});
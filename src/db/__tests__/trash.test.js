@@ -0,0 +1,137 @@
+/**
+ * Trash Tests
+ * 
+ * @description Unit tests for soft delete, restore and purge
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { softDelete, restoreDeleted, purgeDeleted, isDeleted } from '../trash';
+import { createTransaction } from '../transaction';
+import { getAll, getRecord, putRecords, clearCollection } from '../storage';
+import { historyId, HISTORY_ACTIONS } from '../history';
+import { STORAGE_KEYS } from '../../utils/constants';
+
+const { PATIENTS, APPOINTMENTS, CONSULTATIONS, PRESCRIPTIONS, HISTORY } = STORAGE_KEYS;
+
+describe('trash', () => {
+  beforeEach(async () => {
+    for (const key of Object.values(STORAGE_KEYS)) {
+      await clearCollection(key);
+    }
+    await putRecords(PATIENTS, [
+      { id: 'p1', name: 'Grace Adeyemi' },
+      { id: 'p2', name: 'Other Patient' }
+    ]);
+    await putRecords(APPOINTMENTS, [
+      { id: 'a1', patientId: 'p1' },
+      { id: 'a2', patientId: 'p2' }
+    ]);
+    await putRecords(CONSULTATIONS, [{ id: 'c1', appointmentId: 'a1', patientId: 'p1' }]);
+    await putRecords(PRESCRIPTIONS, [{ id: 'rx1', appointmentId: 'a1', patientId: 'p1' }]);
+  });
+  
+  it('should tombstone a patient together with their records', async () => {
+    const result = await softDelete(PATIENTS, 'p1', 'Dr. Okafor');
+    
+    expect(result).toMatchObject({ success: true, count: 4 });
+    const patient = await getRecord(PATIENTS, 'p1');
+    expect(patient.deletedBy).toBe('Dr. Okafor');
+    expect(isDeleted(patient)).toBe(true);
+    expect(isDeleted(await getRecord(APPOINTMENTS, 'a1'))).toBe(true);
+    expect(isDeleted(await getRecord(CONSULTATIONS, 'c1'))).toBe(true);
+    expect((await getRecord(CONSULTATIONS, 'c1')).deletedWith).toBe(`${PATIENTS}:p1`);
+    expect(isDeleted(await getRecord(APPOINTMENTS, 'a2'))).toBe(false);
+  });
+  
+  it('should restore a patient with the records deleted alongside it', async () => {
+    await softDelete(PATIENTS, 'p1', 'Dr. Okafor');
+    
+    const result = await restoreDeleted(PATIENTS, 'p1');
+    
+    expect(result).toMatchObject({ success: true, count: 4 });
+    const all = [
+      ...(await getAll(PATIENTS)),
+      ...(await getAll(APPOINTMENTS)),
+      ...(await getAll(CONSULTATIONS)),
+      ...(await getAll(PRESCRIPTIONS))
+    ];
+    expect(all.some(isDeleted)).toBe(false);
+  });
+  
+  it('should not bring back records deleted separately before the patient', async () => {
+    await softDelete(CONSULTATIONS, 'c1', 'Dr. Okafor');
+    await softDelete(PATIENTS, 'p1', 'Dr. Okafor');
+    
+    await restoreDeleted(PATIENTS, 'p1');
+    
+    expect(isDeleted(await getRecord(APPOINTMENTS, 'a1'))).toBe(false);
+    expect(isDeleted(await getRecord(CONSULTATIONS, 'c1'))).toBe(true);
+  });
+  
+  it('should refuse to restore a record whose parent is still deleted', async () => {
+    await softDelete(APPOINTMENTS, 'a2', 'Dr. Okafor');
+    await softDelete(PATIENTS, 'p2', 'Dr. Okafor');
+    
+    const result = await restoreDeleted(APPOINTMENTS, 'a2');
+    
+    expect(result.success).toBe(false);
+    expect(isDeleted(await getRecord(APPOINTMENTS, 'a2'))).toBe(true);
+  });
+  
+  it('should refuse to delete an appointment that has a consultation', async () => {
+    const result = await softDelete(APPOINTMENTS, 'a1', 'Dr. Okafor');
+    
+    expect(result.success).toBe(false);
+    expect(result.error.name).toBe('IntegrityError');
+    expect(result.error.references.map(r => r.record.id)).toEqual(['c1']);
+    expect(isDeleted(await getRecord(APPOINTMENTS, 'a1'))).toBe(false);
+    expect(isDeleted(await getRecord(PRESCRIPTIONS, 'rx1'))).toBe(false);
+  });
+  
+  it('should clear set_null references when purging', async () => {
+    await putRecords(APPOINTMENTS, [{ id: 'a2', patientId: 'p2', consultationId: 'c2' }]);
+    await putRecords(CONSULTATIONS, [{ id: 'c2', patientId: 'p2' }]);
+    await softDelete(CONSULTATIONS, 'c2', 'Dr. Okafor');
+    
+    await purgeDeleted(CONSULTATIONS, 'c2');
+    
+    expect((await getRecord(APPOINTMENTS, 'a2')).consultationId).toBeNull();
+  });
+  
+  it('should purge a record and everything deleted with it', async () => {
+    await softDelete(PATIENTS, 'p1', 'Dr. Okafor');
+    
+    const result = await purgeDeleted(PATIENTS, 'p1');
+    
+    expect(result.success).toBe(true);
+    expect(await getRecord(PATIENTS, 'p1')).toBeNull();
+    expect(await getRecord(CONSULTATIONS, 'c1')).toBeNull();
+    expect(await getRecord(APPOINTMENTS, 'a2')).not.toBeNull();
+  });
+  
+  it('should leave no field values of purged records in their history', async () => {
+    const tx = createTransaction();
+    tx.update(PATIENTS, 'p1', { phone: '0803 555 0101' });
+    await tx.commit();
+    await softDelete(PATIENTS, 'p1', 'Dr. Okafor');
+    
+    await purgeDeleted(PATIENTS, 'p1');
+    
+    const docs = await getAll(HISTORY);
+    const patientDoc = docs.find(doc => doc.id === historyId(PATIENTS, 'p1'));
+    expect(patientDoc.versions).toEqual([expect.objectContaining({ action: HISTORY_ACTIONS.PURGE, changes: [] })]);
+    for (const [key, id] of [[PATIENTS, 'p1'], [APPOINTMENTS, 'a1'], [CONSULTATIONS, 'c1'], [PRESCRIPTIONS, 'rx1']]) {
+      const doc = docs.find(d => d.id === historyId(key, id));
+      expect(doc.versions.flatMap(v => v.changes)).toEqual([]);
+    }
+    expect(JSON.stringify(docs)).not.toContain('Grace Adeyemi');
+    expect(JSON.stringify(docs)).not.toContain('0803 555 0101');
+  });
+  
+  it('should only purge records that are in the trash', async () => {
+    const result = await purgeDeleted(PATIENTS, 'p2');
+    
+    expect(result.success).toBe(false);
+    expect(await getRecord(PATIENTS, 'p2')).not.toBeNull();
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Chart Access Log
+ * 
+ * @description Append-only record of who opened which patient's chart or
+ * visit summary, and when, and who broke the glass on a restricted chart
+ * @features
+ *   - Each entry holds the SHA-256 hash of the entry before it, so editing,
+ *     removing or reordering entries breaks the chain
+ *   - The newest seq and hash are also kept in META_STORE, so cutting entries
+ *     off the end is noticed too
+ *   - Opening a chart with a sensitive lab test (LAB_TESTS `sensitive`) is flagged
+ *   - Overrides of a restricted chart carry the user's justification, and
+ *     admins append a review entry once they have checked one
+ *   - Appends are serialized across tabs (Web Locks) so two never share a seq
+ * 
+ * @example
+ *   await logChartAccess({ view: ACCESS_VIEWS.CHART, patientId, patientName, user });
+ *   const { valid, brokenAt } = await verifyAccessLog();
+ */
+
+import { STORAGE_KEYS, LAB_TESTS } from '../utils/constants';
+import { META_STORE, getAll, getRecord } from './storage';
+import { createTransaction } from './transaction';
+import { toActor } from './history';
+import { withLock } from './locks';
+import { isDeleted } from './trash';
+
+export const ACCESS_VIEWS = {
+  CHART: 'chart',
+  VISIT_SUMMARY: 'visit_summary',
+  OVERRIDE: 'override',
+  OVERRIDE_REVIEW: 'override_review'
+};
+
+// How long breaking the glass opens a restricted chart for
+export const OVERRIDE_HOURS = 8;
+
+// META_STORE record holding the newest entry's seq and hash
+export const ACCESS_LOG_HEAD_ID = 'accessLogHead';
+
+const GENESIS = { seq: 0, hash: '0'.repeat(64) };
+
+const LOCK_NAME = 'cliniccare_access_log';
+
+// Fields covered by an entry's hash, in this order
+const CHAINED_FIELDS = [
+  'seq', 'view', 'patientId', 'patientName', 'appointmentId',
+  'user', 'accessedAt', 'sensitiveTests', 'prevHash'
+];
+
+// Fields only some entries have; hashed with their names when present
+const OPTIONAL_CHAINED_FIELDS = ['justification', 'reviewOf'];
+
+const SENSITIVE_CODES = LAB_TESTS.filter(test => test.sensitive).map(test => test.code);
+
+const encoder = new TextEncoder();
+
+/**
+ * SHA-256 of an entry's chained fields
+ * @param {Object} entry - Log entry
+ * @returns {Promise<string>} Hex digest
+ */
+export async function hashEntry(entry) {
+  const payload = JSON.stringify([
+    ...CHAINED_FIELDS.map(field => entry[field] ?? null),
+    ...OPTIONAL_CHAINED_FIELDS.filter(field => entry[field] != null).map(field => [field, entry[field]])
+  ]);
+  const digest = await crypto.subtle.digest('SHA-256', encoder.encode(payload));
+  return [...new Uint8Array(digest)].map(b => b.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Sensitive tests ordered for a patient, or for one visit
+ * @param {string} patientId - Patient ID
+ * @param {string|null} appointmentId - Limit to this visit
+ * @returns {Promise<Array>} Test codes
+ */
+async function sensitiveTestsFor(patientId, appointmentId) {
+  const orders = (await getAll(STORAGE_KEYS.LAB_ORDERS)).filter(order => (
+    !isDeleted(order) &&
+    order.patientId === patientId &&
+    (!appointmentId || order.appointmentId === appointmentId)
+  ));
+  const codes = new Set(orders.flatMap(order => (order.tests || []).map(test => test.code)));
+  return SENSITIVE_CODES.filter(code => codes.has(code));
+}
+
+/**
+ * Append an entry, chained to the newest one
+ * @param {Object} fields - Entry fields other than id, seq and the hashes
+ * @returns {Promise<Object>} Result with success status and the entry
+ */
+function appendEntry(fields) {
+  return withLock(LOCK_NAME, async () => {
+    const head = (await getRecord(META_STORE, ACCESS_LOG_HEAD_ID)) || GENESIS;
+    const entry = {
+      ...fields,
+      id: `access_${head.seq + 1}`,
+      seq: head.seq + 1,
+      prevHash: head.hash,
+      createdAt: fields.accessedAt
+    };
+    entry.hash = await hashEntry(entry);
+    
+    const tx = createTransaction({ history: false, sync: false });
+    tx.put(STORAGE_KEYS.ACCESS_LOG, entry);
+    tx.put(META_STORE, { id: ACCESS_LOG_HEAD_ID, seq: entry.seq, hash: entry.hash });
+    const result = await tx.commit();
+    return { ...result, entry };
+  });
+}
+
+/**
+ * Append an entry for a chart being opened
+ * @param {Object} access - { view, patientId, patientName, appointmentId, user }
+ * @returns {Promise<Object>} Result with success status and the entry
+ */
+export async function logChartAccess({ view, patientId, patientName = '', appointmentId = null, user }) {
+  return appendEntry({
+    view,
+    patientId,
+    patientName,
+    appointmentId,
+    user: toActor(user),
+    accessedAt: new Date().toISOString(),
+    sensitiveTests: await sensitiveTestsFor(patientId, appointmentId)
+  });
+}
+
+/**
+ * Append an entry for a restricted chart opened by someone not assigned to it
+ * @param {Object} override - { patientId, patientName, justification, user }
+ * @returns {Promise<Object>} Result with success status and the entry
+ */
+export async function logOverride({ patientId, patientName = '', justification, user }) {
+  return appendEntry({
+    view: ACCESS_VIEWS.OVERRIDE,
+    patientId,
+    patientName,
+    appointmentId: null,
+    user: toActor(user),
+    accessedAt: new Date().toISOString(),
+    sensitiveTests: await sensitiveTestsFor(patientId, null),
+    justification: justification.trim()
+  });
+}
+
+/**
+ * Append an entry marking an override as reviewed by an admin
+ * @param {Object} override - Override entry
+ * @param {Object} user - Reviewing user
+ * @returns {Promise<Object>} Result with success status and the entry
+ */
+export function logOverrideReview(override, user) {
+  return appendEntry({
+    view: ACCESS_VIEWS.OVERRIDE_REVIEW,
+    patientId: override.patientId,
+    patientName: override.patientName,
+    appointmentId: null,
+    user: toActor(user),
+    accessedAt: new Date().toISOString(),
+    sensitiveTests: [],
+    reviewOf: override.seq
+  });
+}
+
+/**
+ * Overrides still in effect for a user: the restricted charts they may open
+ * @param {Array} entries - Access log entries
+ * @param {string} userId - User ID
+ * @param {number} now - Current time (ms)
+ * @returns {Set} Patient IDs
+ */
+export function activeOverrides(entries, userId, now = Date.now()) {
+  const since = now - OVERRIDE_HOURS * 3600000;
+  return new Set(entries
+    .filter(entry => (
+      entry.view === ACCESS_VIEWS.OVERRIDE &&
+      entry.user?.id === userId &&
+      new Date(entry.accessedAt).getTime() > since
+    ))
+    .map(entry => entry.patientId));
+}
+
+/**
+ * Check every entry against the one before it and the stored head
+ * @returns {Promise<Object>} { valid, count, brokenAt } where brokenAt is the
+ *   seq of the first entry that doesn't fit (or null)
+ */
+export async function verifyAccessLog() {
+  const entries = (await getAll(STORAGE_KEYS.ACCESS_LOG)).sort((a, b) => a.seq - b.seq);
+  const head = (await getRecord(META_STORE, ACCESS_LOG_HEAD_ID)) || GENESIS;
+  
+  let previous = GENESIS;
+  for (const entry of entries) {
+    const intact = entry.seq === previous.seq + 1 &&
+      entry.prevHash === previous.hash &&
+      entry.hash === await hashEntry(entry);
+    if (!intact) {
+      return { valid: false, count: entries.length, brokenAt: entry.seq ?? previous.seq + 1 };
+    }
+    previous = entry;
+  }
+  
+  if (head.seq !== previous.seq || head.hash !== previous.hash) {
+    return { valid: false, count: entries.length, brokenAt: previous.seq + 1 };
+  }
+  return { valid: true, count: entries.length, brokenAt: null };
+}
@@ -0,0 +1,92 @@
+/**
+ * Visit Archive
+ * 
+ * @description Moves old completed visits out of the live database into an
+ * archive file, to free storage
+ * @features
+ *   - A visit is a completed appointment with its triage, queue entry,
+ *     consultation, prescriptions and lab orders (see relations.js)
+ *   - The archive keeps the records and their change history
+ *   - Removal is one transaction, allowed while storage is full, that adds
+ *     no history of its own and is not synced: other devices keep their copy
+ */
+
+import { STORAGE_KEYS, APPOINTMENT_STATUS } from '../utils/constants';
+import { getRecord } from './storage';
+import { createTransaction } from './transaction';
+import { historyId } from './history';
+import { isDeleted, createReader, collectCascade } from './trash';
+
+export const ARCHIVE_TYPE = 'cliniccare_visit_archive';
+export const ARCHIVE_VERSION = 1;
+
+/**
+ * Collect completed visits from before a date, with everything that belongs to them
+ * @param {string} before - Date (YYYY-MM-DD); visits on or after it are kept
+ * @returns {Promise<Object>} { before, appointments, records: [{ key, record }], history }
+ */
+export async function collectArchivableVisits(before) {
+  const read = createReader();
+  const appointments = (await read(STORAGE_KEYS.APPOINTMENTS))
+    .filter(apt => !isDeleted(apt) && apt.status === APPOINTMENT_STATUS.COMPLETED)
+    .filter(apt => apt.datetime && apt.datetime < before);
+  
+  const found = new Map();
+  const consultations = await read(STORAGE_KEYS.CONSULTATIONS);
+  for (const appointment of appointments) {
+    await collectCascade(STORAGE_KEYS.APPOINTMENTS, appointment, read, found);
+    // Consultations restrict deleting their booking, so they are gathered here
+    const visitConsultations = consultations
+      .filter(c => c.appointmentId === appointment.id && !isDeleted(c));
+    for (const consultation of visitConsultations) {
+      await collectCascade(STORAGE_KEYS.CONSULTATIONS, consultation, read, found);
+    }
+  }
+  
+  const records = [...found.values()];
+  const history = [];
+  for (const { key, record } of records) {
+    const doc = await getRecord(STORAGE_KEYS.HISTORY, historyId(key, record.id));
+    if (doc) history.push(doc);
+  }
+  
+  return { before, appointments, records, history };
+}
+
+/**
+ * Archive file contents for collected visits
+ * @param {Object} collected - Result of collectArchivableVisits
+ * @param {string} archivedBy - Name of the user archiving
+ * @returns {Object} Archive, ready to save as JSON
+ */
+export function createVisitArchive(collected, archivedBy) {
+  const collections = {};
+  collected.records.forEach(({ key, record }) => {
+    (collections[key] = collections[key] || []).push(record);
+  });
+  
+  return {
+    type: ARCHIVE_TYPE,
+    version: ARCHIVE_VERSION,
+    archivedAt: new Date().toISOString(),
+    archivedBy,
+    before: collected.before,
+    visits: collected.appointments.length,
+    collections,
+    history: collected.history
+  };
+}
+
+/**
+ * Permanently remove collected visits and their history from the database.
+ * Save the archive first; nothing here keeps a copy.
+ * @param {Object} collected - Result of collectArchivableVisits
+ * @returns {Promise<Object>} Result with success status and removed record count
+ */
+export async function removeArchivedVisits(collected) {
+  const tx = createTransaction({ freesSpace: true, history: false, sync: false });
+  collected.records.forEach(({ key, record }) => tx.remove(key, record.id));
+  collected.history.forEach(doc => tx.remove(STORAGE_KEYS.HISTORY, doc.id));
+  const result = await tx.commit();
+  return { ...result, count: collected.records.length };
+}
@@ -0,0 +1,262 @@
+/**
+ * Record Cipher
+ * 
+ * @description AES-GCM encryption of stored values, used by the storage layer
+ * @features
+ *   - Records are encrypted with a random data key; the data key is wrapped
+ *     with a key derived from the clinic passphrase (PBKDF2), so changing
+ *     the passphrase never means decrypting records with it
+ *   - Every encrypted value names the data key it was written with (kid),
+ *     so records written before a key rotation stay readable until rewritten
+ *   - The collection and record ID are bound to each value, so encrypted
+ *     records can't be swapped between records or collections
+ *   - Data keys only live in memory, and only while unlocked (see encryption.js)
+ */
+
+// META_STORE record holding the wrapped data keys (stored in plain)
+export const KEYRING_ID = 'encryption';
+
+const CIPHER = 'AES-GCM';
+const KDF_HASH = 'SHA-256';
+const KDF_ITERATIONS = 600000;
+
+/**
+ * Error raised when a value can't be encrypted or decrypted
+ */
+export class EncryptionError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'EncryptionError';
+    this.code = code;
+  }
+}
+
+export const ENCRYPTION_ERRORS = {
+  LOCKED: 'locked',
+  WRONG_PASSPHRASE: 'wrong_passphrase',
+  WEAK_PASSPHRASE: 'weak_passphrase',
+  UNKNOWN_KEY: 'unknown_key',
+  ALREADY_ENABLED: 'already_enabled',
+  NOT_ENABLED: 'not_enabled'
+};
+
+const LOCKED_MESSAGE = 'Patient data is locked. Enter the clinic passphrase to unlock it.';
+
+// Stored keyring: undefined until read, null while encryption is off
+let keyring;
+// Unwrapped data keys, by kid
+let dataKeys = new Map();
+let unlockWaiters = [];
+
+const encoder = new TextEncoder();
+const decoder = new TextDecoder();
+
+const randomBytes = length => crypto.getRandomValues(new Uint8Array(length));
+
+/**
+ * Random ID for a new data key
+ * @returns {string} Key ID
+ */
+const newKeyId = () => Array.from(randomBytes(6), b => b.toString(16).padStart(2, '0')).join('');
+
+// ==================== Key State ====================
+
+/**
+ * Keyring as last read or written
+ * @returns {Object|null|undefined} Keyring, null if encryption is off,
+ *   undefined if not read yet
+ */
+export const getKeyring = () => keyring;
+
+/**
+ * Remember the stored keyring
+ * @param {Object|null} next - Keyring, or null if encryption is off
+ */
+export function setKeyring(next) {
+  keyring = next || null;
+  releaseWaiters();
+}
+
+/**
+ * Whether records are encrypted on this device
+ * @returns {boolean} Whether a keyring exists
+ */
+export const isEncryptionEnabled = () => Boolean(keyring);
+
+/**
+ * Whether records can be read and written right now
+ * @returns {boolean} False only while encryption is on and the key is locked away
+ */
+export const isUnlocked = () => keyring !== undefined && (!keyring || dataKeys.has(keyring.current));
+
+/**
+ * Use these data keys from now on
+ * @param {Map} keys - kid -> CryptoKey
+ */
+export function setDataKeys(keys) {
+  dataKeys = new Map(keys);
+  releaseWaiters();
+}
+
+/**
+ * Forget the data keys no record uses any more (after a rotation)
+ */
+export function retireOldDataKeys() {
+  dataKeys = new Map([...dataKeys].filter(([kid]) => kid === keyring?.current));
+}
+
+/**
+ * Forget every data key (lock)
+ */
+export function clearDataKeys() {
+  dataKeys = new Map();
+}
+
+/**
+ * Resolve once records can be read and written
+ * @returns {Promise<void>}
+ */
+export function whenUnlocked() {
+  if (isUnlocked()) return Promise.resolve();
+  return new Promise((resolve) => {
+    unlockWaiters.push(resolve);
+  });
+}
+
+function releaseWaiters() {
+  if (!isUnlocked()) return;
+  const waiters = unlockWaiters;
+  unlockWaiters = [];
+  waiters.forEach(resolve => resolve());
+}
+
+// ==================== Keys ====================
+
+/**
+ * New key-derivation settings, with a fresh salt
+ * @returns {Object} { name, hash, iterations, salt }
+ */
+export const newKdf = () => ({ name: 'PBKDF2', hash: KDF_HASH, iterations: KDF_ITERATIONS, salt: randomBytes(16) });
+
+/**
+ * Derive the key that wraps the data keys from a passphrase
+ * @param {string} passphrase - Clinic passphrase
+ * @param {Object} kdf - Key-derivation settings (from newKdf)
+ * @returns {Promise<CryptoKey>} Wrapping key
+ */
+export async function deriveWrappingKey(passphrase, kdf) {
+  const material = await crypto.subtle.importKey('raw', encoder.encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: kdf.hash, iterations: kdf.iterations, salt: kdf.salt },
+    material,
+    { name: CIPHER, length: 256 },
+    false,
+    ['wrapKey', 'unwrapKey']
+  );
+}
+
+/**
+ * Generate a new data key
+ * @returns {Promise<Object>} { kid, key }
+ */
+export async function generateDataKey() {
+  const key = await crypto.subtle.generateKey({ name: CIPHER, length: 256 }, true, ['encrypt', 'decrypt']);
+  return { kid: newKeyId(), key };
+}
+
+/**
+ * Wrap a data key for storage in the keyring
+ * @param {CryptoKey} key - Data key
+ * @param {CryptoKey} wrappingKey - Key derived from the passphrase
+ * @returns {Promise<Object>} { iv, data }
+ */
+export async function wrapDataKey(key, wrappingKey) {
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.wrapKey('raw', key, wrappingKey, { name: CIPHER, iv });
+  return { iv, data: new Uint8Array(data) };
+}
+
+/**
+ * Unwrap every data key in a keyring
+ * @param {Object} stored - Keyring
+ * @param {CryptoKey} wrappingKey - Key derived from the passphrase
+ * @returns {Promise<Map>} kid -> CryptoKey
+ * @throws {EncryptionError} If the passphrase is wrong
+ */
+export async function unwrapDataKeys(stored, wrappingKey) {
+  const keys = new Map();
+  try {
+    for (const [kid, wrapped] of Object.entries(stored.keys)) {
+      const key = await crypto.subtle.unwrapKey(
+        'raw', wrapped.data, wrappingKey, { name: CIPHER, iv: wrapped.iv },
+        { name: CIPHER, length: 256 }, true, ['encrypt', 'decrypt']
+      );
+      keys.set(kid, key);
+    }
+  } catch (e) {
+    throw new EncryptionError('Wrong passphrase', ENCRYPTION_ERRORS.WRONG_PASSPHRASE);
+  }
+  return keys;
+}
+
+// ==================== Values ====================
+
+/**
+ * Whether a stored value is encrypted
+ * @param {*} value - Stored value
+ * @returns {boolean} Whether it is an encrypted envelope
+ */
+export const isEncrypted = value => Boolean(value && value.encrypted === CIPHER && value.kid);
+
+/**
+ * Whether a stored value is not yet encrypted with the current data key
+ * @param {*} value - Stored value
+ * @returns {boolean} Whether it should be rewritten
+ */
+export const needsReencryption = value => Boolean(keyring) && (!isEncrypted(value) || value.kid !== keyring.current);
+
+/**
+ * Encrypt a value for storage (returned as is while encryption is off)
+ * @param {*} value - Value to store
+ * @param {string} binding - "key:id" of the record it is stored as
+ * @returns {Promise<*>} Encrypted envelope { encrypted, kid, iv, data }
+ * @throws {EncryptionError} While locked
+ */
+export async function encryptValue(value, binding) {
+  if (!keyring) return value;
+  const key = dataKeys.get(keyring.current);
+  if (!key) throw new EncryptionError(LOCKED_MESSAGE, ENCRYPTION_ERRORS.LOCKED);
+  
+  const iv = randomBytes(12);
+  const data = await crypto.subtle.encrypt(
+    { name: CIPHER, iv, additionalData: encoder.encode(binding) },
+    key,
+    encoder.encode(JSON.stringify(value))
+  );
+  return { encrypted: CIPHER, kid: keyring.current, iv, data: new Uint8Array(data) };
+}
+
+/**
+ * Decrypt a stored value (plain values are returned as they are)
+ * @param {*} value - Stored value
+ * @param {string} binding - "key:id" it was stored as
+ * @returns {Promise<*>} Decrypted value
+ * @throws {EncryptionError} While locked (a value that was tampered with
+ *   fails to decrypt with the browser's own OperationError)
+ */
+export async function decryptValue(value, binding) {
+  if (!isEncrypted(value)) return value;
+  const key = dataKeys.get(value.kid);
+  if (!key) {
+    throw dataKeys.size === 0
+      ? new EncryptionError(LOCKED_MESSAGE, ENCRYPTION_ERRORS.LOCKED)
+      : new EncryptionError(`Record ${binding} is encrypted with an unknown key`, ENCRYPTION_ERRORS.UNKNOWN_KEY);
+  }
+  
+  const data = await crypto.subtle.decrypt(
+    { name: CIPHER, iv: value.iv, additionalData: encoder.encode(binding) },
+    key,
+    value.data
+  );
+  return JSON.parse(decoder.decode(data));
+}
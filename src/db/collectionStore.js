@@ -0,0 +1,281 @@
+/**
+ * Collection Store
+ * 
+ * @description In-memory copy of one collection, shared by every consumer
+ * @features
+ *   - Loads the collection from IndexedDB once, however many components use it
+ *   - Immutable state snapshots for useSyncExternalStore subscriptions
+ *   - Secondary indexes over the current snapshot (see indexes.js)
+ *   - Soft-deleted records are kept apart from live ones (see trash.js)
+ *   - Follows same-tab change events and cross-tab BroadcastChannel messages
+ *     while anything is subscribed, and re-reads storage when resubscribed
+ *   - Committed transactions send only the records they wrote, which are
+ *     patched into memory without re-reading the collection
+ */
+
+import {
+  STORAGE_EVENT_NAME,
+  ready,
+  getAll,
+  putRecords,
+  subscribeToExternalChanges
+} from './storage';
+import { createQuery } from './indexes';
+import { isDeleted } from './trash';
+
+/**
+ * Reuse the previous object for every record whose contents did not change,
+ * so a reload from storage doesn't look like every record changed
+ * @param {Array} previous - Records currently in memory
+ * @param {Array} next - Records read from storage
+ * @returns {Array} Next records
+ */
+function reconcile(previous, next) {
+  if (previous.length === 0) return next;
+  const byId = new Map(previous.map(record => [record.id, record]));
+  return next.map((record) => {
+    const existing = byId.get(record.id);
+    return sameRecord(existing, record) ? existing : record;
+  });
+}
+
+/**
+ * Whether a stored record has the same contents as the one in memory
+ * @param {Object|undefined} existing - Record currently in memory
+ * @param {Object} record - Record read from storage
+ * @returns {boolean} Whether nothing changed
+ */
+function sameRecord(existing, record) {
+  // updatedAt alone isn't enough: two writes can land in the same millisecond
+  return Boolean(existing)
+    && existing.updatedAt === record.updatedAt
+    && JSON.stringify(existing) === JSON.stringify(record);
+}
+
+/**
+ * Apply written records to the records in memory, keeping the order of the
+ * ones already there and adding new ones at the end
+ * @param {Array} previous - Records currently in memory
+ * @param {Array} writes - Written records ({ id, record }), record null if deleted
+ * @returns {Array} Next records (previous itself when nothing changed)
+ */
+function patch(previous, writes) {
+  const written = new Map(writes.map(({ id, record }) => [id, record]));
+  const next = [];
+  for (const existing of previous) {
+    if (!written.has(existing.id)) {
+      next.push(existing);
+      continue;
+    }
+    const record = written.get(existing.id);
+    written.delete(existing.id);
+    if (record) next.push(sameRecord(existing, record) ? existing : record);
+  }
+  written.forEach(record => record && next.push(record));
+  return shallowEqual(previous, next) ? previous : next;
+}
+
+/**
+ * Create the store for a collection
+ * @param {string} key - Collection key (one of STORAGE_KEYS)
+ * @returns {Object} Store with getState/getQuery/subscribe/load/setRecords/setError/reload
+ */
+export function createCollectionStore(key) {
+  let state = { records: [], data: [], deleted: [], isLoading: true, error: null };
+  let loadPromise = null;
+  let detach = null;
+  let missedChanges = false;
+  let query = null;
+  let queryData = null;
+  const listeners = new Set();
+  
+  const setState = (changes) => {
+    state = { ...state, ...changes };
+    listeners.forEach(listener => listener());
+  };
+  
+  // Every record, plus the live and trashed views over them
+  const withRecords = (records) => ({
+    records,
+    data: records.filter(record => !isDeleted(record)),
+    deleted: records.filter(isDeleted)
+  });
+  
+  // Keep unchanged record objects so selections over them stay equal
+  const setStoredData = (stored) => {
+    setState(withRecords(reconcile(state.records, stored)));
+  };
+  
+  const reload = () => getAll(key)
+    .then((records) => {
+      setStoredData(records);
+      return records;
+    })
+    .catch((e) => {
+      console.error(`Error reloading data for key "${key}":`, e);
+      return state.records;
+    });
+  
+  // Track writes made through other stores in this tab and from other tabs
+  const attach = () => {
+    const handleCustomEvent = (e) => {
+      if (e.detail?.key !== key) return;
+      if (e.detail.writes) {
+        // A write can land between load()'s read and its result
+        if (state.isLoading) {
+          loadPromise?.then(reload);
+          return;
+        }
+        const records = patch(state.records, e.detail.writes);
+        if (records !== state.records) setState(withRecords(records));
+      } else if (e.detail.data !== state.records) {
+        setStoredData(e.detail.data);
+      }
+    };
+    const handleExternalChange = (changedKey) => {
+      if (changedKey === key) reload();
+    };
+    
+    window.addEventListener(STORAGE_EVENT_NAME, handleCustomEvent);
+    const unsubscribe = subscribeToExternalChanges(handleExternalChange);
+    
+    return () => {
+      window.removeEventListener(STORAGE_EVENT_NAME, handleCustomEvent);
+      unsubscribe();
+    };
+  };
+  
+  return {
+    key,
+    
+    /**
+     * Current state snapshot; a new object on every change
+     * @returns {Object} { records, data, deleted, isLoading, error }
+     *   where data holds live records and deleted holds the trash
+     */
+    getState() {
+      return state;
+    },
+    
+    /**
+     * Indexed queries over the live records; indexes are rebuilt lazily
+     * after the data changes
+     * @returns {Object} { findBy, range }
+     */
+    getQuery() {
+      if (queryData !== state.data) {
+        query = createQuery(key, state.data);
+        queryData = state.data;
+      }
+      return query;
+    },
+    
+    /**
+     * Subscribe to state changes
+     * @param {Function} listener - Called after every change
+     * @returns {Function} Unsubscribe function
+     */
+    subscribe(listener) {
+      if (listeners.size === 0) {
+        detach = attach();
+        // Changes made while nobody was listening were not tracked
+        if (missedChanges) reload();
+      }
+      listeners.add(listener);
+      
+      return () => {
+        listeners.delete(listener);
+        if (listeners.size === 0 && detach) {
+          detach();
+          detach = null;
+          missedChanges = loadPromise !== null;
+        }
+      };
+    },
+    
+    /**
+     * Load the collection from IndexedDB. Only the first call reads storage;
+     * later calls share its result.
+     * @param {Array} initialData - Seed records if the collection is empty
+     * @returns {Promise<Array>} Loaded records
+     */
+    load(initialData = []) {
+      if (!loadPromise) {
+        loadPromise = ready()
+          .then(() => getAll(key))
+          .then(async (stored) => {
+            if (stored.length === 0 && initialData.length > 0) {
+              // Initialize with seed data if provided
+              await putRecords(key, initialData);
+              return initialData;
+            }
+            return stored;
+          })
+          .then((records) => {
+            setState({ ...withRecords(records), isLoading: false });
+            return records;
+          })
+          .catch((e) => {
+            console.error(`Error loading data for key "${key}":`, e);
+            setState({ ...withRecords([]), isLoading: false, error: e });
+            return [];
+          });
+      }
+      return loadPromise;
+    },
+    
+    /**
+     * Replace the in-memory records (after an optimistic write)
+     * @param {Array} records - Every record, including deleted ones
+     */
+    setRecords(records) {
+      setState(withRecords(records));
+    },
+    
+    /**
+     * Record the outcome of the latest write
+     * @param {Error|null} error - Write error, or null on success
+     */
+    setError(error) {
+      if (state.error !== error) setState({ error });
+    },
+    
+    /**
+     * Re-read the collection from IndexedDB
+     * @returns {Promise<Array>} Stored records
+     */
+    reload
+  };
+}
+
+/**
+ * Create a registry that hands out one store per collection
+ * @returns {Object} Registry with get(key)
+ */
+export function createStoreRegistry() {
+  const stores = new Map();
+  
+  return {
+    get(key) {
+      if (!stores.has(key)) {
+        stores.set(key, createCollectionStore(key));
+      }
+      return stores.get(key);
+    }
+  };
+}
+
+/**
+ * Default equality for selections: arrays are equal when they hold the same
+ * records in the same order (records are replaced, never mutated, on write)
+ * @param {*} a - Previous selection
+ * @param {*} b - Next selection
+ * @returns {boolean} Whether the selections are equal
+ */
+export function shallowEqual(a, b) {
+  if (Object.is(a, b)) return true;
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => Object.is(item, b[i]));
+  }
+  return false;
+}
@@ -0,0 +1,274 @@
+/**
+ * Encryption at Rest
+ * 
+ * @description Turns record encryption on, unlocks it at sign-in, locks it
+ * at sign-out and rotates its key (the cryptography is in cipher.js)
+ * @features
+ *   - The keyring in META_STORE holds the data keys, wrapped with a key
+ *     derived from the clinic passphrase; the passphrase itself is never stored
+ *   - Turning encryption on and rotating the key rewrite every record
+ *     between commits; if the tab closes halfway, the next unlock finishes
+ *   - Rotation changes the passphrase and the data key together; the old
+ *     data key is dropped once no record uses it any more
+ *   - Another tab rotating the key or turning encryption on locks this one
+ * 
+ * @example
+ *   const result = await unlockEncryption(passphrase);
+ *   if (!result.success) showError(result.error.message);
+ */
+
+import { STORAGE_KEYS, AUTH_KEYS } from '../utils/constants';
+import {
+  META_STORE,
+  ready,
+  readKeyring,
+  writeKeyring,
+  reencryptCollection,
+  subscribeToExternalChanges
+} from './storage';
+import {
+  getKeyring,
+  setKeyring,
+  isUnlocked,
+  setDataKeys,
+  retireOldDataKeys,
+  clearDataKeys,
+  newKdf,
+  deriveWrappingKey,
+  generateDataKey,
+  wrapDataKey,
+  unwrapDataKeys,
+  EncryptionError,
+  ENCRYPTION_ERRORS
+} from './cipher';
+import { runBetweenCommits } from './transaction';
+
+export { EncryptionError, ENCRYPTION_ERRORS } from './cipher';
+
+// Shortest passphrase accepted when turning encryption on or rotating
+export const MIN_PASSPHRASE_LENGTH = 12;
+
+// Stores whose records are encrypted (META_STORE only has the journal encrypted)
+const ENCRYPTED_KEYS = [...Object.values(STORAGE_KEYS).filter(key => !AUTH_KEYS.includes(key)), META_STORE];
+
+let status = {
+  loaded: false,
+  enabled: false,
+  unlocked: false,
+  busy: false,
+  createdAt: null,
+  rotatedAt: null
+};
+const listeners = new Set();
+let watching = false;
+
+function setStatus(changes) {
+  const keyring = getKeyring();
+  status = {
+    ...status,
+    loaded: keyring !== undefined,
+    enabled: Boolean(keyring),
+    unlocked: isUnlocked(),
+    createdAt: keyring?.createdAt || null,
+    rotatedAt: keyring?.rotatedAt || null,
+    ...changes
+  };
+  listeners.forEach(listener => listener(status));
+}
+
+/**
+ * Latest encryption status
+ * @returns {Object} { loaded, enabled, unlocked, busy, createdAt, rotatedAt }
+ */
+export const getEncryptionStatus = () => status;
+
+/**
+ * Subscribe to encryption status changes
+ * @param {Function} listener - Called with the new status
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeEncryptionStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Re-read the keyring; locks this tab if another one changed the key
+ */
+export async function refreshEncryptionStatus() {
+  const stored = await readKeyring();
+  const known = getKeyring();
+  if (stored?.current !== known?.current) {
+    clearDataKeys();
+  }
+  setKeyring(stored);
+  setStatus();
+  
+  if (!watching) {
+    watching = true;
+    subscribeToExternalChanges((key) => {
+      if (key === META_STORE) refreshEncryptionStatus();
+    });
+  }
+}
+
+/**
+ * Check a new passphrase
+ * @param {string} passphrase - New passphrase
+ * @throws {EncryptionError} If it is too short
+ */
+function assertStrongPassphrase(passphrase) {
+  if ((passphrase || '').length < MIN_PASSPHRASE_LENGTH) {
+    throw new EncryptionError(`The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters`, ENCRYPTION_ERRORS.WEAK_PASSPHRASE);
+  }
+}
+
+/**
+ * Rewrite every record not yet under the current data key, then drop the
+ * data keys no record uses any more
+ */
+async function finishReencryption() {
+  await ready();
+  await runBetweenCommits(async () => {
+    let rewritten;
+    do {
+      rewritten = 0;
+      for (const key of ENCRYPTED_KEYS) {
+        rewritten += await reencryptCollection(key);
+      }
+    } while (rewritten > 0);
+  });
+  
+  const keyring = getKeyring();
+  await writeKeyring({
+    ...keyring,
+    keys: { [keyring.current]: keyring.keys[keyring.current] },
+    pending: false
+  });
+  retireOldDataKeys();
+}
+
+/**
+ * Run a key change, reporting busy while it lasts
+ * @param {Function} task - Async task
+ * @returns {Promise<Object>} { success, error }
+ */
+async function runKeyChange(task) {
+  setStatus({ busy: true });
+  try {
+    await task();
+    return { success: true };
+  } catch (error) {
+    console.error('Encryption key change failed:', error);
+    return { success: false, error };
+  } finally {
+    setStatus({ busy: false });
+  }
+}
+
+/**
+ * Turn encryption on and encrypt every record already stored
+ * @param {string} passphrase - New clinic passphrase
+ * @returns {Promise<Object>} { success, error }
+ */
+export function enableEncryption(passphrase) {
+  return runKeyChange(async () => {
+    assertStrongPassphrase(passphrase);
+    if (await readKeyring()) {
+      throw new EncryptionError('Encryption is already on', ENCRYPTION_ERRORS.ALREADY_ENABLED);
+    }
+    // Wait for migrations and journal recovery while records are still plain
+    await ready();
+    
+    const kdf = newKdf();
+    const wrappingKey = await deriveWrappingKey(passphrase, kdf);
+    const { kid, key } = await generateDataKey();
+    const now = new Date().toISOString();
+    
+    setDataKeys(new Map([[kid, key]]));
+    await writeKeyring({
+      version: 1,
+      kdf,
+      keys: { [kid]: await wrapDataKey(key, wrappingKey) },
+      current: kid,
+      pending: true,
+      createdAt: now,
+      rotatedAt: null
+    });
+    await finishReencryption();
+  });
+}
+
+/**
+ * Unlock the data keys with the clinic passphrase. Finishes a key change
+ * that was interrupted.
+ * @param {string} passphrase - Clinic passphrase
+ * @returns {Promise<Object>} { success, error }
+ */
+export async function unlockEncryption(passphrase) {
+  try {
+    const keyring = await readKeyring();
+    setKeyring(keyring);
+    if (!keyring) {
+      setStatus();
+      return { success: true };
+    }
+    
+    const keys = await unwrapDataKeys(keyring, await deriveWrappingKey(passphrase, keyring.kdf));
+    setDataKeys(keys);
+    setStatus();
+    if (keyring.pending) {
+      await runKeyChange(finishReencryption);
+    }
+    return { success: true };
+  } catch (error) {
+    return { success: false, error };
+  }
+}
+
+/**
+ * Forget the data keys until the next unlock
+ */
+export function lockEncryption() {
+  if (!getKeyring()) return;
+  clearDataKeys();
+  setStatus();
+}
+
+/**
+ * Replace the passphrase and the data key, re-encrypting every record
+ * @param {string} currentPassphrase - Passphrase in use
+ * @param {string} newPassphrase - Passphrase to use from now on
+ * @returns {Promise<Object>} { success, error }
+ */
+export function rotateEncryptionKey(currentPassphrase, newPassphrase) {
+  return runKeyChange(async () => {
+    assertStrongPassphrase(newPassphrase);
+    const keyring = await readKeyring();
+    if (!keyring) {
+      throw new EncryptionError('Encryption is off', ENCRYPTION_ERRORS.NOT_ENABLED);
+    }
+    const keys = await unwrapDataKeys(keyring, await deriveWrappingKey(currentPassphrase, keyring.kdf));
+    
+    const kdf = newKdf();
+    const wrappingKey = await deriveWrappingKey(newPassphrase, kdf);
+    const { kid, key } = await generateDataKey();
+    keys.set(kid, key);
+    
+    // Until every record is rewritten, the new passphrase unlocks the old keys too
+    const wrapped = {};
+    for (const [id, dataKey] of keys) {
+      wrapped[id] = await wrapDataKey(dataKey, wrappingKey);
+    }
+    setDataKeys(keys);
+    await writeKeyring({
+      ...keyring,
+      kdf,
+      keys: wrapped,
+      current: kid,
+      pending: true,
+      rotatedAt: new Date().toISOString()
+    });
+    await finishReencryption();
+  });
+}
@@ -0,0 +1,217 @@
+/**
+ * Record History
+ * 
+ * @description Versioned audit trail for the records of every collection
+ * @features
+ *   - Every committed create, update and delete appends a version to the
+ *     record's history: the acting user, the time and a field-level diff
+ *   - Versions are written in the same transaction as the change they describe
+ *   - One history document per record ("key:id"), so reading it is one lookup
+ *   - Earlier versions are rebuilt by undoing later diffs from the current record
+ *   - Purging a record erases its history too, leaving a marker without any
+ *     field values
+ *   - A user's activity is every version they are credited with
+ */
+
+import { STORAGE_KEYS } from '../utils/constants';
+import { META_STORE, getRecord, getAll } from './storage';
+
+export const HISTORY_ACTIONS = {
+  CREATE: 'create',
+  UPDATE: 'update',
+  DELETE: 'delete',
+  RESTORE: 'restore',
+  PURGE: 'purge',
+  REVERT: 'revert',
+  SYNC: 'sync',
+  MERGE: 'merge',
+  PATIENT_MERGE: 'patient_merge'
+};
+
+// Bookkeeping fields left out of diffs
+const UNTRACKED_FIELDS = ['id', 'createdAt', 'updatedAt', 'syncRev', 'fieldClocks', 'removedItems'];
+
+// Stores that have no history of their own
+const UNTRACKED_KEYS = [STORAGE_KEYS.HISTORY, STORAGE_KEYS.OUTBOX, STORAGE_KEYS.MERGE_REPORTS, META_STORE];
+
+// User credited with changes committed in this tab (see DataProvider)
+let actor = null;
+
+/**
+ * Who did something, as stored in the history and on clinical records
+ * (recordedBy, completedBy, dispensedBy, ...)
+ * @param {Object|null} user - Signed-in user
+ * @returns {Object|null} { id, name, role }
+ */
+export const toActor = (user) => (user ? { id: user.id, name: user.name, role: user.role } : null);
+
+/**
+ * Display name of an actor. Records written before actors were stored
+ * hold a plain label instead.
+ * @param {Object|string|null} stored - Stored actor
+ * @returns {string} Name
+ */
+export const actorName = (stored) => (
+  typeof stored === 'string' ? stored : stored?.name || 'Unknown'
+);
+
+/**
+ * Set the user credited with changes from now on
+ * @param {Object|null} user - Signed-in user, or null when signed out
+ */
+export function setHistoryActor(user) {
+  actor = toActor(user);
+}
+
+/**
+ * User credited with changes committed in this tab
+ * @returns {Object|null} { id, name, role }, or null when signed out
+ */
+export const getHistoryActor = () => actor;
+
+/**
+ * ID of a record's history document
+ * @param {string} key - Collection key
+ * @param {string} id - Record ID
+ * @returns {string} History document ID
+ */
+export const historyId = (key, id) => `${key}:${id}`;
+
+// Missing and null fields are the same to the history
+const normalize = (value) => (value === undefined ? null : value);
+
+/**
+ * Field-level differences between two versions of a record
+ * @param {Object|null} before - Record before the change (null if created)
+ * @param {Object|null} after - Record after the change (null if erased)
+ * @returns {Array} [{ field, from, to }]
+ */
+export function diffRecords(before, after) {
+  const fields = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const changes = [];
+  fields.forEach((field) => {
+    if (UNTRACKED_FIELDS.includes(field)) return;
+    const from = normalize(before?.[field]);
+    const to = normalize(after?.[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes.push({ field, from, to });
+    }
+  });
+  return changes;
+}
+
+/**
+ * What kind of change a write made
+ * @param {Object|null} before - Record before the write
+ * @param {Object|null} after - Record after the write
+ * @returns {string} One of HISTORY_ACTIONS
+ */
+function actionFor(before, after) {
+  if (!before) return HISTORY_ACTIONS.CREATE;
+  if (!after) return HISTORY_ACTIONS.PURGE;
+  if (!before.deletedAt && after.deletedAt) return HISTORY_ACTIONS.DELETE;
+  if (before.deletedAt && !after.deletedAt) return HISTORY_ACTIONS.RESTORE;
+  return HISTORY_ACTIONS.UPDATE;
+}
+
+/**
+ * History document writes describing a transaction's record writes.
+ * Writes that change nothing but bookkeeping fields add no version.
+ * A purge replaces the record's history with a single PURGE version that
+ * lists no changes, so no field value outlives the record.
+ * @param {Array} writes - Resolved writes ({ key, id, before, after, meta })
+ * @returns {Promise<Array>} Writes to the history store, in the same shape
+ */
+export async function historyWritesFor(writes) {
+  const changedAt = new Date().toISOString();
+  const result = [];
+  
+  for (const { key, id, before, after, meta = {} } of writes) {
+    if (UNTRACKED_KEYS.includes(key)) continue;
+    const changes = diffRecords(before, after);
+    if (changes.length === 0) continue;
+    
+    const docId = historyId(key, id);
+    const doc = await getRecord(STORAGE_KEYS.HISTORY, docId);
+    const versions = doc?.versions || [];
+    const action = actionFor(before, after);
+    const purged = action === HISTORY_ACTIONS.PURGE;
+    const version = {
+      action,
+      ...meta,
+      version: versions.length + 1,
+      changedAt,
+      // Changes pulled from another device credit whoever made them there
+      changedBy: meta.changedBy === undefined ? actor : meta.changedBy,
+      changes: purged ? [] : changes
+    };
+    
+    result.push({
+      key: STORAGE_KEYS.HISTORY,
+      id: docId,
+      before: doc,
+      after: { id: docId, key, recordId: id, versions: purged ? [version] : [...versions, version] }
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Every recorded version of a record, oldest first
+ * @param {string} key - Collection key
+ * @param {string} id - Record ID
+ * @returns {Promise<Array>} Versions ({ version, action, changedAt, changedBy, changes })
+ */
+export async function getRecordHistory(key, id) {
+  const doc = await getRecord(STORAGE_KEYS.HISTORY, historyId(key, id));
+  return doc?.versions || [];
+}
+
+/**
+ * Every version credited to a user, across all collections, newest first
+ * @param {string} userId - User ID
+ * @param {Object} options - { limit }
+ * @returns {Promise<Array>} Versions with the record they belong to ({ key, recordId, ... })
+ */
+export async function getUserActivity(userId, { limit = 200 } = {}) {
+  const docs = await getAll(STORAGE_KEYS.HISTORY);
+  return docs
+    .flatMap(doc => doc.versions
+      .filter(v => v.changedBy?.id === userId)
+      .map(v => ({ ...v, key: doc.key, recordId: doc.recordId })))
+    .sort((a, b) => b.changedAt.localeCompare(a.changedAt))
+    .slice(0, limit);
+}
+
+/**
+ * Rebuild a record as it was right after a version was written
+ * @param {Object|null} current - Record as stored now
+ * @param {Array} versions - Its history (from getRecordHistory)
+ * @param {number} version - Version to rebuild (0 for before the first one)
+ * @returns {Object} Record fields at that version
+ */
+export function recordAtVersion(current, versions, version) {
+  const record = { ...(current || {}) };
+  versions
+    .filter(v => v.version > version)
+    .sort((a, b) => b.version - a.version)
+    .forEach(v => v.changes.forEach(({ field, from }) => {
+      record[field] = from;
+    }));
+  return record;
+}
+
+/**
+ * Fields to update so a record matches an earlier version again
+ * @param {Object} current - Record as stored now
+ * @param {Array} versions - Its history
+ * @param {number} version - Version to go back to
+ * @returns {Object} Fields to update
+ */
+export function revertUpdates(current, versions, version) {
+  const target = recordAtVersion(current, versions, version);
+  return Object.fromEntries(
+    diffRecords(current, target).map(({ field, to }) => [field, to])
+  );
+}
@@ -0,0 +1,144 @@
+/**
+ * Secondary Indexes
+ * 
+ * @description In-memory secondary indexes over collection snapshots
+ * @features
+ *   - Declared per collection: index name -> function returning the record's key
+ *   - Every collection is indexed by `id`
+ *   - Built lazily, once per snapshot, the first time an index is queried
+ *   - findBy for exact matches, range for ordered (e.g. date) lookups
+ */
+
+import { STORAGE_KEYS } from '../utils/constants';
+import { ACCESS_VIEWS } from './accessLog';
+
+/**
+ * Day (YYYY-MM-DD) an appointment falls on
+ * @param {Object} appointment - Appointment record
+ * @returns {string|undefined} ISO date
+ */
+export const appointmentDay = (appointment) => (
+  appointment.datetime?.split('T')[0] || appointment.date
+);
+
+// Secondary indexes per collection
+export const COLLECTION_INDEXES = {
+  [STORAGE_KEYS.APPOINTMENTS]: {
+    patientId: apt => apt.patientId,
+    status: apt => apt.status,
+    day: appointmentDay
+  },
+  [STORAGE_KEYS.TRIAGE]: {
+    appointmentId: t => t.appointmentId,
+    patientId: t => t.patientId
+  },
+  [STORAGE_KEYS.QUEUE]: {
+    appointmentId: q => q.appointmentId,
+    patientId: q => q.patientId
+  },
+  [STORAGE_KEYS.CONSULTATIONS]: {
+    appointmentId: c => c.appointmentId,
+    patientId: c => c.patientId
+  },
+  [STORAGE_KEYS.PRESCRIPTIONS]: {
+    appointmentId: rx => rx.appointmentId,
+    patientId: rx => rx.patientId
+  },
+  [STORAGE_KEYS.LAB_ORDERS]: {
+    appointmentId: l => l.appointmentId,
+    patientId: l => l.patientId
+  },
+  [STORAGE_KEYS.ACCESS_LOG]: {
+    // Break-the-glass entries by the user who broke the glass
+    overrideBy: entry => (entry.view === ACCESS_VIEWS.OVERRIDE ? entry.user?.id : undefined)
+  }
+};
+
+const NO_RECORDS = [];
+
+/**
+ * Build one index
+ * @param {Array} records - Collection snapshot
+ * @param {Function} getKey - Returns a record's key
+ * @returns {Object} { buckets: Map(key -> records), keys: sorted keys }
+ */
+function buildIndex(records, getKey) {
+  const buckets = new Map();
+  records.forEach((record) => {
+    const value = getKey(record);
+    if (value === undefined || value === null || value === '') return;
+    if (!buckets.has(value)) buckets.set(value, []);
+    buckets.get(value).push(record);
+  });
+  
+  const keys = [...buckets.keys()].sort((a, b) => (a < b ? -1 : a > b ? 1 : 0));
+  return { buckets, keys };
+}
+
+/**
+ * Position of the first key >= value
+ * @param {Array} keys - Sorted keys
+ * @param {*} value - Lower bound
+ * @returns {number} Index into keys
+ */
+function lowerBound(keys, value) {
+  let low = 0;
+  let high = keys.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (keys[mid] < value) low = mid + 1;
+    else high = mid;
+  }
+  return low;
+}
+
+/**
+ * Create the query methods for a collection snapshot
+ * @param {string} key - Collection key
+ * @param {Array} records - Collection snapshot
+ * @returns {Object} { findBy, range }
+ */
+export function createQuery(key, records) {
+  const definitions = { id: record => record.id, ...COLLECTION_INDEXES[key] };
+  const built = new Map();
+  
+  const getIndex = (name) => {
+    if (!definitions[name]) {
+      throw new Error(`Unknown index "${name}" on ${key}`);
+    }
+    if (!built.has(name)) {
+      built.set(name, buildIndex(records, definitions[name]));
+    }
+    return built.get(name);
+  };
+  
+  return {
+    /**
+     * Records whose index key equals a value
+     * @param {string} name - Index name
+     * @param {*} value - Key to look up
+     * @returns {Array} Matching records (same array for the same snapshot)
+     */
+    findBy(name, value) {
+      return getIndex(name).buckets.get(value) || NO_RECORDS;
+    },
+    
+    /**
+     * Records whose index key is between two bounds (inclusive), in key order
+     * @param {string} name - Index name
+     * @param {*} from - Lower bound, or null for none
+     * @param {*} to - Upper bound, or null for none
+     * @returns {Array} Matching records
+     */
+    range(name, from = null, to = null) {
+      const { buckets, keys } = getIndex(name);
+      const result = [];
+      const start = from === null ? 0 : lowerBound(keys, from);
+      for (let i = start; i < keys.length; i++) {
+        if (to !== null && keys[i] > to) break;
+        result.push(...buckets.get(keys[i]));
+      }
+      return result;
+    }
+  };
+}
@@ -0,0 +1,103 @@
+/**
+ * Integrity Checker
+ * 
+ * @description Finds and fixes dangling references between collections
+ * @features
+ *   - Checks every live record against the declared RELATIONS
+ *   - Reports references to records that are missing or in the trash
+ *   - Fixes by trashing orphans of cascade relations, clearing the rest
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { RELATIONS, ON_DELETE } from './relations';
+import { isDeleted, createReader, collectCascade } from './trash';
+import { createTransaction } from './transaction';
+
+export const INTEGRITY_FIX = {
+  TRASH: 'trash',
+  CLEAR: 'clear'
+};
+
+/**
+ * Find every live record whose reference doesn't resolve to a live record
+ * @returns {Promise<Array>} Issues: { id, key, record, field, value, relation,
+ *   targetState: 'missing'|'deleted', target, fix }
+ */
+export async function checkIntegrity() {
+  const read = createReader();
+  const issues = [];
+  
+  for (const relation of RELATIONS) {
+    const targets = new Map((await read(relation.to)).map(t => [t.id, t]));
+    const records = (await read(relation.from)).filter(r => !isDeleted(r));
+    
+    for (const record of records) {
+      const value = record[relation.field];
+      if (value === undefined || value === null || value === '') continue;
+      
+      const target = targets.get(value);
+      // A set_null reference to a trashed record is expected; it is cleared on purge
+      if (target && (!isDeleted(target) || relation.onDelete === ON_DELETE.SET_NULL)) continue;
+      
+      issues.push({
+        id: `${relation.from}:${record.id}:${relation.field}`,
+        key: relation.from,
+        record,
+        field: relation.field,
+        value,
+        relation,
+        targetState: target ? 'deleted' : 'missing',
+        target: target || null,
+        fix: relation.onDelete === ON_DELETE.CASCADE ? INTEGRITY_FIX.TRASH : INTEGRITY_FIX.CLEAR
+      });
+    }
+  }
+  
+  return issues;
+}
+
+/**
+ * Fix integrity issues in one transaction.
+ * Orphans of cascade relations go to the trash with the records that cascade
+ * from them; when the parent is itself in the trash they join its deletion,
+ * so restoring the parent brings them back. Other references are cleared.
+ * @param {Array} issues - Issues from checkIntegrity
+ * @param {string} fixedBy - Name of the user applying the fixes
+ * @returns {Promise<Object>} Result with success status and fixed count
+ */
+export async function fixIntegrityIssues(issues, fixedBy) {
+  const read = createReader();
+  const trashed = new Set();
+  const deletedAt = new Date().toISOString();
+  const tx = createTransaction();
+  
+  for (const issue of issues) {
+    if (issue.fix === INTEGRITY_FIX.CLEAR) {
+      tx.update(issue.key, issue.record.id, { [issue.field]: null });
+      continue;
+    }
+    
+    const slot = `${issue.key}:${issue.record.id}`;
+    if (trashed.has(slot)) continue;
+    
+    const parent = issue.target;
+    const tombstone = {
+      deletedAt,
+      deletedBy: fixedBy || 'Unknown',
+      deletionId: parent ? parent.deletionId : uuidv4(),
+      deletedWith: parent ? `${issue.relation.to}:${parent.id}` : null
+    };
+    const deletion = await collectCascade(issue.key, issue.record, read);
+    for (const { key, record } of deletion.values()) {
+      const recordSlot = `${key}:${record.id}`;
+      if (trashed.has(recordSlot)) continue;
+      trashed.add(recordSlot);
+      tx.update(key, record.id, recordSlot === slot
+        ? tombstone
+        : { ...tombstone, deletedWith: tombstone.deletedWith || slot });
+    }
+  }
+  
+  const result = await tx.commit();
+  return { ...result, count: issues.length };
+}
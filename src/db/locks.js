@@ -0,0 +1,34 @@
+/**
+ * Locks
+ * 
+ * @description Named exclusive locks for read-modify-write sequences that
+ * must not interleave (appending to the access log, allocating an MRN)
+ * @features
+ *   - Held across tabs with Web Locks where the browser has them
+ *   - Falls back to a per-name queue in this tab otherwise
+ * 
+ * @example
+ *   const seq = await withLock('cliniccare_counter', async () => {
+ *     const next = (await read()) + 1;
+ *     await write(next);
+ *     return next;
+ *   });
+ */
+
+// Tasks queued per lock name when Web Locks aren't available
+const queues = new Map();
+
+/**
+ * Run a task while no other task holding the same lock (in any tab) runs
+ * @param {string} name - Lock name
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Result of the task
+ */
+export function withLock(name, task) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(name, task);
+  }
+  const result = (queues.get(name) || Promise.resolve()).then(task);
+  queues.set(name, result.catch(() => {}));
+  return result;
+}
@@ -0,0 +1,287 @@
+/**
+ * Record Merging
+ * 
+ * @description Field-level last-writer-wins merging of two copies of a
+ * record, for imports and for edits made on two devices
+ * @features
+ *   - Every field of a shared record carries a logical clock (fieldClocks),
+ *     stamped by transactions whenever the field changes
+ *   - Clocks are hybrid logical clocks: wall time, then a counter, then a
+ *     per-tab node ID, so they order edits across devices even when their
+ *     system clocks drift a little
+ *   - Merging keeps the value with the newest clock for each field
+ *   - List fields (SET_FIELDS, e.g. patient visits) are merged as sets of
+ *     entries keyed by ID; removed entries are remembered (removedItems)
+ *     so a merge doesn't bring them back
+ *   - Records saved before clocks existed use their updatedAt for every field
+ *   - Each merge lists the values that lost, for the merge reports
+ * 
+ * @example
+ *   const { record, changes } = mergeRecords(STORAGE_KEYS.PATIENTS, local, imported);
+ *   // changes: [{ field: 'contact', local: '0700', incoming: '0711', kept: 'incoming' }]
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { STORAGE_KEYS } from '../utils/constants';
+import { diffRecords } from './history';
+import { SYNC_COLLECTIONS } from './outbox';
+
+// List fields merged entry by entry rather than as one value
+export const SET_FIELDS = {
+  [STORAGE_KEYS.PATIENTS]: ['visits'],
+  [STORAGE_KEYS.INVENTORY]: ['transactions']
+};
+
+// Which copy's value a merge kept
+export const MERGE_SIDES = {
+  LOCAL: 'local',
+  INCOMING: 'incoming'
+};
+
+// Where merged records came from (see MERGE_REPORTS)
+export const MERGE_SOURCES = {
+  IMPORT: 'import',
+  SYNC: 'sync'
+};
+
+// Fields that are bookkeeping, not data, and are never merged as values
+const BOOKKEEPING_FIELDS = ['id', 'createdAt', 'updatedAt', 'syncRev', 'fieldClocks', 'removedItems'];
+
+// ==================== Clocks ====================
+
+// Tells apart clocks made in the same millisecond on different tabs or devices
+const NODE_ID = uuidv4().slice(0, 8);
+let lastTime = 0;
+let lastCounter = 0;
+
+/**
+ * Clock string; fixed-width parts so clocks compare as plain strings
+ * @param {number} time - Milliseconds since the epoch
+ * @param {number} counter - Tie-breaker within the same millisecond
+ * @param {string} node - Node ID
+ * @returns {string} Clock
+ */
+const formatClock = (time, counter, node) => (
+  `${time.toString(36).padStart(9, '0')}.${counter.toString(36).padStart(4, '0')}.${node}`
+);
+
+/**
+ * Wall time of a clock
+ * @param {string} clock - Clock
+ * @returns {number} Milliseconds since the epoch
+ */
+const clockTime = (clock) => parseInt(clock.split('.')[0], 36) || 0;
+
+/**
+ * A new clock, later than every clock made or seen in this tab
+ * @returns {string} Clock
+ */
+export function tick() {
+  const now = Date.now();
+  if (now > lastTime) {
+    lastTime = now;
+    lastCounter = 0;
+  } else {
+    lastCounter += 1;
+  }
+  return formatClock(lastTime, lastCounter, NODE_ID);
+}
+
+/**
+ * Move this tab's clock past one seen on another device, so edits made
+ * here afterwards win over it even if that device's system time is ahead
+ * @param {string} clock - Clock seen
+ */
+function observe(clock) {
+  const time = clockTime(clock);
+  if (time > lastTime) {
+    lastTime = time;
+    lastCounter = 0;
+  }
+}
+
+/**
+ * Clock of one field of a record
+ * @param {Object} record - Record
+ * @param {string} field - Field name
+ * @returns {string} Clock ('' if the record has no timestamps at all)
+ */
+export function clockOf(record, field) {
+  const clock = record?.fieldClocks?.[field];
+  if (clock) return clock;
+  // Saved before clocks existed: as old as the record's last update
+  const time = new Date(record?.updatedAt || record?.createdAt || 0).getTime() || 0;
+  return time ? formatClock(time, 0, '') : '';
+}
+
+const later = (a, b) => (a > b ? a : b);
+
+// ==================== Stamping ====================
+
+/**
+ * Key of a list entry: its ID, or its contents for entries saved without one
+ * @param {*} item - List entry
+ * @returns {string} Key
+ */
+const itemKey = item => (item && typeof item === 'object' && item.id ? item.id : JSON.stringify(item));
+
+/**
+ * Clock the fields a write changes (called by transactions for every
+ * record write). Clocks already newer than the stored ones are kept, so a
+ * merged record keeps the clocks of the values it took.
+ * @param {string} key - Collection key
+ * @param {Object|null} before - Stored record
+ * @param {Object|null} after - Record being written
+ * @returns {Object|null} Record to write, with fieldClocks and removedItems
+ */
+export function stampClocks(key, before, after) {
+  if (!after || !SYNC_COLLECTIONS.includes(key)) return after;
+  
+  const clocks = { ...before?.fieldClocks };
+  Object.entries(after.fieldClocks || {}).forEach(([field, clock]) => {
+    clocks[field] = later(clocks[field] || '', clock);
+    observe(clock);
+  });
+  const removedItems = mergeRemoved(before?.removedItems, after.removedItems);
+  
+  diffRecords(before, after).forEach(({ field, from, to }) => {
+    if (after.fieldClocks?.[field] && after.fieldClocks[field] > (before?.fieldClocks?.[field] || '')) return;
+    clocks[field] = before ? tick() : clockOf({ ...after, fieldClocks: null }, field) || tick();
+    
+    if (SET_FIELDS[key]?.includes(field) && Array.isArray(from)) {
+      const kept = new Set((Array.isArray(to) ? to : []).map(itemKey));
+      from.map(itemKey).filter(item => !kept.has(item)).forEach((item) => {
+        removedItems[field] = { ...removedItems[field], [item]: clocks[field] };
+      });
+    }
+  });
+  
+  const stamped = { ...after, fieldClocks: clocks };
+  if (Object.keys(removedItems).length > 0) stamped.removedItems = removedItems;
+  return stamped;
+}
+
+/**
+ * Union of two sets of removed list entries, keeping the later clock
+ * @param {Object} a - Field -> { itemKey: clock }
+ * @param {Object} b - Field -> { itemKey: clock }
+ * @returns {Object} Merged
+ */
+function mergeRemoved(a = {}, b = {}) {
+  const merged = {};
+  [a, b].forEach(removed => Object.entries(removed || {}).forEach(([field, items]) => {
+    Object.entries(items).forEach(([item, clock]) => {
+      merged[field] = { ...merged[field], [item]: later(merged[field]?.[item] || '', clock) };
+    });
+  }));
+  return merged;
+}
+
+// ==================== Merging ====================
+
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Merge a list field entry by entry
+ * @param {string} field - Field name
+ * @param {Object} local - Local record
+ * @param {Object} incoming - Incoming record
+ * @param {Object} removed - Merged removedItems
+ * @param {Array} changes - Accumulator of losing values
+ * @returns {Array} Merged list
+ */
+function mergeSet(field, local, incoming, removed, changes) {
+  const incomingWins = clockOf(incoming, field) > clockOf(local, field);
+  const localItems = new Map((local[field] || []).map(item => [itemKey(item), item]));
+  const incomingItems = new Map((incoming[field] || []).map(item => [itemKey(item), item]));
+  const merged = [];
+  
+  new Set([...localItems.keys(), ...incomingItems.keys()]).forEach((item) => {
+    const mine = localItems.get(item);
+    const theirs = incomingItems.get(item);
+    // Removed on either copy: stays removed
+    if (removed[field]?.[item]) {
+      if (mine) changes.push({ field, item, local: mine, incoming: null, kept: MERGE_SIDES.INCOMING });
+      return;
+    }
+    if (mine && theirs && !sameValue(mine, theirs)) {
+      const kept = incomingWins ? MERGE_SIDES.INCOMING : MERGE_SIDES.LOCAL;
+      changes.push({ field, item, local: mine, incoming: theirs, kept });
+      merged.push(incomingWins ? theirs : mine);
+      return;
+    }
+    merged.push(mine || theirs);
+  });
+  
+  return merged;
+}
+
+/**
+ * Merge two copies of a record, keeping the newest value of each field
+ * @param {string} key - Collection key
+ * @param {Object} local - Copy on this device
+ * @param {Object} incoming - Imported or pulled copy
+ * @returns {Object} { record, changes } where changes lists each field (or
+ *   list entry) the two copies disagreed on: { field, item?, local, incoming, kept }
+ */
+export function mergeRecords(key, local, incoming) {
+  const record = { ...local };
+  const clocks = {};
+  const removed = mergeRemoved(local.removedItems, incoming.removedItems);
+  const changes = [];
+  
+  const fields = new Set([...Object.keys(local), ...Object.keys(incoming)]);
+  BOOKKEEPING_FIELDS.forEach(field => fields.delete(field));
+  
+  fields.forEach((field) => {
+    const localClock = clockOf(local, field);
+    const incomingClock = clockOf(incoming, field);
+    clocks[field] = later(localClock, incomingClock);
+    
+    if (SET_FIELDS[key]?.includes(field)) {
+      record[field] = mergeSet(field, local, incoming, removed, changes);
+      return;
+    }
+    if (sameValue(local[field], incoming[field])) return;
+    
+    const incomingWins = incomingClock > localClock;
+    changes.push({
+      field,
+      local: local[field] ?? null,
+      incoming: incoming[field] ?? null,
+      kept: incomingWins ? MERGE_SIDES.INCOMING : MERGE_SIDES.LOCAL
+    });
+    if (!incomingWins) return;
+    if (incoming[field] === undefined) {
+      delete record[field];
+    } else {
+      record[field] = incoming[field];
+    }
+  });
+  
+  const created = [local.createdAt, incoming.createdAt].filter(Boolean).sort();
+  const updated = [local.updatedAt, incoming.updatedAt].filter(Boolean).sort();
+  if (created.length > 0) record.createdAt = created[0];
+  if (updated.length > 0) record.updatedAt = updated[updated.length - 1];
+  record.fieldClocks = clocks;
+  if (Object.keys(removed).length > 0) record.removedItems = removed;
+  
+  return { record, changes };
+}
+
+/**
+ * Merge report for one record, to store in MERGE_REPORTS
+ * @param {Object} details - { key, record, changes, source, from }
+ *   where `from` names the file or device the incoming copy came from
+ * @returns {Object} Report (without id or timestamps)
+ */
+export function mergeReportFor({ key, record, changes, source, from = null }) {
+  return {
+    key,
+    recordId: record.id,
+    label: record.name || record.patientName || record.id,
+    source,
+    from,
+    changes
+  };
+}
@@ -0,0 +1,63 @@
+/**
+ * Schema Migrations
+ * 
+ * @description Ordered list of storage schema migrations. Each entry runs once,
+ * in version order, the first time the app starts on a database older than it.
+ * Append new migrations to the end; never edit one that has shipped.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Collections that used to be stored as one JSON array per localStorage key.
+ * Spelled out rather than read from STORAGE_KEYS, which keeps growing, so
+ * this migration does what it did when it shipped.
+ */
+const LEGACY_COLLECTION_KEYS = [
+  'cliniccare_patients',
+  'cliniccare_inventory',
+  'cliniccare_appointments',
+  'cliniccare_settings',
+  'cliniccare_triage',
+  'cliniccare_queue',
+  'cliniccare_consultations',
+  'cliniccare_prescriptions',
+  'cliniccare_lab_orders'
+];
+
+/**
+ * Move each legacy collection out of localStorage into its own store.
+ * The localStorage entry is only removed after its records were written,
+ * so a failure part-way leaves the remaining collections to be retried.
+ * @param {Object} db - Storage operations ({ putRecords })
+ */
+async function migrateFromLocalStorage({ putRecords }) {
+  for (const key of LEGACY_COLLECTION_KEYS) {
+    const stored = localStorage.getItem(key);
+    if (!stored) continue;
+    
+    let records;
+    try {
+      records = JSON.parse(stored);
+    } catch (e) {
+      console.error(`Skipping unreadable legacy data for key "${key}":`, e);
+      continue;
+    }
+    
+    if (Array.isArray(records) && records.length > 0) {
+      await putRecords(key, records.map(record => ({
+        ...record,
+        id: record.id || uuidv4()
+      })));
+    }
+    localStorage.removeItem(key);
+  }
+}
+
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Move collections from localStorage to IndexedDB',
+    up: migrateFromLocalStorage
+  }
+];
@@ -0,0 +1,88 @@
+/**
+ * Sync Outbox
+ * 
+ * @description Records changed on this device that the sync server hasn't seen yet
+ * @features
+ *   - One entry per changed record ("key:id"), written in the same
+ *     transaction as the change, so nothing is ever left out of a push
+ *   - baseRev is the server revision the local edits started from, which
+ *     the server uses to detect conflicting edits from other devices
+ *   - An entry in conflict holds the other device's version until resolved
+ *   - Only kept once a sync server is configured (see sync.js)
+ */
+
+import { STORAGE_KEYS } from '../utils/constants';
+import { META_STORE, getAll, getRecord } from './storage';
+import { diffRecords, getHistoryActor } from './history';
+
+// Collections shared between devices
+export const SYNC_COLLECTIONS = [
+  STORAGE_KEYS.PATIENTS,
+  STORAGE_KEYS.APPOINTMENTS,
+  STORAGE_KEYS.TRIAGE,
+  STORAGE_KEYS.QUEUE,
+  STORAGE_KEYS.CONSULTATIONS,
+  STORAGE_KEYS.PRESCRIPTIONS,
+  STORAGE_KEYS.LAB_ORDERS,
+  STORAGE_KEYS.INVENTORY,
+  STORAGE_KEYS.SETTINGS
+];
+
+// META_STORE records holding the sync server settings and pull position
+export const SYNC_CONFIG_ID = 'sync_config';
+export const SYNC_STATE_ID = 'sync_state';
+
+/**
+ * ID of a record's outbox entry
+ * @param {string} key - Collection key
+ * @param {string} id - Record ID
+ * @returns {string} Outbox entry ID
+ */
+export const outboxId = (key, id) => `${key}:${id}`;
+
+/**
+ * Outbox entry writes for a transaction's record writes.
+ * Writes that change nothing but bookkeeping fields (e.g. syncRev) add none.
+ * @param {Array} writes - Resolved writes ({ key, id, before, after })
+ * @returns {Promise<Array>} Writes to the outbox store, in the same shape
+ */
+export async function outboxWritesFor(writes) {
+  const config = await getRecord(META_STORE, SYNC_CONFIG_ID);
+  if (!config?.url) return [];
+  
+  const changedAt = new Date().toISOString();
+  const result = [];
+  
+  for (const { key, id, before, after } of writes) {
+    if (!SYNC_COLLECTIONS.includes(key)) continue;
+    if (before && after && diffRecords(before, after).length === 0) continue;
+    
+    const entryId = outboxId(key, id);
+    const entry = await getRecord(STORAGE_KEYS.OUTBOX, entryId);
+    result.push({
+      key: STORAGE_KEYS.OUTBOX,
+      id: entryId,
+      before: entry,
+      after: {
+        id: entryId,
+        key,
+        recordId: id,
+        // Later edits build on the same server revision as the first one
+        baseRev: entry ? entry.baseRev : (before?.syncRev ?? null),
+        conflict: entry?.conflict || null,
+        changedAt,
+        changedBy: getHistoryActor()
+      }
+    });
+  }
+  
+  return result;
+}
+
+/**
+ * Every pending outbox entry
+ * @returns {Promise<Array>} Entries
+ */
+export function getOutbox() {
+  return getAll(STORAGE_KEYS.OUTBOX);
+}
@@ -0,0 +1,216 @@
+/**
+ * Patient Records
+ * 
+ * @description Medical record numbers and merging duplicate patients
+ * @features
+ *   - MRNs come from a counter in META_STORE, allocated under a lock so two
+ *     tabs never hand out the same number; the counter never falls behind the
+ *     highest MRN already stored with this device's code (restored backups)
+ *   - Each device picks its own MRN code on first use, avoiding codes already
+ *     seen on synced patients, so devices registering offline don't clash
+ *   - MRNs shared by two live patients are found for the sync report
+ *   - Patients registered before MRNs existed can be given one in a batch
+ *   - Merging moves every record that refers to the duplicate (see
+ *     relations.js) onto the surviving patient and moves the duplicate to the
+ *     trash, all in one transaction
+ * 
+ * @example
+ *   const mrn = await allocateMrn();
+ *   await mergePatients({ survivorId, duplicateId, choices, user });
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { STORAGE_KEYS, DEFAULT_SETTINGS } from '../utils/constants';
+import {
+  formatMrn,
+  parseMrn,
+  mrnsOf,
+  normalizeMrnPrefix,
+  mergedFields,
+  MRN_DEVICE_DIGITS
+} from '../utils/patientIdentity';
+import { META_STORE, getAll, getRecord } from './storage';
+import { createTransaction } from './transaction';
+import { HISTORY_ACTIONS, toActor } from './history';
+import { relationsTo } from './relations';
+import { isDeleted } from './trash';
+import { withLock } from './locks';
+
+const { PATIENTS, SETTINGS } = STORAGE_KEYS;
+
+// META_STORE record holding this device's MRN code and the last sequence handed out
+export const MRN_COUNTER_ID = 'mrnCounter';
+
+const LOCK_NAME = 'cliniccare_mrn';
+
+/**
+ * MRN prefix from clinic settings
+ * @returns {Promise<string>} Prefix
+ */
+async function mrnPrefix() {
+  const [settings] = await getAll(SETTINGS);
+  return normalizeMrnPrefix(settings?.mrnPrefix) || DEFAULT_SETTINGS.mrnPrefix;
+}
+
+/**
+ * Every stored MRN, including retired MRNs of merged records
+ * @param {Array} patients - Stored patients
+ * @returns {Array} Parsed MRNs ({ prefix, device, sequence })
+ */
+const storedMrns = (patients) => patients.flatMap(mrnsOf).map(parseMrn).filter(Boolean);
+
+/**
+ * Pick an MRN code for this device that no stored MRN uses yet
+ * @param {Array} patients - Stored patients
+ * @returns {string} Device code
+ */
+function newDeviceCode(patients) {
+  const used = new Set(storedMrns(patients).map(mrn => mrn.device));
+  const range = 10 ** MRN_DEVICE_DIGITS;
+  let code;
+  do {
+    code = String(Math.floor(Math.random() * range)).padStart(MRN_DEVICE_DIGITS, '0');
+  } while (used.has(code) && used.size < range);
+  return code;
+}
+
+/**
+ * Highest MRN sequence a device has given any stored patient
+ * @param {Array} patients - Stored patients
+ * @param {string} device - Device code
+ * @returns {number} Highest sequence, or 0
+ */
+function highestSequence(patients, device) {
+  return storedMrns(patients)
+    .filter(mrn => mrn.device === device)
+    .reduce((max, mrn) => Math.max(max, mrn.sequence), 0);
+}
+
+/**
+ * Reserve MRNs and write them in the same transaction as the counter
+ * @param {Function} build - (tx, patients, nextMrn) => void; queues the writes
+ *   that use the MRNs, each nextMrn() call reserving one more
+ * @returns {Promise<Object>} Result with success status and the MRNs reserved
+ */
+function reserveMrns(build) {
+  return withLock(LOCK_NAME, async () => {
+    const patients = await getAll(PATIENTS);
+    const counter = await getRecord(META_STORE, MRN_COUNTER_ID);
+    const prefix = await mrnPrefix();
+    // Counters from before device codes numbered older MRNs; start afresh
+    const device = counter?.device || newDeviceCode(patients);
+    let sequence = Math.max(counter?.device ? counter.sequence : 0, highestSequence(patients, device));
+    const mrns = [];
+    const nextMrn = () => {
+      sequence += 1;
+      mrns.push(formatMrn(prefix, sequence, device));
+      return mrns[mrns.length - 1];
+    };
+    
+    const tx = createTransaction();
+    build(tx, patients, nextMrn);
+    tx.put(META_STORE, { id: MRN_COUNTER_ID, device, sequence });
+    const result = await tx.commit();
+    return { ...result, mrns };
+  });
+}
+
+/**
+ * Hand out the next MRN
+ * @returns {Promise<string|null>} MRN, or null if the counter could not be saved
+ */
+export async function allocateMrn() {
+  const result = await reserveMrns((tx, patients, nextMrn) => nextMrn());
+  return result.success ? result.mrns[0] : null;
+}
+
+/**
+ * Give an MRN to every live patient without one, oldest registration first
+ * @returns {Promise<Object>} Result with success status and the number assigned
+ */
+export async function assignMissingMrns() {
+  const result = await reserveMrns((tx, patients, nextMrn) => {
+    patients
+      .filter(patient => !patient.mrn && !isDeleted(patient))
+      .sort((a, b) => new Date(a.createdAt || 0) - new Date(b.createdAt || 0))
+      .forEach(patient => tx.update(PATIENTS, patient.id, { mrn: nextMrn() }));
+  });
+  return { success: result.success, error: result.error, count: result.mrns.length };
+}
+
+/**
+ * MRNs given to more than one live patient, e.g. by two devices that
+ * share a code, or restored from a backup
+ * @param {Array} patients - Stored patients
+ * @returns {Array} [{ mrn, patientIds }]
+ */
+export function findDuplicateMrns(patients) {
+  const byMrn = new Map();
+  patients.filter(patient => !isDeleted(patient)).forEach(patient => {
+    new Set(mrnsOf(patient).map(mrn => mrn.toUpperCase())).forEach(mrn => {
+      byMrn.set(mrn, [...(byMrn.get(mrn) || []), patient.id]);
+    });
+  });
+  return [...byMrn.entries()]
+    .filter(([, patientIds]) => patientIds.length > 1)
+    .map(([mrn, patientIds]) => ({ mrn, patientIds }));
+}
+
+/**
+ * Records in each collection that refer to a patient, deleted ones included
+ * @param {string} patientId - Patient ID
+ * @returns {Promise<Array>} [{ key, field, records }] per relation to PATIENTS
+ */
+export async function findLinkedRecords(patientId) {
+  const linked = [];
+  for (const relation of relationsTo(PATIENTS)) {
+    const records = (await getAll(relation.from)).filter(record => record[relation.field] === patientId);
+    linked.push({ key: relation.from, field: relation.field, records });
+  }
+  return linked;
+}
+
+/**
+ * Merge a duplicate patient into the one that is kept
+ * @param {Object} merge - { survivorId, duplicateId, choices, user }; choices
+ *   picks each MERGE_FIELDS value from 'survivor' or 'duplicate'
+ * @returns {Promise<Object>} Result with success status and the number of records moved
+ */
+export async function mergePatients({ survivorId, duplicateId, choices = {}, user = null }) {
+  if (survivorId === duplicateId) {
+    return { success: false, error: new Error('A patient cannot be merged into itself') };
+  }
+  const survivor = await getRecord(PATIENTS, survivorId);
+  const duplicate = await getRecord(PATIENTS, duplicateId);
+  if (!survivor || isDeleted(survivor) || !duplicate || isDeleted(duplicate)) {
+    return { success: false, error: new Error('Both patients must exist and not be in the trash') };
+  }
+  
+  const mergedAt = new Date().toISOString();
+  const meta = { action: HISTORY_ACTIONS.PATIENT_MERGE, mergedFrom: duplicateId };
+  const tx = createTransaction();
+  
+  const linked = await findLinkedRecords(duplicateId);
+  linked.forEach(({ key, field, records }) => records.forEach(record => (
+    tx.update(key, record.id, { [field]: survivorId }, meta)
+  )));
+  
+  tx.update(PATIENTS, survivorId, {
+    ...mergedFields(survivor, duplicate, choices),
+    // Retired MRNs stay findable on the record they were merged into
+    mergedRecords: [
+      ...(survivor.mergedRecords || []),
+      ...(duplicate.mergedRecords || []),
+      { id: duplicate.id, mrn: duplicate.mrn || null, name: duplicate.name, mergedAt, mergedBy: toActor(user) }
+    ]
+  }, meta);
+  tx.update(PATIENTS, duplicateId, {
+    deletedAt: mergedAt,
+    deletedBy: user?.name || 'Unknown',
+    deletionId: uuidv4(),
+    mergedInto: survivorId
+  }, meta);
+  
+  const result = await tx.commit();
+  return { ...result, moved: linked.reduce((sum, { records }) => sum + records.length, 0) };
+}
@@ -0,0 +1,205 @@
+/**
+ * Storage Quota
+ * 
+ * @description Tracks how full the browser's storage is and blocks writes
+ * before they start failing
+ * @features
+ *   - Usage and remaining quota from navigator.storage.estimate()
+ *   - Warning level at STORAGE_THRESHOLDS.WARNING, full at STORAGE_THRESHOLDS.FULL
+ *   - A QuotaExceededError from IndexedDB marks storage full until space is freed
+ *   - While full, transactions are refused with a QuotaError, except ones
+ *     that only free space (purge, archive)
+ *   - Per-collection usage, measured on demand
+ */
+
+import { getAll } from './storage';
+import { STORAGE_KEYS, AUTH_KEYS } from '../utils/constants';
+
+// Share of the quota in use at which to warn, and at which to stop writing
+export const STORAGE_THRESHOLDS = {
+  WARNING: 0.8,
+  FULL: 0.95
+};
+
+export const STORAGE_LEVELS = {
+  OK: 'ok',
+  WARNING: 'warning',
+  FULL: 'full'
+};
+
+export const STORAGE_FULL_MESSAGE =
+  'Storage is full, so the change was not saved. Archive old visits in Settings to free space.';
+
+// Re-estimate at most this often after ordinary writes (ms)
+const CHECK_INTERVAL = 30000;
+
+/**
+ * Error raised when a write is refused or failed because storage is full
+ */
+export class QuotaError extends Error {
+  constructor(message = STORAGE_FULL_MESSAGE, cause = null) {
+    super(message);
+    this.name = 'QuotaError';
+    this.cause = cause;
+  }
+}
+
+let health = {
+  level: STORAGE_LEVELS.OK,
+  usage: null,
+  quota: null,
+  remaining: null,
+  ratio: null,
+  exceeded: false,
+  checkedAt: null
+};
+let lastCheck = 0;
+const listeners = new Set();
+
+/**
+ * Level for a usage ratio
+ * @param {number|null} ratio - Share of the quota in use, null if unknown
+ * @param {boolean} exceeded - Whether a write has hit the quota
+ * @returns {string} One of STORAGE_LEVELS
+ */
+function levelFor(ratio, exceeded) {
+  if (exceeded || (ratio !== null && ratio >= STORAGE_THRESHOLDS.FULL)) return STORAGE_LEVELS.FULL;
+  if (ratio !== null && ratio >= STORAGE_THRESHOLDS.WARNING) return STORAGE_LEVELS.WARNING;
+  return STORAGE_LEVELS.OK;
+}
+
+/**
+ * Replace the health snapshot and notify subscribers
+ * @param {Object} changes - Fields to change
+ */
+function setHealth(changes) {
+  const next = { ...health, ...changes };
+  next.level = levelFor(next.ratio, next.exceeded);
+  health = next;
+  listeners.forEach(listener => listener(health));
+}
+
+/**
+ * Latest storage health
+ * @returns {Object} { level, usage, quota, remaining, ratio, exceeded, checkedAt }
+ *   (sizes in bytes; null where the browser gives no estimate)
+ */
+export const getStorageHealth = () => health;
+
+/**
+ * Subscribe to storage health changes
+ * @param {Function} listener - Called with the new health
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeStorageHealth(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Whether writes are currently refused
+ * @returns {boolean} Whether storage is full
+ */
+export const isWriteBlocked = () => health.level === STORAGE_LEVELS.FULL;
+
+/**
+ * Throw a QuotaError while storage is full
+ */
+export function assertWritable() {
+  if (isWriteBlocked()) {
+    throw new QuotaError();
+  }
+}
+
+/**
+ * Message for a write that was refused: storage full, or the given fallback
+ * @param {string} fallback - Message for any other reason (e.g. invalid details)
+ * @returns {string} Message to show
+ */
+export const writeFailureMessage = (fallback) => (isWriteBlocked() ? STORAGE_FULL_MESSAGE : fallback);
+
+/**
+ * Whether an error means the browser ran out of storage
+ * @param {*} error - Error from a failed write
+ * @returns {boolean} Whether it is a quota error
+ */
+export function isQuotaExceeded(error) {
+  if (!error) return false;
+  if (error instanceof QuotaError) return true;
+  // Firefox reports NS_ERROR_DOM_QUOTA_REACHED; old WebKit uses code 22
+  return error.name === 'QuotaExceededError' ||
+    error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error.code === 22 ||
+    isQuotaExceeded(error.target?.error);
+}
+
+/**
+ * Mark storage full after a write hit the quota
+ * @param {*} error - The failed write's error
+ * @returns {QuotaError} Error to report instead
+ */
+export function reportQuotaExceeded(error) {
+  setHealth({ exceeded: true });
+  return error instanceof QuotaError ? error : new QuotaError(STORAGE_FULL_MESSAGE, error);
+}
+
+/**
+ * Re-read usage and quota from the browser
+ * @param {Object} options - { freed: true } after a write that freed space
+ * @returns {Promise<Object>} Updated health
+ */
+export async function refreshStorageHealth({ freed = false } = {}) {
+  lastCheck = Date.now();
+  const changes = {
+    usage: null,
+    quota: null,
+    remaining: null,
+    ratio: null,
+    checkedAt: new Date().toISOString()
+  };
+  if (freed) changes.exceeded = false;
+  
+  try {
+    if (typeof navigator !== 'undefined' && navigator.storage?.estimate) {
+      const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+      if (quota > 0) {
+        Object.assign(changes, {
+          usage,
+          quota,
+          remaining: Math.max(quota - usage, 0),
+          ratio: usage / quota
+        });
+      }
+    }
+  } catch (e) {
+    console.error('Error estimating storage:', e);
+  }
+  
+  setHealth(changes);
+  return health;
+}
+
+/**
+ * Refresh health after a write, unless it was checked recently
+ */
+export function scheduleStorageCheck() {
+  if (Date.now() - lastCheck >= CHECK_INTERVAL) {
+    refreshStorageHealth();
+  }
+}
+
+/**
+ * Size of each collection as stored (JSON bytes; IndexedDB overhead comes on top)
+ * @returns {Promise<Array>} [{ key, count, bytes }], largest first
+ */
+export async function measureCollections() {
+  const encoder = new TextEncoder();
+  const keys = Object.values(STORAGE_KEYS).filter(key => !AUTH_KEYS.includes(key));
+  const sizes = [];
+  for (const key of keys) {
+    const records = await getAll(key);
+    const bytes = records.reduce((sum, record) => sum + encoder.encode(JSON.stringify(record)).length, 0);
+    sizes.push({ key, count: records.length, bytes });
+  }
+  return sizes.sort((a, b) => b.bytes - a.bytes);
+}
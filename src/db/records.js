@@ -0,0 +1,37 @@
+/**
+ * Record Helpers
+ * 
+ * @description Shared rules for stamping records on create and update,
+ * used by both useLocalDB and transactions so the two stay consistent.
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+
+/**
+ * Build a new record ready to be stored
+ * @param {Object} item - Item data (id will be auto-generated if not provided)
+ * @returns {Object} Record with id and timestamps
+ */
+export function buildRecord(item) {
+  return {
+    id: item.id || uuidv4(),
+    ...item,
+    createdAt: item.createdAt || new Date().toISOString(),
+    updatedAt: new Date().toISOString()
+  };
+}
+
+/**
+ * Apply updates to an existing record
+ * @param {Object} existing - Current record
+ * @param {Object} updates - Fields to update
+ * @returns {Object} Updated record
+ */
+export function applyUpdates(existing, updates) {
+  return {
+    ...existing,
+    ...updates,
+    id: existing.id, // Preserve original ID
+    updatedAt: new Date().toISOString()
+  };
+}
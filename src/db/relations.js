@@ -0,0 +1,69 @@
+/**
+ * Collection Relations
+ * 
+ * @description Declared references between STORAGE_KEYS collections
+ * @features
+ *   - Each relation names the referencing field and the collection it points to
+ *   - onDelete decides what deleting the target does to referencing records:
+ *       cascade  - they are deleted (trashed) with it
+ *       restrict - the delete is refused while any exist
+ *       set_null - the reference is cleared when the target is purged
+ *   - Used by trash.js to delete and by integrity.js to find dangling references
+ */
+
+import { STORAGE_KEYS } from '../utils/constants';
+
+export const ON_DELETE = {
+  CASCADE: 'cascade',
+  RESTRICT: 'restrict',
+  SET_NULL: 'set_null'
+};
+
+const {
+  PATIENTS,
+  APPOINTMENTS,
+  TRIAGE,
+  QUEUE,
+  CONSULTATIONS,
+  PRESCRIPTIONS,
+  LAB_ORDERS
+} = STORAGE_KEYS;
+
+// { from, field, to, onDelete }: from[field] holds the id of a record in `to`
+export const RELATIONS = [
+  { from: APPOINTMENTS, field: 'patientId', to: PATIENTS, onDelete: ON_DELETE.CASCADE },
+  { from: APPOINTMENTS, field: 'triageId', to: TRIAGE, onDelete: ON_DELETE.SET_NULL },
+  { from: APPOINTMENTS, field: 'consultationId', to: CONSULTATIONS, onDelete: ON_DELETE.SET_NULL },
+  
+  { from: TRIAGE, field: 'patientId', to: PATIENTS, onDelete: ON_DELETE.CASCADE },
+  { from: TRIAGE, field: 'appointmentId', to: APPOINTMENTS, onDelete: ON_DELETE.CASCADE },
+  
+  { from: QUEUE, field: 'patientId', to: PATIENTS, onDelete: ON_DELETE.CASCADE },
+  { from: QUEUE, field: 'appointmentId', to: APPOINTMENTS, onDelete: ON_DELETE.CASCADE },
+  
+  // A consultation is a clinical record: deleting its booking alone must not discard it
+  { from: CONSULTATIONS, field: 'patientId', to: PATIENTS, onDelete: ON_DELETE.CASCADE },
+  { from: CONSULTATIONS, field: 'appointmentId', to: APPOINTMENTS, onDelete: ON_DELETE.RESTRICT },
+  
+  { from: PRESCRIPTIONS, field: 'patientId', to: PATIENTS, onDelete: ON_DELETE.CASCADE },
+  { from: PRESCRIPTIONS, field: 'appointmentId', to: APPOINTMENTS, onDelete: ON_DELETE.CASCADE },
+  { from: PRESCRIPTIONS, field: 'consultationId', to: CONSULTATIONS, onDelete: ON_DELETE.CASCADE },
+  
+  { from: LAB_ORDERS, field: 'patientId', to: PATIENTS, onDelete: ON_DELETE.CASCADE },
+  { from: LAB_ORDERS, field: 'appointmentId', to: APPOINTMENTS, onDelete: ON_DELETE.CASCADE },
+  { from: LAB_ORDERS, field: 'consultationId', to: CONSULTATIONS, onDelete: ON_DELETE.CASCADE }
+];
+
+/**
+ * Relations pointing at a collection
+ * @param {string} key - Target collection key
+ * @returns {Array} Relations whose `to` is key
+ */
+export const relationsTo = (key) => RELATIONS.filter(r => r.to === key);
+
+/**
+ * Relations declared on a collection's records
+ * @param {string} key - Referencing collection key
+ * @returns {Array} Relations whose `from` is key
+ */
+export const relationsFrom = (key) => RELATIONS.filter(r => r.from === key);
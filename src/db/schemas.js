@@ -0,0 +1,285 @@
+/**
+ * Collection Schemas
+ * 
+ * @description Shape every stored record must have, per STORAGE_KEYS collection
+ * @features
+ *   - Field rules: type (or a list of accepted types), required, enum, min,
+ *     and nested `fields`/`items`
+ *   - Types: string, number, numeric (number or numeric string), boolean,
+ *     array, object, date (YYYY-MM-DD), datetime (ISO 8601)
+ *   - Empty optional fields ('' or null) are allowed, as forms leave them
+ *   - Fields not listed are allowed; workflows add their own
+ *   - Enforced by transactions (every write) and by useLocalDB before it
+ *     changes anything, so bad imports are rejected with a per-record report
+ */
+
+import {
+  STORAGE_KEYS,
+  APPOINTMENT_STATUS,
+  GENDER_OPTIONS,
+  INVENTORY_CATEGORIES,
+  INVENTORY_UNITS
+} from '../utils/constants';
+import { ALLERGY_SEVERITY_OPTIONS } from '../utils/allergies';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const DATETIME_PATTERN = /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?$/;
+
+// Fields every record may carry (see records.js, trash.js, sync.js and merge.js)
+const RECORD_FIELDS = {
+  id: { type: 'string', required: true },
+  createdAt: { type: 'datetime' },
+  updatedAt: { type: 'datetime' },
+  deletedAt: { type: 'datetime' },
+  syncRev: { type: 'number', min: 1 },
+  fieldClocks: { type: 'object' },
+  removedItems: { type: 'object' }
+};
+
+// Fields of records that belong to a visit
+const VISIT_LINK_FIELDS = {
+  appointmentId: { type: 'string', required: true },
+  patientId: { type: 'string', required: true }
+};
+
+export const SCHEMAS = {
+  [STORAGE_KEYS.PATIENTS]: {
+    name: { type: 'string', required: true },
+    dob: { type: 'date' },
+    gender: { enum: GENDER_OPTIONS.map(g => g.value) },
+    contact: { type: 'string' },
+    email: { type: 'string' },
+    address: { type: 'string' },
+    mrn: { type: 'string' },
+    nationalId: { type: 'string' },
+    insuranceNumber: { type: 'string' },
+    // Entries; older records hold free text (see utils/allergies.js)
+    allergies: {
+      type: ['array', 'string'],
+      items: {
+        type: 'object',
+        fields: {
+          substance: { type: 'string', required: true },
+          reaction: { type: 'string' },
+          severity: { enum: ALLERGY_SEVERITY_OPTIONS.map(o => o.value) }
+        }
+      }
+    },
+    visits: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          date: { type: 'date', required: true },
+          immunizations: { type: 'array' }
+        }
+      }
+    }
+  },
+  [STORAGE_KEYS.INVENTORY]: {
+    name: { type: 'string', required: true },
+    category: { required: true, enum: INVENTORY_CATEGORIES.map(c => c.value) },
+    quantity: { type: 'number', required: true, min: 0 },
+    unit: { required: true, enum: INVENTORY_UNITS.map(u => u.value) },
+    expiryDate: { type: 'date' },
+    transactions: {
+      type: 'array',
+      items: {
+        type: 'object',
+        fields: {
+          t: { required: true, enum: ['in', 'out'] },
+          qty: { type: 'number', required: true, min: 0 },
+          date: { type: 'datetime' }
+        }
+      }
+    }
+  },
+  [STORAGE_KEYS.APPOINTMENTS]: {
+    patientId: { type: 'string', required: true },
+    datetime: { type: 'datetime', required: true },
+    status: { required: true, enum: Object.values(APPOINTMENT_STATUS) },
+    isWalkIn: { type: 'boolean' }
+  },
+  [STORAGE_KEYS.SETTINGS]: {
+    lowStockThreshold: { type: 'numeric', min: 0 },
+    nearExpiryDays: { type: 'numeric', min: 0 },
+    clinicName: { type: 'string' },
+    mrnPrefix: { type: 'string' }
+  },
+  [STORAGE_KEYS.TRIAGE]: {
+    ...VISIT_LINK_FIELDS,
+    temperature: { type: 'numeric' },
+    pulse: { type: 'numeric' },
+    weight: { type: 'numeric', min: 0 },
+    height: { type: 'numeric', min: 0 },
+    recordedAt: { type: 'datetime' }
+  },
+  [STORAGE_KEYS.QUEUE]: {
+    ...VISIT_LINK_FIELDS,
+    position: { type: 'number', min: 0 },
+    completed: { type: 'boolean' },
+    addedAt: { type: 'datetime' }
+  },
+  [STORAGE_KEYS.CONSULTATIONS]: {
+    ...VISIT_LINK_FIELDS,
+    // Kept when its booking is gone (see relations.js), so the link may be cleared
+    appointmentId: { type: 'string' },
+    diagnosis: { type: 'array' },
+    medications: { type: 'array' },
+    labTests: { type: 'array' },
+    followUpDate: { type: 'date' },
+    completedAt: { type: 'datetime' }
+  },
+  [STORAGE_KEYS.PRESCRIPTIONS]: {
+    ...VISIT_LINK_FIELDS,
+    medications: { type: 'array', required: true },
+    dispensed: { type: 'boolean' }
+  },
+  [STORAGE_KEYS.LAB_ORDERS]: {
+    ...VISIT_LINK_FIELDS,
+    tests: { type: 'array', required: true },
+    status: { enum: ['pending', 'in-progress', 'completed'] }
+  }
+};
+
+/**
+ * Error raised when records don't match their collection's schema
+ */
+export class SchemaError extends Error {
+  constructor(key, report) {
+    const count = report.length;
+    super(`${count} invalid record${count === 1 ? '' : 's'} in ${key}: ${describeIssue(report[0])}`);
+    this.name = 'SchemaError';
+    this.key = key;
+    this.report = report;
+  }
+}
+
+/**
+ * One-line description of a record's problems
+ * @param {Object} issue - Report entry ({ index, id, errors }); index is optional
+ * @returns {string} Description
+ */
+export function describeIssue(issue) {
+  const errors = issue.errors.map(e => `${e.field} ${e.message}`).join('; ');
+  const position = issue.index === undefined ? '' : ` ${issue.index + 1}`;
+  return `record${position}${issue.id ? ` (${issue.id})` : ''}: ${errors}`;
+}
+
+const isEmpty = (value) => value === undefined || value === null || value === '';
+
+const isValidDate = (value) => !Number.isNaN(new Date(value).getTime());
+
+const TYPE_CHECKS = {
+  string: value => typeof value === 'string',
+  number: value => typeof value === 'number' && Number.isFinite(value),
+  numeric: value => (typeof value === 'number' && Number.isFinite(value)) ||
+    (typeof value === 'string' && value.trim() !== '' && Number.isFinite(Number(value))),
+  boolean: value => typeof value === 'boolean',
+  array: value => Array.isArray(value),
+  object: value => typeof value === 'object' && !Array.isArray(value),
+  date: value => typeof value === 'string' && DATE_PATTERN.test(value) && isValidDate(value),
+  datetime: value => typeof value === 'string' && DATETIME_PATTERN.test(value) && isValidDate(value)
+};
+
+const TYPE_MESSAGES = {
+  string: 'must be text',
+  number: 'must be a number',
+  numeric: 'must be a number',
+  boolean: 'must be true or false',
+  array: 'must be a list',
+  object: 'must be an object',
+  date: 'must be a date (YYYY-MM-DD)',
+  datetime: 'must be a date and time (ISO 8601)'
+};
+
+/**
+ * Check one value against a field rule
+ * @param {*} value - Field value
+ * @param {Object} rule - Field rule
+ * @param {string} path - Field path for messages
+ * @param {Array} errors - Accumulator of { field, message }
+ */
+function checkField(value, rule, path, errors) {
+  if (isEmpty(value)) {
+    if (rule.required) errors.push({ field: path, message: 'is required' });
+    return;
+  }
+  const types = [].concat(rule.type || []);
+  if (types.length > 0 && !types.some(type => TYPE_CHECKS[type](value))) {
+    const expected = types.map(type => TYPE_MESSAGES[type].replace(/^must be /, ''));
+    errors.push({ field: path, message: `must be ${expected.join(' or ')}` });
+    return;
+  }
+  if (rule.enum && !rule.enum.includes(value)) {
+    errors.push({ field: path, message: `must be one of ${rule.enum.join(', ')}` });
+    return;
+  }
+  if (rule.min !== undefined && Number(value) < rule.min) {
+    errors.push({ field: path, message: `must be at least ${rule.min}` });
+  }
+  if (rule.fields) {
+    checkFields(value, rule.fields, `${path}.`, errors);
+  }
+  if (rule.items && Array.isArray(value)) {
+    value.forEach((item, i) => checkField(item, rule.items, `${path}[${i}]`, errors));
+  }
+}
+
+/**
+ * Check an object's fields against a set of rules
+ * @param {Object} value - Object to check
+ * @param {Object} rules - Field name -> rule
+ * @param {string} prefix - Path prefix for messages
+ * @param {Array} errors - Accumulator
+ * @param {Array|null} only - Only check these fields (null for all)
+ */
+function checkFields(value, rules, prefix, errors, only = null) {
+  Object.entries(rules).forEach(([field, rule]) => {
+    if (only && !only.includes(field)) return;
+    checkField(value[field], rule, `${prefix}${field}`, errors);
+  });
+}
+
+/**
+ * Validate one record against its collection's schema
+ * @param {string} key - Collection key
+ * @param {Object} record - Record to validate
+ * @param {Array|null} fields - Only validate these fields (e.g. the ones an update changed)
+ * @returns {Array} Errors ({ field, message }); empty if valid or the collection has no schema
+ */
+export function validateRecord(key, record, fields = null) {
+  const schema = SCHEMAS[key];
+  if (!schema) return [];
+  if (!record || typeof record !== 'object' || Array.isArray(record)) {
+    return [{ field: 'record', message: 'must be an object' }];
+  }
+  
+  const errors = [];
+  checkFields(record, { ...RECORD_FIELDS, ...schema }, '', errors, fields);
+  return errors;
+}
+
+/**
+ * Validate a list of records
+ * @param {string} key - Collection key
+ * @param {Array} records - Records to validate
+ * @returns {Array} Report of invalid records ({ index, id, errors }); empty if all valid
+ */
+export function validateRecords(key, records) {
+  return records
+    .map((record, index) => ({ index, id: record?.id, errors: validateRecord(key, record) }))
+    .filter(issue => issue.errors.length > 0);
+}
+
+/**
+ * Throw a SchemaError unless every record is valid
+ * @param {string} key - Collection key
+ * @param {Array} records - Records to validate
+ */
+export function assertValidRecords(key, records) {
+  const report = validateRecords(key, records);
+  if (report.length > 0) {
+    throw new SchemaError(key, report);
+  }
+}
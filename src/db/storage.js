@@ -0,0 +1,401 @@
+/**
+ * Storage Layer
+ * 
+ * @description IndexedDB-backed persistence for ClinicCare Lite collections
+ * @features
+ *   - One object store per collection, one entry per record (no whole-collection rewrites)
+ *   - Schema versioning with ordered migrations run once on startup
+ *   - Cross-tab change notifications via BroadcastChannel
+ *   - Records are encrypted on their way in and decrypted on their way out
+ *     once encryption at rest is on (see cipher.js); META_STORE stays plain
+ *     apart from the transaction journal, which holds record before-images
+ */
+
+import localforage from 'localforage';
+import { MIGRATIONS } from './migrations';
+import { KEYRING_ID, getKeyring, setKeyring, whenUnlocked, encryptValue, decryptValue, needsReencryption } from './cipher';
+
+// IndexedDB database name shared by every collection store
+export const DB_NAME = 'cliniccare';
+
+// Store holding database-level metadata (schema version, etc.)
+export const META_STORE = 'cliniccare_meta';
+
+// Current schema version - bump together with a new entry in MIGRATIONS
+export const SCHEMA_VERSION = MIGRATIONS.reduce((max, m) => Math.max(max, m.version), 0);
+
+// Custom event for same-tab synchronization between hook instances
+export const STORAGE_EVENT_NAME = 'cliniccare_storage_update';
+
+const SCHEMA_VERSION_KEY = 'schemaVersion';
+const JOURNAL_KEY = 'journal';
+const CHANNEL_NAME = 'cliniccare_storage';
+
+const stores = new Map();
+const writeQueues = new Map();
+let readyPromise = null;
+let keyringPromise = null;
+let channel = null;
+
+/**
+ * Get (or lazily create) the localforage instance for a collection
+ * @param {string} key - Collection key (one of STORAGE_KEYS)
+ * @returns {Object} localforage instance
+ */
+function getStore(key) {
+  if (!stores.has(key)) {
+    stores.set(key, localforage.createInstance({
+      name: DB_NAME,
+      storeName: key,
+      driver: localforage.INDEXEDDB
+    }));
+  }
+  return stores.get(key);
+}
+
+/**
+ * Run a write after every earlier write to the same collection has settled.
+ * Keeps read-modify-write updates from interleaving and losing changes.
+ * @param {string} key - Collection key
+ * @param {Function} write - Async write to perform
+ * @returns {Promise<*>} Result of the write
+ */
+function enqueueWrite(key, write) {
+  const previous = writeQueues.get(key) || Promise.resolve();
+  const next = previous.catch(() => {}).then(write);
+  writeQueues.set(key, next);
+  return next;
+}
+
+/**
+ * Read the keyring once per page load, so the first read or write already
+ * knows whether records are encrypted
+ * @returns {Promise<void>}
+ */
+function loadKeyring() {
+  if (getKeyring() !== undefined) return Promise.resolve();
+  if (!keyringPromise) {
+    keyringPromise = getStore(META_STORE).getItem(KEYRING_ID).then((stored) => {
+      if (getKeyring() === undefined) setKeyring(stored);
+    }).finally(() => {
+      keyringPromise = null;
+    });
+  }
+  return keyringPromise;
+}
+
+// Everything in META_STORE but the journal is settings and bookkeeping
+const isPlain = (key, id) => key === META_STORE && id !== JOURNAL_KEY;
+
+/**
+ * Value to store for a record
+ * @param {string} key - Collection key
+ * @param {string} id - Record ID
+ * @param {*} value - Record
+ * @returns {Promise<*>} Encrypted record (or the record, while encryption is off)
+ */
+async function encode(key, id, value) {
+  if (isPlain(key, id)) return value;
+  await loadKeyring();
+  return encryptValue(value, `${key}:${id}`);
+}
+
+/**
+ * Record from a stored value
+ * @param {string} key - Collection key
+ * @param {string} id - Record ID
+ * @param {*} value - Stored value
+ * @returns {Promise<*>} Decrypted record
+ */
+async function decode(key, id, value) {
+  if (value === null || isPlain(key, id)) return value;
+  await loadKeyring();
+  return decryptValue(value, `${key}:${id}`);
+}
+
+/**
+ * Get the broadcast channel used for cross-tab notifications
+ * @returns {BroadcastChannel|null} Channel, or null if unsupported
+ */
+function getChannel() {
+  if (!channel && typeof BroadcastChannel !== 'undefined') {
+    channel = new BroadcastChannel(CHANNEL_NAME);
+  }
+  return channel;
+}
+
+/**
+ * Tell other tabs that a collection changed
+ * @param {string} key - Collection key
+ */
+function notifyChange(key) {
+  getChannel()?.postMessage({ key });
+}
+
+/**
+ * Tell every useLocalDB instance in this tab that a collection changed
+ * @param {string} key - Collection key
+ * @param {Array} data - Collection contents after the change
+ */
+export function emitLocalChange(key, data) {
+  window.dispatchEvent(new CustomEvent(STORAGE_EVENT_NAME, {
+    detail: { key, data }
+  }));
+}
+
+/**
+ * Tell every useLocalDB instance in this tab which records of a collection
+ * were written, so they can patch their copy instead of re-reading it
+ * @param {string} key - Collection key
+ * @param {Array} writes - Written records ({ id, record }); record is null
+ *   when it was deleted
+ */
+export function emitLocalWrites(key, writes) {
+  window.dispatchEvent(new CustomEvent(STORAGE_EVENT_NAME, {
+    detail: { key, writes }
+  }));
+}
+
+/**
+ * Read the stored schema version
+ * @returns {Promise<number>} Schema version (0 for a fresh database)
+ */
+export async function getSchemaVersion() {
+  const version = await getStore(META_STORE).getItem(SCHEMA_VERSION_KEY);
+  return version || 0;
+}
+
+/**
+ * Run every migration newer than the stored schema version, in order.
+ * The version is saved after each step so a failed migration is retried
+ * on the next start without re-running the ones that succeeded.
+ * @returns {Promise<number>} Schema version after migrating
+ */
+export async function runMigrations() {
+  let version = await getSchemaVersion();
+  const pending = MIGRATIONS
+    .filter(m => m.version > version)
+    .sort((a, b) => a.version - b.version);
+  
+  for (const migration of pending) {
+    await migration.up({ putRecords, getAll });
+    version = migration.version;
+    await getStore(META_STORE).setItem(SCHEMA_VERSION_KEY, version);
+  }
+  
+  return version;
+}
+
+/**
+ * Save the before-images of a transaction about to be applied
+ * @param {Object} journal - { id, entries: [{ key, id, before }] }
+ */
+export async function writeJournal(journal) {
+  return getStore(META_STORE).setItem(JOURNAL_KEY, await encode(META_STORE, JOURNAL_KEY, journal));
+}
+
+/**
+ * Drop the journal once a transaction has committed or rolled back
+ */
+export function clearJournal() {
+  return getStore(META_STORE).removeItem(JOURNAL_KEY);
+}
+
+/**
+ * Put records back the way they were before a transaction touched them.
+ * A null before-image means the record did not exist and is deleted.
+ * @param {Array} entries - Journal entries ({ key, id, before })
+ */
+export async function restoreRecords(entries) {
+  for (const { key, id, before } of entries) {
+    if (before) {
+      await getStore(key).setItem(id, await encode(key, id, before));
+    } else {
+      await getStore(key).removeItem(id);
+    }
+  }
+  new Set(entries.map(e => e.key)).forEach(notifyChange);
+}
+
+/**
+ * Roll back a transaction that was interrupted mid-commit (tab closed,
+ * browser crashed) so no collection is left half-written.
+ * @returns {Promise<boolean>} Whether a transaction was rolled back
+ */
+export async function recoverInterruptedTransaction() {
+  const journal = await decode(META_STORE, JOURNAL_KEY, await getStore(META_STORE).getItem(JOURNAL_KEY));
+  if (!journal) return false;
+  
+  console.warn(`Rolling back interrupted transaction "${journal.id}"`);
+  await restoreRecords(journal.entries);
+  await clearJournal();
+  return true;
+}
+
+/**
+ * Resolve once the database has been unlocked (if encrypted), migrated to
+ * the current schema and any interrupted transaction has been rolled back.
+ * Safe to call from every consumer; this only runs once per page load.
+ * @returns {Promise<number>} Schema version
+ */
+export function ready() {
+  if (!readyPromise) {
+    readyPromise = loadKeyring().then(whenUnlocked).then(runMigrations).then(async (version) => {
+      await recoverInterruptedTransaction();
+      return version;
+    }).catch((e) => {
+      readyPromise = null;
+      throw e;
+    });
+  }
+  return readyPromise;
+}
+
+/**
+ * Load every record in a collection
+ * @param {string} key - Collection key
+ * @returns {Promise<Array>} Records, oldest first
+ */
+export async function getAll(key) {
+  const stored = [];
+  await getStore(key).iterate((value, id) => {
+    stored.push([id, value]);
+  });
+  const records = await Promise.all(stored.map(([id, value]) => decode(key, id, value)));
+  // IndexedDB iterates by primary key; keep the insertion order callers expect
+  return records.sort((a, b) => (a.createdAt || '').localeCompare(b.createdAt || ''));
+}
+
+/**
+ * Load a single record
+ * @param {string} key - Collection key
+ * @param {string} id - Record ID
+ * @returns {Promise<Object|null>} Record or null
+ */
+export async function getRecord(key, id) {
+  return decode(key, id, await getStore(key).getItem(id));
+}
+
+/**
+ * Write a single record
+ * @param {string} key - Collection key
+ * @param {Object} record - Record with an `id`
+ * @returns {Promise<Object>} Stored record
+ */
+export function putRecord(key, record) {
+  return enqueueWrite(key, async () => {
+    await getStore(key).setItem(record.id, await encode(key, record.id, record));
+    notifyChange(key);
+    return record;
+  });
+}
+
+/**
+ * Write several records
+ * @param {string} key - Collection key
+ * @param {Array} records - Records with an `id`
+ * @returns {Promise<Array>} Stored records
+ */
+export function putRecords(key, records) {
+  return enqueueWrite(key, async () => {
+    const store = getStore(key);
+    const encoded = await Promise.all(records.map(record => encode(key, record.id, record)));
+    await Promise.all(records.map((record, i) => store.setItem(record.id, encoded[i])));
+    notifyChange(key);
+    return records;
+  });
+}
+
+/**
+ * Delete a single record
+ * @param {string} key - Collection key
+ * @param {string} id - Record ID
+ */
+export function deleteRecord(key, id) {
+  return enqueueWrite(key, async () => {
+    await getStore(key).removeItem(id);
+    notifyChange(key);
+  });
+}
+
+/**
+ * Delete every record in a collection
+ * @param {string} key - Collection key
+ */
+export function clearCollection(key) {
+  return enqueueWrite(key, async () => {
+    await getStore(key).clear();
+    notifyChange(key);
+  });
+}
+
+/**
+ * Replace a collection's contents
+ * @param {string} key - Collection key
+ * @param {Array} records - New records
+ */
+export function replaceCollection(key, records) {
+  return enqueueWrite(key, async () => {
+    const store = getStore(key);
+    const encoded = await Promise.all(records.map(record => encode(key, record.id, record)));
+    await store.clear();
+    await Promise.all(records.map((record, i) => store.setItem(record.id, encoded[i])));
+    notifyChange(key);
+  });
+}
+
+/**
+ * Rewrite the records of a collection not yet encrypted with the current
+ * data key (after encryption is turned on or the key is rotated)
+ * @param {string} key - Collection key
+ * @returns {Promise<number>} Number of records rewritten
+ */
+export function reencryptCollection(key) {
+  return enqueueWrite(key, async () => {
+    const store = getStore(key);
+    const stale = [];
+    await store.iterate((value, id) => {
+      if (!isPlain(key, id) && needsReencryption(value)) stale.push([id, value]);
+    });
+    for (const [id, value] of stale) {
+      await store.setItem(id, await encode(key, id, await decode(key, id, value)));
+    }
+    return stale.length;
+  });
+}
+
+/**
+ * Read the stored keyring (see cipher.js)
+ * @returns {Promise<Object|null>} Keyring, or null if encryption is off
+ */
+export function readKeyring() {
+  return getStore(META_STORE).getItem(KEYRING_ID);
+}
+
+/**
+ * Save the keyring and tell other tabs it changed
+ * @param {Object} keyring - Keyring with wrapped data keys
+ */
+export function writeKeyring(keyring) {
+  return enqueueWrite(META_STORE, async () => {
+    await getStore(META_STORE).setItem(KEYRING_ID, keyring);
+    setKeyring(keyring);
+    notifyChange(META_STORE);
+  });
+}
+
+/**
+ * Subscribe to changes made to any collection from another tab
+ * @param {Function} listener - Called with the changed collection key
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeToExternalChanges(listener) {
+  const bc = getChannel();
+  if (!bc) return () => {};
+  
+  const handleMessage = (e) => {
+    if (e.data?.key) listener(e.data.key);
+  };
+  bc.addEventListener('message', handleMessage);
+  return () => bc.removeEventListener('message', handleMessage);
+}
@@ -0,0 +1,649 @@
+/**
+ * Sync
+ * 
+ * @description Keeps this device's data in step with other devices through
+ * a sync server (see server/sync-server.js for the reference server)
+ * @features
+ *   - Push: every outbox entry is sent with the revision it was based on;
+ *     the server accepts it or returns its own newer version as a conflict
+ *   - Pull: changes other devices pushed since the last pull are applied,
+ *     unless the record has unpushed local edits, which makes a conflict
+ *   - Pulled records the collection schema rejects (e.g. from a device on
+ *     another version) are skipped and listed in the sync state's `rejected`
+ *     report, so one bad record never stops the pull
+ *   - MRNs that two live patients share after a pull (patients.js) are
+ *     listed in the status as `duplicateMrns`, to be merged or corrected
+ *   - Conflicting edits are merged field by field, newest value first
+ *     (merge.js), and the values that lost go to the merge reports
+ *   - A record deleted on one device and edited on another waits in the
+ *     outbox until someone picks which to keep (resolveConflict)
+ *   - Syncs automatically every AUTO_SYNC_INTERVAL, shortly after local
+ *     changes, and when the connection comes back
+ * 
+ * @example
+ *   await saveSyncConfig({ url: 'https://192.168.1.10:8787/sync', enabled: true });
+ *   const { success, pushed, pulled, rejected, duplicateMrns, merged, conflicts } = await syncNow();
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { STORAGE_KEYS } from '../utils/constants';
+import { META_STORE, ready, getAll, getRecord, STORAGE_EVENT_NAME } from './storage';
+import { createTransaction } from './transaction';
+import { HISTORY_ACTIONS, diffRecords } from './history';
+import { buildRecord } from './records';
+import { validateRecord } from './schemas';
+import { mergeRecords, mergeReportFor, MERGE_SOURCES } from './merge';
+import { findDuplicateMrns } from './patients';
+import { SYNC_COLLECTIONS, SYNC_CONFIG_ID, SYNC_STATE_ID, outboxId, getOutbox } from './outbox';
+
+export const SYNC_STATES = {
+  DISABLED: 'disabled',
+  IDLE: 'idle',
+  SYNCING: 'syncing',
+  OFFLINE: 'offline',
+  ERROR: 'error'
+};
+
+// Which side of a deletion conflict to keep
+export const CONFLICT_CHOICES = {
+  LOCAL: 'local',
+  REMOTE: 'remote'
+};
+
+// Sync at least this often while enabled (ms)
+const AUTO_SYNC_INTERVAL = 30000;
+// Wait this long after a local change, so a burst of edits is pushed once (ms)
+const CHANGE_DELAY = 2000;
+// Most records sent in one push request
+const PUSH_BATCH_SIZE = 200;
+// Most skipped changes kept in the sync report (newest are kept)
+const MAX_REJECTED = 100;
+
+/**
+ * Error raised when the sync server can't be reached or refuses a request
+ */
+export class SyncError extends Error {
+  constructor(message, status = null) {
+    super(message);
+    this.name = 'SyncError';
+    this.status = status;
+  }
+}
+
+/**
+ * Record as sent to the server, without this device's bookkeeping
+ * @param {Object|null} record - Stored record
+ * @returns {Object|null} Record to send
+ */
+function withoutSyncRev(record) {
+  if (!record) return null;
+  const { syncRev, ...data } = record;
+  return data;
+}
+
+/**
+ * Whether two versions of a record hold the same data
+ * @param {Object|null} a - Record
+ * @param {Object|null} b - Record
+ * @returns {boolean} Whether they match
+ */
+const sameContent = (a, b) => (a && b ? diffRecords(a, b).length === 0 : a === b);
+
+/**
+ * Commit a transaction that applies server data, so it is not queued
+ * to be pushed back
+ * @param {Function} build - Receives the transaction and queues operations on it
+ */
+async function commitFromServer(build) {
+  const tx = createTransaction({ sync: false });
+  build(tx);
+  const result = await tx.commit();
+  if (!result.success) throw result.error;
+}
+
+// ==================== Settings ====================
+
+/**
+ * Sync server settings for this device
+ * @returns {Promise<Object>} { url, token, deviceId, deviceName, enabled }
+ */
+export async function getSyncConfig() {
+  const config = await getRecord(META_STORE, SYNC_CONFIG_ID);
+  return { url: '', token: '', deviceId: null, deviceName: '', enabled: false, ...config };
+}
+
+/**
+ * Change the sync server settings. Pointing at another server starts over:
+ * everything on this device is pushed to it and all its data is pulled.
+ * @param {Object} changes - Fields to change ({ url, token, deviceName, enabled })
+ * @returns {Promise<Object>} Saved settings
+ */
+export async function saveSyncConfig(changes) {
+  const current = await getSyncConfig();
+  const config = {
+    ...current,
+    ...changes,
+    id: SYNC_CONFIG_ID,
+    url: (changes.url ?? current.url).trim(),
+    deviceId: current.deviceId || uuidv4()
+  };
+  
+  await commitFromServer((tx) => {
+    tx.put(META_STORE, config);
+    if (config.url !== current.url) {
+      tx.remove(META_STORE, SYNC_STATE_ID);
+    }
+  });
+  await refreshSyncStatus();
+  return config;
+}
+
+// ==================== Transport ====================
+
+/**
+ * Talk to a sync server over HTTP
+ * @param {Object} config - { url, token }
+ * @returns {Object} Transport with push/pull/health
+ */
+export function createHttpTransport({ url, token }) {
+  const base = url.replace(/\/+$/, '');
+  
+  const request = async (path, options = {}) => {
+    let response;
+    try {
+      response = await fetch(`${base}${path}`, {
+        ...options,
+        headers: {
+          'Content-Type': 'application/json',
+          ...(token ? { Authorization: `Bearer ${token}` } : {})
+        }
+      });
+    } catch (e) {
+      throw new SyncError(`Could not reach the sync server at ${base}`);
+    }
+    if (!response.ok) {
+      const body = await response.json().catch(() => ({}));
+      throw new SyncError(body.error || `Sync server responded with ${response.status}`, response.status);
+    }
+    return response.json();
+  };
+  
+  return {
+    push: (body) => request('/push', { method: 'POST', body: JSON.stringify(body) }),
+    pull: ({ since, deviceId }) => request(`/pull?since=${since}&deviceId=${encodeURIComponent(deviceId)}`),
+    health: () => request('/health')
+  };
+}
+
+// ==================== Push and pull ====================
+
+/**
+ * Queue every record that has never been synced, so a device's existing
+ * data reaches the server the first time it syncs
+ */
+async function seedOutbox() {
+  const queued = new Set((await getOutbox()).map(entry => entry.id));
+  const changedAt = new Date().toISOString();
+  const entries = [];
+  for (const key of SYNC_COLLECTIONS) {
+    (await getAll(key))
+      .filter(record => !record.syncRev && !queued.has(outboxId(key, record.id)))
+      .forEach(record => entries.push({
+        id: outboxId(key, record.id),
+        key,
+        recordId: record.id,
+        baseRev: null,
+        conflict: null,
+        changedAt,
+        changedBy: null
+      }));
+  }
+  if (entries.length > 0) {
+    await commitFromServer(tx => entries.forEach(entry => tx.put(STORAGE_KEYS.OUTBOX, entry)));
+  }
+}
+
+/**
+ * Conflict details from the server's version of a record
+ * @param {Object} remote - { rev, record, changedBy, deviceName }
+ * @returns {Object} Conflict to keep on the outbox entry
+ */
+const conflictFrom = (remote) => ({
+  remoteRev: remote.rev,
+  remote: remote.record,
+  changedBy: remote.changedBy || null,
+  deviceName: remote.deviceName || null,
+  detectedAt: new Date().toISOString()
+});
+
+/**
+ * Send pending outbox entries to the server
+ * @param {Object} transport - Sync transport
+ * @param {Object} config - Sync settings
+ * @returns {Promise<number>} Records the server accepted
+ */
+async function pushChanges(transport, config) {
+  const pending = (await getOutbox()).filter(entry => !entry.conflict);
+  let accepted = 0;
+  
+  for (let start = 0; start < pending.length; start += PUSH_BATCH_SIZE) {
+    const batch = pending.slice(start, start + PUSH_BATCH_SIZE);
+    const changes = await Promise.all(batch.map(async entry => ({
+      key: entry.key,
+      id: entry.recordId,
+      baseRev: entry.baseRev,
+      record: withoutSyncRev(await getRecord(entry.key, entry.recordId)),
+      changedBy: entry.changedBy
+    })));
+    const { results } = await transport.push({
+      deviceId: config.deviceId,
+      deviceName: config.deviceName || null,
+      changes
+    });
+    
+    await commitFromServer((tx) => {
+      results.forEach((result, i) => {
+        const entry = batch[i];
+        const isEntry = e => e.id === entry.id;
+        if (result.status !== 'ok') {
+          tx.updateWhere(STORAGE_KEYS.OUTBOX, isEntry, { conflict: conflictFrom(result) });
+          return;
+        }
+        accepted += 1;
+        tx.updateWhere(entry.key, record => record.id === entry.recordId, { syncRev: result.rev });
+        tx.removeWhere(STORAGE_KEYS.OUTBOX, e => isEntry(e) && e.changedAt === entry.changedAt);
+        // Edited again while the push was in flight: the next push builds on this revision
+        tx.updateWhere(STORAGE_KEYS.OUTBOX, e => isEntry(e) && e.changedAt !== entry.changedAt, {
+          baseRev: result.rev
+        });
+      });
+    });
+  }
+  
+  return accepted;
+}
+
+/**
+ * Schema problems with a pulled record, checked the way a local write would
+ * be: updates only on the fields they change
+ * @param {Object} change - Pulled change ({ key, record })
+ * @param {Object|null} local - Record as stored here
+ * @returns {Array} Validation errors ({ field, message })
+ */
+function pulledRecordErrors(change, local) {
+  if (!change.record) return [];
+  const fields = local ? diffRecords(local, change.record).map(c => c.field) : null;
+  return validateRecord(change.key, change.record, fields);
+}
+
+/**
+ * Apply changes other devices pushed since the last pull. Changes that fail
+ * validation are skipped and reported, and the cursor still moves past them.
+ * @param {Object} transport - Sync transport
+ * @param {Object} config - Sync settings
+ * @param {Object} state - Pull position ({ cursor, rejected })
+ * @returns {Promise<Object>} { pulled, rejected } changes applied and skipped
+ */
+async function pullChanges(transport, config, state) {
+  let cursor = state.cursor || 0;
+  let report = state.rejected || [];
+  let pulled = 0;
+  let rejected = 0;
+  let page;
+  
+  do {
+    page = await transport.pull({ since: cursor, deviceId: config.deviceId });
+    const outbox = new Map((await getOutbox()).map(entry => [entry.id, entry]));
+    const changes = [];
+    const skipped = [];
+    for (const change of page.changes) {
+      if (!SYNC_COLLECTIONS.includes(change.key)) continue;
+      const local = await getRecord(change.key, change.id);
+      if (local?.syncRev >= change.rev) continue;
+      const errors = pulledRecordErrors(change, local);
+      if (errors.length > 0) {
+        skipped.push({
+          key: change.key,
+          id: change.id,
+          rev: change.rev,
+          device: change.deviceName || null,
+          errors,
+          rejectedAt: new Date().toISOString()
+        });
+        continue;
+      }
+      changes.push({ change, local, entry: outbox.get(outboxId(change.key, change.id)) });
+    }
+    if (skipped.length > 0) {
+      console.warn(`Sync skipped ${skipped.length} invalid record(s):`, skipped);
+      rejected += skipped.length;
+    }
+    // A newer revision of a record, valid or not, replaces its earlier report
+    const seen = new Set([...changes.map(({ change }) => change), ...skipped].map(c => `${c.key}:${c.id}`));
+    report = [...report.filter(r => !seen.has(`${r.key}:${r.id}`)), ...skipped].slice(-MAX_REJECTED);
+    
+    await commitFromServer((tx) => {
+      changes.forEach(({ change, local, entry }) => {
+        if (entry) {
+          // Local edits not pushed yet: same result, or a conflict to merge
+          if (sameContent(local, change.record)) {
+            tx.updateWhere(change.key, record => record.id === change.id, { syncRev: change.rev });
+            tx.removeWhere(STORAGE_KEYS.OUTBOX, e => e.id === entry.id && e.changedAt === entry.changedAt);
+          } else {
+            tx.updateWhere(STORAGE_KEYS.OUTBOX, e => e.id === entry.id, { conflict: conflictFrom(change) });
+          }
+          return;
+        }
+        if (change.record) {
+          tx.put(change.key, { ...change.record, syncRev: change.rev }, {
+            action: HISTORY_ACTIONS.SYNC,
+            changedBy: change.changedBy || null,
+            device: change.deviceName || null
+          });
+        } else if (local) {
+          tx.remove(change.key, change.id);
+        }
+        pulled += 1;
+      });
+      tx.put(META_STORE, { ...state, id: SYNC_STATE_ID, cursor: page.cursor, rejected: report });
+    });
+    cursor = page.cursor;
+  } while (page.hasMore);
+  
+  return { pulled, rejected };
+}
+
+/**
+ * Merge every conflict where both devices still have the record. The
+ * merged record is pushed on top of the other device's revision; if it
+ * turns out the same as the other device's copy there is nothing to push.
+ * @returns {Promise<number>} Records merged
+ */
+async function mergeConflicts() {
+  const merges = [];
+  for (const entry of (await getOutbox()).filter(e => e.conflict?.remote)) {
+    const local = await getRecord(entry.key, entry.recordId);
+    if (local) merges.push({ entry, local });
+  }
+  if (merges.length === 0) return 0;
+  
+  await commitFromServer((tx) => {
+    merges.forEach(({ entry, local }) => {
+      const { remote, remoteRev, changedBy, deviceName } = entry.conflict;
+      const { record, changes } = mergeRecords(entry.key, local, remote);
+      const isEntry = e => e.id === entry.id;
+      
+      tx.put(entry.key, { ...record, syncRev: remoteRev }, {
+        action: HISTORY_ACTIONS.MERGE,
+        changedBy: changedBy || null,
+        device: deviceName || null
+      });
+      if (sameContent(record, remote)) {
+        tx.removeWhere(STORAGE_KEYS.OUTBOX, e => isEntry(e) && e.changedAt === entry.changedAt);
+        tx.updateWhere(STORAGE_KEYS.OUTBOX, e => isEntry(e) && e.changedAt !== entry.changedAt, {
+          baseRev: remoteRev,
+          conflict: null
+        });
+      } else {
+        tx.updateWhere(STORAGE_KEYS.OUTBOX, isEntry, { baseRev: remoteRev, conflict: null });
+      }
+      if (changes.length > 0) {
+        tx.create(STORAGE_KEYS.MERGE_REPORTS, buildRecord(mergeReportFor({
+          key: entry.key,
+          record,
+          changes,
+          source: MERGE_SOURCES.SYNC,
+          from: deviceName
+        })));
+      }
+    });
+  });
+  
+  return merges.length;
+}
+
+// ==================== Status ====================
+
+let status = {
+  state: SYNC_STATES.DISABLED,
+  pending: 0,
+  conflicts: 0,
+  lastSyncAt: null,
+  lastError: null,
+  rejected: [],
+  duplicateMrns: []
+};
+const listeners = new Set();
+let running = null;
+
+/**
+ * Replace the status snapshot and notify subscribers
+ * @param {Object} changes - Fields to change
+ */
+function setStatus(changes) {
+  status = { ...status, ...changes };
+  listeners.forEach(listener => listener(status));
+}
+
+/**
+ * Latest sync status
+ * @returns {Object} { state, pending, conflicts, lastSyncAt, lastError, rejected,
+ *   duplicateMrns }
+ */
+export const getSyncStatus = () => status;
+
+/**
+ * Subscribe to sync status changes
+ * @param {Function} listener - Called with the new status
+ * @returns {Function} Unsubscribe function
+ */
+export function subscribeSyncStatus(listener) {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+}
+
+/**
+ * Recount pending changes and conflicts, and work out the sync state
+ * @returns {Promise<Object>} Updated status
+ */
+export async function refreshSyncStatus() {
+  const [config, syncState, outbox, patients] = await Promise.all([
+    getSyncConfig(),
+    getRecord(META_STORE, SYNC_STATE_ID),
+    getOutbox(),
+    getAll(STORAGE_KEYS.PATIENTS)
+  ]);
+  
+  let state = SYNC_STATES.IDLE;
+  if (!config.enabled || !config.url) state = SYNC_STATES.DISABLED;
+  else if (running) state = SYNC_STATES.SYNCING;
+  else if (typeof navigator !== 'undefined' && !navigator.onLine) state = SYNC_STATES.OFFLINE;
+  else if (status.lastError) state = SYNC_STATES.ERROR;
+  
+  setStatus({
+    state,
+    pending: outbox.filter(entry => !entry.conflict).length,
+    conflicts: outbox.filter(entry => entry.conflict).length,
+    lastSyncAt: syncState?.lastSyncAt || null,
+    rejected: syncState?.rejected || [],
+    duplicateMrns: findDuplicateMrns(patients)
+  });
+  return status;
+}
+
+// ==================== Sync ====================
+
+/**
+ * Push local changes, pull everyone else's, then merge and push records
+ * changed on both sides. Only one sync runs at a time;
+ * calling this while one is running returns the running one.
+ * @param {Object} options - { transport } to use instead of the configured server
+ * @returns {Promise<Object>} Result with success status and pushed/pulled/rejected/
+ *   duplicateMrns/merged/conflicts counts
+ */
+export function syncNow({ transport = null } = {}) {
+  if (running) return running;
+  
+  running = (async () => {
+    const config = await getSyncConfig();
+    if (!transport && !config.url) {
+      return { success: false, error: new SyncError('No sync server is configured') };
+    }
+    const server = transport || createHttpTransport(config);
+    setStatus({ state: SYNC_STATES.SYNCING });
+    
+    try {
+      await ready();
+      const state = (await getRecord(META_STORE, SYNC_STATE_ID)) || { cursor: 0 };
+      if (!state.seeded) await seedOutbox();
+      
+      let pushed = await pushChanges(server, config);
+      const { pulled, rejected } = await pullChanges(server, config, {
+        ...state,
+        seeded: true,
+        lastSyncAt: new Date().toISOString()
+      });
+      const merged = await mergeConflicts();
+      if (merged > 0) pushed += await pushChanges(server, config);
+      
+      const conflicts = (await getOutbox()).filter(entry => entry.conflict).length;
+      const duplicateMrns = findDuplicateMrns(await getAll(STORAGE_KEYS.PATIENTS));
+      if (pulled > 0 && duplicateMrns.length > 0) {
+        console.warn('Patients share an MRN after sync:', duplicateMrns);
+      }
+      setStatus({ lastError: null });
+      return { success: true, pushed, pulled, rejected, duplicateMrns: duplicateMrns.length, merged, conflicts };
+    } catch (e) {
+      console.error('Sync failed:', e);
+      setStatus({ lastError: e.message });
+      return { success: false, error: e };
+    }
+  })().finally(() => {
+    running = null;
+    refreshSyncStatus();
+  });
+  
+  return running;
+}
+
+/**
+ * Check that the sync server can be reached with the given settings
+ * @param {Object} config - { url, token }
+ * @returns {Promise<Object>} Result with success status
+ */
+export async function testSyncServer(config) {
+  try {
+    await createHttpTransport(config).health();
+    return { success: true };
+  } catch (e) {
+    return { success: false, error: e };
+  }
+}
+
+/**
+ * Sync on a timer, shortly after local changes, and when back online
+ * @returns {Function} Stops syncing automatically
+ */
+export function startAutoSync() {
+  let timer = null;
+  
+  const run = async () => {
+    const config = await getSyncConfig();
+    const online = typeof navigator === 'undefined' || navigator.onLine;
+    if (config.enabled && config.url && online) {
+      await syncNow();
+    } else {
+      await refreshSyncStatus();
+    }
+  };
+  
+  const schedule = (delay) => {
+    clearTimeout(timer);
+    timer = setTimeout(run, delay);
+  };
+  
+  const handleLocalChange = (e) => {
+    // The sync's own writes don't need another sync
+    if (running) return;
+    if (SYNC_COLLECTIONS.includes(e.detail?.key)) {
+      schedule(CHANGE_DELAY);
+    } else if (e.detail?.key === STORAGE_KEYS.OUTBOX) {
+      refreshSyncStatus();
+    }
+  };
+  const handleOnline = () => schedule(0);
+  const handleOffline = () => refreshSyncStatus();
+  
+  window.addEventListener(STORAGE_EVENT_NAME, handleLocalChange);
+  window.addEventListener('online', handleOnline);
+  window.addEventListener('offline', handleOffline);
+  const interval = setInterval(run, AUTO_SYNC_INTERVAL);
+  run();
+  
+  return () => {
+    clearTimeout(timer);
+    clearInterval(interval);
+    window.removeEventListener(STORAGE_EVENT_NAME, handleLocalChange);
+    window.removeEventListener('online', handleOnline);
+    window.removeEventListener('offline', handleOffline);
+  };
+}
+
+// ==================== Conflicts ====================
+
+/**
+ * Every record deleted on one device and edited on another
+ * @returns {Promise<Array>} [{ entry, key, recordId, local, remote }]
+ *   where local or remote is null on the side that deleted it
+ */
+export async function getConflicts() {
+  const entries = (await getOutbox()).filter(entry => entry.conflict);
+  return Promise.all(entries.map(async entry => ({
+    entry,
+    key: entry.key,
+    recordId: entry.recordId,
+    local: await getRecord(entry.key, entry.recordId),
+    remote: entry.conflict.remote
+  })));
+}
+
+/**
+ * Settle a conflict. Taking the other device's side applies it as is;
+ * keeping this device's is pushed on top of the server's revision by
+ * the next sync.
+ * @param {string} entryId - Outbox entry ID ("key:id")
+ * @param {string} choice - CONFLICT_CHOICES.LOCAL or CONFLICT_CHOICES.REMOTE
+ * @returns {Promise<Object>} Result with success status
+ */
+export async function resolveConflict(entryId, choice) {
+  const entry = await getRecord(STORAGE_KEYS.OUTBOX, entryId);
+  if (!entry?.conflict) {
+    return { success: false, error: new Error('This conflict has already been resolved') };
+  }
+  
+  const { key, recordId } = entry;
+  const { remote, remoteRev } = entry.conflict;
+  const local = await getRecord(key, recordId);
+  
+  const tx = createTransaction({ sync: false });
+  if (choice === CONFLICT_CHOICES.REMOTE) {
+    if (remote) {
+      tx.put(key, { ...remote, syncRev: remoteRev }, {
+        action: HISTORY_ACTIONS.SYNC,
+        changedBy: entry.conflict.changedBy
+      });
+    } else if (local) {
+      tx.remove(key, recordId);
+    }
+    tx.remove(STORAGE_KEYS.OUTBOX, entryId);
+  } else {
+    if (local && remoteRev) {
+      tx.put(key, { ...local, syncRev: remoteRev });
+    }
+    tx.update(STORAGE_KEYS.OUTBOX, entryId, { baseRev: remoteRev, conflict: null });
+  }
+  
+  const result = await tx.commit();
+  if (result.success) refreshSyncStatus();
+  return result;
+}
@@ -0,0 +1,372 @@
+/**
+ * Transactions
+ * 
+ * @description Atomic writes across several collections
+ * @features
+ *   - Queue creates/updates/removes on any STORAGE_KEYS collection, then commit once
+ *   - All-or-nothing: a failed write rolls back every record already written
+ *   - Crash-safe: before-images are journaled first and restored on next start
+ *   - Commits are serialized so two transactions never interleave
+ *   - Records are checked against their collection schema (schemas.js) first
+ *   - Each changed record gets a history version in the same commit (history.js)
+ *   - Refused while storage is full, unless it only frees space (quota.js)
+ *   - Changed fields get a logical clock, used to merge copies of a record (merge.js)
+ *   - Changed records are queued for the sync server in the same commit (outbox.js)
+ * 
+ * @example
+ *   const tx = createTransaction();
+ *   tx.create(STORAGE_KEYS.CONSULTATIONS, consultation);
+ *   tx.update(STORAGE_KEYS.APPOINTMENTS, appointmentId, { status });
+ *   const { success, error } = await tx.commit();
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import {
+  ready,
+  getAll,
+  getRecord,
+  putRecord,
+  deleteRecord,
+  writeJournal,
+  clearJournal,
+  restoreRecords,
+  emitLocalWrites,
+  META_STORE
+} from './storage';
+import { buildRecord, applyUpdates } from './records';
+import { historyWritesFor, diffRecords } from './history';
+import { outboxWritesFor } from './outbox';
+import { stampClocks } from './merge';
+import { validateRecord, SchemaError } from './schemas';
+import {
+  assertWritable,
+  isQuotaExceeded,
+  reportQuotaExceeded,
+  refreshStorageHealth,
+  scheduleStorageCheck
+} from './quota';
+import { STORAGE_KEYS } from '../utils/constants';
+
+// Tail of the commit queue; every commit waits for the previous one
+let commitQueue = Promise.resolve();
+
+/**
+ * Resolve an update argument against the record it applies to
+ * @param {Object|Function} updates - Fields to update, or (record) => fields
+ * @param {Object} record - Record as the transaction has left it so far
+ * @returns {Object} Fields to update
+ */
+function resolveUpdates(updates, record) {
+  return typeof updates === 'function' ? updates(record) : updates;
+}
+
+/**
+ * Error raised when a queued operation can't be applied
+ */
+export class TransactionError extends Error {
+  constructor(message, operation) {
+    super(message);
+    this.name = 'TransactionError';
+    this.operation = operation;
+  }
+}
+
+/**
+ * Resolve queued operations against the current stored records.
+ * Several operations on the same record are folded into one write.
+ * @param {Array} operations - Queued operations
+ * @param {Object} options - { history, sync }: whether to add history
+ *   versions and outbox entries
+ * @returns {Promise<Map>} Map of "key:id" -> { key, id, before, after, meta }
+ */
+async function resolveWrites(operations, { history, sync }) {
+  const writes = new Map();
+  
+  const slotFor = async (key, id) => {
+    const slot = `${key}:${id}`;
+    if (!writes.has(slot)) {
+      const before = await getRecord(key, id);
+      writes.set(slot, { key, id, before, after: before, meta: {} });
+    }
+    return writes.get(slot);
+  };
+  
+  // Collection contents as this transaction has left them so far
+  const currentRecords = async (key) => {
+    const stored = await getAll(key);
+    const written = [...writes.values()].filter(w => w.key === key);
+    const byId = new Map(stored.map(record => [record.id, record]));
+    written.forEach(w => (w.after ? byId.set(w.id, w.after) : byId.delete(w.id)));
+    return [...byId.values()];
+  };
+  
+  for (const op of operations) {
+    if (op.type === 'updateWhere') {
+      for (const record of (await currentRecords(op.key)).filter(op.predicate)) {
+        const write = await slotFor(op.key, record.id);
+        write.after = applyUpdates(write.after, resolveUpdates(op.updates, write.after));
+      }
+      continue;
+    }
+    if (op.type === 'removeWhere') {
+      for (const record of (await currentRecords(op.key)).filter(op.predicate)) {
+        (await slotFor(op.key, record.id)).after = null;
+      }
+      continue;
+    }
+    if (op.type === 'replaceAll') {
+      const keep = new Set(op.records.map(record => record.id));
+      for (const record of await currentRecords(op.key)) {
+        if (!keep.has(record.id)) (await slotFor(op.key, record.id)).after = null;
+      }
+      for (const record of op.records) {
+        (await slotFor(op.key, record.id)).after = record;
+      }
+      continue;
+    }
+    
+    const write = await slotFor(op.key, op.id);
+    Object.assign(write.meta, op.meta);
+    
+    if (op.type === 'create') {
+      if (write.after) {
+        throw new TransactionError(`Record "${op.id}" already exists in ${op.key}`, op);
+      }
+      write.after = op.record;
+    } else if (op.type === 'put') {
+      write.after = op.record;
+    } else if (op.type === 'update') {
+      if (!write.after) {
+        throw new TransactionError(`Record "${op.id}" not found in ${op.key}`, op);
+      }
+      write.after = applyUpdates(write.after, resolveUpdates(op.updates, write.after));
+    } else if (op.type === 'remove') {
+      write.after = null;
+    }
+  }
+  
+  for (const write of writes.values()) {
+    write.after = stampClocks(write.key, write.before, write.after);
+  }
+  assertValidWrites(writes);
+  
+  const recordWrites = [...writes.values()];
+  const extraWrites = [
+    ...(history ? await historyWritesFor(recordWrites) : []),
+    ...(sync ? await outboxWritesFor(recordWrites) : [])
+  ];
+  for (const extra of extraWrites) {
+    writes.set(`${extra.key}:${extra.id}`, extra);
+  }
+  
+  return writes;
+}
+
+/**
+ * Refuse writes that would store a record its collection schema rejects.
+ * Updates are checked on the fields they change, so records saved before
+ * a rule existed can still be edited.
+ * @param {Map} writes - Resolved writes
+ */
+function assertValidWrites(writes) {
+  for (const { key, id, before, after } of writes.values()) {
+    if (!after) continue;
+    const fields = before ? diffRecords(before, after).map(change => change.field) : null;
+    const errors = validateRecord(key, after, fields);
+    if (errors.length > 0) {
+      throw new SchemaError(key, [{ id, errors }]);
+    }
+  }
+}
+
+/**
+ * Apply resolved writes, journaling before-images first
+ * @param {Map} writes - Resolved writes
+ */
+async function applyWrites(writes) {
+  const entries = [...writes.values()];
+  await writeJournal({
+    id: uuidv4(),
+    startedAt: new Date().toISOString(),
+    entries: entries.map(({ key, id, before }) => ({ key, id, before }))
+  });
+  
+  try {
+    for (const { key, id, after } of entries) {
+      if (after) {
+        await putRecord(key, after);
+      } else {
+        await deleteRecord(key, id);
+      }
+    }
+  } catch (e) {
+    // If the rollback itself fails the journal stays, and ready() retries it
+    await restoreRecords(entries);
+    await clearJournal();
+    throw e;
+  }
+  await clearJournal();
+}
+
+/**
+ * Create a new transaction
+ * @param {Object} options - Transaction options
+ * @param {boolean} options.freesSpace - Only removes data, so it may run while
+ *   storage is full (and storage is re-checked after it)
+ * @param {boolean} options.history - Record history versions (off when the
+ *   history itself is being archived)
+ * @param {boolean} options.sync - Queue changes for the sync server (off for
+ *   changes that came from it, and for archiving, which is per device)
+ * @returns {Object} Transaction with create/put/update/updateWhere/remove/
+ *   removeWhere/replaceAll/commit
+ */
+export function createTransaction({ freesSpace = false, history = true, sync = true } = {}) {
+  const operations = [];
+  let committed = false;
+  
+  const assertOpen = () => {
+    if (committed) {
+      throw new TransactionError('Transaction has already been committed');
+    }
+  };
+  
+  return {
+    /**
+     * Queue a new record
+     * @param {string} key - Collection key
+     * @param {Object} item - Item data (id will be auto-generated if not provided)
+     * @returns {Object} Record as it will be stored
+     */
+    create(key, item) {
+      assertOpen();
+      const record = buildRecord(item);
+      operations.push({ type: 'create', key, id: record.id, record });
+      return record;
+    },
+    
+    /**
+     * Write a record exactly as given, creating or replacing it
+     * @param {string} key - Collection key
+     * @param {Object} record - Record with an `id`
+     * @param {Object} meta - Extra fields for the history version (e.g. { action })
+     */
+    put(key, record, meta = {}) {
+      assertOpen();
+      operations.push({ type: 'put', key, id: record.id, record, meta });
+    },
+    
+    /**
+     * Queue an update to an existing record.
+     * A function is called with the record as stored at commit time.
+     * @param {string} key - Collection key
+     * @param {string} id - Record ID
+     * @param {Object|Function} updates - Fields to update, or (record) => fields
+     * @param {Object} meta - Extra fields for the history version (e.g. { action })
+     */
+    update(key, id, updates, meta = {}) {
+      assertOpen();
+      operations.push({ type: 'update', key, id, updates, meta });
+    },
+    
+    /**
+     * Queue an update to every record matching a predicate at commit time
+     * @param {string} key - Collection key
+     * @param {Function} predicate - Selects the records to update
+     * @param {Object|Function} updates - Fields to update, or (record) => fields
+     */
+    updateWhere(key, predicate, updates) {
+      assertOpen();
+      operations.push({ type: 'updateWhere', key, predicate, updates });
+    },
+    
+    /**
+     * Queue a record deletion
+     * @param {string} key - Collection key
+     * @param {string} id - Record ID
+     */
+    remove(key, id) {
+      assertOpen();
+      operations.push({ type: 'remove', key, id });
+    },
+    
+    /**
+     * Queue deletion of every record matching a predicate at commit time
+     * @param {string} key - Collection key
+     * @param {Function} predicate - Selects the records to delete
+     */
+    removeWhere(key, predicate) {
+      assertOpen();
+      operations.push({ type: 'removeWhere', key, predicate });
+    },
+    
+    /**
+     * Replace a collection's contents; records not in the list are deleted
+     * @param {string} key - Collection key
+     * @param {Array} records - New records, each with an `id`
+     */
+    replaceAll(key, records) {
+      assertOpen();
+      operations.push({ type: 'replaceAll', key, records });
+    },
+    
+    /**
+     * Write every queued operation, or none of them
+     * @returns {Promise<Object>} Result with success status
+     */
+    commit() {
+      assertOpen();
+      committed = true;
+      
+      const run = async () => {
+        await ready();
+        if (!freesSpace) assertWritable();
+        const writes = await resolveWrites(operations, { history, sync });
+        try {
+          await applyWrites(writes);
+        } catch (e) {
+          throw isQuotaExceeded(e) ? reportQuotaExceeded(e) : e;
+        }
+        
+        if (freesSpace) {
+          await refreshStorageHealth({ freed: true });
+        } else {
+          scheduleStorageCheck();
+        }
+        
+        // Send every mounted useLocalDB instance the records written to the
+        // collections it holds. History is read per record (useRecordHistory),
+        // never as a collection.
+        const changed = new Map();
+        for (const { key, id, after } of writes.values()) {
+          if (key === STORAGE_KEYS.HISTORY || key === META_STORE) continue;
+          if (!changed.has(key)) changed.set(key, []);
+          changed.get(key).push({ id, record: after });
+        }
+        changed.forEach((records, key) => emitLocalWrites(key, records));
+      };
+      
+      const result = commitQueue.then(run).then(
+        () => ({ success: true }),
+        (e) => {
+          console.error('Transaction rolled back:', e);
+          return { success: false, error: e };
+        }
+      );
+      commitQueue = result;
+      return result;
+    }
+  };
+}
+
+/**
+ * Run a task between commits: it starts once every queued commit has
+ * finished and holds later commits back until it ends (used to re-encrypt
+ * records without a commit writing them at the same time)
+ * @param {Function} task - Async task
+ * @returns {Promise<*>} Result of the task
+ */
+export function runBetweenCommits(task) {
+  const result = commitQueue.then(task);
+  commitQueue = result.catch(() => {});
+  return result;
+}
@@ -0,0 +1,235 @@
+/**
+ * Trash
+ * 
+ * @description Soft delete, restore and purge for clinical records
+ * @features
+ *   - Deleting tombstones a record with deletedAt/deletedBy instead of erasing it
+ *   - Records that cascade from it (see relations.js) are tombstoned with it
+ *     under one deletionId and marked deletedWith; restrict relations block it
+ *   - Restore and purge act on everything deleted together, atomically
+ */
+
+import { v4 as uuidv4 } from 'uuid';
+import { STORAGE_KEYS } from '../utils/constants';
+import { getAll, getRecord } from './storage';
+import { createTransaction } from './transaction';
+import { ON_DELETE, relationsTo, relationsFrom } from './relations';
+
+// Collections whose deleted records are listed in Settings > Trash
+export const TRASH_COLLECTIONS = [
+  STORAGE_KEYS.PATIENTS,
+  STORAGE_KEYS.APPOINTMENTS,
+  STORAGE_KEYS.TRIAGE,
+  STORAGE_KEYS.QUEUE,
+  STORAGE_KEYS.CONSULTATIONS,
+  STORAGE_KEYS.PRESCRIPTIONS,
+  STORAGE_KEYS.LAB_ORDERS,
+  STORAGE_KEYS.INVENTORY
+];
+
+// Fields cleared on restore
+const LIVE = { deletedAt: null, deletedBy: null, deletionId: null, deletedWith: null };
+
+/**
+ * Error raised when a delete or restore would break a declared relation
+ */
+export class IntegrityError extends Error {
+  constructor(message, references = []) {
+    super(message);
+    this.name = 'IntegrityError';
+    this.references = references;
+  }
+}
+
+/**
+ * Whether a record is in the trash
+ * @param {Object} record - Record
+ * @returns {boolean} Whether it has been soft deleted
+ */
+export const isDeleted = (record) => Boolean(record?.deletedAt);
+
+/**
+ * Read collections at most once per operation
+ * @returns {Function} (key) => Promise<Array> of records
+ */
+export function createReader() {
+  const cache = new Map();
+  return (key) => {
+    if (!cache.has(key)) cache.set(key, getAll(key));
+    return cache.get(key);
+  };
+}
+
+/**
+ * Collect a live record and every live record that cascades from it
+ * @param {string} key - Collection key
+ * @param {Object} record - Record being deleted
+ * @param {Function} read - Collection reader
+ * @param {Map} found - Accumulator of "key:id" -> { key, record }
+ * @returns {Promise<Map>} Records to delete, the given record first
+ */
+export async function collectCascade(key, record, read, found = new Map()) {
+  found.set(`${key}:${record.id}`, { key, record });
+  for (const relation of relationsTo(key)) {
+    if (relation.onDelete !== ON_DELETE.CASCADE) continue;
+    const children = (await read(relation.from))
+      .filter(child => child[relation.field] === record.id && !isDeleted(child));
+    for (const child of children) {
+      if (!found.has(`${relation.from}:${child.id}`)) {
+        await collectCascade(relation.from, child, read, found);
+      }
+    }
+  }
+  return found;
+}
+
+/**
+ * Live records outside a deletion that restrict it
+ * @param {Map} deletion - Records being deleted (from collectCascade)
+ * @param {Function} read - Collection reader
+ * @returns {Promise<Array>} [{ key, record, relation }]
+ */
+async function findRestricting(deletion, read) {
+  const blockers = [];
+  for (const { key, record } of deletion.values()) {
+    for (const relation of relationsTo(key)) {
+      if (relation.onDelete !== ON_DELETE.RESTRICT) continue;
+      (await read(relation.from))
+        .filter(other => other[relation.field] === record.id && !isDeleted(other))
+        .filter(other => !deletion.has(`${relation.from}:${other.id}`))
+        .forEach(other => blockers.push({ key: relation.from, record: other, relation }));
+    }
+  }
+  return blockers;
+}
+
+/**
+ * Every record moved to the trash by the same delete
+ * @param {string} rootKey - Collection of the record the group is found from
+ * @param {string} deletionId - Shared deletion ID
+ * @returns {Promise<Array>} [{ key, record }]
+ */
+async function findDeletionGroup(rootKey, deletionId) {
+  const group = [];
+  for (const key of new Set([rootKey, ...TRASH_COLLECTIONS])) {
+    (await getAll(key))
+      .filter(record => isDeleted(record) && record.deletionId === deletionId)
+      .forEach(record => group.push({ key, record }));
+  }
+  return group;
+}
+
+/**
+ * Move a record and everything that cascades from it to the trash.
+ * Refused if a restrict relation still references any of them.
+ * @param {string} key - Collection key
+ * @param {string} id - Record ID
+ * @param {string} deletedBy - Name of the user deleting
+ * @returns {Promise<Object>} Result with success status and deleted count
+ */
+export async function softDelete(key, id, deletedBy) {
+  const record = await getRecord(key, id);
+  if (!record || isDeleted(record)) {
+    return { success: false, error: new Error(`Record "${id}" not found in ${key}`) };
+  }
+  
+  const read = createReader();
+  const deletion = await collectCascade(key, record, read);
+  const blockers = await findRestricting(deletion, read);
+  if (blockers.length > 0) {
+    const collections = [...new Set(blockers.map(b => b.key))].join(', ');
+    return {
+      success: false,
+      error: new IntegrityError(
+        `Can't delete: ${blockers.length} record(s) in ${collections} still refer to it`,
+        blockers
+      )
+    };
+  }
+  
+  const tombstone = {
+    deletedAt: new Date().toISOString(),
+    deletedBy: deletedBy || 'Unknown',
+    deletionId: uuidv4()
+  };
+  
+  const tx = createTransaction();
+  tx.update(key, id, tombstone);
+  // deletedWith marks records that went to the trash because of their parent
+  [...deletion.values()].slice(1).forEach(d => (
+    tx.update(d.key, d.record.id, { ...tombstone, deletedWith: `${key}:${id}` })
+  ));
+  const result = await tx.commit();
+  return { ...result, count: deletion.size };
+}
+
+/**
+ * Restore a deleted record and everything deleted together with it
+ * @param {string} key - Collection key
+ * @param {string} id - Record ID
+ * @returns {Promise<Object>} Result with success status and restored count
+ */
+export async function restoreDeleted(key, id) {
+  const record = await getRecord(key, id);
+  if (!isDeleted(record)) {
+    return { success: false, error: new Error(`Record "${id}" is not in the trash`) };
+  }
+  // Its records now belong to the patient it was merged into (see patients.js)
+  if (record.mergedInto) {
+    return { success: false, error: new Error('This record was merged into another one and cannot be restored') };
+  }
+  
+  // Don't bring back a record whose parent is still in the trash
+  for (const relation of relationsFrom(key)) {
+    if (relation.onDelete === ON_DELETE.SET_NULL || !record[relation.field]) continue;
+    const parent = await getRecord(relation.to, record[relation.field]);
+    if (isDeleted(parent) && parent.deletionId !== record.deletionId) {
+      return {
+        success: false,
+        error: new IntegrityError(`Restore the parent record in ${relation.to} first`, [
+          { key: relation.to, record: parent, relation }
+        ])
+      };
+    }
+  }
+  
+  const group = await findDeletionGroup(key, record.deletionId);
+  
+  const tx = createTransaction();
+  group.forEach(d => tx.update(d.key, d.record.id, LIVE));
+  const result = await tx.commit();
+  return { ...result, count: group.length };
+}
+
+/**
+ * Permanently erase a deleted record and everything deleted together with it.
+ * References to them under set_null relations are cleared.
+ * @param {string} key - Collection key
+ * @param {string} id - Record ID
+ * @returns {Promise<Object>} Result with success status and purged count
+ */
+export async function purgeDeleted(key, id) {
+  const record = await getRecord(key, id);
+  if (!isDeleted(record)) {
+    return { success: false, error: new Error(`Record "${id}" is not in the trash`) };
+  }
+  
+  const group = await findDeletionGroup(key, record.deletionId);
+  const purged = new Set(group.map(d => `${d.key}:${d.record.id}`));
+  const read = createReader();
+  
+  // Allowed while storage is full: purging is how space is freed
+  const tx = createTransaction({ freesSpace: true });
+  group.forEach(d => tx.remove(d.key, d.record.id));
+  for (const { key: groupKey, record: gone } of group) {
+    for (const relation of relationsTo(groupKey)) {
+      if (relation.onDelete !== ON_DELETE.SET_NULL) continue;
+      (await read(relation.from))
+        .filter(other => other[relation.field] === gone.id)
+        .filter(other => !purged.has(`${relation.from}:${other.id}`))
+        .forEach(other => tx.update(relation.from, other.id, { [relation.field]: null }));
+    }
+  }
+  const result = await tx.commit();
+  return { ...result, count: group.length };
+}
@@ -0,0 +1,107 @@
+/**
+ * useCollection Hook Tests
+ * 
+ * @description Unit tests for selective collection subscriptions
+ */
+
+import React from 'react';
+import { render, act, waitFor } from '@testing-library/react';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { useCollection } from '../useCollection';
+import { useLocalDB } from '../useLocalDB';
+import { putRecords, clearCollection } from '../../db/storage';
+import { DataProvider } from '../../context/DataContext';
+import { createTransaction } from '../../db/transaction';
+
+const KEY = 'collection_test_key';
+
+const selectFirstPatient = (data) => data.filter(a => a.patientId === 'p1');
+
+/**
+ * Render a writer and a selective reader side by side in one provider.
+ * The reader is its own component, so only its renders are counted.
+ */
+async function renderReaderAndWriter() {
+  const probe = { renders: 0, selected: null, writer: null };
+  
+  const Reader = () => {
+    probe.renders += 1;
+    probe.selected = useCollection(KEY, selectFirstPatient);
+    return null;
+  };
+  const Writer = () => {
+    probe.writer = useLocalDB(KEY);
+    return null;
+  };
+  
+  render(
+    React.createElement(DataProvider, null,
+      React.createElement(Reader),
+      React.createElement(Writer)
+    )
+  );
+  await waitFor(() => expect(probe.writer.isLoading).toBe(false));
+  return probe;
+}
+
+describe('useCollection', () => {
+  beforeEach(async () => {
+    await clearCollection(KEY);
+    await putRecords(KEY, [
+      { id: 'a1', patientId: 'p1', status: 'scheduled', createdAt: '2025-01-01T09:00:00.000Z' },
+      { id: 'a2', patientId: 'p2', status: 'scheduled', createdAt: '2025-01-01T10:00:00.000Z' }
+    ]);
+  });
+  
+  it('should return the selected records', async () => {
+    const probe = await renderReaderAndWriter();
+    
+    expect(probe.selected.map(a => a.id)).toEqual(['a1']);
+  });
+  
+  it('should not re-render when records outside the selection change', async () => {
+    const probe = await renderReaderAndWriter();
+    const before = probe.renders;
+    
+    act(() => {
+      probe.writer.update('a2', { status: 'completed' });
+    });
+    
+    expect(probe.renders).toBe(before);
+  });
+  
+  it('should re-render when a selected record changes', async () => {
+    const probe = await renderReaderAndWriter();
+    const before = probe.renders;
+    
+    act(() => {
+      probe.writer.update('a1', { status: 'completed' });
+    });
+    
+    expect(probe.renders).toBe(before + 1);
+    expect(probe.selected[0].status).toBe('completed');
+  });
+  
+  it('should patch in the records a transaction wrote and keep the rest', async () => {
+    const probe = await renderReaderAndWriter();
+    const untouched = probe.writer.read('a2');
+    
+    await act(async () => {
+      const tx = createTransaction();
+      tx.update(KEY, 'a1', { status: 'completed' });
+      tx.create(KEY, { id: 'a3', patientId: 'p1', status: 'scheduled' });
+      await tx.commit();
+    });
+    
+    expect(probe.selected.map(a => [a.id, a.status])).toEqual([['a1', 'completed'], ['a3', 'scheduled']]);
+    expect(probe.writer.read('a2')).toBe(untouched);
+    
+    await act(async () => {
+      const tx = createTransaction();
+      tx.remove(KEY, 'a3');
+      await tx.commit();
+    });
+    
+    expect(probe.selected.map(a => a.id)).toEqual(['a1']);
+  });
+});
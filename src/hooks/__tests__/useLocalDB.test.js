@@ -4,8 +4,8 @@
  * @description Unit tests for the useLocalDB custom hook
  */
 
-import { renderHook, act } from '@testing-library/react';
-import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { renderHook, act, waitFor } from '@testing-library/react';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 
 // Mock localStorage
 const localStorageMock = (() => {
@@ -33,31 +33,55 @@ Object.defineProperty(window, 'localStorage', {
 
 // Import after mocking
 import { useLocalDB } from '../useLocalDB';
+import { putRecords, getAll, clearCollection, runMigrations, META_STORE, SCHEMA_VERSION } from '../../db/storage';
+import { STORAGE_KEYS } from '../../utils/constants';
+import { DataProvider } from '../../context/DataContext';
+import { createTransaction } from '../../db/transaction';
+import { reportQuotaExceeded, refreshStorageHealth } from '../../db/quota';
+
+/**
+ * Empty a collection once writes left running by the previous test have landed
+ */
+async function resetCollection(key) {
+  // Commits are serialized, so an empty one settles after every earlier one
+  await createTransaction().commit();
+  await clearCollection(key);
+}
+
+/**
+ * Render the hook and wait for the initial IndexedDB load
+ */
+async function renderLoadedHook(key = 'test_key') {
+  const hook = renderHook(() => useLocalDB(key), { wrapper: DataProvider });
+  await waitFor(() => expect(hook.result.current.isLoading).toBe(false));
+  return hook;
+}
 
 describe('useLocalDB', () => {
-  beforeEach(() => {
+  beforeEach(async () => {
     localStorageMock.clear();
     vi.clearAllMocks();
+    await resetCollection('test_key');
   });
-
-  it('should initialize with empty array when no data exists', () => {
-    const { result } = renderHook(() => useLocalDB('test_key'));
+  
+  it('should initialize with empty array when no data exists', async () => {
+    const { result } = await renderLoadedHook();
     
     expect(result.current.data).toEqual([]);
     expect(result.current.isLoading).toBe(false);
   });
-
-  it('should initialize with stored data', () => {
+  
+  it('should initialize with stored data', async () => {
     const initialData = [{ id: '1', name: 'Test' }];
-    localStorageMock.setItem('test_key', JSON.stringify(initialData));
+    await putRecords('test_key', initialData);
     
-    const { result } = renderHook(() => useLocalDB('test_key'));
+    const { result } = await renderLoadedHook();
     
     expect(result.current.data).toEqual(initialData);
   });
-
-  it('should create new items', () => {
-    const { result } = renderHook(() => useLocalDB('test_key'));
+  
+  it('should create new items', async () => {
+    const { result } = await renderLoadedHook();
     
     act(() => {
       result.current.create({ name: 'New Item' });
@@ -67,25 +91,41 @@ describe('useLocalDB', () => {
     expect(result.current.data[0].name).toBe('New Item');
     expect(result.current.data[0].id).toBeDefined();
   });
-
-  it('should read items by id', () => {
+  
+  it('should persist each created item as its own record', async () => {
+    const { result } = await renderLoadedHook();
+    
+    await act(async () => {
+      result.current.create({ name: 'First' });
+    });
+    await act(async () => {
+      result.current.create({ name: 'Second' });
+    });
+    
+    await waitFor(async () => {
+      const stored = await getAll('test_key');
+      expect(stored.map(item => item.name)).toEqual(['First', 'Second']);
+    });
+  });
+  
+  it('should read items by id', async () => {
     const initialData = [
       { id: '1', name: 'Item 1' },
       { id: '2', name: 'Item 2' }
     ];
-    localStorageMock.setItem('test_key', JSON.stringify(initialData));
+    await putRecords('test_key', initialData);
     
-    const { result } = renderHook(() => useLocalDB('test_key'));
+    const { result } = await renderLoadedHook();
     
     const item = result.current.read('1');
     expect(item.name).toBe('Item 1');
   });
-
-  it('should update existing items', () => {
+  
+  it('should update existing items', async () => {
     const initialData = [{ id: '1', name: 'Original' }];
-    localStorageMock.setItem('test_key', JSON.stringify(initialData));
+    await putRecords('test_key', initialData);
     
-    const { result } = renderHook(() => useLocalDB('test_key'));
+    const { result } = await renderLoadedHook();
     
     act(() => {
       result.current.update('1', { name: 'Updated' });
@@ -93,15 +133,15 @@ describe('useLocalDB', () => {
     
     expect(result.current.data[0].name).toBe('Updated');
   });
-
-  it('should remove items', () => {
+  
+  it('should remove items', async () => {
     const initialData = [
       { id: '1', name: 'Item 1' },
       { id: '2', name: 'Item 2' }
     ];
-    localStorageMock.setItem('test_key', JSON.stringify(initialData));
+    await putRecords('test_key', initialData);
     
-    const { result } = renderHook(() => useLocalDB('test_key'));
+    const { result } = await renderLoadedHook();
     
     act(() => {
       result.current.remove('1');
@@ -110,33 +150,59 @@ describe('useLocalDB', () => {
     expect(result.current.data).toHaveLength(1);
     expect(result.current.data[0].id).toBe('2');
   });
-
-  it('should find items by predicate', () => {
+  
+  it('should move removed items to the trash instead of erasing them', async () => {
+    await putRecords('test_key', [{ id: '1', name: 'Item 1' }]);
+    const { result } = await renderLoadedHook();
+    
+    act(() => {
+      result.current.remove('1');
+    });
+    
+    expect(result.current.data).toEqual([]);
+    expect(result.current.deleted.map(item => item.id)).toEqual(['1']);
+    expect((await result.current.update('1', { name: 'Changed' })).success).toBe(false);
+    await waitFor(async () => {
+      const stored = await getAll('test_key');
+      expect(stored[0].deletedAt).toBeTruthy();
+    });
+    
+    let restored;
+    await act(async () => {
+      restored = await result.current.restore('1');
+    });
+    
+    expect(restored.success).toBe(true);
+    expect(result.current.data.map(item => item.id)).toEqual(['1']);
+    expect(result.current.deleted).toEqual([]);
+  });
+  
+  it('should find items by predicate', async () => {
     const initialData = [
       { id: '1', name: 'Apple', category: 'fruit' },
       { id: '2', name: 'Banana', category: 'fruit' },
       { id: '3', name: 'Carrot', category: 'vegetable' }
     ];
-    localStorageMock.setItem('test_key', JSON.stringify(initialData));
+    await putRecords('test_key', initialData);
     
-    const { result } = renderHook(() => useLocalDB('test_key'));
+    const { result } = await renderLoadedHook();
     
     const fruits = result.current.find(item => item.category === 'fruit');
     expect(fruits).toHaveLength(2);
   });
-
-  it('should export data as JSON', () => {
+  
+  it('should export data as JSON', async () => {
     const initialData = [{ id: '1', name: 'Test' }];
-    localStorageMock.setItem('test_key', JSON.stringify(initialData));
+    await putRecords('test_key', initialData);
     
-    const { result } = renderHook(() => useLocalDB('test_key'));
+    const { result } = await renderLoadedHook();
     
     const exported = result.current.exportData();
     expect(JSON.parse(exported)).toEqual(initialData);
   });
-
-  it('should import data', () => {
-    const { result } = renderHook(() => useLocalDB('test_key'));
+  
+  it('should import data', async () => {
+    const { result } = await renderLoadedHook();
     
     const importData = [{ id: '1', name: 'Imported' }];
     
@@ -146,12 +212,12 @@ describe('useLocalDB', () => {
     
     expect(result.current.data).toEqual(importData);
   });
-
-  it('should clear all data', () => {
+  
+  it('should clear all data', async () => {
     const initialData = [{ id: '1', name: 'Test' }];
-    localStorageMock.setItem('test_key', JSON.stringify(initialData));
+    await putRecords('test_key', initialData);
     
-    const { result } = renderHook(() => useLocalDB('test_key'));
+    const { result } = await renderLoadedHook();
     
     act(() => {
       result.current.clear();
@@ -159,20 +225,310 @@ describe('useLocalDB', () => {
     
     expect(result.current.data).toEqual([]);
   });
-
-  it('should count items', () => {
+  
+  it('should count items', async () => {
     const initialData = [
       { id: '1', active: true },
       { id: '2', active: false },
       { id: '3', active: true }
     ];
-    localStorageMock.setItem('test_key', JSON.stringify(initialData));
+    await putRecords('test_key', initialData);
     
-    const { result } = renderHook(() => useLocalDB('test_key'));
+    const { result } = await renderLoadedHook();
     
     expect(result.current.count()).toBe(3);
     expect(result.current.count(item => item.active)).toBe(2);
   });
 });
 
+describe('useLocalDB concurrent writes', () => {
+  beforeEach(async () => {
+    await resetCollection('test_key');
+  });
+  
+  it('should keep both updates made from the same render', async () => {
+    await putRecords('test_key', [{ id: '1', name: 'Original' }]);
+    const { result } = await renderLoadedHook();
+    
+    // Both calls use the closure from one render, like back-to-back handlers
+    const { update } = result.current;
+    await act(async () => {
+      update('1', { status: 'with_doctor' });
+      update('1', { calledAt: 'now' });
+    });
+    
+    expect(result.current.data[0]).toMatchObject({ status: 'with_doctor', calledAt: 'now' });
+    await waitFor(async () => {
+      const stored = await getAll('test_key');
+      expect(stored[0]).toMatchObject({ status: 'with_doctor', calledAt: 'now' });
+    });
+  });
+  
+  it('should keep creates made from two hook instances on the same key', async () => {
+    const first = await renderLoadedHook();
+    const second = await renderLoadedHook();
+    
+    await act(async () => {
+      first.result.current.create({ name: 'From first' });
+      second.result.current.create({ name: 'From second' });
+    });
+    
+    expect(first.result.current.data).toHaveLength(2);
+    expect(second.result.current.data).toHaveLength(2);
+    await waitFor(async () => {
+      expect(await getAll('test_key')).toHaveLength(2);
+    });
+  });
+  
+  it('should not lose concurrent updates from two hook instances', async () => {
+    await putRecords('test_key', [{ id: '1', visits: [] }]);
+    const first = await renderLoadedHook();
+    const second = await renderLoadedHook();
+    
+    await act(async () => {
+      first.result.current.update('1', { triagedAt: 't1' });
+      second.result.current.update('1', { consultedAt: 't2' });
+    });
+    
+    await waitFor(async () => {
+      const stored = await getAll('test_key');
+      expect(stored[0]).toMatchObject({ triagedAt: 't1', consultedAt: 't2' });
+    });
+    expect(first.result.current.data[0]).toMatchObject({ triagedAt: 't1', consultedAt: 't2' });
+  });
+  
+  it('should apply functional updates to the latest record', async () => {
+    await putRecords('test_key', [{ id: '1', count: 0 }]);
+    const { result } = await renderLoadedHook();
+    
+    const { update } = result.current;
+    await act(async () => {
+      update('1', (current) => ({ count: current.count + 1 }));
+      update('1', (current) => ({ count: current.count + 1 }));
+      update('1', (current) => ({ count: current.count + 1 }));
+    });
+    
+    expect(result.current.data[0].count).toBe(3);
+    await waitFor(async () => {
+      expect((await getAll('test_key'))[0].count).toBe(3);
+    });
+  });
+  
+  it('should update matching items in one batch with updateMany', async () => {
+    await putRecords('test_key', [
+      { id: '1', completed: false, position: 1 },
+      { id: '2', completed: false, position: 2 },
+      { id: '3', completed: true, position: 3 }
+    ]);
+    const { result } = await renderLoadedHook();
+    
+    let updated;
+    await act(async () => {
+      updated = result.current.updateMany(
+        item => !item.completed,
+        item => ({ position: item.position + 10 })
+      );
+    });
+    
+    expect(updated).toHaveLength(2);
+    expect(result.current.data.map(item => item.position)).toEqual([11, 12, 3]);
+    await waitFor(async () => {
+      const stored = await getAll('test_key');
+      expect(stored.map(item => item.position).sort((a, b) => a - b)).toEqual([3, 11, 12]);
+    });
+  });
+});
+
+describe('useLocalDB schema validation', () => {
+  beforeEach(async () => {
+    await resetCollection(STORAGE_KEYS.APPOINTMENTS);
+  });
+  
+  it('should reject invalid records with a per-record report and change nothing', async () => {
+    const valid = { id: 'a1', patientId: 'p1', datetime: '2025-11-28T09:00', status: 'scheduled' };
+    await putRecords(STORAGE_KEYS.APPOINTMENTS, [valid]);
+    const { result } = await renderLoadedHook(STORAGE_KEYS.APPOINTMENTS);
+    
+    let imported;
+    act(() => {
+      imported = result.current.importData(JSON.stringify([
+        { id: 'a2', patientId: 'p1', datetime: '2025-11-29T09:00', status: 'scheduled' },
+        { id: 'a3', patientId: 'p1', datetime: 'tomorrow', status: 'scheduled' }
+      ]));
+    });
+    
+    expect(imported.success).toBe(false);
+    expect(imported.report).toEqual([
+      { index: 1, id: 'a3', errors: [{ field: 'datetime', message: 'must be a date and time (ISO 8601)' }] }
+    ]);
+    expect(result.current.data.map(apt => apt.id)).toEqual(['a1']);
+    expect((await result.current.update('a1', { status: 'waiting' })).success).toBe(false);
+    expect((await result.current.create({ patientId: 'p1' })).success).toBe(false);
+    expect(result.current.error.name).toBe('SchemaError');
+    expect((await getAll(STORAGE_KEYS.APPOINTMENTS)).map(apt => apt.status)).toEqual(['scheduled']);
+  });
+});
+
+describe('useLocalDB merge import', () => {
+  beforeEach(async () => {
+    await resetCollection(STORAGE_KEYS.PATIENTS);
+    await clearCollection(STORAGE_KEYS.MERGE_REPORTS);
+  });
+  
+  it('should keep the newest value of each field and report the values that lost', async () => {
+    await putRecords(STORAGE_KEYS.PATIENTS, [
+      { id: 'p1', name: 'Grace', contact: '0700', address: 'Old Road', updatedAt: '2025-03-01T00:00:00.000Z' }
+    ]);
+    const { result } = await renderLoadedHook(STORAGE_KEYS.PATIENTS);
+    
+    let imported;
+    act(() => {
+      imported = result.current.importData(JSON.stringify([
+        { id: 'p1', name: 'Grace', contact: '0711', address: 'New Road', updatedAt: '2025-02-01T00:00:00.000Z' },
+        { id: 'p2', name: 'Amina' }
+      ]), true, 'patients.json');
+    });
+    
+    expect(imported).toMatchObject({ success: true, count: 2 });
+    expect(imported.merged).toHaveLength(1);
+    expect(imported.merged[0]).toMatchObject({ recordId: 'p1', source: 'import', from: 'patients.json' });
+    expect(imported.merged[0].changes.map(c => [c.field, c.kept])).toEqual([
+      ['contact', 'local'],
+      ['address', 'local']
+    ]);
+    expect(result.current.data.map(p => p.contact || null)).toEqual(['0700', null]);
+    await waitFor(async () => expect(await getAll(STORAGE_KEYS.MERGE_REPORTS)).toHaveLength(1));
+  });
+});
+
+describe('useLocalDB storage quota', () => {
+  beforeEach(async () => {
+    await resetCollection('test_key');
+  });
+  
+  afterEach(async () => {
+    await refreshStorageHealth({ freed: true });
+  });
+  
+  it('should refuse writes while storage is full without changing anything', async () => {
+    await putRecords('test_key', [{ id: '1', name: 'Kept' }]);
+    const { result } = await renderLoadedHook();
+    
+    reportQuotaExceeded(new DOMException('Full', 'QuotaExceededError'));
+    
+    expect((await result.current.create({ name: 'Lost' })).success).toBe(false);
+    expect((await result.current.update('1', { name: 'Changed' })).success).toBe(false);
+    expect(result.current.importData('[{"id":"2"}]').success).toBe(false);
+    await waitFor(() => expect(result.current.error?.name).toBe('QuotaError'));
+    expect(result.current.data.map(item => item.name)).toEqual(['Kept']);
+    expect((await getAll('test_key')).map(item => item.name)).toEqual(['Kept']);
+  });
+  
+  it('should only resolve a write once it is stored, and undo it when storing fails', async () => {
+    await putRecords('test_key', [{ id: '1', name: 'Kept' }]);
+    const { result } = await renderLoadedHook();
+    
+    const put = vi.spyOn(IDBObjectStore.prototype, 'put').mockImplementation(() => {
+      throw new DOMException('Full', 'QuotaExceededError');
+    });
+    let created;
+    await act(async () => {
+      created = await result.current.create({ name: 'Lost' });
+    });
+    put.mockRestore();
+    
+    expect(created.success).toBe(false);
+    expect(created.error.name).toBe('QuotaError');
+    expect(result.current.data.map(item => item.name)).toEqual(['Kept']);
+    
+    let updated;
+    await act(async () => {
+      updated = await result.current.update('1', { name: 'Changed' });
+    });
+    
+    expect(updated.success).toBe(false);
+    expect(updated.error.name).toBe('QuotaError');
+  });
+});
+
+describe('useLocalDB indexed queries', () => {
+  beforeEach(async () => {
+    await resetCollection(STORAGE_KEYS.APPOINTMENTS);
+  });
+  
+  it('should keep indexes in step with writes', async () => {
+    await putRecords(STORAGE_KEYS.APPOINTMENTS, [
+      { id: 'a1', patientId: 'p1', status: 'scheduled', datetime: '2025-11-28T09:00' }
+    ]);
+    const { result } = await renderLoadedHook(STORAGE_KEYS.APPOINTMENTS);
+    
+    expect(result.current.findBy('status', 'scheduled')).toHaveLength(1);
+    
+    act(() => {
+      result.current.update('a1', { status: 'checked_in' });
+      result.current.create({ patientId: 'p1', status: 'scheduled', datetime: '2025-11-29T10:00' });
+    });
+    
+    expect(result.current.findBy('status', 'checked_in').map(a => a.id)).toEqual(['a1']);
+    expect(result.current.findBy('patientId', 'p1')).toHaveLength(2);
+    expect(result.current.range('day', '2025-11-29', '2025-11-30')).toHaveLength(1);
+  });
+});
+
+describe('useLocalDB shared store', () => {
+  beforeEach(async () => {
+    await resetCollection('test_key');
+  });
+  
+  it('should share one copy of the collection within a provider', async () => {
+    await putRecords('test_key', [{ id: '1', name: 'Shared' }]);
+    const { result } = renderHook(() => ({
+      first: useLocalDB('test_key'),
+      second: useLocalDB('test_key')
+    }), { wrapper: DataProvider });
+    await waitFor(() => expect(result.current.first.isLoading).toBe(false));
+    
+    expect(result.current.second.isLoading).toBe(false);
+    expect(result.current.first.data).toBe(result.current.second.data);
+    
+    act(() => {
+      result.current.first.update('1', { name: 'Changed' });
+    });
+    
+    expect(result.current.second.data[0].name).toBe('Changed');
+  });
+});
 
+describe('localStorage migration', () => {
+  beforeEach(async () => {
+    localStorageMock.clear();
+    await clearCollection(META_STORE);
+    await clearCollection(STORAGE_KEYS.PATIENTS);
+  });
+  
+  it('should move legacy collections into IndexedDB once', async () => {
+    const legacy = [{ id: 'p1', name: 'Legacy Patient', createdAt: '2025-01-01T00:00:00.000Z' }];
+    localStorageMock.setItem(STORAGE_KEYS.PATIENTS, JSON.stringify(legacy));
+    
+    const version = await runMigrations();
+    
+    expect(version).toBe(SCHEMA_VERSION);
+    expect(await getAll(STORAGE_KEYS.PATIENTS)).toEqual(legacy);
+    expect(localStorageMock.store[STORAGE_KEYS.PATIENTS]).toBeUndefined();
+    
+    // A second run must not import anything again
+    localStorageMock.setItem(STORAGE_KEYS.PATIENTS, JSON.stringify([{ id: 'p2' }]));
+    await runMigrations();
+    expect(await getAll(STORAGE_KEYS.PATIENTS)).toEqual(legacy);
+  });
+  
+  it('should leave auth keys and collections added since in localStorage', async () => {
+    localStorageMock.setItem(STORAGE_KEYS.USERS, JSON.stringify([{ id: 'u1' }]));
+    localStorageMock.setItem(STORAGE_KEYS.OUTBOX, JSON.stringify([{ id: 'o1' }]));
+    
+    await runMigrations();
+    
+    expect(localStorageMock.store[STORAGE_KEYS.USERS]).toBeDefined();
+    expect(localStorageMock.store[STORAGE_KEYS.OUTBOX]).toBeDefined();
+  });
+});
@@ -0,0 +1,48 @@
+/**
+ * useChartAccess Hook
+ * 
+ * @description Log the signed-in user opening a patient's chart or visit summary
+ * @features
+ *   - Logs once per page, patient, visit and user, not on every re-render
+ *   - Waits until the patient has loaded, so missing charts aren't logged
+ *   - A restricted chart shown masked isn't logged; it is once the user may
+ *     see it, e.g. after breaking the glass
+ * 
+ * @param {Object} access - { view, patient, appointmentId }
+ *   view: one of ACCESS_VIEWS; patient: loaded patient record (or null)
+ * @returns {boolean} Whether the chart must be shown masked
+ * 
+ * @example
+ *   const masked = useChartAccess({ view: ACCESS_VIEWS.CHART, patient });
+ *   if (masked) return <RestrictedPatient patient={patient} />;
+ */
+
+import { useEffect, useRef } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { usePatientAccess } from './usePatientAccess';
+import { logChartAccess } from '../db/accessLog';
+
+export function useChartAccess({ view, patient, appointmentId = null }) {
+  const { user } = useAuth();
+  const { isMasked } = usePatientAccess();
+  const logged = useRef(null);
+  
+  const masked = isMasked(patient);
+  const patientId = patient?.id;
+  const patientName = patient?.name;
+  
+  useEffect(() => {
+    if (!patientId || !user || masked) return;
+    const accessKey = [view, patientId, appointmentId, user.id].join(':');
+    if (logged.current === accessKey) return;
+    logged.current = accessKey;
+    
+    logChartAccess({ view, patientId, patientName, appointmentId, user }).then((result) => {
+      if (!result.success) console.error('Could not log chart access:', result.error);
+    });
+  }, [view, patientId, patientName, appointmentId, user, masked]);
+  
+  return masked;
+}
+
+export default useChartAccess;
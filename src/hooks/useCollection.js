@@ -0,0 +1,50 @@
+/**
+ * useCollection Hook
+ * 
+ * @description Read-only, selective subscription to a shared collection.
+ * The component re-renders only when the records its selector returns
+ * change, not on every write to the collection.
+ * 
+ * @param {string} key - Storage key for the data collection
+ * @param {Function} selector - (records, { findBy, range }) => data the component needs
+ * @param {Function} isEqual - Compares two selections (default: same records)
+ * @returns {*} Selected data
+ * 
+ * @example
+ *   const visits = useCollection(STORAGE_KEYS.APPOINTMENTS,
+ *     (appointments, { findBy }) => findBy('patientId', id));
+ */
+
+import { useEffect, useRef, useSyncExternalStore } from 'react';
+import { shallowEqual } from '../db/collectionStore';
+import { useCollectionStore } from '../context/DataContext';
+
+const selectAll = (data) => data;
+
+export function useCollection(key, selector = selectAll, isEqual = shallowEqual) {
+  const store = useCollectionStore(key);
+  const cacheRef = useRef(null);
+  
+  useEffect(() => {
+    store.load();
+  }, [store]);
+  
+  // Return the previous selection while it is still equal, so React sees
+  // the same value and skips the re-render
+  const getSelection = () => {
+    const { data } = store.getState();
+    const cache = cacheRef.current;
+    if (cache && cache.data === data && cache.selector === selector) {
+      return cache.selection;
+    }
+    
+    const next = selector(data, store.getQuery());
+    const selection = cache && isEqual(cache.selection, next) ? cache.selection : next;
+    cacheRef.current = { data, selector, selection };
+    return selection;
+  };
+  
+  return useSyncExternalStore(store.subscribe, getSelection);
+}
+
+export default useCollection;
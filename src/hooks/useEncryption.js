@@ -0,0 +1,35 @@
+/**
+ * useEncryption Hook
+ * 
+ * @description Whether stored records are encrypted and unlocked (see db/encryption.js)
+ * @features
+ *   - Re-renders when the data is unlocked, locked or re-keyed
+ *   - Reads the keyring on mount
+ * 
+ * @returns {Object} { loaded, enabled, unlocked, locked, busy, createdAt, rotatedAt, unlock, refresh }
+ */
+
+import { useEffect, useSyncExternalStore } from 'react';
+import {
+  getEncryptionStatus,
+  subscribeEncryptionStatus,
+  refreshEncryptionStatus,
+  unlockEncryption
+} from '../db/encryption';
+
+export function useEncryption() {
+  const status = useSyncExternalStore(subscribeEncryptionStatus, getEncryptionStatus);
+  
+  useEffect(() => {
+    refreshEncryptionStatus();
+  }, []);
+  
+  return {
+    ...status,
+    locked: status.enabled && !status.unlocked,
+    unlock: unlockEncryption,
+    refresh: refreshEncryptionStatus
+  };
+}
+
+export default useEncryption;
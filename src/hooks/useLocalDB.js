@@ -1,132 +1,157 @@
 /**
  * useLocalDB Hook
  * 
- * @description Custom hook for offline-first data persistence using localStorage
+ * @description Custom hook for offline-first data persistence using IndexedDB
  * @features
- *   - CRUD operations with automatic persistence
+ *   - CRUD operations with automatic per-record persistence
+ *   - Every write is a transaction, so it is recorded in the record's history
+ *   - Records are validated against their schema (schemas.js) before anything changes
+ *   - Writes are refused up front while storage is full (quota.js)
+ *   - Soft delete: removed items go to the trash and can be restored
+ *   - Functional and batch updates applied to the latest persisted record
+ *   - One shared in-memory copy per collection (via DataProvider)
+ *   - Indexed lookups with findBy/range
  *   - Change subscription for real-time updates
- *   - Export/Import functionality for backup and restore
- *   - Optimistic updates with error handling
+ *   - Export/Import functionality for backup and restore; merging imports
+ *     keeps the newest value of each field (merge.js) and reports what lost
+ *   - Optimistic updates: create/update resolve to { success, error } once the
+ *     write is stored, so callers only report success after that
  * 
  * @param {string} key - Storage key for the data collection
  * @param {Array} initialData - Initial data if storage is empty
  * @returns {Object} CRUD methods and state
  */
 
-import { useState, useEffect, useCallback, useRef } from 'react';
+import { useEffect, useCallback, useSyncExternalStore } from 'react';
 import { v4 as uuidv4 } from 'uuid';
+import { emitLocalChange } from '../db/storage';
+import { buildRecord, applyUpdates } from '../db/records';
+import { createTransaction } from '../db/transaction';
+import { diffRecords } from '../db/history';
+import { validateRecord, validateRecords, SchemaError } from '../db/schemas';
+import { isWriteBlocked, QuotaError } from '../db/quota';
+import { isDeleted, softDelete, restoreDeleted, purgeDeleted } from '../db/trash';
+import { mergeRecords, mergeReportFor, MERGE_SOURCES } from '../db/merge';
+import { STORAGE_KEYS } from '../utils/constants';
+import { useCollectionStore } from '../context/DataContext';
+import { useCurrentUser } from '../context/AuthContext';
 
-// Custom event for cross-tab synchronization
-const STORAGE_EVENT_NAME = 'cliniccare_storage_update';
+// Stable default so the load effect doesn't re-run on every render
+const NO_INITIAL_DATA = [];
 
-export function useLocalDB(key, initialData = []) {
-  const [data, setData] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [error, setError] = useState(null);
-  const listenersRef = useRef([]);
+/**
+ * Resolve an update argument against a record
+ * @param {Object|Function} updates - Fields to update, or (record) => fields
+ * @param {Object} record - Record being updated
+ * @returns {Object} Fields to update
+ */
+function resolveUpdates(updates, record) {
+  return typeof updates === 'function' ? updates(record) : updates;
+}
+
+/**
+ * Commit a one-off transaction
+ * @param {Function} build - Receives the transaction and queues operations on it
+ * @param {Object} options - Transaction options (see createTransaction)
+ * @returns {Promise<Object>} Result with success status
+ */
+function commitWith(build, options) {
+  const tx = createTransaction(options);
+  build(tx);
+  return tx.commit();
+}
+
+export function useLocalDB(key, initialData = NO_INITIAL_DATA) {
+  // Shared with every other consumer of this collection (see DataProvider).
+  // Writes always build on store.getState().records, the latest contents,
+  // so they never use a stale render's `data` (lost updates).
+  const store = useCollectionStore(key);
+  const { data, deleted, isLoading, error } = useSyncExternalStore(store.subscribe, store.getState);
+  const currentUser = useCurrentUser();
   
   /**
-   * Load data from localStorage on mount
+   * Load data from IndexedDB on first use (after any pending migrations)
    */
   useEffect(() => {
-    try {
-      const stored = localStorage.getItem(key);
-      if (stored) {
-        const parsed = JSON.parse(stored);
-        setData(Array.isArray(parsed) ? parsed : []);
-      } else if (initialData.length > 0) {
-        // Initialize with seed data if provided
-        localStorage.setItem(key, JSON.stringify(initialData));
-        setData(initialData);
-      }
-    } catch (e) {
-      console.error(`Error loading data for key "${key}":`, e);
-      setError(e);
-      setData([]);
-    } finally {
-      setIsLoading(false);
-    }
-  }, [key, initialData]);
+    store.load(initialData);
+  }, [store, initialData]);
   
   /**
-   * Listen for changes from other tabs/windows
+   * Apply a change in memory, then write it to IndexedDB.
+   * If the write fails, state is reloaded from storage so the UI never shows
+   * records that were not saved.
+   * @param {Array} newRecords - Every record after the change, including deleted ones
+   * @param {Function} write - Commits the matching transaction, resolves to its result
+   * @returns {Promise<Object>} Result with success status
    */
-  useEffect(() => {
-    const handleStorageChange = (e) => {
-      if (e.key === key && e.newValue) {
-        try {
-          const newData = JSON.parse(e.newValue);
-          setData(newData);
-          notifyListeners(newData);
-        } catch (err) {
-          console.error('Error parsing storage event:', err);
-        }
-      }
-    };
+  const persist = useCallback((newRecords, write) => {
+    store.setRecords(newRecords);
     
-    const handleCustomEvent = (e) => {
-      if (e.detail?.key === key) {
-        setData(e.detail.data);
-        notifyListeners(e.detail.data);
-      }
-    };
-    
-    window.addEventListener('storage', handleStorageChange);
-    window.addEventListener(STORAGE_EVENT_NAME, handleCustomEvent);
+    // Dispatch custom event for stores outside this provider
+    emitLocalChange(key, newRecords);
     
-    return () => {
-      window.removeEventListener('storage', handleStorageChange);
-      window.removeEventListener(STORAGE_EVENT_NAME, handleCustomEvent);
-    };
-  }, [key]);
+    return write().then(async (result) => {
+      if (result.success) {
+        store.setError(null);
+        return result;
+      }
+      console.error(`Error persisting data for key "${key}":`, result.error);
+      store.setError(result.error);
+      const stored = await store.reload();
+      emitLocalChange(key, stored);
+      return result;
+    });
+  }, [key, store]);
   
   /**
-   * Notify all subscribed listeners of data changes
+   * Record a rejected write without touching state or storage
+   * @param {Error} e - Why the write was rejected
+   * @returns {Error} The error, also exposed as `error`
    */
-  const notifyListeners = useCallback((newData) => {
-    listenersRef.current.forEach(listener => listener(newData));
-  }, []);
+  const reject = useCallback((e) => {
+    console.error(e.message);
+    store.setError(e);
+    return e;
+  }, [store]);
   
   /**
-   * Persist data to localStorage and notify listeners
+   * Reject records that don't match the collection schema
+   * @param {Array} report - Invalid records ({ index, id, errors })
+   * @returns {SchemaError} The error
    */
-  const persist = useCallback((newData) => {
-    try {
-      localStorage.setItem(key, JSON.stringify(newData));
-      setData(newData);
-      notifyListeners(newData);
-      
-      // Dispatch custom event for same-tab updates
-      window.dispatchEvent(new CustomEvent(STORAGE_EVENT_NAME, {
-        detail: { key, data: newData }
-      }));
-      
-      setError(null);
-      return { success: true };
-    } catch (e) {
-      console.error(`Error persisting data for key "${key}":`, e);
-      setError(e);
-      return { success: false, error: e };
-    }
-  }, [key, notifyListeners]);
+  const rejectInvalid = useCallback((report) => {
+    return reject(new SchemaError(key, report));
+  }, [key, reject]);
+  
+  /**
+   * Reject a write because storage is full, so callers never report a
+   * change that was not saved
+   * @returns {QuotaError|null} The error, or null if writes are allowed
+   */
+  const rejectIfFull = useCallback(() => {
+    return isWriteBlocked() ? reject(new QuotaError()) : null;
+  }, [reject]);
   
   /**
-   * Create a new item
+   * Create a new item. It shows at once; wait for the result before telling
+   * anyone it was saved.
    * @param {Object} item - Item data (id will be auto-generated if not provided)
-   * @returns {Object} Created item with generated ID
+   * @returns {Promise<Object>} Result with success status and the created
+   *   `record`; fails if the item is invalid, storage is full or the write fails
    */
   const create = useCallback((item) => {
-    const newItem = {
-      id: item.id || uuidv4(),
-      ...item,
-      createdAt: item.createdAt || new Date().toISOString(),
-      updatedAt: new Date().toISOString()
-    };
+    const blocked = rejectIfFull();
+    if (blocked) return Promise.resolve({ success: false, error: blocked });
+    const newItem = buildRecord(item);
+    const errors = validateRecord(key, newItem);
+    if (errors.length > 0) {
+      return Promise.resolve({ success: false, error: rejectInvalid([{ id: newItem.id, errors }]) });
+    }
     
-    const newData = [...data, newItem];
-    persist(newData);
-    return newItem;
-  }, [data, persist]);
+    const newRecords = [...store.getState().records, newItem];
+    return persist(newRecords, () => commitWith(tx => tx.put(key, newItem)))
+      .then(result => ({ ...result, record: newItem }));
+  }, [key, persist, store, rejectInvalid, rejectIfFull]);
   
   /**
    * Read item(s)
@@ -141,39 +166,112 @@ export function useLocalDB(key, initialData = []) {
   }, [data]);
   
   /**
-   * Update an existing item
+   * Update an existing item.
+   * Pass a function to compute the fields from the current record; it is
+   * re-applied to the latest persisted version when the write happens, so
+   * concurrent updates (same render, other instances) are never lost.
+   * It shows at once; wait for the result before telling anyone it was saved.
    * @param {string} id - Item ID to update
-   * @param {Object} updates - Fields to update
-   * @returns {Object|null} Updated item or null if not found
+   * @param {Object|Function} updates - Fields to update, or (record) => fields
+   * @returns {Promise<Object>} Result with success status and the updated
+   *   `record`; fails if the item is not found, the result is invalid,
+   *   storage is full or the write fails
    */
   const update = useCallback((id, updates) => {
-    const index = data.findIndex(item => item.id === id);
-    if (index === -1) return null;
+    const blocked = rejectIfFull();
+    if (blocked) return Promise.resolve({ success: false, error: blocked });
+    const current = store.getState().records;
+    const index = current.findIndex(item => item.id === id && !isDeleted(item));
+    if (index === -1) {
+      return Promise.resolve({ success: false, error: new Error(`Record "${id}" not found`) });
+    }
     
-    const updatedItem = {
-      ...data[index],
-      ...updates,
-      id: data[index].id, // Preserve original ID
-      updatedAt: new Date().toISOString()
-    };
+    const updatedItem = applyUpdates(current[index], resolveUpdates(updates, current[index]));
+    const changed = diffRecords(current[index], updatedItem).map(change => change.field);
+    const errors = validateRecord(key, updatedItem, changed);
+    if (errors.length > 0) {
+      return Promise.resolve({ success: false, error: rejectInvalid([{ id, errors }]) });
+    }
     
-    const newData = [...data];
-    newData[index] = updatedItem;
-    persist(newData);
-    return updatedItem;
-  }, [data, persist]);
+    const newRecords = [...current];
+    newRecords[index] = updatedItem;
+    return persist(newRecords, () => commitWith(tx => tx.update(key, id, (stored) => (
+      resolveUpdates(updates, stored)
+    )))).then(result => ({ ...result, record: updatedItem }));
+  }, [key, persist, store, rejectInvalid, rejectIfFull]);
   
   /**
-   * Delete an item
+   * Update every item matching a predicate in one batch
+   * @param {Function} predicate - Selects the items to update
+   * @param {Object|Function} updater - Fields to update, or (record) => fields
+   * @returns {Array} Updated items (none if any result is invalid or storage is full)
+   */
+  const updateMany = useCallback((predicate, updater) => {
+    if (rejectIfFull()) return [];
+    const matches = (item) => !isDeleted(item) && predicate(item);
+    const updatedItems = [];
+    const report = [];
+    const newRecords = store.getState().records.map(item => {
+      if (!matches(item)) return item;
+      const updatedItem = applyUpdates(item, resolveUpdates(updater, item));
+      const changed = diffRecords(item, updatedItem).map(change => change.field);
+      const errors = validateRecord(key, updatedItem, changed);
+      if (errors.length > 0) report.push({ id: item.id, errors });
+      updatedItems.push(updatedItem);
+      return updatedItem;
+    });
+    if (updatedItems.length === 0) return [];
+    if (report.length > 0) {
+      rejectInvalid(report);
+      return [];
+    }
+    
+    persist(newRecords, () => commitWith(tx => tx.updateWhere(key, matches, (stored) => (
+      resolveUpdates(updater, stored)
+    ))));
+    return updatedItems;
+  }, [key, persist, store, rejectInvalid, rejectIfFull]);
+  
+  /**
+   * Move an item (and the records that cascade from it) to the trash.
+   * It stays in storage with deletedAt/deletedBy until purged. The delete is
+   * refused if a restrict relation still references it (see relations.js).
    * @param {string} id - Item ID to delete
-   * @returns {boolean} Whether deletion was successful
+   * @returns {Promise<Object>} Result with success status
    */
   const remove = useCallback((id) => {
-    const newData = data.filter(item => item.id !== id);
-    if (newData.length === data.length) return false;
-    persist(newData);
-    return true;
-  }, [data, persist]);
+    const current = store.getState().records;
+    const index = current.findIndex(item => item.id === id && !isDeleted(item));
+    if (index === -1) {
+      return Promise.resolve({ success: false, error: new Error(`Record "${id}" not found`) });
+    }
+    
+    const deletedBy = currentUser?.name;
+    const newRecords = [...current];
+    newRecords[index] = applyUpdates(current[index], {
+      deletedAt: new Date().toISOString(),
+      deletedBy
+    });
+    return persist(newRecords, () => softDelete(key, id, deletedBy));
+  }, [key, persist, store, currentUser]);
+  
+  /**
+   * Bring an item back from the trash, with everything deleted together with it
+   * @param {string} id - Item ID to restore
+   * @returns {Promise<Object>} Result with success status and restored count
+   */
+  const restore = useCallback((id) => {
+    return restoreDeleted(key, id);
+  }, [key]);
+  
+  /**
+   * Permanently erase a trashed item, with everything deleted together with it
+   * @param {string} id - Item ID to purge
+   * @returns {Promise<Object>} Result with success status and purged count
+   */
+  const purge = useCallback((id) => {
+    return purgeDeleted(key, id);
+  }, [key]);
   
   /**
    * Find items matching criteria
@@ -194,23 +292,56 @@ export function useLocalDB(key, initialData = []) {
   }, [data]);
   
   /**
-   * Clear all data
+   * Find items by a secondary index (see COLLECTION_INDEXES)
+   * @param {string} index - Index name, e.g. 'patientId' ('id' always exists)
+   * @param {*} value - Key to look up
+   * @returns {Array} Matching items
+   */
+  // Depends on `data` so memoized callers recompute after every change
+  const findBy = useCallback((index, value) => {
+    return store.getQuery().findBy(index, value);
+  }, [store, data]);
+  
+  /**
+   * Find items whose index key lies between two bounds (inclusive)
+   * @param {string} index - Index name, e.g. 'day'
+   * @param {*} from - Lower bound, or null for none
+   * @param {*} to - Upper bound, or null for none
+   * @returns {Array} Matching items in index order
+   */
+  const range = useCallback((index, from, to) => {
+    return store.getQuery().range(index, from, to);
+  }, [store, data]);
+  
+  /**
+   * Clear all data (allowed while storage is full)
    */
   const clear = useCallback(() => {
-    persist([]);
-  }, [persist]);
+    return persist([], () => commitWith(tx => tx.replaceAll(key, []), { freesSpace: true }));
+  }, [key, persist]);
   
   /**
-   * Replace all data (useful for imports)
+   * Replace all data (useful for imports).
+   * Nothing is replaced if any record is invalid or storage is full.
    * @param {Array} newData - New data array
+   * @returns {Promise<Object>} Result with success status, and a per-record
+   *   `report` ({ index, id, errors }) when records were rejected
    */
   const replaceAll = useCallback((newData) => {
     if (!Array.isArray(newData)) {
       console.error('replaceAll requires an array');
-      return { success: false, error: 'Invalid data format' };
+      return Promise.resolve({ success: false, error: 'Invalid data format' });
     }
-    return persist(newData);
-  }, [persist]);
+    const blocked = rejectIfFull();
+    if (blocked) {
+      return Promise.resolve({ success: false, error: blocked });
+    }
+    const report = validateRecords(key, newData);
+    if (report.length > 0) {
+      return Promise.resolve({ success: false, error: rejectInvalid(report), report });
+    }
+    return persist(newData, () => commitWith(tx => tx.replaceAll(key, newData)));
+  }, [key, persist, rejectInvalid, rejectIfFull]);
   
   /**
    * Subscribe to data changes
@@ -218,11 +349,15 @@ export function useLocalDB(key, initialData = []) {
    * @returns {Function} Unsubscribe function
    */
   const subscribe = useCallback((listener) => {
-    listenersRef.current.push(listener);
-    return () => {
-      listenersRef.current = listenersRef.current.filter(l => l !== listener);
-    };
-  }, []);
+    let last = store.getState().data;
+    return store.subscribe(() => {
+      const next = store.getState().data;
+      if (next !== last) {
+        last = next;
+        listener(next);
+      }
+    });
+  }, [store]);
   
   /**
    * Export data as JSON string
@@ -233,40 +368,73 @@ export function useLocalDB(key, initialData = []) {
   }, [data]);
   
   /**
-   * Import data from JSON string
+   * Import data from JSON string.
+   * Nothing is imported if any record is invalid or storage is full.
    * @param {string} jsonString - JSON data to import
    * @param {boolean} merge - Whether to merge with existing data
-   * @returns {Object} Result with success status
+   * @param {string} from - Where the data came from (e.g. file name), for the merge reports
+   * @returns {Object} Result with success status, `merged` reports (see
+   *   mergeReportFor) for records both copies changed, and a per-record
+   *   `report` ({ index, id, errors }) when records were rejected
    */
-  const importData = useCallback((jsonString, merge = false) => {
+  const importData = useCallback((jsonString, merge = false, from = null) => {
+    const blocked = rejectIfFull();
+    if (blocked) {
+      return { success: false, error: blocked.message };
+    }
     try {
-      const importedData = JSON.parse(jsonString);
-      if (!Array.isArray(importedData)) {
+      const parsed = JSON.parse(jsonString);
+      if (!Array.isArray(parsed)) {
         throw new Error('Imported data must be an array');
       }
+      // Records are stored by ID, so every imported record needs one
+      const importedData = parsed.map(item => (item.id ? item : { ...item, id: uuidv4() }));
       
+      const merged = [];
       if (merge) {
-        // Merge by ID, imported data takes precedence
-        const mergedData = [...data];
+        // Merge by ID, keeping the newest value of each field. Records with
+        // no timestamps at all (e.g. from a spreadsheet) count as changed now.
+        const importedAt = new Date().toISOString();
+        const mergedData = [...store.getState().records];
+        const written = [];
         importedData.forEach(item => {
           const existingIndex = mergedData.findIndex(d => d.id === item.id);
           if (existingIndex >= 0) {
-            mergedData[existingIndex] = { ...mergedData[existingIndex], ...item };
+            const incoming = item.updatedAt || item.fieldClocks ? item : { ...item, updatedAt: importedAt };
+            const { record, changes } = mergeRecords(key, mergedData[existingIndex], incoming);
+            mergedData[existingIndex] = record;
+            written.push(record);
+            if (changes.length > 0) {
+              merged.push(mergeReportFor({ key, record, changes, source: MERGE_SOURCES.IMPORT, from }));
+            }
           } else {
             mergedData.push(item);
+            written.push(item);
           }
         });
-        persist(mergedData);
+        // Merged records line up with importedData, so report indexes do too
+        const report = validateRecords(key, written);
+        if (report.length > 0) {
+          return { success: false, error: rejectInvalid(report).message, report };
+        }
+        persist(mergedData, () => commitWith((tx) => {
+          written.forEach(item => tx.put(key, item));
+          merged.forEach(report => tx.create(STORAGE_KEYS.MERGE_REPORTS, buildRecord(report)));
+        }));
       } else {
-        persist(importedData);
+        const report = validateRecords(key, importedData);
+        if (report.length > 0) {
+          return { success: false, error: rejectInvalid(report).message, report };
+        }
+        persist(importedData, () => commitWith(tx => tx.replaceAll(key, importedData)));
       }
       
-      return { success: true, count: importedData.length };
+      return { success: true, count: importedData.length, merged };
     } catch (e) {
       console.error('Import error:', e);
       return { success: false, error: e.message };
     }
-  }, [data, persist]);
+  }, [key, persist, store, rejectInvalid, rejectIfFull]);
   
   /**
    * Get count of items
@@ -283,6 +451,7 @@ export function useLocalDB(key, initialData = []) {
   return {
     // State
     data,
+    deleted,
     isLoading,
     error,
     
@@ -290,11 +459,18 @@ export function useLocalDB(key, initialData = []) {
     create,
     read,
     update,
+    updateMany,
     remove,
     
+    // Trash
+    restore,
+    purge,
+    
     // Query Operations
     find,
     findOne,
+    findBy,
+    range,
     count,
     
     // Bulk Operations
@@ -0,0 +1,74 @@
+/**
+ * usePatientAccess Hook
+ * 
+ * @description Whether the signed-in user may see a patient's chart, and
+ * breaking the glass on a restricted one
+ * @features
+ *   - Restricted charts are masked for everyone but their assigned clinicians
+ *   - Breaking the glass logs the justification to the access log and opens
+ *     the chart for OVERRIDE_HOURS
+ * 
+ * @returns {Object} { isMasked, displayName, breakGlass }
+ * 
+ * @example
+ *   const { isMasked, displayName } = usePatientAccess();
+ *   <h3>{displayName(patient)}</h3>
+ *   {isMasked(patient) ? <RestrictedPatient patient={patient} /> : <Details />}
+ */
+
+import { useCallback, useMemo } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useCollection } from './useCollection';
+import { activeOverrides, logOverride } from '../db/accessLog';
+import { STORAGE_KEYS } from '../utils/constants';
+import { canViewPatient, maskName } from '../utils/restrictions';
+
+export function usePatientAccess() {
+  const { user } = useAuth();
+  const userId = user?.id;
+  
+  // Only this user's overrides, through an index, not a scan of the whole log
+  const selectOverrides = useCallback(
+    (entries, { findBy }) => findBy('overrideBy', userId),
+    [userId]
+  );
+  const overrideEntries = useCollection(STORAGE_KEYS.ACCESS_LOG, selectOverrides);
+  const overrides = useMemo(() => activeOverrides(overrideEntries, userId), [overrideEntries, userId]);
+  
+  /**
+   * Whether a patient's chart must be masked for the signed-in user
+   * @param {Object} patient - Patient record
+   * @returns {boolean} Whether it must
+   */
+  const isMasked = useCallback(
+    (patient) => Boolean(patient) && !canViewPatient(patient, user, overrides),
+    [user, overrides]
+  );
+  
+  /**
+   * Patient name as the signed-in user may see it
+   * @param {Object} patient - Patient record
+   * @returns {string|undefined} Name, or initials when masked
+   */
+  const displayName = useCallback(
+    (patient) => (isMasked(patient) ? maskName(patient.name) : patient?.name),
+    [isMasked]
+  );
+  
+  /**
+   * Open a restricted chart, logging why
+   * @param {Object} patient - Patient record
+   * @param {string} justification - Reason given
+   * @returns {Promise<Object>} Result with success status
+   */
+  const breakGlass = useCallback((patient, justification) => logOverride({
+    patientId: patient.id,
+    patientName: patient.name,
+    justification,
+    user
+  }), [user]);
+  
+  return { isMasked, displayName, breakGlass };
+}
+
+export default usePatientAccess;
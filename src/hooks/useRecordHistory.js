@@ -0,0 +1,78 @@
+/**
+ * useRecordHistory Hook
+ * 
+ * @description Read a record's change history and revert it to an earlier version
+ * @features
+ *   - Versions newest first, re-read whenever the record's collection changes
+ *   - Revert writes the old field values back as a new version, so it is
+ *     itself recorded and can be undone
+ * 
+ * @param {string} key - Collection key (one of STORAGE_KEYS)
+ * @param {string} id - Record ID
+ * @returns {Object} { versions, isLoading, revert }
+ */
+
+import { useState, useEffect, useCallback } from 'react';
+import { getRecord, subscribeToExternalChanges, STORAGE_EVENT_NAME } from '../db/storage';
+import { createTransaction } from '../db/transaction';
+import { getRecordHistory, revertUpdates, HISTORY_ACTIONS } from '../db/history';
+
+const NO_VERSIONS = [];
+
+export function useRecordHistory(key, id) {
+  const [versions, setVersions] = useState(NO_VERSIONS);
+  const [isLoading, setIsLoading] = useState(true);
+  
+  useEffect(() => {
+    if (!id) return undefined;
+    let cancelled = false;
+    
+    const load = async () => {
+      const history = await getRecordHistory(key, id);
+      if (!cancelled) {
+        setVersions([...history].reverse());
+        setIsLoading(false);
+      }
+    };
+    
+    // A record's history only changes when its collection does
+    const handleLocalChange = (e) => {
+      if (e.detail?.key === key) load();
+    };
+    const unsubscribeExternal = subscribeToExternalChanges((changedKey) => {
+      if (changedKey === key) load();
+    });
+    window.addEventListener(STORAGE_EVENT_NAME, handleLocalChange);
+    load();
+    
+    return () => {
+      cancelled = true;
+      window.removeEventListener(STORAGE_EVENT_NAME, handleLocalChange);
+      unsubscribeExternal();
+    };
+  }, [key, id]);
+  
+  /**
+   * Put the record back the way it was after a version
+   * @param {number} version - Version to go back to
+   * @returns {Promise<Object>} Result with success status
+   */
+  const revert = useCallback(async (version) => {
+    const current = await getRecord(key, id);
+    if (!current || current.deletedAt) {
+      return { success: false, error: new Error('Only records that are not in the trash can be reverted') };
+    }
+    
+    const history = await getRecordHistory(key, id);
+    const tx = createTransaction();
+    tx.update(key, id, stored => revertUpdates(stored, history, version), {
+      action: HISTORY_ACTIONS.REVERT,
+      revertedTo: version
+    });
+    return tx.commit();
+  }, [key, id]);
+  
+  return { versions, isLoading, revert };
+}
+
+export default useRecordHistory;
@@ -0,0 +1,25 @@
+/**
+ * useStorageHealth Hook
+ * 
+ * @description How full the browser's storage is (see db/quota.js)
+ * @features
+ *   - Re-renders whenever usage is re-estimated or a write hits the quota
+ *   - Re-estimates on mount, so a fresh page shows current usage
+ * 
+ * @returns {Object} { level, usage, quota, remaining, ratio, exceeded, checkedAt, refresh }
+ */
+
+import { useEffect, useSyncExternalStore } from 'react';
+import { getStorageHealth, subscribeStorageHealth, refreshStorageHealth } from '../db/quota';
+
+export function useStorageHealth() {
+  const health = useSyncExternalStore(subscribeStorageHealth, getStorageHealth);
+  
+  useEffect(() => {
+    refreshStorageHealth();
+  }, []);
+  
+  return { ...health, refresh: refreshStorageHealth };
+}
+
+export default useStorageHealth;
@@ -0,0 +1,26 @@
+/**
+ * useSyncStatus Hook
+ * 
+ * @description Whether this device is in step with the sync server (see db/sync.js)
+ * @features
+ *   - Re-renders when a sync starts or ends and when the outbox changes
+ *   - Recounts pending changes and conflicts on mount
+ * 
+ * @returns {Object} { state, pending, conflicts, lastSyncAt, lastError, rejected,
+ *   duplicateMrns, syncNow, refresh }
+ */
+
+import { useEffect, useSyncExternalStore } from 'react';
+import { getSyncStatus, subscribeSyncStatus, refreshSyncStatus, syncNow } from '../db/sync';
+
+export function useSyncStatus() {
+  const status = useSyncExternalStore(subscribeSyncStatus, getSyncStatus);
+  
+  useEffect(() => {
+    refreshSyncStatus();
+  }, []);
+  
+  return { ...status, syncNow, refresh: refreshSyncStatus };
+}
+
+export default useSyncStatus;
@@ -0,0 +1,49 @@
+/**
+ * useTransaction Hook
+ * 
+ * @description Commit writes across several collections atomically.
+ * Use this instead of chaining several useLocalDB writes when a workflow
+ * step must either fully happen or not happen at all.
+ * 
+ * @returns {Object} { runTransaction, isCommitting }
+ * 
+ * @example
+ *   const { runTransaction } = useTransaction();
+ *   const result = await runTransaction((tx) => {
+ *     tx.create(STORAGE_KEYS.TRIAGE, triageData);
+ *     tx.update(STORAGE_KEYS.APPOINTMENTS, appointmentId, { status });
+ *   });
+ *   if (!result.success) showError('Nothing was saved');
+ */
+
+import { useState, useCallback } from 'react';
+import { createTransaction } from '../db/transaction';
+
+export function useTransaction() {
+  const [isCommitting, setIsCommitting] = useState(false);
+  
+  /**
+   * Build and commit a transaction
+   * @param {Function} build - Receives the transaction and queues operations on it
+   * @returns {Promise<Object>} Result with success status
+   */
+  const runTransaction = useCallback(async (build) => {
+    const tx = createTransaction();
+    try {
+      build(tx);
+    } catch (e) {
+      return { success: false, error: e };
+    }
+    
+    setIsCommitting(true);
+    try {
+      return await tx.commit();
+    } finally {
+      setIsCommitting(false);
+    }
+  }, []);
+  
+  return { runTransaction, isCommitting };
+}
+
+export default useTransaction;
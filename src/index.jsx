@@ -12,6 +12,7 @@ import { BrowserRouter } from 'react-router-dom';
 import App from './App';
 import { AuthProvider } from './context/AuthContext';
 import { NotificationProvider } from './context/NotificationContext';
+import { DataProvider } from './context/DataContext';
 import './index.css';
 
 // Create root element and render the application
@@ -20,7 +21,9 @@ ReactDOM.createRoot(document.getElementById('root')).render(
     <BrowserRouter>
       <AuthProvider>
         <NotificationProvider>
-          <App />
+          <DataProvider>
+            <App />
+          </DataProvider>
         </NotificationProvider>
       </AuthProvider>
     </BrowserRouter>
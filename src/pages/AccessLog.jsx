@@ -0,0 +1,326 @@
+/**
+ * Access Log Page
+ * 
+ * @description Who opened which patient's chart or visit summary, and when
+ * @features
+ *   - Filter by patient and by user, or show only sensitive charts
+ *   - Flags charts that held a sensitive lab test (e.g. HIV screening)
+ *   - Break-the-glass overrides of restricted charts, with the reason given,
+ *     wait for an admin to review them
+ *   - Checks the hash chain and warns if entries were edited or removed
+ *   - Export the filtered entries as JSON or CSV
+ */
+
+import React, { useState, useMemo, useEffect } from 'react';
+import { Link } from 'react-router-dom';
+import { useLocalDB } from '../hooks/useLocalDB';
+import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationContext';
+import { ACCESS_VIEWS, verifyAccessLog, logOverrideReview } from '../db/accessLog';
+import { actorName } from '../db/history';
+import { STORAGE_KEYS } from '../utils/constants';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatDateTime } from '../utils/helpers';
+import { exportAccessLog } from '../utils/exportUtils';
+
+import Badge from '../components/common/Badge';
+import SearchInput from '../components/common/SearchInput';
+import EmptyState from '../components/common/EmptyState';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+
+const VIEW_LABELS = {
+  [ACCESS_VIEWS.CHART]: 'Patient chart',
+  [ACCESS_VIEWS.VISIT_SUMMARY]: 'Visit summary',
+  [ACCESS_VIEWS.OVERRIDE]: 'Broke the glass',
+  [ACCESS_VIEWS.OVERRIDE_REVIEW]: 'Reviewed override'
+};
+
+const ENTRY_FILTERS = {
+  ALL: '',
+  OPENINGS: 'openings',
+  OVERRIDES: 'overrides',
+  TO_REVIEW: 'to_review'
+};
+
+/**
+ * Whether an entry is of the kind picked in the entry filter
+ * @param {Object} entry - Access log entry
+ * @param {string} filter - One of ENTRY_FILTERS
+ * @param {Set} reviewedSeqs - Seqs of overrides already reviewed
+ * @returns {boolean} Whether it is
+ */
+function matchesEntryFilter(entry, filter, reviewedSeqs) {
+  switch (filter) {
+    case ENTRY_FILTERS.OPENINGS:
+      return entry.view === ACCESS_VIEWS.CHART || entry.view === ACCESS_VIEWS.VISIT_SUMMARY;
+    case ENTRY_FILTERS.OVERRIDES:
+      return entry.view === ACCESS_VIEWS.OVERRIDE || entry.view === ACCESS_VIEWS.OVERRIDE_REVIEW;
+    case ENTRY_FILTERS.TO_REVIEW:
+      return entry.view === ACCESS_VIEWS.OVERRIDE && !reviewedSeqs.has(entry.seq);
+    default:
+      return true;
+  }
+}
+
+function AccessLog() {
+  const { user, can, roleLabel } = useAuth();
+  const { success, error: showError } = useNotifications();
+  const { data: entries, isLoading } = useLocalDB(STORAGE_KEYS.ACCESS_LOG);
+  
+  const [patientQuery, setPatientQuery] = useState('');
+  const [userFilter, setUserFilter] = useState('');
+  const [entryFilter, setEntryFilter] = useState(ENTRY_FILTERS.ALL);
+  const [sensitiveOnly, setSensitiveOnly] = useState(false);
+  const [reviewingSeq, setReviewingSeq] = useState(null);
+  const [verification, setVerification] = useState(null);
+  
+  // Re-check the chain whenever entries are added
+  useEffect(() => {
+    let cancelled = false;
+    verifyAccessLog().then((result) => {
+      if (!cancelled) setVerification(result);
+    });
+    return () => {
+      cancelled = true;
+    };
+  }, [entries]);
+  
+  // Everyone who appears in the log, including since-deleted accounts
+  const loggedUsers = useMemo(() => {
+    const byId = new Map();
+    entries.forEach(entry => {
+      if (entry.user?.id) byId.set(entry.user.id, entry.user);
+    });
+    return [...byId.values()].sort((a, b) => a.name.localeCompare(b.name));
+  }, [entries]);
+  
+  // Overrides an admin has already reviewed, by seq
+  const reviewedSeqs = useMemo(() => new Set(
+    entries.filter(entry => entry.view === ACCESS_VIEWS.OVERRIDE_REVIEW).map(entry => entry.reviewOf)
+  ), [entries]);
+  
+  const toReviewCount = entries.filter(entry => (
+    matchesEntryFilter(entry, ENTRY_FILTERS.TO_REVIEW, reviewedSeqs)
+  )).length;
+  
+  const filteredEntries = useMemo(() => {
+    const query = patientQuery.trim().toLowerCase();
+    return entries
+      .filter(entry => !query ||
+        entry.patientName?.toLowerCase().includes(query) ||
+        entry.patientId?.toLowerCase().includes(query))
+      .filter(entry => !userFilter || entry.user?.id === userFilter)
+      .filter(entry => matchesEntryFilter(entry, entryFilter, reviewedSeqs))
+      .filter(entry => !sensitiveOnly || entry.sensitiveTests?.length > 0)
+      .sort((a, b) => b.seq - a.seq);
+  }, [entries, patientQuery, userFilter, entryFilter, reviewedSeqs, sensitiveOnly]);
+  
+  const handleReview = async (override) => {
+    setReviewingSeq(override.seq);
+    const result = await logOverrideReview(override, user);
+    setReviewingSeq(null);
+    if (!result.success) {
+      showError('Could not record the review');
+      return;
+    }
+    success(`Override #${override.seq} marked as reviewed`);
+  };
+  
+  if (isLoading) {
+    return (
+      <div className="flex items-center justify-center h-64">
+        <LoadingSpinner size="lg" text="Loading access log..." />
+      </div>
+    );
+  }
+  
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-heading font-bold text-slate-800">Access Log</h1>
+          <p className="text-slate-500">{entries.length} entries recorded</p>
+        </div>
+        {can(PERMISSIONS.DATA_EXPORT) && (
+          <div className="relative group">
+            <button className="btn-secondary">
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2}
+                  d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+              </svg>
+              Export
+            </button>
+            <div className="absolute right-0 mt-2 w-32 bg-white rounded-xl shadow-lg border border-slate-200
+                            opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all z-10">
+              <button
+                onClick={() => exportAccessLog(filteredEntries, 'json')}
+                className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-t-xl"
+              >
+                Export JSON
+              </button>
+              <button
+                onClick={() => exportAccessLog(filteredEntries, 'csv')}
+                className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-b-xl"
+              >
+                Export CSV
+              </button>
+            </div>
+          </div>
+        )}
+      </div>
+      
+      {/* Chain check */}
+      {verification && (
+        verification.valid ? (
+          <div className="p-4 rounded-xl bg-green-50 border border-green-200 text-sm text-green-800">
+            All {verification.count} entries are intact: none have been changed or removed.
+          </div>
+        ) : (
+          <div className="p-4 rounded-xl bg-red-50 border border-red-200 text-sm text-red-800">
+            <p className="font-semibold">The access log has been tampered with.</p>
+            <p>Entry #{verification.brokenAt} does not follow from the one before it. Entries from there on may have been changed, removed or added outside the app.</p>
+          </div>
+        )
+      )}
+      
+      {/* Overrides to review */}
+      {toReviewCount > 0 && entryFilter !== ENTRY_FILTERS.TO_REVIEW && (
+        <div className="p-4 rounded-xl bg-amber-50 border border-amber-200 flex items-center justify-between gap-4">
+          <p className="text-sm text-amber-800">
+            {toReviewCount} break-the-glass override{toReviewCount === 1 ? '' : 's'} waiting for review.
+          </p>
+          <button onClick={() => setEntryFilter(ENTRY_FILTERS.TO_REVIEW)} className="btn-secondary text-sm">
+            Review
+          </button>
+        </div>
+      )}
+      
+      {/* Filters */}
+      <div className="card">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-4">
+          <SearchInput
+            value={patientQuery}
+            onChange={(e) => setPatientQuery(e.target.value)}
+            placeholder="Filter by patient name or ID..."
+            className="flex-1"
+          />
+          <select
+            value={userFilter}
+            onChange={(e) => setUserFilter(e.target.value)}
+            className="select w-full sm:w-48"
+            aria-label="Filter by user"
+          >
+            <option value="">All Users</option>
+            {loggedUsers.map(u => (
+              <option key={u.id} value={u.id}>{u.name}</option>
+            ))}
+          </select>
+          <select
+            value={entryFilter}
+            onChange={(e) => setEntryFilter(e.target.value)}
+            className="select w-full sm:w-48"
+            aria-label="Filter by entry type"
+          >
+            <option value={ENTRY_FILTERS.ALL}>All Entries</option>
+            <option value={ENTRY_FILTERS.OPENINGS}>Chart Openings</option>
+            <option value={ENTRY_FILTERS.OVERRIDES}>Overrides</option>
+            <option value={ENTRY_FILTERS.TO_REVIEW}>Overrides to Review</option>
+          </select>
+          <label className="flex items-center gap-2 text-sm text-slate-700 whitespace-nowrap">
+            <input
+              type="checkbox"
+              checked={sensitiveOnly}
+              onChange={(e) => setSensitiveOnly(e.target.checked)}
+              className="rounded border-slate-300"
+            />
+            Sensitive only
+          </label>
+        </div>
+      </div>
+      
+      {/* Entries */}
+      {filteredEntries.length > 0 ? (
+        <div className="card p-0 overflow-hidden">
+          <div className="table-container">
+            <table className="table">
+              <thead>
+                <tr>
+                  <th>#</th>
+                  <th>When</th>
+                  <th>User</th>
+                  <th>Patient</th>
+                  <th>Opened</th>
+                  <th>Sensitive</th>
+                </tr>
+              </thead>
+              <tbody>
+                {filteredEntries.map(entry => (
+                  <tr key={entry.id}>
+                    <td className="text-xs text-slate-400">{entry.seq}</td>
+                    <td className="text-sm text-slate-600 whitespace-nowrap">{formatDateTime(entry.accessedAt)}</td>
+                    <td>
+                      <p className="font-medium text-slate-800">{actorName(entry.user)}</p>
+                      {entry.user?.role && (
+                        <p className="text-xs text-slate-400">{roleLabel(entry.user.role)}</p>
+                      )}
+                    </td>
+                    <td>
+                      <Link to={`/patients/${entry.patientId}`} className="font-medium text-clinic-600 hover:text-clinic-700">
+                        {entry.patientName || entry.patientId}
+                      </Link>
+                    </td>
+                    <td className="text-sm text-slate-600">
+                      {entry.view === ACCESS_VIEWS.VISIT_SUMMARY ? (
+                        <Link to={`/visit/${entry.appointmentId}`} className="hover:text-clinic-600">
+                          {VIEW_LABELS[entry.view]}
+                        </Link>
+                      ) : (
+                        VIEW_LABELS[entry.view] || entry.view
+                      )}
+                      {entry.view === ACCESS_VIEWS.OVERRIDE_REVIEW && ` #${entry.reviewOf}`}
+                      {entry.view === ACCESS_VIEWS.OVERRIDE && (
+                        <div className="mt-1 space-y-1">
+                          <p className="text-xs text-slate-500 italic">&ldquo;{entry.justification}&rdquo;</p>
+                          {reviewedSeqs.has(entry.seq) ? (
+                            <Badge variant="success">Reviewed</Badge>
+                          ) : (
+                            <button
+                              onClick={() => handleReview(entry)}
+                              disabled={reviewingSeq === entry.seq}
+                              className="text-xs text-clinic-600 hover:text-clinic-700 underline"
+                            >
+                              Mark reviewed
+                            </button>
+                          )}
+                        </div>
+                      )}
+                    </td>
+                    <td>
+                      {entry.sensitiveTests?.length > 0 ? (
+                        <Badge variant="danger">{entry.sensitiveTests.join(', ')}</Badge>
+                      ) : (
+                        <span className="text-slate-300">-</span>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ) : (
+        <div className="card">
+          <EmptyState
+            title={entries.length === 0 ? 'No charts opened yet' : 'No matching entries'}
+            description={entries.length === 0
+              ? 'Every time someone opens a patient chart or visit summary, it is recorded here.'
+              : 'Try a different patient, user or entry type.'}
+          />
+        </div>
+      )}
+    </div>
+  );
+}
+
+export default AccessLog;
@@ -7,10 +7,14 @@
 import React, { useState, useMemo } from 'react';
 import { Link } from 'react-router-dom';
 import { useLocalDB } from '../hooks/useLocalDB';
+import { usePatientAccess } from '../hooks/usePatientAccess';
 import { useNotifications } from '../context/NotificationContext';
+import { useAuth } from '../context/AuthContext';
+import { writeFailureMessage } from '../db/quota';
 import { STORAGE_KEYS, APPOINTMENT_STATUS, APPOINTMENT_STATUS_LABELS, APPOINTMENT_STATUS_COLORS } from '../utils/constants';
 import { formatDate, formatTime, isDateToday, sortBy } from '../utils/helpers';
 import { exportAppointments, exportAttendanceReport } from '../utils/exportUtils';
+import { PERMISSIONS } from '../utils/permissions';
 
 import Modal from '../components/common/Modal';
 import Badge from '../components/common/Badge';
@@ -22,6 +26,9 @@ function Appointments() {
   const { data: appointments, create, update, remove } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
   const { data: patients } = useLocalDB(STORAGE_KEYS.PATIENTS);
   const { success, error: showError } = useNotifications();
+  const { can } = useAuth();
+  const canSchedule = can(PERMISSIONS.APPOINTMENTS_WRITE);
+  const { isMasked, displayName } = usePatientAccess();
   
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
   const [isModalOpen, setIsModalOpen] = useState(false);
@@ -30,10 +37,10 @@ function Appointments() {
   const [statusFilter, setStatusFilter] = useState('');
   const [showWalkIn, setShowWalkIn] = useState(false);
   
-  // Get patient name helper
-  const getPatientName = (patientId) => {
-    return patients.find(p => p.id === patientId)?.name || 'Unknown Patient';
-  };
+  const getPatient = (patientId) => patients.find(p => p.id === patientId);
+  
+  // Patient name to show, masked for restricted charts
+  const getPatientName = (patientId) => displayName(getPatient(patientId)) || 'Unknown Patient';
   
   // Filter appointments for selected date
   const dayAppointments = useMemo(() => {
@@ -70,32 +77,45 @@ function Appointments() {
     );
   }, [dayAppointments]);
   
-  const handleCreateAppointment = (data) => {
+  const handleCreateAppointment = async (data) => {
     // Add patient name for easier reference
-    data.patientName = getPatientName(data.patientId);
-    create(data);
+    data.patientName = getPatient(data.patientId)?.name || 'Unknown Patient';
+    if (!(await create(data)).success) {
+      showError(writeFailureMessage('Appointment could not be saved: some details are invalid'));
+      return;
+    }
     setIsModalOpen(false);
     setShowWalkIn(false);
     success('Appointment scheduled');
   };
   
-  const handleUpdateAppointment = (data) => {
-    data.patientName = getPatientName(data.patientId);
-    update(editingAppointment.id, data);
+  const handleUpdateAppointment = async (data) => {
+    data.patientName = getPatient(data.patientId)?.name || 'Unknown Patient';
+    if (!(await update(editingAppointment.id, data)).success) {
+      showError(writeFailureMessage('Appointment could not be updated: some details are invalid'));
+      return;
+    }
     setEditingAppointment(null);
     success('Appointment updated');
   };
   
-  const handleDeleteAppointment = () => {
+  const handleDeleteAppointment = async () => {
     if (deleteConfirm) {
-      remove(deleteConfirm.id);
       setDeleteConfirm(null);
-      success('Appointment deleted');
+      const result = await remove(deleteConfirm.id);
+      if (!result.success) {
+        showError(result.error?.message || 'Failed to delete appointment');
+        return;
+      }
+      success('Appointment moved to trash');
     }
   };
   
-  const handleStatusChange = (appointment, newStatus) => {
-    update(appointment.id, { status: newStatus });
+  const handleStatusChange = async (appointment, newStatus) => {
+    if (!(await update(appointment.id, { status: newStatus })).success) {
+      showError(writeFailureMessage('Failed to update appointment status'));
+      return;
+    }
     
     const statusMessages = {
       [APPOINTMENT_STATUS.CHECKED_IN]: 'Patient checked in',
@@ -150,51 +170,57 @@ function Appointments() {
           </p>
         </div>
         <div className="flex flex-wrap gap-2">
-          <button onClick={() => setShowWalkIn(true)} className="btn-secondary">
-            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
-            </svg>
-            Walk-In
-          </button>
-          <div className="relative group">
-            <button className="btn-secondary">
+          {canSchedule && (
+            <button onClick={() => setShowWalkIn(true)} className="btn-secondary">
               <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                  d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                  d="M17.657 16.657L13.414 20.9a1.998 1.998 0 01-2.827 0l-4.244-4.243a8 8 0 1111.314 0z" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                  d="M15 11a3 3 0 11-6 0 3 3 0 016 0z" />
               </svg>
-              Export
+              Walk-In
             </button>
-            <div className="absolute right-0 mt-2 w-40 bg-white rounded-xl shadow-lg border border-slate-200 
-                            opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all z-10">
-              <button 
-                onClick={() => handleExport('json')}
-                className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-t-xl"
-              >
-                Export JSON
-              </button>
-              <button 
-                onClick={() => handleExport('csv')}
-                className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
-              >
-                Export CSV
-              </button>
-              <button 
-                onClick={handleExportAttendance}
-                className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-b-xl"
-              >
-                Attendance Report
+          )}
+          {can(PERMISSIONS.DATA_EXPORT) && (
+            <div className="relative group">
+              <button className="btn-secondary">
+                <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                    d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                </svg>
+                Export
               </button>
+              <div className="absolute right-0 mt-2 w-40 bg-white rounded-xl shadow-lg border border-slate-200 
+                              opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all z-10">
+                <button 
+                  onClick={() => handleExport('json')}
+                  className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-t-xl"
+                >
+                  Export JSON
+                </button>
+                <button 
+                  onClick={() => handleExport('csv')}
+                  className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
+                >
+                  Export CSV
+                </button>
+                <button 
+                  onClick={handleExportAttendance}
+                  className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-b-xl"
+                >
+                  Attendance Report
+                </button>
+              </div>
             </div>
-          </div>
-          <button onClick={() => setIsModalOpen(true)} className="btn-primary">
-            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-            </svg>
-            Schedule
-          </button>
+          )}
+          {canSchedule && (
+            <button onClick={() => setIsModalOpen(true)} className="btn-primary">
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+              </svg>
+              Schedule
+            </button>
+          )}
         </div>
       </div>
       
@@ -312,12 +338,14 @@ function Appointments() {
               <div key={apt.id} className="flex items-center gap-2 px-3 py-2 bg-white rounded-lg shadow-sm">
                 <span className="font-medium text-slate-800">{getPatientName(apt.patientId)}</span>
                 <span className="text-sm text-slate-500">{formatTime(apt.datetime)}</span>
-                <button
-                  onClick={() => handleStatusChange(apt, APPOINTMENT_STATUS.IN_PROGRESS)}
-                  className="ml-2 text-clinic-600 hover:text-clinic-700 font-medium text-sm"
-                >
-                  Start →
-                </button>
+                {canSchedule && (
+                  <button
+                    onClick={() => handleStatusChange(apt, APPOINTMENT_STATUS.IN_PROGRESS)}
+                    className="ml-2 text-clinic-600 hover:text-clinic-700 font-medium text-sm"
+                  >
+                    Start →
+                  </button>
+                )}
               </div>
             ))}
           </div>
@@ -356,14 +384,14 @@ function Appointments() {
                   <p className="text-sm text-slate-500 mt-1">
                     {apt.clinician && <span>Dr. {apt.clinician}</span>}
                     {apt.type && <span className="ml-2 capitalize">• {apt.type}</span>}
-                    {apt.notes && <span className="ml-2">• {apt.notes}</span>}
+                    {apt.notes && !isMasked(getPatient(apt.patientId)) && <span className="ml-2">• {apt.notes}</span>}
                   </p>
                 </div>
                 
                 {/* Actions */}
                 <div className="flex items-center gap-2 sm:gap-1">
                   {/* Status change actions */}
-                  {apt.status === APPOINTMENT_STATUS.SCHEDULED && (
+                  {apt.status === APPOINTMENT_STATUS.SCHEDULED && canSchedule && (
                     <>
                       <button
                         onClick={() => handleStatusChange(apt, APPOINTMENT_STATUS.CHECKED_IN)}
@@ -440,26 +468,30 @@ function Appointments() {
                   )}
                   
                   {/* Edit/Delete */}
-                  <button
-                    onClick={() => setEditingAppointment(apt)}
-                    className="btn-icon text-slate-500 hover:text-blue-600"
-                    title="Edit"
-                  >
-                    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                        d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                    </svg>
-                  </button>
-                  <button
-                    onClick={() => setDeleteConfirm(apt)}
-                    className="btn-icon text-slate-500 hover:text-red-600"
-                    title="Delete"
-                  >
-                    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                        d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                    </svg>
-                  </button>
+                  {canSchedule && (
+                    <button
+                      onClick={() => setEditingAppointment(apt)}
+                      className="btn-icon text-slate-500 hover:text-blue-600"
+                      title="Edit"
+                    >
+                      <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                          d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                      </svg>
+                    </button>
+                  )}
+                  {canSchedule && (
+                    <button
+                      onClick={() => setDeleteConfirm(apt)}
+                      className="btn-icon text-slate-500 hover:text-red-600"
+                      title="Delete"
+                    >
+                      <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                          d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                      </svg>
+                    </button>
+                  )}
                 </div>
               </div>
             </div>
@@ -478,7 +510,7 @@ function Appointments() {
             description={statusFilter 
               ? 'Try selecting a different status filter'
               : `Schedule an appointment for ${formatDate(selectedDate, 'MMMM d')}`}
-            action={!statusFilter && (
+            action={!statusFilter && canSchedule && (
               <button onClick={() => setIsModalOpen(true)} className="btn-primary">
                 Schedule Appointment
               </button>
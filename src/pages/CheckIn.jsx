@@ -5,10 +5,15 @@
  * @workflow First step - Changes status from 'scheduled' to 'checked_in'
  */
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useCallback } from 'react';
 import { useNavigate } from 'react-router-dom';
-import { useLocalDB } from '../hooks/useLocalDB';
+import { useCollection } from '../hooks/useCollection';
+import { useTransaction } from '../hooks/useTransaction';
+import { usePatientAccess } from '../hooks/usePatientAccess';
 import { useNotifications } from '../context/NotificationContext';
+import { useAuth } from '../context/AuthContext';
+import { writeFailureMessage } from '../db/quota';
+import { toActor } from '../db/history';
 import { 
   STORAGE_KEYS, 
   APPOINTMENT_STATUS, 
@@ -23,18 +28,30 @@ import Modal from '../components/common/Modal';
 
 function CheckIn() {
   const navigate = useNavigate();
-  const { data: appointments, update } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
-  const { data: patients } = useLocalDB(STORAGE_KEYS.PATIENTS);
+  const { runTransaction } = useTransaction();
   const { success, error: showError } = useNotifications();
+  const { user } = useAuth();
+  const { isMasked, displayName } = usePatientAccess();
   
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedDate, setSelectedDate] = useState(new Date().toISOString().split('T')[0]);
   const [confirmModal, setConfirmModal] = useState(null);
   
-  // Get patient name by ID
+  // Appointments on the selected day, via the day index, and their patients;
+  // writes to other days don't re-render the page
+  const dayAppointments = useCollection(STORAGE_KEYS.APPOINTMENTS, useCallback(
+    (records, { findBy }) => findBy('day', selectedDate),
+    [selectedDate]
+  ));
+  const patients = useCollection(STORAGE_KEYS.PATIENTS, useCallback(
+    (records, { findBy }) => dayAppointments.flatMap(apt => findBy('id', apt.patientId)),
+    [dayAppointments]
+  ));
+  
+  // Get patient name by ID, masked for restricted charts
   const getPatientName = (patientId) => {
-    const patient = patients.find(p => p.id === patientId);
-    return patient ? patient.name : 'Unknown Patient';
+    const patient = getPatientDetails(patientId);
+    return patient ? displayName(patient) : 'Unknown Patient';
   };
   
   const getPatientDetails = (patientId) => {
@@ -43,46 +60,44 @@ function CheckIn() {
   
   // Filter appointments for today that can be checked in
   const todayAppointments = useMemo(() => {
-    return appointments
+    return dayAppointments
       .filter(apt => {
-        const aptDate = apt.datetime?.split('T')[0] || apt.date;
-        const matchesDate = aptDate === selectedDate;
         const canCheckIn = apt.status === APPOINTMENT_STATUS.SCHEDULED;
         const matchesSearch = searchQuery === '' || 
           getPatientName(apt.patientId).toLowerCase().includes(searchQuery.toLowerCase()) ||
           apt.clinician?.toLowerCase().includes(searchQuery.toLowerCase());
         
-        return matchesDate && canCheckIn && matchesSearch;
+        return canCheckIn && matchesSearch;
       })
       .sort((a, b) => {
         const timeA = a.datetime || `${a.date}T${a.time}`;
         const timeB = b.datetime || `${b.date}T${b.time}`;
         return new Date(timeA) - new Date(timeB);
       });
-  }, [appointments, patients, selectedDate, searchQuery]);
+  }, [dayAppointments, patients, searchQuery]);
   
   // Already checked-in appointments
   const checkedInAppointments = useMemo(() => {
-    return appointments
-      .filter(apt => {
-        const aptDate = apt.datetime?.split('T')[0] || apt.date;
-        return aptDate === selectedDate && apt.status === APPOINTMENT_STATUS.CHECKED_IN;
-      })
+    return dayAppointments
+      .filter(apt => apt.status === APPOINTMENT_STATUS.CHECKED_IN)
       .sort((a, b) => new Date(b.checkedInAt) - new Date(a.checkedInAt));
-  }, [appointments, selectedDate]);
+  }, [dayAppointments]);
   
   // Handle check-in
-  const handleCheckIn = (appointment) => {
-    try {
-      update(appointment.id, {
+  const handleCheckIn = async (appointment) => {
+    const result = await runTransaction((tx) => {
+      tx.update(STORAGE_KEYS.APPOINTMENTS, appointment.id, {
         status: APPOINTMENT_STATUS.CHECKED_IN,
-        checkedInAt: new Date().toISOString()
+        checkedInAt: new Date().toISOString(),
+        checkedInBy: toActor(user)
       });
-      success(`${getPatientName(appointment.patientId)} has been checked in`, 'Ready for Triage');
-      setConfirmModal(null);
-    } catch (err) {
-      showError('Failed to check in patient');
+    });
+    if (!result.success) {
+      showError(writeFailureMessage('Failed to check in patient'));
+      return;
     }
+    success(`${getPatientName(appointment.patientId)} has been checked in`, 'Ready for Triage');
+    setConfirmModal(null);
   };
   
   // Handle walk-in
@@ -92,18 +107,13 @@ function CheckIn() {
   
   // Stats for today
   const stats = useMemo(() => {
-    const todayApts = appointments.filter(apt => {
-      const aptDate = apt.datetime?.split('T')[0] || apt.date;
-      return aptDate === selectedDate;
-    });
-    
     return {
-      total: todayApts.length,
-      waiting: todayApts.filter(a => a.status === APPOINTMENT_STATUS.SCHEDULED).length,
-      checkedIn: todayApts.filter(a => a.status === APPOINTMENT_STATUS.CHECKED_IN).length,
-      completed: todayApts.filter(a => a.status === APPOINTMENT_STATUS.COMPLETED).length
+      total: dayAppointments.length,
+      waiting: dayAppointments.filter(a => a.status === APPOINTMENT_STATUS.SCHEDULED).length,
+      checkedIn: dayAppointments.filter(a => a.status === APPOINTMENT_STATUS.CHECKED_IN).length,
+      completed: dayAppointments.filter(a => a.status === APPOINTMENT_STATUS.COMPLETED).length
     };
-  }, [appointments, selectedDate]);
+  }, [dayAppointments]);
   
   return (
     <div className="space-y-6">
@@ -189,10 +199,10 @@ function CheckIn() {
                     <div className="flex items-center gap-4">
                       <div className="w-12 h-12 rounded-full bg-gradient-to-br from-clinic-500 to-clinic-600 
                                       flex items-center justify-center text-white font-semibold text-lg">
-                        {patient?.name?.charAt(0) || '?'}
+                        {displayName(patient)?.charAt(0) || '?'}
                       </div>
                       <div>
-                        <h3 className="font-semibold text-slate-800">{patient?.name || 'Unknown'}</h3>
+                        <h3 className="font-semibold text-slate-800">{displayName(patient) || 'Unknown'}</h3>
                         <div className="flex items-center gap-3 text-sm text-slate-500">
                           <span className="flex items-center gap-1">
                             <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -203,7 +213,7 @@ function CheckIn() {
                           <span>•</span>
                           <span>{appointment.clinician || 'Any Doctor'}</span>
                         </div>
-                        {appointment.reason && (
+                        {appointment.reason && !isMasked(patient) && (
                           <p className="text-sm text-slate-400 mt-1">{appointment.reason}</p>
                         )}
                       </div>
@@ -249,7 +259,7 @@ function CheckIn() {
                         </svg>
                       </div>
                       <div>
-                        <h3 className="font-medium text-slate-800">{patient?.name || 'Unknown'}</h3>
+                        <h3 className="font-medium text-slate-800">{displayName(patient) || 'Unknown'}</h3>
                         <p className="text-sm text-slate-500">
                           Checked in at {formatTime(appointment.checkedInAt)}
                         </p>
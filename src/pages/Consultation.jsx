@@ -5,10 +5,13 @@
  * @workflow Fourth step - Records consultation and moves to pharmacy/lab or completion
  */
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useCallback } from 'react';
 import { Link } from 'react-router-dom';
-import { useLocalDB } from '../hooks/useLocalDB';
+import { useCollection } from '../hooks/useCollection';
+import { useTransaction } from '../hooks/useTransaction';
+import { usePatientAccess } from '../hooks/usePatientAccess';
 import { useNotifications } from '../context/NotificationContext';
+import { useAuth } from '../context/AuthContext';
 import { 
   STORAGE_KEYS, 
   APPOINTMENT_STATUS,
@@ -17,41 +20,87 @@ import {
   LAB_TESTS
 } from '../utils/constants';
 import { generateId, formatDate } from '../utils/helpers';
+import { toActor } from '../db/history';
+import { PERMISSIONS } from '../utils/permissions';
+import { checkAllergies, formatAllergies, unresolvedAllergyConflicts } from '../utils/allergies';
+import { checkInteractions, interactionsWith, summarizeAlerts } from '../utils/interactions';
+import { patientDosingInfo, suggestDose, checkDose } from '../utils/dosing';
 import SearchInput from '../components/common/SearchInput';
 import Badge from '../components/common/Badge';
 import EmptyState from '../components/common/EmptyState';
 import Modal from '../components/common/Modal';
+import RestrictedPatient from '../components/patients/RestrictedPatient';
+import AllergyAlert from '../components/prescribing/AllergyAlert';
+import InteractionAlert from '../components/prescribing/InteractionAlert';
+import InteractionList from '../components/prescribing/InteractionList';
+import DoseSuggestion from '../components/prescribing/DoseSuggestion';
+
+// Statuses of patients waiting for or with the doctor
+const CONSULTATION_STATUSES = [
+  APPOINTMENT_STATUS.WITH_DOCTOR,
+  APPOINTMENT_STATUS.IN_QUEUE,
+  APPOINTMENT_STATUS.LAB_RESULTS_READY
+];
+
+// Consultation form before anything is entered
+const EMPTY_FORM = {
+  complaint: '',
+  history: '',
+  examination: '',
+  diagnosis: [],
+  medications: [],
+  labTests: [],
+  followUpDate: '',
+  notes: '',
+  referral: ''
+};
+
+// Today's appointments ready for consultation
+const selectReadyToday = (appointments, { findBy }) => (
+  findBy('day', new Date().toISOString().split('T')[0])
+    .filter(apt => CONSULTATION_STATUSES.includes(apt.status))
+);
 
 function Consultation() {
-  const { data: appointments, update: updateAppointment } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
-  const { data: patients } = useLocalDB(STORAGE_KEYS.PATIENTS);
-  const { data: triageRecords } = useLocalDB(STORAGE_KEYS.TRIAGE);
-  const { data: queue, update: updateQueue } = useLocalDB(STORAGE_KEYS.QUEUE);
-  const { data: consultations, create: createConsultation } = useLocalDB(STORAGE_KEYS.CONSULTATIONS);
-  const { data: prescriptions, create: createPrescription } = useLocalDB(STORAGE_KEYS.PRESCRIPTIONS);
-  const { data: labOrders, create: createLabOrder } = useLocalDB(STORAGE_KEYS.LAB_ORDERS);
+  // Subscribe only to today's consultation list and the records it needs,
+  // so activity elsewhere in the clinic doesn't re-render the page
+  const appointments = useCollection(STORAGE_KEYS.APPOINTMENTS, selectReadyToday);
+  const patients = useCollection(STORAGE_KEYS.PATIENTS, useCallback(
+    (records, { findBy }) => appointments.flatMap(apt => findBy('id', apt.patientId)),
+    [appointments]
+  ));
+  const triageRecords = useCollection(STORAGE_KEYS.TRIAGE, useCallback(
+    (records, { findBy }) => appointments.flatMap(apt => findBy('appointmentId', apt.id)),
+    [appointments]
+  ));
+  const { runTransaction, isCommitting } = useTransaction();
   const { success, error: showError } = useNotifications();
+  const { user, can } = useAuth();
+  const { isMasked, displayName } = usePatientAccess();
+  const canOrderLabs = can(PERMISSIONS.LAB_ORDERS_WRITE);
   
   const [selectedPatient, setSelectedPatient] = useState(null);
   const [searchQuery, setSearchQuery] = useState('');
   
+  const labOrder = useCollection(STORAGE_KEYS.LAB_ORDERS, useCallback(
+    (records, { findBy }) => findBy('appointmentId', selectedPatient?.id)[0],
+    [selectedPatient?.id]
+  ));
+  
   // Consultation form state
-  const [form, setForm] = useState({
-    complaint: '',
-    history: '',
-    examination: '',
-    diagnosis: [],
-    medications: [],
-    labTests: [],
-    followUpDate: '',
-    notes: '',
-    referral: ''
-  });
+  const [form, setForm] = useState(EMPTY_FORM);
   
   // Temporary medication input
   const [newMed, setNewMed] = useState({ name: '', dosage: '', frequency: '', duration: '', instructions: '' });
   const [showMedModal, setShowMedModal] = useState(false);
   const [showLabModal, setShowLabModal] = useState(false);
+  // Medication held back because it matches a recorded allergy
+  const [allergyAlert, setAllergyAlert] = useState(null);
+  // Medication held back because it interacts with the prescription so far
+  const [interactionAlert, setInteractionAlert] = useState(null);
+  
+  // Interaction and duplicate therapy alerts across the whole prescription
+  const prescriptionAlerts = useMemo(() => checkInteractions(form.medications), [form.medications]);
   
   // Get patient details
   const getPatient = (patientId) => patients.find(p => p.id === patientId);
@@ -59,18 +108,16 @@ function Consultation() {
   // Get triage data
   const getTriage = (appointmentId) => triageRecords.find(t => t.appointmentId === appointmentId);
   
+  // Weight and age that weight-based doses are worked out from
+  const dosingInfo = useMemo(() => (
+    selectedPatient
+      ? patientDosingInfo(getPatient(selectedPatient.patientId), getTriage(selectedPatient.id))
+      : {}
+  ), [selectedPatient, patients, triageRecords]);
+  
   // Patients ready for consultation (in queue, with doctor, or lab results ready)
   const patientsForConsultation = useMemo(() => {
-    const today = new Date().toISOString().split('T')[0];
     return appointments
-      .filter(apt => {
-        const aptDate = apt.datetime?.split('T')[0] || apt.date;
-        // Show patients who are in queue, already with doctor, or have lab results ready
-        return aptDate === today && 
-          (apt.status === APPOINTMENT_STATUS.WITH_DOCTOR || 
-           apt.status === APPOINTMENT_STATUS.IN_QUEUE ||
-           apt.status === APPOINTMENT_STATUS.LAB_RESULTS_READY);
-      })
       .filter(apt => {
         const patient = getPatient(apt.patientId);
         return searchQuery === '' || 
@@ -87,27 +134,49 @@ function Consultation() {
       });
   }, [appointments, patients, searchQuery]);
   
+  // Switch patients. Notes and drugs entered for one patient are dropped, so
+  // they are never saved for the next one without that patient's checks.
+  const changeSelectedPatient = (appointment) => {
+    if (appointment?.id !== selectedPatient?.id) {
+      setForm(EMPTY_FORM);
+      setAllergyAlert(null);
+      setInteractionAlert(null);
+    }
+    setSelectedPatient(appointment);
+  };
+  
   // When selecting a patient, update their status to WITH_DOCTOR
-  const handleSelectPatient = (appointment) => {
-    if (appointment.status === APPOINTMENT_STATUS.IN_QUEUE) {
-      // Update to WITH_DOCTOR when starting consultation
-      updateAppointment(appointment.id, {
-        status: APPOINTMENT_STATUS.WITH_DOCTOR,
-        calledAt: new Date().toISOString()
-      });
-      // Mark queue item as called
-      const queueItem = queue.find(q => q.appointmentId === appointment.id);
-      if (queueItem) {
-        updateQueue(queueItem.id, { called: true, calledAt: new Date().toISOString() });
+  const handleSelectPatient = async (appointment) => {
+    const calledAt = new Date().toISOString();
+    const result = await runTransaction((tx) => {
+      if (appointment.status === APPOINTMENT_STATUS.IN_QUEUE) {
+        // Update to WITH_DOCTOR when starting consultation
+        tx.update(STORAGE_KEYS.APPOINTMENTS, appointment.id, {
+          status: APPOINTMENT_STATUS.WITH_DOCTOR,
+          calledAt,
+          calledBy: toActor(user)
+        });
+        // Mark queue item as called
+        tx.updateWhere(STORAGE_KEYS.QUEUE, q => q.appointmentId === appointment.id, {
+          called: true,
+          calledAt,
+          calledBy: toActor(user)
+        });
+      } else if (appointment.status === APPOINTMENT_STATUS.LAB_RESULTS_READY) {
+        // Patient returning from lab - doctor reviews results
+        tx.update(STORAGE_KEYS.APPOINTMENTS, appointment.id, {
+          status: APPOINTMENT_STATUS.WITH_DOCTOR,
+          labReviewedAt: calledAt,
+          labReviewedBy: toActor(user)
+        });
       }
-    } else if (appointment.status === APPOINTMENT_STATUS.LAB_RESULTS_READY) {
-      // Patient returning from lab - doctor reviews results
-      updateAppointment(appointment.id, {
-        status: APPOINTMENT_STATUS.WITH_DOCTOR,
-        labReviewedAt: new Date().toISOString()
-      });
+    });
+    
+    if (!result.success) {
+      showError('Failed to start the consultation. No changes were made.');
+      return;
     }
-    setSelectedPatient({ ...appointment, status: APPOINTMENT_STATUS.WITH_DOCTOR });
+    changeSelectedPatient({ ...appointment, status: APPOINTMENT_STATUS.WITH_DOCTOR });
   };
   
   // Handle form change
@@ -134,13 +203,68 @@ function Consultation() {
     }));
   };
   
+  // Add a medication to the prescription
+  const addMedication = (medication) => {
+    setForm(prev => ({
+      ...prev,
+      medications: [...prev.medications, medication]
+    }));
+  };
+  
+  // Check a medication against the rest of the prescription before adding it
+  const addAfterInteractionCheck = (medication) => {
+    const alerts = interactionsWith(medication, form.medications);
+    if (alerts.length > 0) {
+      setInteractionAlert({ medication, alerts });
+    } else {
+      addMedication(medication);
+    }
+  };
+  
+  // Check a medication against the patient's allergies, then for interactions
+  const prescribe = (medication) => {
+    const patient = getPatient(selectedPatient?.patientId);
+    const conflicts = checkAllergies(medication, patient?.allergies);
+    if (conflicts.length > 0) {
+      setAllergyAlert({ medication, conflicts });
+    } else {
+      addAfterInteractionCheck(medication);
+    }
+  };
+  
+  // Prescribe despite an allergy, recording who decided and why
+  const handleAllergyOverride = (reason) => {
+    const { medication, conflicts } = allergyAlert;
+    setAllergyAlert(null);
+    addAfterInteractionCheck({
+      ...medication,
+      allergyOverride: {
+        allergies: conflicts.map(c => c.allergy.substance),
+        reason,
+        overriddenAt: new Date().toISOString(),
+        overriddenBy: toActor(user)
+      }
+    });
+  };
+  
+  // Add a medication despite interaction alerts, recording who acknowledged them
+  const handleInteractionAcknowledge = () => {
+    const { medication, alerts } = interactionAlert;
+    addMedication({
+      ...medication,
+      interactionAcknowledgement: {
+        alerts: summarizeAlerts(alerts),
+        acknowledgedAt: new Date().toISOString(),
+        acknowledgedBy: toActor(user)
+      }
+    });
+    setInteractionAlert(null);
+  };
+  
   // Add medication
   const handleAddMedication = () => {
     if (newMed.name) {
-      setForm(prev => ({
-        ...prev,
-        medications: [...prev.medications, { ...newMed, id: generateId('med') }]
-      }));
+      prescribe({ ...newMed, id: generateId('med') });
       setNewMed({ name: '', dosage: '', frequency: '', duration: '', instructions: '' });
       setShowMedModal(false);
     }
@@ -148,10 +272,8 @@ function Consultation() {
   
   // Add quick medication
   const handleQuickMed = (med) => {
-    setForm(prev => ({
-      ...prev,
-      medications: [...prev.medications, { ...med, id: generateId('med'), duration: '5 days' }]
-    }));
+    const suggestion = suggestDose(med, dosingInfo);
+    prescribe({ ...med, dosage: suggestion?.dose || med.dosage, id: generateId('med'), duration: '5 days' });
   };
   
   // Remove medication
@@ -181,7 +303,7 @@ function Consultation() {
   };
   
   // Complete consultation
-  const handleComplete = (sendTo = 'completed') => {
+  const handleComplete = async (sendTo = 'completed') => {
     if (!selectedPatient) return;
     
     if (form.diagnosis.length === 0) {
@@ -189,93 +311,97 @@ function Consultation() {
       return;
     }
     
-    try {
-      // Create consultation record
-      const consultationData = {
-        id: generateId('cons'),
-        appointmentId: selectedPatient.id,
-        patientId: selectedPatient.patientId,
-        ...form,
-        completedAt: new Date().toISOString(),
-        completedBy: 'Current Doctor'
-      };
-      createConsultation(consultationData);
+    // Check the whole prescription against this patient's allergies again
+    const unresolved = unresolvedAllergyConflicts(
+      form.medications,
+      getPatient(selectedPatient.patientId)?.allergies
+    );
+    if (unresolved.length > 0) {
+      const names = unresolved.map(({ medication }) => medication.name).join(', ');
+      showError(`Allergy conflict not cleared for this patient: ${names}. Remove it, or add it again to record a reason.`);
+      return;
+    }
+    
+    // Create consultation record
+    const consultationData = {
+      id: generateId('cons'),
+      appointmentId: selectedPatient.id,
+      patientId: selectedPatient.patientId,
+      ...form,
+      completedAt: new Date().toISOString(),
+      completedBy: toActor(user)
+    };
+    
+    // Determine next status
+    let nextStatus;
+    if (sendTo === 'lab' && form.labTests.length > 0) {
+      nextStatus = APPOINTMENT_STATUS.LAB;
+    } else if (form.medications.length > 0) {
+      nextStatus = APPOINTMENT_STATUS.PHARMACY;
+    } else {
+      nextStatus = APPOINTMENT_STATUS.COMPLETED;
+    }
+    
+    // Consultation, orders, appointment status and queue are saved together or not at all
+    const result = await runTransaction((tx) => {
+      tx.create(STORAGE_KEYS.CONSULTATIONS, consultationData);
       
       // Create prescriptions if any
       if (form.medications.length > 0) {
-        createPrescription({
+        tx.create(STORAGE_KEYS.PRESCRIPTIONS, {
           id: generateId('rx'),
           appointmentId: selectedPatient.id,
           patientId: selectedPatient.patientId,
           consultationId: consultationData.id,
           medications: form.medications,
           issuedAt: new Date().toISOString(),
+          issuedBy: toActor(user),
           dispensed: false
         });
       }
       
       // Create lab orders if any
       if (form.labTests.length > 0) {
-        createLabOrder({
+        tx.create(STORAGE_KEYS.LAB_ORDERS, {
           id: generateId('lab'),
           appointmentId: selectedPatient.id,
           patientId: selectedPatient.patientId,
           consultationId: consultationData.id,
           tests: form.labTests,
           orderedAt: new Date().toISOString(),
+          orderedBy: toActor(user),
           status: 'pending'
         });
       }
       
-      // Determine next status
-      let nextStatus;
-      if (sendTo === 'lab' && form.labTests.length > 0) {
-        nextStatus = APPOINTMENT_STATUS.LAB;
-      } else if (form.medications.length > 0) {
-        nextStatus = APPOINTMENT_STATUS.PHARMACY;
-      } else {
-        nextStatus = APPOINTMENT_STATUS.COMPLETED;
-      }
-      
       // Update appointment
-      updateAppointment(selectedPatient.id, {
+      tx.update(STORAGE_KEYS.APPOINTMENTS, selectedPatient.id, {
         status: nextStatus,
         consultationId: consultationData.id,
         consultedAt: new Date().toISOString()
       });
       
       // Mark queue as completed
-      const queueItem = queue.find(q => q.appointmentId === selectedPatient.id);
-      if (queueItem) {
-        updateQueue(queueItem.id, { completed: true });
-      }
-      
-      const patient = getPatient(selectedPatient.patientId);
-      success(
-        `Consultation completed for ${patient?.name}`,
-        nextStatus === APPOINTMENT_STATUS.PHARMACY 
-          ? 'Sent to Pharmacy' 
-          : nextStatus === APPOINTMENT_STATUS.LAB 
-            ? 'Sent to Lab' 
-            : 'Visit Complete'
-      );
-      
-      // Reset
-      setSelectedPatient(null);
-      setForm({
-        complaint: '',
-        history: '',
-        examination: '',
-        diagnosis: [],
-        medications: [],
-        labTests: [],
-        followUpDate: '',
-        notes: '',
-        referral: ''
-      });
-    } catch (err) {
-      showError('Failed to save consultation');
+      tx.updateWhere(STORAGE_KEYS.QUEUE, q => q.appointmentId === selectedPatient.id, { completed: true });
+    });
+    
+    if (!result.success) {
+      showError('Failed to save consultation. No changes were made.');
+      return;
     }
+    
+    const patient = getPatient(selectedPatient.patientId);
+    success(
+      `Consultation completed for ${displayName(patient)}`,
+      nextStatus === APPOINTMENT_STATUS.PHARMACY 
+        ? 'Sent to Pharmacy' 
+        : nextStatus === APPOINTMENT_STATUS.LAB 
+          ? 'Sent to Lab' 
+          : 'Visit Complete'
+    );
+    
+    // Reset
+    changeSelectedPatient(null);
   };
   
   return (
@@ -335,12 +461,12 @@ function Consultation() {
                         <span className={`font-semibold ${
                           hasLabResults ? 'text-emerald-600' : isInQueue ? 'text-yellow-600' : 'text-purple-600'
                         }`}>
-                          {patient?.name?.charAt(0)}
+                          {displayName(patient)?.charAt(0)}
                         </span>
                       </div>
                       <div className="flex-1 min-w-0">
                         <div className="flex items-center gap-2 flex-wrap">
-                          <h3 className="font-medium text-slate-800 truncate">{patient?.name}</h3>
+                          <h3 className="font-medium text-slate-800 truncate">{displayName(patient)}</h3>
                           {hasLabResults && (
                             <span className="text-xs bg-emerald-100 text-emerald-700 px-2 py-0.5 rounded-full font-medium">
                               🔬 Lab Results Ready
@@ -353,8 +479,8 @@ function Consultation() {
                             <span className="text-xs bg-purple-100 text-purple-700 px-2 py-0.5 rounded-full">With Doctor</span>
                           )}
                         </div>
-                        {patient?.allergies && (
-                          <p className="text-xs text-red-600 truncate">⚠️ Allergies: {patient.allergies}</p>
+                        {formatAllergies(patient?.allergies) && !isMasked(patient) && (
+                          <p className="text-xs text-red-600 truncate">⚠️ Allergies: {formatAllergies(patient.allergies)}</p>
                         )}
                       </div>
                     </div>
@@ -378,6 +504,10 @@ function Consultation() {
             const patient = getPatient(selectedPatient.patientId);
             const triage = getTriage(selectedPatient.id);
             
+            if (isMasked(patient)) {
+              return <RestrictedPatient patient={patient} compact />;
+            }
+            
             return (
               <>
                 {/* Patient Header */}
@@ -401,14 +531,14 @@ function Consultation() {
                   </div>
                   
                   {/* Allergies Alert */}
-                  {patient?.allergies && (
+                  {formatAllergies(patient?.allergies) && (
                     <div className="mt-3 p-2 bg-red-100 border border-red-300 rounded-lg flex items-start gap-2">
                       <svg className="w-5 h-5 text-red-600 flex-shrink-0 mt-0.5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                         <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
                       </svg>
                       <div>
                         <p className="text-xs font-semibold text-red-700">ALLERGIES</p>
-                        <p className="text-sm text-red-800">{patient.allergies}</p>
+                        <p className="text-sm text-red-800">{formatAllergies(patient.allergies)}</p>
                       </div>
                     </div>
                   )}
@@ -468,7 +598,6 @@ function Consultation() {
                 
                 {/* Lab Results Section - Show when patient returns from lab */}
                 {(() => {
-                  const labOrder = labOrders.find(l => l.appointmentId === selectedPatient.id);
                   if (labOrder && labOrder.status === 'completed') {
                     return (
                       <div className="p-4 bg-emerald-50 border-b border-emerald-100">
@@ -587,44 +716,46 @@ function Consultation() {
                   </div>
                   
                   {/* SECTION 4: Lab Tests - Will appear on Lab Page */}
-                  <div className="bg-indigo-50 p-4 rounded-xl border border-indigo-200">
-                    <h3 className="text-sm font-semibold text-indigo-800 mb-3 flex items-center gap-2">
-                      <span className="w-6 h-6 bg-indigo-200 text-indigo-700 rounded-full flex items-center justify-center text-xs font-bold">4</span>
-                      Lab Tests Prescribed
-                      <span className="text-xs font-normal text-indigo-600 ml-auto">→ Appears on Lab Page</span>
-                    </h3>
-                    <div className="flex flex-wrap gap-2 mb-3">
-                      {form.labTests.map(test => (
-                        <Badge key={test.code} variant="info" className="flex items-center gap-1 bg-indigo-100">
-                          {test.name} ({test.code})
+                  {canOrderLabs && (
+                    <div className="bg-indigo-50 p-4 rounded-xl border border-indigo-200">
+                      <h3 className="text-sm font-semibold text-indigo-800 mb-3 flex items-center gap-2">
+                        <span className="w-6 h-6 bg-indigo-200 text-indigo-700 rounded-full flex items-center justify-center text-xs font-bold">4</span>
+                        Lab Tests Prescribed
+                        <span className="text-xs font-normal text-indigo-600 ml-auto">→ Appears on Lab Page</span>
+                      </h3>
+                      <div className="flex flex-wrap gap-2 mb-3">
+                        {form.labTests.map(test => (
+                          <Badge key={test.code} variant="info" className="flex items-center gap-1 bg-indigo-100">
+                            {test.name} ({test.code})
+                            <button
+                              onClick={() => handleRemoveLabTest(test.code)}
+                              className="ml-1 hover:text-red-500"
+                            >
+                              ×
+                            </button>
+                          </Badge>
+                        ))}
+                        {form.labTests.length === 0 && (
+                          <span className="text-sm text-indigo-600">No lab tests prescribed</span>
+                        )}
+                      </div>
+                      <div className="flex flex-wrap gap-2">
+                        {LAB_TESTS.map(test => (
                           <button
-                            onClick={() => handleRemoveLabTest(test.code)}
-                            className="ml-1 hover:text-red-500"
+                            key={test.code}
+                            onClick={() => handleAddLabTest(test)}
+                            className={`px-3 py-1.5 text-sm rounded-full transition-colors ${
+                              form.labTests.find(t => t.code === test.code)
+                                ? 'bg-indigo-500 text-white'
+                                : 'bg-white hover:bg-indigo-100 text-indigo-700 border border-indigo-200'
+                            }`}
                           >
-                            ×
+                            {test.code}
                           </button>
-                        </Badge>
-                      ))}
-                      {form.labTests.length === 0 && (
-                        <span className="text-sm text-indigo-600">No lab tests prescribed</span>
-                      )}
-                    </div>
-                    <div className="flex flex-wrap gap-2">
-                      {LAB_TESTS.map(test => (
-                        <button
-                          key={test.code}
-                          onClick={() => handleAddLabTest(test)}
-                          className={`px-3 py-1.5 text-sm rounded-full transition-colors ${
-                            form.labTests.find(t => t.code === test.code)
-                              ? 'bg-indigo-500 text-white'
-                              : 'bg-white hover:bg-indigo-100 text-indigo-700 border border-indigo-200'
-                          }`}
-                        >
-                          {test.code}
-                        </button>
-                      ))}
+                        ))}
+                      </div>
                     </div>
-                  </div>
+                  )}
                   
                   {/* SECTION 5: Medications - Will appear on Pharmacy Page */}
                   <div className="bg-green-50 p-4 rounded-xl border border-green-200">
@@ -646,6 +777,19 @@ function Consultation() {
                               {med.instructions && (
                                 <p className="text-xs text-green-600 mt-1">📋 {med.instructions}</p>
                               )}
+                              {checkDose(med, dosingInfo).map(issue => (
+                                <p key={issue.type} className="text-xs text-red-600 mt-1">⚠️ {issue.message}</p>
+                              ))}
+                              {med.allergyOverride && (
+                                <p className="text-xs text-red-600 mt-1">
+                                  ⚠️ Allergy override ({med.allergyOverride.allergies.join(', ')}): {med.allergyOverride.reason}
+                                </p>
+                              )}
+                              {med.interactionAcknowledgement && (
+                                <p className="text-xs text-amber-600 mt-1">
+                                  ⚠️ Interaction alerts acknowledged ({med.interactionAcknowledgement.alerts.length})
+                                </p>
+                              )}
                             </div>
                             <button
                               onClick={() => handleRemoveMedication(med.id)}
@@ -660,6 +804,13 @@ function Consultation() {
                       </div>
                     )}
                     
+                    {prescriptionAlerts.length > 0 && (
+                      <div className="mb-3">
+                        <p className="text-xs font-semibold text-amber-700 mb-1">⚠️ Interactions in this prescription</p>
+                        <InteractionList alerts={prescriptionAlerts} />
+                      </div>
+                    )}
+                    
                     {form.medications.length === 0 && (
                       <p className="text-sm text-green-600 mb-3">No medications prescribed yet</p>
                     )}
@@ -738,7 +889,7 @@ function Consultation() {
                   {/* Actions */}
                   <div className="flex gap-3 pt-4 border-t border-slate-200">
                     <button
-                      onClick={() => setSelectedPatient(null)}
+                      onClick={() => changeSelectedPatient(null)}
                       className="btn-secondary"
                     >
                       Cancel
@@ -746,6 +897,7 @@ function Consultation() {
                     {form.labTests.length > 0 && (
                       <button
                         onClick={() => handleComplete('lab')}
+                        disabled={isCommitting}
                         className="btn-secondary flex-1 bg-indigo-50 text-indigo-700 border-indigo-200 hover:bg-indigo-100"
                       >
                         <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -756,6 +908,7 @@ function Consultation() {
                     )}
                     <button
                       onClick={() => handleComplete('pharmacy')}
+                      disabled={isCommitting}
                       className="btn-primary flex-1"
                     >
                       {form.medications.length > 0 ? (
@@ -821,6 +974,11 @@ function Consultation() {
               />
             </div>
           </div>
+          <DoseSuggestion
+            medication={newMed}
+            patient={dosingInfo}
+            onUse={(dose) => setNewMed(prev => ({ ...prev, dosage: dose }))}
+          />
           <div className="input-group">
             <label className="label">Duration</label>
             <input
@@ -852,6 +1010,38 @@ function Consultation() {
         </div>
       </Modal>
       
+      {/* Allergy Alert */}
+      <Modal
+        isOpen={!!allergyAlert}
+        onClose={() => setAllergyAlert(null)}
+        title="Allergy Alert"
+      >
+        {allergyAlert && (
+          <AllergyAlert
+            medication={allergyAlert.medication}
+            conflicts={allergyAlert.conflicts}
+            onOverride={handleAllergyOverride}
+            onCancel={() => setAllergyAlert(null)}
+          />
+        )}
+      </Modal>
+      
+      {/* Interaction Alert */}
+      <Modal
+        isOpen={!!interactionAlert}
+        onClose={() => setInteractionAlert(null)}
+        title="Interaction Alert"
+      >
+        {interactionAlert && (
+          <InteractionAlert
+            medication={interactionAlert.medication}
+            alerts={interactionAlert.alerts}
+            onAcknowledge={handleInteractionAcknowledge}
+            onCancel={() => setInteractionAlert(null)}
+          />
+        )}
+      </Modal>
+      
       {/* Lab Tests Modal */}
       <Modal
         isOpen={showLabModal}
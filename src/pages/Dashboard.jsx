@@ -9,11 +9,14 @@ import { Link } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useLocalDB } from '../hooks/useLocalDB';
 import { STORAGE_KEYS, APPOINTMENT_STATUS } from '../utils/constants';
+import { PERMISSIONS } from '../utils/permissions';
 import { formatDate, isDateToday, isPast, daysUntil, isWithinDays } from '../utils/helpers';
 import Badge from '../components/common/Badge';
 
 function Dashboard() {
-  const { user, hasRole } = useAuth();
+  const { user, can } = useAuth();
+  const canSeePatients = can([PERMISSIONS.PATIENTS_READ, PERMISSIONS.PATIENTS_REGISTER]);
+  const canSeeAppointments = can(PERMISSIONS.APPOINTMENTS_READ);
   const { data: patients } = useLocalDB(STORAGE_KEYS.PATIENTS);
   const { data: inventory } = useLocalDB(STORAGE_KEYS.INVENTORY);
   const { data: appointments } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
@@ -96,7 +99,7 @@ function Dashboard() {
             </p>
           </div>
           <div className="flex gap-3">
-            {hasRole(['clinician', 'admin']) && (
+            {canSeePatients && (
               <Link to="/patients" className="btn bg-white/20 hover:bg-white/30 text-white backdrop-blur">
                 <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
@@ -104,7 +107,7 @@ function Dashboard() {
                 New Patient
               </Link>
             )}
-            {hasRole(['clinician', 'admin']) && (
+            {canSeeAppointments && (
               <Link to="/appointments" className="btn bg-white text-clinic-600 hover:bg-white/90">
                 <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                   <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M8 7V3m8 4V3m-9 8h10M5 21h14a2 2 0 002-2V7a2 2 0 00-2-2H5a2 2 0 00-2 2v12a2 2 0 002 2z" />
@@ -119,7 +122,7 @@ function Dashboard() {
       {/* Stats Grid */}
       <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
         {/* Total Patients */}
-        {hasRole(['clinician', 'admin']) && (
+        {canSeePatients && (
           <div className="stat-card">
             <div className="stat-icon from-blue-400 to-blue-600 shadow-blue-500/30">
               <svg className="w-6 h-6 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -135,7 +138,7 @@ function Dashboard() {
         )}
         
         {/* Today's Appointments */}
-        {hasRole(['clinician', 'admin']) && (
+        {canSeeAppointments && (
           <div className="stat-card">
             <div className="stat-icon from-clinic-400 to-clinic-600 shadow-clinic-500/30">
               <svg className="w-6 h-6 text-white" fill="none" viewBox="0 0 24 24" stroke="currentColor">
@@ -245,7 +248,7 @@ function Dashboard() {
       {/* Content Grid */}
       <div className="grid grid-cols-1 lg:grid-cols-2 gap-6">
         {/* Upcoming Appointments */}
-        {hasRole(['clinician', 'admin']) && (
+        {canSeeAppointments && (
           <div className="card">
             <div className="flex items-center justify-between mb-4">
               <h3 className="text-lg font-heading font-semibold text-slate-800">
@@ -290,7 +293,7 @@ function Dashboard() {
         )}
         
         {/* Recent Patients */}
-        {hasRole(['clinician', 'admin']) && (
+        {can(PERMISSIONS.PATIENTS_READ) && (
           <div className="card">
             <div className="flex items-center justify-between mb-4">
               <h3 className="text-lg font-heading font-semibold text-slate-800">
@@ -337,8 +340,8 @@ function Dashboard() {
           </div>
         )}
         
-        {/* Quick Stats for Inventory Manager */}
-        {hasRole(['inventory_manager']) && !hasRole(['clinician', 'admin']) && (
+        {/* Quick Stats for inventory-only roles */}
+        {can(PERMISSIONS.INVENTORY_READ) && !can(PERMISSIONS.PATIENTS_READ) && (
           <div className="card lg:col-span-2">
             <h3 className="text-lg font-heading font-semibold text-slate-800 mb-4">
               Inventory Overview
@@ -6,10 +6,14 @@
 
 import React, { useState, useMemo } from 'react';
 import { useLocalDB } from '../hooks/useLocalDB';
+import { useTransaction } from '../hooks/useTransaction';
 import { useNotifications } from '../context/NotificationContext';
+import { useAuth } from '../context/AuthContext';
+import { writeFailureMessage } from '../db/quota';
 import { STORAGE_KEYS, INVENTORY_CATEGORIES, INVENTORY_UNITS } from '../utils/constants';
-import { formatDate, searchFilter, isWithinDays, isPast, daysUntil } from '../utils/helpers';
+import { formatDate, searchFilter, isWithinDays, isPast, daysUntil, generateId } from '../utils/helpers';
 import { exportInventory, exportInventoryTransactions, parseCSVFile } from '../utils/exportUtils';
+import { PERMISSIONS } from '../utils/permissions';
 
 import Modal from '../components/common/Modal';
 import SearchInput from '../components/common/SearchInput';
@@ -17,14 +21,28 @@ import Badge from '../components/common/Badge';
 import EmptyState from '../components/common/EmptyState';
 import ConfirmDialog from '../components/common/ConfirmDialog';
 import FileUpload from '../components/common/FileUpload';
+import ValidationReport from '../components/common/ValidationReport';
 import InventoryForm from '../components/inventory/InventoryForm';
 import TransactionForm from '../components/inventory/TransactionForm';
 
+/**
+ * Stock movement refused because it would take the stored quantity below zero
+ */
+class StockError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'StockError';
+  }
+}
+
 function Inventory() {
   const { data: inventory, create, update, remove, importData } = useLocalDB(STORAGE_KEYS.INVENTORY);
+  const { runTransaction } = useTransaction();
   const { data: settingsArray } = useLocalDB(STORAGE_KEYS.SETTINGS);
   const settings = settingsArray[0] || { lowStockThreshold: 20, nearExpiryDays: 30 };
-  const { success, error: showError, warning } = useNotifications();
+  const { success, error: showError, warning, info } = useNotifications();
+  const { can } = useAuth();
+  const canEditItems = can(PERMISSIONS.INVENTORY_WRITE);
   
   const [searchQuery, setSearchQuery] = useState('');
   const [categoryFilter, setCategoryFilter] = useState('');
@@ -34,6 +52,7 @@ function Inventory() {
   const [deleteConfirm, setDeleteConfirm] = useState(null);
   const [transactionItem, setTransactionItem] = useState(null);
   const [showImport, setShowImport] = useState(false);
+  const [importReport, setImportReport] = useState(null);
   
   // Filter inventory
   const filteredInventory = useMemo(() => {
@@ -76,35 +95,47 @@ function Inventory() {
     };
   }, [inventory, settings]);
   
-  const handleCreateItem = (data) => {
-    create({
+  const handleCreateItem = async (data) => {
+    const result = await create({
       ...data,
       transactions: [{
+        id: generateId('txn'),
         t: 'in',
         qty: data.quantity,
         date: new Date().toISOString(),
         notes: 'Initial stock'
       }]
     });
+    if (!result.success) {
+      showError(writeFailureMessage('Item could not be saved: some details are invalid'));
+      return;
+    }
     setIsModalOpen(false);
     success('Item added successfully');
   };
   
-  const handleUpdateItem = (data) => {
-    update(editingItem.id, data);
+  const handleUpdateItem = async (data) => {
+    if (!(await update(editingItem.id, data)).success) {
+      showError(writeFailureMessage('Item could not be updated: some details are invalid'));
+      return;
+    }
     setEditingItem(null);
     success('Item updated successfully');
   };
   
-  const handleDeleteItem = () => {
+  const handleDeleteItem = async () => {
     if (deleteConfirm) {
-      remove(deleteConfirm.id);
       setDeleteConfirm(null);
-      success('Item deleted successfully');
+      const result = await remove(deleteConfirm.id);
+      if (!result.success) {
+        showError(result.error?.message || 'Failed to delete item');
+        return;
+      }
+      success('Item moved to trash');
     }
   };
   
-  const handleTransaction = (transaction) => {
+  const handleTransaction = async (transaction) => {
     const item = transactionItem;
     const newQty = transaction.type === 'in' 
       ? item.quantity + transaction.quantity
@@ -116,23 +147,42 @@ function Inventory() {
     }
     
     const newTransaction = {
+      id: generateId('txn'),
       t: transaction.type,
       qty: transaction.quantity,
       date: new Date().toISOString(),
       notes: transaction.notes || ''
     };
     
-    update(item.id, {
-      quantity: newQty,
-      transactions: [...(item.transactions || []), newTransaction]
+    // Apply the movement to the latest stored stock level, not the one shown
+    // in the dialog: another dispense may have landed since it opened
+    const delta = transaction.type === 'in' ? transaction.quantity : -transaction.quantity;
+    let quantity;
+    const result = await runTransaction((tx) => {
+      tx.update(STORAGE_KEYS.INVENTORY, item.id, (current) => {
+        quantity = current.quantity + delta;
+        if (quantity < 0) {
+          throw new StockError(`Cannot reduce stock below zero (only ${current.quantity} ${item.unit} left)`);
+        }
+        return {
+          quantity,
+          transactions: [...(current.transactions || []), newTransaction]
+        };
+      });
     });
+    if (!result.success) {
+      showError(result.error instanceof StockError
+        ? result.error.message
+        : writeFailureMessage('Stock movement could not be saved'));
+      return;
+    }
     
     setTransactionItem(null);
     success(`Stock ${transaction.type === 'in' ? 'increased' : 'decreased'} successfully`);
     
     // Check for low stock warning
-    if (newQty <= settings.lowStockThreshold) {
-      warning(`${item.name} is now low on stock (${newQty} remaining)`);
+    if (quantity <= settings.lowStockThreshold) {
+      warning(`${item.name} is now low on stock (${quantity} remaining)`);
     }
   };
   
@@ -181,10 +231,16 @@ function Inventory() {
         throw new Error('Invalid data format');
       }
       
-      const result = importData(JSON.stringify(data), true);
+      const result = importData(JSON.stringify(data), true, file.name);
+      setImportReport(result.report || null);
       if (result.success) {
         success(`Imported ${result.count} items`);
+        if (result.merged.length > 0) {
+          info(`${result.merged.length} existing item${result.merged.length === 1 ? ' was' : 's were'} also changed here; the newest values were kept. See Merge Reports in Settings.`);
+        }
         setShowImport(false);
+      } else if (result.report) {
+        showError('Nothing was imported: fix the invalid records and try again');
       } else {
         showError(result.error);
       }
@@ -215,49 +271,55 @@ function Inventory() {
           <p className="text-slate-500">{inventory.length} total items</p>
         </div>
         <div className="flex flex-wrap gap-2">
-          <button onClick={() => setShowImport(true)} className="btn-secondary">
-            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
-            </svg>
-            Import
-          </button>
-          <div className="relative group">
-            <button className="btn-secondary">
+          {canEditItems && (
+            <button onClick={() => setShowImport(true)} className="btn-secondary">
               <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
                 <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                  d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                  d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-4l-4 4m0 0l-4-4m4 4V4" />
               </svg>
-              Export
+              Import
             </button>
-            <div className="absolute right-0 mt-2 w-44 bg-white rounded-xl shadow-lg border border-slate-200 
-                            opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all z-10">
-              <button 
-                onClick={() => handleExport('json')}
-                className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-t-xl"
-              >
-                Export JSON
-              </button>
-              <button 
-                onClick={() => handleExport('csv')}
-                className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
-              >
-                Export CSV
-              </button>
-              <button 
-                onClick={handleExportTransactions}
-                className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-b-xl"
-              >
-                Export Transactions
+          )}
+          {can(PERMISSIONS.DATA_EXPORT) && (
+            <div className="relative group">
+              <button className="btn-secondary">
+                <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                    d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                </svg>
+                Export
               </button>
+              <div className="absolute right-0 mt-2 w-44 bg-white rounded-xl shadow-lg border border-slate-200 
+                              opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all z-10">
+                <button 
+                  onClick={() => handleExport('json')}
+                  className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-t-xl"
+                >
+                  Export JSON
+                </button>
+                <button 
+                  onClick={() => handleExport('csv')}
+                  className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50"
+                >
+                  Export CSV
+                </button>
+                <button 
+                  onClick={handleExportTransactions}
+                  className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-b-xl"
+                >
+                  Export Transactions
+                </button>
+              </div>
             </div>
-          </div>
-          <button onClick={() => setIsModalOpen(true)} className="btn-primary">
-            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-            </svg>
-            Add Item
-          </button>
+          )}
+          {canEditItems && (
+            <button onClick={() => setIsModalOpen(true)} className="btn-primary">
+              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+              </svg>
+              Add Item
+            </button>
+          )}
         </div>
       </div>
       
@@ -378,36 +440,42 @@ function Inventory() {
                     <td>{getStatusBadge(item)}</td>
                     <td>
                       <div className="flex justify-end gap-1">
-                        <button
-                          onClick={() => setTransactionItem(item)}
-                          className="btn-icon text-slate-500 hover:text-clinic-600"
-                          title="Add Transaction"
-                        >
-                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                              d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
-                          </svg>
-                        </button>
-                        <button
-                          onClick={() => setEditingItem(item)}
-                          className="btn-icon text-slate-500 hover:text-blue-600"
-                          title="Edit"
-                        >
-                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                              d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                          </svg>
-                        </button>
-                        <button
-                          onClick={() => setDeleteConfirm(item)}
-                          className="btn-icon text-slate-500 hover:text-red-600"
-                          title="Delete"
-                        >
-                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                              d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                          </svg>
-                        </button>
+                        {can(PERMISSIONS.INVENTORY_ADJUST) && (
+                          <button
+                            onClick={() => setTransactionItem(item)}
+                            className="btn-icon text-slate-500 hover:text-clinic-600"
+                            title="Add Transaction"
+                          >
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                                d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                            </svg>
+                          </button>
+                        )}
+                        {canEditItems && (
+                          <button
+                            onClick={() => setEditingItem(item)}
+                            className="btn-icon text-slate-500 hover:text-blue-600"
+                            title="Edit"
+                          >
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                                d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                            </svg>
+                          </button>
+                        )}
+                        {canEditItems && (
+                          <button
+                            onClick={() => setDeleteConfirm(item)}
+                            className="btn-icon text-slate-500 hover:text-red-600"
+                            title="Delete"
+                          >
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                                d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -429,7 +497,7 @@ function Inventory() {
             description={searchQuery || categoryFilter || alertFilter 
               ? 'Try adjusting your search or filters' 
               : 'Add your first inventory item to get started'}
-            action={!(searchQuery || categoryFilter || alertFilter) && (
+            action={!(searchQuery || categoryFilter || alertFilter) && canEditItems && (
               <button onClick={() => setIsModalOpen(true)} className="btn-primary">
                 Add First Item
               </button>
@@ -477,7 +545,10 @@ function Inventory() {
       {/* Import Modal */}
       <Modal
         isOpen={showImport}
-        onClose={() => setShowImport(false)}
+        onClose={() => {
+          setShowImport(false);
+          setImportReport(null);
+        }}
         title="Import Inventory"
         size="md"
       >
@@ -491,6 +562,7 @@ function Inventory() {
             label="Select File"
             description="Drag and drop or click to upload"
           />
+          <ValidationReport report={importReport} />
           <div className="p-3 bg-slate-50 rounded-lg text-sm text-slate-600">
             <p className="font-medium mb-1">CSV Format:</p>
             <code className="text-xs">name,sku,category,batch,quantity,unit,expiryDate,storageNotes</code>
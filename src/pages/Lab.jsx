@@ -7,23 +7,34 @@
 
 import React, { useState, useMemo } from 'react';
 import { useLocalDB } from '../hooks/useLocalDB';
+import { useTransaction } from '../hooks/useTransaction';
+import { usePatientAccess } from '../hooks/usePatientAccess';
 import { useNotifications } from '../context/NotificationContext';
+import { useAuth } from '../context/AuthContext';
+import { writeFailureMessage } from '../db/quota';
+import { toActor } from '../db/history';
 import { 
   STORAGE_KEYS, 
   APPOINTMENT_STATUS,
   LAB_TESTS
 } from '../utils/constants';
 import { formatDate, formatTime } from '../utils/helpers';
+import { PERMISSIONS } from '../utils/permissions';
 import SearchInput from '../components/common/SearchInput';
 import Badge from '../components/common/Badge';
 import EmptyState from '../components/common/EmptyState';
 import Modal from '../components/common/Modal';
+import RestrictedPatient from '../components/patients/RestrictedPatient';
 
 function Lab() {
-  const { data: appointments, update: updateAppointment } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
+  const { data: appointments } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
   const { data: patients } = useLocalDB(STORAGE_KEYS.PATIENTS);
   const { data: labOrders, update: updateLabOrder } = useLocalDB(STORAGE_KEYS.LAB_ORDERS);
+  const { runTransaction, isCommitting } = useTransaction();
   const { success, error: showError } = useNotifications();
+  const { user, can } = useAuth();
+  const canEnterResults = can(PERMISSIONS.LAB_RESULTS_WRITE);
+  const { isMasked, displayName } = usePatientAccess();
   
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedOrder, setSelectedOrder] = useState(null);
@@ -56,11 +67,16 @@ function Lab() {
   }, [labOrders]);
   
   // Start test
-  const handleStartTest = (order) => {
-    updateLabOrder(order.id, {
+  const handleStartTest = async (order) => {
+    const result = await updateLabOrder(order.id, {
       status: 'in-progress',
-      startedAt: new Date().toISOString()
+      startedAt: new Date().toISOString(),
+      startedBy: toActor(user)
     });
+    if (!result.success) {
+      showError(writeFailureMessage('Failed to start lab tests'));
+      return;
+    }
     success('Lab tests started');
     setSelectedOrder({ ...order, status: 'in-progress' });
   };
@@ -78,7 +94,8 @@ function Lab() {
       [currentTest.code]: {
         value,
         notes,
-        recordedAt: new Date().toISOString()
+        recordedAt: new Date().toISOString(),
+        recordedBy: toActor(user)
       }
     }));
     setShowResultModal(false);
@@ -86,7 +103,7 @@ function Lab() {
   };
   
   // Complete lab order
-  const handleComplete = () => {
+  const handleComplete = async () => {
     if (!selectedOrder) return;
     
     const allCompleted = selectedOrder.tests.every(test => results[test.code]);
@@ -96,32 +113,37 @@ function Lab() {
       return;
     }
     
-    try {
+    const appointment = appointments.find(a => a.id === selectedOrder.appointmentId);
+    
+    // Results and the appointment hand-back are saved together
+    const result = await runTransaction((tx) => {
       // Update lab order
-      updateLabOrder(selectedOrder.id, {
+      tx.update(STORAGE_KEYS.LAB_ORDERS, selectedOrder.id, {
         status: 'completed',
         results,
         completedAt: new Date().toISOString(),
-        completedBy: 'Lab Technician'
+        completedBy: toActor(user)
       });
       
       // Update appointment - send back to doctor for review
-      const appointment = appointments.find(a => a.id === selectedOrder.appointmentId);
       if (appointment) {
-        updateAppointment(selectedOrder.appointmentId, {
+        tx.update(STORAGE_KEYS.APPOINTMENTS, selectedOrder.appointmentId, {
           status: APPOINTMENT_STATUS.LAB_RESULTS_READY,
           labCompletedAt: new Date().toISOString()
         });
       }
-      
-      const patient = getPatient(selectedOrder.patientId);
-      success(`Lab results saved for ${patient?.name}`, 'Sent to Doctor for Review');
-      
-      setSelectedOrder(null);
-      setResults({});
-    } catch (err) {
-      showError('Failed to save lab results');
+    });
+    
+    if (!result.success) {
+      showError('Failed to save lab results. No changes were made.');
+      return;
     }
+    
+    const patient = getPatient(selectedOrder.patientId);
+    success(`Lab results saved for ${displayName(patient)}`, 'Sent to Doctor for Review');
+    
+    setSelectedOrder(null);
+    setResults({});
   };
   
   return (
@@ -209,7 +231,7 @@ function Lab() {
                           </svg>
                         </div>
                         <div>
-                          <h3 className="font-medium text-slate-800">{patient?.name}</h3>
+                          <h3 className="font-medium text-slate-800">{displayName(patient)}</h3>
                           <p className="text-sm text-slate-500">
                             {order.tests.length} test(s) • {waitTime} min ago
                           </p>
@@ -221,13 +243,15 @@ function Lab() {
                     </div>
                     
                     {/* Tests preview */}
-                    <div className="mt-3 flex flex-wrap gap-2">
-                      {order.tests.map((test, idx) => (
-                        <span key={idx} className="text-xs bg-slate-100 text-slate-600 px-2 py-1 rounded">
-                          {test.code}
-                        </span>
-                      ))}
-                    </div>
+                    {!isMasked(patient) && (
+                      <div className="mt-3 flex flex-wrap gap-2">
+                        {order.tests.map((test, idx) => (
+                          <span key={idx} className="text-xs bg-slate-100 text-slate-600 px-2 py-1 rounded">
+                            {test.code}
+                          </span>
+                        ))}
+                      </div>
+                    )}
                   </div>
                 );
               })}
@@ -251,6 +275,10 @@ function Lab() {
           ) : (() => {
             const patient = getPatient(selectedOrder.patientId);
             
+            if (isMasked(patient)) {
+              return <RestrictedPatient patient={patient} compact />;
+            }
+            
             return (
               <div className="p-4">
                 {/* Patient Info */}
@@ -267,7 +295,7 @@ function Lab() {
                     </div>
                   </div>
                   
-                  {selectedOrder.status === 'pending' && (
+                  {selectedOrder.status === 'pending' && canEnterResults && (
                     <button
                       onClick={() => handleStartTest(selectedOrder)}
                       className="btn-secondary"
@@ -308,16 +336,18 @@ function Lab() {
                               </p>
                             )}
                           </div>
-                          <button
-                            onClick={() => openResultEntry(test)}
-                            className={`px-3 py-1.5 text-sm rounded-lg ${
-                              hasResult 
-                                ? 'bg-green-100 text-green-700 hover:bg-green-200' 
-                                : 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200'
-                            }`}
-                          >
-                            {hasResult ? 'Edit' : 'Enter Result'}
-                          </button>
+                          {canEnterResults && (
+                            <button
+                              onClick={() => openResultEntry(test)}
+                              className={`px-3 py-1.5 text-sm rounded-lg ${
+                                hasResult 
+                                  ? 'bg-green-100 text-green-700 hover:bg-green-200' 
+                                  : 'bg-indigo-100 text-indigo-700 hover:bg-indigo-200'
+                              }`}
+                            >
+                              {hasResult ? 'Edit' : 'Enter Result'}
+                            </button>
+                          )}
                         </div>
                       </div>
                     );
@@ -353,13 +383,15 @@ function Lab() {
                   >
                     Cancel
                   </button>
-                  <button
-                    onClick={handleComplete}
-                    disabled={Object.keys(results).length !== selectedOrder.tests.length}
-                    className="btn-primary flex-1 disabled:opacity-50"
-                  >
-                    Complete & Send Results
-                  </button>
+                  {canEnterResults && (
+                    <button
+                      onClick={handleComplete}
+                      disabled={isCommitting || Object.keys(results).length !== selectedOrder.tests.length}
+                      className="btn-primary flex-1 disabled:opacity-50"
+                    >
+                      Complete & Send Results
+                    </button>
+                  )}
                 </div>
               </div>
             );
@@ -1,7 +1,9 @@
 /**
  * Login Page
  * 
- * @description User login page with form validation
+ * @description User login page with form validation. When patient data is
+ * encrypted, the clinic passphrase is asked for too and unlocks it. Says so
+ * when the last session ended because it was idle.
  */
 
 import React, { useState } from 'react';
@@ -9,6 +11,8 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useNotifications } from '../context/NotificationContext';
 import { useFormValidation } from '../hooks/useFormValidation';
+import { useEncryption } from '../hooks/useEncryption';
+import { lockEncryption } from '../db/encryption';
 
 // Validation schema
 const loginSchema = {
@@ -26,9 +30,12 @@ const loginSchema = {
 
 function Login() {
   const navigate = useNavigate();
-  const { login } = useAuth();
+  const { login, signupOpen, sessionExpired } = useAuth();
   const { success, error: showError } = useNotifications();
   const [isLoading, setIsLoading] = useState(false);
+  const { locked, unlock } = useEncryption();
+  const [passphrase, setPassphrase] = useState('');
+  const [passphraseError, setPassphraseError] = useState(null);
   
   const {
     values,
@@ -44,17 +51,32 @@ function Login() {
   });
   
   const onSubmit = async (formData) => {
+    if (locked && !passphrase) {
+      setPassphraseError('Clinic passphrase is required');
+      return;
+    }
     setIsLoading(true);
     
     // Simulate network delay for better UX
     await new Promise(resolve => setTimeout(resolve, 500));
     
-    const result = login(formData.username, formData.password);
+    if (locked) {
+      const unlocked = await unlock(passphrase);
+      if (!unlocked.success) {
+        setPassphraseError(unlocked.error.message);
+        setIsLoading(false);
+        return;
+      }
+    }
+    
+    const result = await login(formData.username, formData.password);
     
     if (result.success) {
       success('Welcome back!', 'Login Successful');
       navigate('/dashboard');
     } else {
+      // The data stays locked for anyone who can't sign in
+      lockEncryption();
       showError(result.message);
     }
     
@@ -136,6 +158,12 @@ function Login() {
             </p>
           </div>
           
+          {sessionExpired && (
+            <div className="alert-info text-sm mb-5" role="status">
+              <p>You were signed out after being idle. Sign in again to continue.</p>
+            </div>
+          )}
+          
           <form onSubmit={handleSubmit(onSubmit)} className="space-y-5">
             {/* Username Field */}
             <div className="input-group">
@@ -177,6 +205,32 @@ function Login() {
               )}
             </div>
             
+            {/* Clinic Passphrase Field (encrypted data only) */}
+            {locked && (
+              <div className="input-group">
+                <label htmlFor="passphrase" className="label">
+                  Clinic Passphrase
+                </label>
+                <input
+                  id="passphrase"
+                  type="password"
+                  value={passphrase}
+                  onChange={(e) => {
+                    setPassphrase(e.target.value);
+                    setPassphraseError(null);
+                  }}
+                  className={`input ${passphraseError ? 'input-error' : ''}`}
+                  placeholder="Unlocks the patient records on this device"
+                  autoComplete="off"
+                />
+                {passphraseError && (
+                  <p className="mt-1.5 text-sm text-red-600" id="passphrase-error">
+                    {passphraseError}
+                  </p>
+                )}
+              </div>
+            )}
+            
             {/* Submit Button */}
             <button
               type="submit"
@@ -192,13 +246,19 @@ function Login() {
             </button>
           </form>
           
-          {/* Sign Up Link */}
-          <p className="mt-6 text-center text-slate-500">
-            Don't have an account?{' '}
-            <Link to="/signup" className="font-medium text-clinic-600 hover:text-clinic-700">
-              Sign up
-            </Link>
-          </p>
+          {/* Sign Up Link (only until the clinic has an administrator) */}
+          {signupOpen ? (
+            <p className="mt-6 text-center text-slate-500">
+              Setting up a new clinic?{' '}
+              <Link to="/signup" className="font-medium text-clinic-600 hover:text-clinic-700">
+                Create the administrator account
+              </Link>
+            </p>
+          ) : (
+            <p className="mt-6 text-center text-slate-500">
+              Don't have an account? Ask an administrator to create one.
+            </p>
+          )}
           
           {/* Demo Credentials */}
           <div className="mt-8 p-4 bg-slate-50 rounded-xl border border-slate-200">
@@ -206,7 +266,7 @@ function Login() {
               Demo Credentials
             </p>
             <p className="text-sm text-slate-600">
-              Create a new account to get started, or use your existing credentials.
+              On a new device, create the administrator account first; they add everyone else.
               All data is stored locally in your browser.
             </p>
           </div>
@@ -4,45 +4,88 @@
  * @description View and manage individual patient records and visits
  */
 
-import React, { useState, useMemo } from 'react';
+import React, { useState, useMemo, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useLocalDB } from '../hooks/useLocalDB';
+import { useCollection } from '../hooks/useCollection';
+import { useChartAccess } from '../hooks/useChartAccess';
 import { useNotifications } from '../context/NotificationContext';
+import { useAuth } from '../context/AuthContext';
+import { writeFailureMessage } from '../db/quota';
+import { toActor, actorName } from '../db/history';
+import { ACCESS_VIEWS } from '../db/accessLog';
 import { STORAGE_KEYS, IMMUNIZATIONS, APPOINTMENT_STATUS_LABELS, APPOINTMENT_STATUS_COLORS } from '../utils/constants';
 import { formatDate, formatAge, getInitials, downloadFile, formatTime } from '../utils/helpers';
+import { PERMISSIONS } from '../utils/permissions';
+import { isRestricted, maskName } from '../utils/restrictions';
+import { parseAllergies, ALLERGY_SEVERITY, ALLERGY_SEVERITY_LABELS } from '../utils/allergies';
 
 import Modal from '../components/common/Modal';
 import Badge from '../components/common/Badge';
 import ConfirmDialog from '../components/common/ConfirmDialog';
 import VisitForm from '../components/patients/VisitForm';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import RecordHistory from '../components/common/RecordHistory';
+import RestrictedPatient from '../components/patients/RestrictedPatient';
+import RestrictionForm from '../components/patients/RestrictionForm';
+import MergePatientsWizard from '../components/patients/MergePatientsWizard';
+
+// Display names for consultation fields in its change history
+const CONSULTATION_FIELD_LABELS = {
+  complaint: 'Chief complaint',
+  history: 'History',
+  examination: 'Examination',
+  diagnosis: 'Diagnosis',
+  medications: 'Medications',
+  labTests: 'Lab tests',
+  notes: 'Notes',
+  followUpDate: 'Follow-up'
+};
 
 function PatientDetail() {
   const { id } = useParams();
   const navigate = useNavigate();
-  const { data: patients, update, remove } = useLocalDB(STORAGE_KEYS.PATIENTS);
-  const { data: appointments } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
-  const { data: consultations } = useLocalDB(STORAGE_KEYS.CONSULTATIONS);
-  const { data: triageRecords } = useLocalDB(STORAGE_KEYS.TRIAGE);
-  const { data: prescriptions } = useLocalDB(STORAGE_KEYS.PRESCRIPTIONS);
-  const { data: labOrders } = useLocalDB(STORAGE_KEYS.LAB_ORDERS);
+  const { user, can } = useAuth();
+  const { data: patients, findBy: findPatientsBy, update, remove, isLoading } = useLocalDB(STORAGE_KEYS.PATIENTS);
+  
+  // Subscribe only to this patient's records, so activity on other
+  // patients doesn't re-render the chart
+  const appointments = useCollection(STORAGE_KEYS.APPOINTMENTS, useCallback(
+    (records, { findBy }) => findBy('patientId', id),
+    [id]
+  ));
+  const selectForAppointments = useCallback(
+    (records, { findBy }) => appointments.flatMap(apt => findBy('appointmentId', apt.id)),
+    [appointments]
+  );
+  const consultations = useCollection(STORAGE_KEYS.CONSULTATIONS, selectForAppointments);
+  const triageRecords = useCollection(STORAGE_KEYS.TRIAGE, selectForAppointments);
+  const prescriptions = useCollection(STORAGE_KEYS.PRESCRIPTIONS, selectForAppointments);
+  const labOrders = useCollection(STORAGE_KEYS.LAB_ORDERS, selectForAppointments);
   const { success, error: showError } = useNotifications();
   
   const [isVisitModalOpen, setIsVisitModalOpen] = useState(false);
   const [editingVisit, setEditingVisit] = useState(null);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
   const [activeTab, setActiveTab] = useState('consultations');
+  const [showAllergyHistory, setShowAllergyHistory] = useState(false);
+  const [historyConsultation, setHistoryConsultation] = useState(null);
+  const [isRestrictionOpen, setIsRestrictionOpen] = useState(false);
+  const [isMergeOpen, setIsMergeOpen] = useState(false);
   
   // Find patient
   const patient = useMemo(() => {
-    return patients.find(p => p.id === id);
-  }, [patients, id]);
+    return findPatientsBy('id', id)[0];
+  }, [findPatientsBy, id]);
+  
+  // Logs the visit only once the chart is shown unmasked
+  const masked = useChartAccess({ view: ACCESS_VIEWS.CHART, patient });
   
   // Get patient's appointments with full consultation data
   const patientConsultations = useMemo(() => {
     if (!patient) return [];
     
     return appointments
-      .filter(apt => apt.patientId === patient.id)
       .map(apt => {
         const consultation = consultations.find(c => c.appointmentId === apt.id);
         const triage = triageRecords.find(t => t.appointmentId === apt.id);
@@ -60,6 +103,14 @@ function PatientDetail() {
       .sort((a, b) => new Date(b.datetime || b.date) - new Date(a.datetime || a.date));
   }, [patient, appointments, consultations, triageRecords, prescriptions, labOrders]);
   
+  if (isLoading) {
+    return (
+      <div className="card py-12">
+        <LoadingSpinner text="Loading patient..." />
+      </div>
+    );
+  }
+  
   if (!patient) {
     return (
       <div className="card text-center py-12">
@@ -72,35 +123,50 @@ function PatientDetail() {
   
   const visits = patient.visits || [];
   
-  const handleAddVisit = (visitData) => {
+  const handleAddVisit = async (visitData) => {
     const newVisit = {
       id: `v_${Date.now()}`,
       ...visitData,
-      createdAt: new Date().toISOString()
+      createdAt: new Date().toISOString(),
+      createdBy: toActor(user)
     };
     
-    update(patient.id, {
-      visits: [...visits, newVisit]
-    });
+    const result = await update(patient.id, (current) => ({
+      visits: [...(current.visits || []), newVisit]
+    }));
+    if (!result.success) {
+      showError(writeFailureMessage('Visit could not be saved: some details are invalid'));
+      return;
+    }
     
     setIsVisitModalOpen(false);
     success('Visit added successfully');
   };
   
-  const handleUpdateVisit = (visitData) => {
-    const updatedVisits = visits.map(v => 
-      v.id === editingVisit.id ? { ...v, ...visitData, updatedAt: new Date().toISOString() } : v
-    );
-    
-    update(patient.id, { visits: updatedVisits });
+  const handleUpdateVisit = async (visitData) => {
+    const visitId = editingVisit.id;
+    const result = await update(patient.id, (current) => ({
+      visits: (current.visits || []).map(v => 
+        v.id === visitId ? { ...v, ...visitData, updatedAt: new Date().toISOString(), updatedBy: toActor(user) } : v
+      )
+    }));
+    if (!result.success) {
+      showError(writeFailureMessage('Visit could not be updated: some details are invalid'));
+      return;
+    }
     setEditingVisit(null);
     success('Visit updated successfully');
   };
   
-  const handleDeleteVisit = (visitId) => {
-    const updatedVisits = visits.filter(v => v.id !== visitId);
-    update(patient.id, { visits: updatedVisits });
+  const handleDeleteVisit = async (visitId) => {
+    const result = await update(patient.id, (current) => ({
+      visits: (current.visits || []).filter(v => v.id !== visitId)
+    }));
     setDeleteConfirm(null);
+    if (!result.success) {
+      showError(writeFailureMessage('Failed to delete visit'));
+      return;
+    }
     success('Visit deleted successfully');
   };
   
@@ -115,6 +181,56 @@ function PatientDetail() {
     return IMMUNIZATIONS.find(i => i.code === code);
   };
   
+  const handleSaveRestriction = async (restriction) => {
+    if (!(await update(patient.id, restriction)).success) {
+      showError(writeFailureMessage('Chart access could not be saved'));
+      return;
+    }
+    setIsRestrictionOpen(false);
+    success(restriction.restricted ? 'Chart restricted to its assigned clinicians' : 'Chart restriction removed');
+  };
+  
+  const handleMerged = (survivorId, result) => {
+    setIsMergeOpen(false);
+    success(`Records merged: ${result.moved} moved to the kept patient`);
+    if (survivorId !== patient.id) {
+      navigate(`/patients/${survivorId}`);
+    }
+  };
+  
+  const restrictionModal = (
+    <Modal
+      isOpen={isRestrictionOpen}
+      onClose={() => setIsRestrictionOpen(false)}
+      title="Chart Access"
+    >
+      <RestrictionForm
+        patient={patient}
+        onSubmit={handleSaveRestriction}
+        onCancel={() => setIsRestrictionOpen(false)}
+      />
+    </Modal>
+  );
+  
+  if (masked) {
+    return (
+      <div className="space-y-6 animate-fade-in">
+        <nav className="flex items-center gap-2 text-sm text-slate-500">
+          <Link to="/patients" className="hover:text-clinic-600">Patients</Link>
+          <span>/</span>
+          <span className="text-slate-800 font-medium">{maskName(patient.name)}</span>
+        </nav>
+        <RestrictedPatient
+          patient={patient}
+          onManage={can(PERMISSIONS.PATIENTS_RESTRICT) ? () => setIsRestrictionOpen(true) : undefined}
+        />
+        {restrictionModal}
+      </div>
+    );
+  }
+  
+  const allergies = parseAllergies(patient.allergies);
+  
   return (
     <div className="space-y-6 animate-fade-in">
       {/* Breadcrumb */}
@@ -137,17 +253,47 @@ function PatientDetail() {
           <div className="flex-1">
             <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
               <div>
-                <h1 className="text-2xl font-heading font-bold text-slate-800">{patient.name}</h1>
-                <p className="text-slate-500">ID: {patient.id}</p>
+                <h1 className="text-2xl font-heading font-bold text-slate-800 flex items-center gap-2">
+                  {patient.name}
+                  {isRestricted(patient) && <Badge variant="warning">Restricted</Badge>}
+                </h1>
+                <p className="text-slate-500">
+                  {patient.mrn ? <>MRN: <span className="font-mono">{patient.mrn}</span></> : `ID: ${patient.id}`}
+                </p>
+                {patient.mergedRecords?.length > 0 && (
+                  <p className="text-xs text-slate-400">
+                    Former: {patient.mergedRecords.map(merged => merged.mrn || merged.id.slice(0, 8)).join(', ')}
+                  </p>
+                )}
               </div>
               <div className="flex gap-2">
-                <button onClick={handleExportPatient} className="btn-secondary">
-                  <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                      d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
-                  </svg>
-                  Export
-                </button>
+                {can(PERMISSIONS.PATIENTS_MERGE) && (
+                  <button onClick={() => setIsMergeOpen(true)} className="btn-secondary">
+                    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                        d="M8 7h12m0 0l-4-4m4 4l-4 4m0 6H4m0 0l4 4m-4-4l4-4" />
+                    </svg>
+                    Merge
+                  </button>
+                )}
+                {can(PERMISSIONS.PATIENTS_RESTRICT) && (
+                  <button onClick={() => setIsRestrictionOpen(true)} className="btn-secondary">
+                    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                        d="M12 15v2m-6 4h12a2 2 0 002-2v-6a2 2 0 00-2-2H6a2 2 0 00-2 2v6a2 2 0 002 2zm10-10V7a4 4 0 00-8 0v4h8z" />
+                    </svg>
+                    Access
+                  </button>
+                )}
+                {can(PERMISSIONS.DATA_EXPORT) && (
+                  <button onClick={handleExportPatient} className="btn-secondary">
+                    <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                        d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                    </svg>
+                    Export
+                  </button>
+                )}
               </div>
             </div>
             
@@ -187,6 +333,14 @@ function PatientDetail() {
                 <p className="text-xs text-slate-500 uppercase tracking-wide mb-1">NOK Contact</p>
                 <p className="font-medium text-slate-800">{patient.nextOfKinContact || '-'}</p>
               </div>
+              <div>
+                <p className="text-xs text-slate-500 uppercase tracking-wide mb-1">National ID</p>
+                <p className="font-medium text-slate-800">{patient.nationalId || '-'}</p>
+              </div>
+              <div>
+                <p className="text-xs text-slate-500 uppercase tracking-wide mb-1">Insurance No.</p>
+                <p className="font-medium text-slate-800">{patient.insuranceNumber || '-'}</p>
+              </div>
             </div>
             
             {patient.address && (
@@ -197,17 +351,45 @@ function PatientDetail() {
             )}
             
             {/* Allergies - Important Medical Alert */}
-            {patient.allergies && (
+            {allergies.length > 0 && (
               <div className="mt-4 p-3 bg-red-50 border border-red-200 rounded-lg">
-                <p className="text-xs text-red-600 uppercase tracking-wide mb-1 flex items-center gap-1">
-                  <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                    <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
-                  </svg>
-                  Known Allergies
-                </p>
-                <p className="text-red-800 font-medium">{patient.allergies}</p>
+                <div className="flex items-center justify-between gap-2 mb-1">
+                  <p className="text-xs text-red-600 uppercase tracking-wide flex items-center gap-1">
+                    <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                      <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+                    </svg>
+                    Known Allergies
+                  </p>
+                  <button
+                    onClick={() => setShowAllergyHistory(true)}
+                    className="text-xs text-red-600 hover:text-red-800 underline"
+                  >
+                    Who changed this?
+                  </button>
+                </div>
+                <ul className="space-y-1">
+                  {allergies.map(allergy => (
+                    <li key={allergy.substance} className="flex flex-wrap items-center gap-2">
+                      <span className="text-red-800 font-medium">{allergy.substance}</span>
+                      {allergy.reaction && <span className="text-sm text-red-700">{allergy.reaction}</span>}
+                      {allergy.severity !== ALLERGY_SEVERITY.UNKNOWN && (
+                        <Badge variant={allergy.severity === ALLERGY_SEVERITY.SEVERE ? 'danger' : 'warning'}>
+                          {ALLERGY_SEVERITY_LABELS[allergy.severity]}
+                        </Badge>
+                      )}
+                    </li>
+                  ))}
+                </ul>
               </div>
             )}
+            {allergies.length === 0 && (
+              <button
+                onClick={() => setShowAllergyHistory(true)}
+                className="mt-4 text-xs text-slate-500 hover:text-slate-700 underline"
+              >
+                Allergy change history
+              </button>
+            )}
             
             {/* Medical History */}
             {patient.medicalHistory && (
@@ -268,6 +450,9 @@ function PatientDetail() {
                         {apt.clinician && (
                           <span className="text-sm text-slate-500">Dr. {apt.clinician}</span>
                         )}
+                        {apt.consultation.completedBy && (
+                          <span className="text-sm text-slate-500">Seen by {actorName(apt.consultation.completedBy)}</span>
+                        )}
                       </div>
                       
                       {/* Vitals from triage */}
@@ -353,16 +538,24 @@ function PatientDetail() {
                       )}
                     </div>
                     
-                    {/* View Full Summary Button */}
-                    <Link
-                      to={`/visit-summary/${apt.id}`}
-                      className="btn-secondary whitespace-nowrap"
-                    >
-                      <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
-                      </svg>
-                      View Summary
-                    </Link>
+                    {/* Summary and change history */}
+                    <div className="flex flex-col gap-2">
+                      <Link
+                        to={`/visit-summary/${apt.id}`}
+                        className="btn-secondary whitespace-nowrap"
+                      >
+                        <svg className="w-4 h-4 mr-2" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M9 12h6m-6 4h6m2 5H7a2 2 0 01-2-2V5a2 2 0 012-2h5.586a1 1 0 01.707.293l5.414 5.414a1 1 0 01.293.707V19a2 2 0 01-2 2z" />
+                        </svg>
+                        View Summary
+                      </Link>
+                      <button
+                        onClick={() => setHistoryConsultation(apt.consultation)}
+                        className="btn-ghost whitespace-nowrap"
+                      >
+                        Change History
+                      </button>
+                    </div>
                   </div>
                 </div>
               ))}
@@ -389,12 +582,14 @@ function PatientDetail() {
             <h2 className="text-lg font-heading font-semibold text-slate-800">
               Quick Visits ({visits.length})
             </h2>
-            <button onClick={() => setIsVisitModalOpen(true)} className="btn-primary">
-              <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-              </svg>
-              Add Visit
-            </button>
+            {can(PERMISSIONS.PATIENTS_WRITE) && (
+              <button onClick={() => setIsVisitModalOpen(true)} className="btn-primary">
+                <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+                </svg>
+                Add Visit
+              </button>
+            )}
           </div>
           
           {visits.length > 0 ? (
@@ -406,6 +601,9 @@ function PatientDetail() {
                       <div className="flex items-center gap-3 mb-2">
                         <Badge variant="info">{formatDate(visit.date)}</Badge>
                         {visit.reason && <span className="text-sm text-slate-600">{visit.reason}</span>}
+                        {visit.createdBy && (
+                          <span className="text-xs text-slate-400 ml-auto">by {actorName(visit.createdBy)}</span>
+                        )}
                       </div>
                       
                       {/* Notes */}
@@ -436,26 +634,30 @@ function PatientDetail() {
                     </div>
                     
                     <div className="flex gap-1">
-                      <button
-                        onClick={() => setEditingVisit(visit)}
-                        className="btn-icon text-slate-500 hover:text-blue-600"
-                        title="Edit"
-                      >
-                        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                            d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                        </svg>
-                      </button>
-                      <button
-                        onClick={() => setDeleteConfirm({ type: 'visit', id: visit.id })}
-                        className="btn-icon text-slate-500 hover:text-red-600"
-                        title="Delete"
-                      >
-                        <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                            d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                        </svg>
-                      </button>
+                      {can(PERMISSIONS.PATIENTS_WRITE) && (
+                        <button
+                          onClick={() => setEditingVisit(visit)}
+                          className="btn-icon text-slate-500 hover:text-blue-600"
+                          title="Edit"
+                        >
+                          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                              d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                          </svg>
+                        </button>
+                      )}
+                      {can(PERMISSIONS.PATIENTS_DELETE) && (
+                        <button
+                          onClick={() => setDeleteConfirm({ type: 'visit', id: visit.id })}
+                          className="btn-icon text-slate-500 hover:text-red-600"
+                          title="Delete"
+                        >
+                          <svg className="w-4 h-4" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                              d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                          </svg>
+                        </button>
+                      )}
                     </div>
                   </div>
                 </div>
@@ -464,9 +666,11 @@ function PatientDetail() {
           ) : (
             <div className="text-center py-8 text-slate-500">
               <p>No quick visits recorded yet</p>
-              <button onClick={() => setIsVisitModalOpen(true)} className="btn-outline mt-4">
-                Add First Visit
-              </button>
+              {can(PERMISSIONS.PATIENTS_WRITE) && (
+                <button onClick={() => setIsVisitModalOpen(true)} className="btn-outline mt-4">
+                  Add First Visit
+                </button>
+              )}
             </div>
           )}
         </div>
@@ -493,6 +697,38 @@ function PatientDetail() {
         />
       </Modal>
       
+      {/* Allergy Change History */}
+      <Modal
+        isOpen={showAllergyHistory}
+        onClose={() => setShowAllergyHistory(false)}
+        title="Allergy Change History"
+        size="lg"
+      >
+        <RecordHistory
+          storageKey={STORAGE_KEYS.PATIENTS}
+          recordId={patient.id}
+          fields={['allergies']}
+          fieldLabels={{ allergies: 'Allergies' }}
+        />
+      </Modal>
+      
+      {/* Consultation Change History */}
+      <Modal
+        isOpen={!!historyConsultation}
+        onClose={() => setHistoryConsultation(null)}
+        title="Consultation Change History"
+        size="lg"
+      >
+        {historyConsultation && (
+          <RecordHistory
+            storageKey={STORAGE_KEYS.CONSULTATIONS}
+            recordId={historyConsultation.id}
+            fieldLabels={CONSULTATION_FIELD_LABELS}
+            canRevert
+          />
+        )}
+      </Modal>
+      
       {/* Delete Confirmation */}
       <ConfirmDialog
         isOpen={!!deleteConfirm}
@@ -503,6 +739,24 @@ function PatientDetail() {
         confirmText="Delete"
         confirmVariant="danger"
       />
+      
+      {/* Merge Duplicate */}
+      <Modal
+        isOpen={isMergeOpen}
+        onClose={() => setIsMergeOpen(false)}
+        title="Merge Duplicate Patient"
+        size="2xl"
+      >
+        <MergePatientsWizard
+          patient={patient}
+          patients={patients}
+          onMerged={handleMerged}
+          onCancel={() => setIsMergeOpen(false)}
+        />
+      </Modal>
+      
+      {/* Chart Restriction */}
+      {restrictionModal}
     </div>
   );
 }
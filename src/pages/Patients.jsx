@@ -4,13 +4,20 @@
  * @description Patient list with CRUD operations, search, and export
  */
 
-import React, { useState, useMemo } from 'react';
-import { Link } from 'react-router-dom';
+import React, { useState, useMemo, useEffect } from 'react';
+import { Link, useSearchParams } from 'react-router-dom';
 import { useLocalDB } from '../hooks/useLocalDB';
+import { useAuth } from '../context/AuthContext';
 import { useNotifications } from '../context/NotificationContext';
+import { writeFailureMessage } from '../db/quota';
 import { STORAGE_KEYS, GENDER_OPTIONS } from '../utils/constants';
-import { formatDate, formatAge, searchFilter, getInitials } from '../utils/helpers';
+import { formatDate, formatAge, getInitials } from '../utils/helpers';
 import { exportPatients } from '../utils/exportUtils';
+import { PERMISSIONS } from '../utils/permissions';
+import { isRestricted } from '../utils/restrictions';
+import { findDuplicates } from '../utils/patientIdentity';
+import { createPatientIndex, searchPatients } from '../utils/patientSearch';
+import { allocateMrn, assignMissingMrns } from '../db/patients';
 
 import Modal from '../components/common/Modal';
 import SearchInput from '../components/common/SearchInput';
@@ -18,52 +25,130 @@ import Badge from '../components/common/Badge';
 import EmptyState from '../components/common/EmptyState';
 import ConfirmDialog from '../components/common/ConfirmDialog';
 import PatientForm from '../components/patients/PatientForm';
+import DuplicateWarning from '../components/patients/DuplicateWarning';
+
+/**
+ * Avatar, name and short ID of a patient row
+ */
+function renderIdentity(patient) {
+  return (
+    <>
+      <div className="w-10 h-10 rounded-full bg-gradient-to-br from-clinic-400 to-clinic-600 
+                      flex items-center justify-center text-white font-semibold text-sm">
+        {getInitials(patient.name)}
+      </div>
+      <div>
+        <p className="font-medium text-slate-800 flex items-center gap-2">
+          {patient.name}
+          {isRestricted(patient) && <Badge variant="warning">Restricted</Badge>}
+        </p>
+        <p className="text-xs text-slate-400">{patient.mrn || `ID: ${patient.id.slice(0, 8)}`}</p>
+      </div>
+    </>
+  );
+}
 
 function Patients() {
+  const { can } = useAuth();
   const { data: patients, create, update, remove, exportData } = useLocalDB(STORAGE_KEYS.PATIENTS);
   const { success, error: showError } = useNotifications();
   
-  const [searchQuery, setSearchQuery] = useState('');
+  const [searchParams] = useSearchParams();
+  const [searchQuery, setSearchQuery] = useState(searchParams.get('q') || '');
   const [genderFilter, setGenderFilter] = useState('');
   const [isModalOpen, setIsModalOpen] = useState(false);
   const [editingPatient, setEditingPatient] = useState(null);
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [duplicateCheck, setDuplicateCheck] = useState(null);
+  const [isAssigningMrns, setIsAssigningMrns] = useState(false);
+  
+  // Receptionists register patients but don't open charts
+  const canReadCharts = can(PERMISSIONS.PATIENTS_READ);
+  
+  // The header search links here with ?q= for users who can't open charts
+  useEffect(() => {
+    const q = searchParams.get('q');
+    if (q) setSearchQuery(q);
+  }, [searchParams]);
+  
+  const searchIndex = useMemo(() => createPatientIndex(patients), [patients]);
   
   // Filter patients
   const filteredPatients = useMemo(() => {
-    let result = patients;
-    
-    // Search filter
-    if (searchQuery) {
-      result = searchFilter(result, searchQuery, ['name', 'contact', 'id']);
-    }
+    // Search results stay in order of relevance; otherwise sort by name
+    let result = searchQuery.trim()
+      ? searchPatients(searchIndex, searchQuery).map(match => match.patient)
+      : [...patients].sort((a, b) => a.name?.localeCompare(b.name));
     
     // Gender filter
     if (genderFilter) {
       result = result.filter(p => p.gender === genderFilter);
     }
     
-    // Sort by name
-    return result.sort((a, b) => a.name?.localeCompare(b.name));
-  }, [patients, searchQuery, genderFilter]);
+    return result;
+  }, [patients, searchIndex, searchQuery, genderFilter]);
   
-  const handleCreatePatient = (data) => {
-    create(data);
+  // Patients registered before MRNs were introduced
+  const missingMrnCount = useMemo(() => patients.filter(p => !p.mrn).length, [patients]);
+  
+  const closeForm = () => {
     setIsModalOpen(false);
-    success('Patient added successfully');
+    setEditingPatient(null);
+    setDuplicateCheck(null);
+  };
+  
+  const registerPatient = async (data) => {
+    const mrn = await allocateMrn();
+    if (!mrn) {
+      showError(writeFailureMessage('Patient could not be saved: no medical record number could be assigned'));
+      return;
+    }
+    if (!(await create({ ...data, mrn })).success) {
+      showError(writeFailureMessage('Patient could not be saved: some details are invalid'));
+      return;
+    }
+    closeForm();
+    success(`Patient added with MRN ${mrn}`);
+  };
+  
+  const handleCreatePatient = (data) => {
+    const matches = findDuplicates(data, patients);
+    if (matches.length > 0) {
+      setDuplicateCheck({ data, matches });
+      return;
+    }
+    registerPatient(data);
+  };
+  
+  const handleAssignMrns = async () => {
+    setIsAssigningMrns(true);
+    const result = await assignMissingMrns();
+    setIsAssigningMrns(false);
+    if (!result.success) {
+      showError(writeFailureMessage('Medical record numbers could not be assigned'));
+      return;
+    }
+    success(`Assigned medical record numbers to ${result.count} patients`);
   };
   
-  const handleUpdatePatient = (data) => {
-    update(editingPatient.id, data);
+  const handleUpdatePatient = async (data) => {
+    if (!(await update(editingPatient.id, data)).success) {
+      showError(writeFailureMessage('Patient could not be updated: some details are invalid'));
+      return;
+    }
     setEditingPatient(null);
     success('Patient updated successfully');
   };
   
-  const handleDeletePatient = () => {
+  const handleDeletePatient = async () => {
     if (deleteConfirm) {
-      remove(deleteConfirm.id);
       setDeleteConfirm(null);
-      success('Patient deleted successfully');
+      const result = await remove(deleteConfirm.id);
+      if (!result.success) {
+        showError(result.error?.message || 'Failed to delete patient');
+        return;
+      }
+      success('Patient moved to trash');
     }
   };
   
@@ -85,39 +170,56 @@ function Patients() {
           <p className="text-slate-500">{patients.length} total patients</p>
         </div>
         <div className="flex gap-3">
-          <div className="relative group">
-            <button className="btn-secondary">
+          {can(PERMISSIONS.DATA_EXPORT) && (
+            <div className="relative group">
+              <button className="btn-secondary">
+                <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                  <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                    d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                </svg>
+                Export
+              </button>
+              <div className="absolute right-0 mt-2 w-32 bg-white rounded-xl shadow-lg border border-slate-200 
+                              opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all z-10">
+                <button 
+                  onClick={() => handleExport('json')}
+                  className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-t-xl"
+                >
+                  Export JSON
+                </button>
+                <button 
+                  onClick={() => handleExport('csv')}
+                  className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-b-xl"
+                >
+                  Export CSV
+                </button>
+              </div>
+            </div>
+          )}
+          {can(PERMISSIONS.PATIENTS_REGISTER) && (
+            <button onClick={() => setIsModalOpen(true)} className="btn-primary">
               <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                  d="M4 16v1a3 3 0 003 3h10a3 3 0 003-3v-1m-4-8l-4-4m0 0L8 8m4-4v12" />
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
               </svg>
-              Export
+              Add Patient
             </button>
-            <div className="absolute right-0 mt-2 w-32 bg-white rounded-xl shadow-lg border border-slate-200 
-                            opacity-0 invisible group-hover:opacity-100 group-hover:visible transition-all z-10">
-              <button 
-                onClick={() => handleExport('json')}
-                className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-t-xl"
-              >
-                Export JSON
-              </button>
-              <button 
-                onClick={() => handleExport('csv')}
-                className="block w-full text-left px-4 py-2 text-sm text-slate-700 hover:bg-slate-50 rounded-b-xl"
-              >
-                Export CSV
-              </button>
-            </div>
-          </div>
-          <button onClick={() => setIsModalOpen(true)} className="btn-primary">
-            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
-            </svg>
-            Add Patient
-          </button>
+          )}
         </div>
       </div>
       
+      {/* Patients without an MRN */}
+      {missingMrnCount > 0 && can(PERMISSIONS.PATIENTS_WRITE) && (
+        <div className="p-4 rounded-xl bg-amber-50 border border-amber-200 flex flex-col sm:flex-row sm:items-center sm:justify-between gap-3">
+          <p className="text-sm text-amber-800">
+            {missingMrnCount} {missingMrnCount === 1 ? 'patient was' : 'patients were'} registered
+            before medical record numbers and {missingMrnCount === 1 ? 'has' : 'have'} none yet.
+          </p>
+          <button onClick={handleAssignMrns} disabled={isAssigningMrns} className="btn-secondary whitespace-nowrap">
+            {isAssigningMrns ? 'Assigning...' : 'Assign MRNs'}
+          </button>
+        </div>
+      )}
+      
       {/* Filters */}
       <div className="card">
         <div className="flex flex-col sm:flex-row gap-4">
@@ -159,19 +261,18 @@ function Patients() {
                 {filteredPatients.map((patient) => (
                   <tr key={patient.id}>
                     <td>
-                      <Link 
-                        to={`/patients/${patient.id}`}
-                        className="flex items-center gap-3 hover:text-clinic-600"
-                      >
-                        <div className="w-10 h-10 rounded-full bg-gradient-to-br from-clinic-400 to-clinic-600 
-                                        flex items-center justify-center text-white font-semibold text-sm">
-                          {getInitials(patient.name)}
-                        </div>
-                        <div>
-                          <p className="font-medium text-slate-800">{patient.name}</p>
-                          <p className="text-xs text-slate-400">ID: {patient.id.slice(0, 8)}</p>
+                      {canReadCharts ? (
+                        <Link 
+                          to={`/patients/${patient.id}`}
+                          className="flex items-center gap-3 hover:text-clinic-600"
+                        >
+                          {renderIdentity(patient)}
+                        </Link>
+                      ) : (
+                        <div className="flex items-center gap-3">
+                          {renderIdentity(patient)}
                         </div>
-                      </Link>
+                      )}
                     </td>
                     <td>
                       <Badge variant={patient.gender === 'M' ? 'info' : patient.gender === 'F' ? 'purple' : 'neutral'}>
@@ -189,38 +290,44 @@ function Patients() {
                     </td>
                     <td>
                       <div className="flex justify-end gap-2">
-                        <Link 
-                          to={`/patients/${patient.id}`}
-                          className="btn-icon text-slate-500 hover:text-clinic-600"
-                          title="View"
-                        >
-                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                              d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                              d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
-                          </svg>
-                        </Link>
-                        <button
-                          onClick={() => setEditingPatient(patient)}
-                          className="btn-icon text-slate-500 hover:text-blue-600"
-                          title="Edit"
-                        >
-                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                              d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
-                          </svg>
-                        </button>
-                        <button
-                          onClick={() => setDeleteConfirm(patient)}
-                          className="btn-icon text-slate-500 hover:text-red-600"
-                          title="Delete"
-                        >
-                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                              d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
-                          </svg>
-                        </button>
+                        {canReadCharts && (
+                          <Link 
+                            to={`/patients/${patient.id}`}
+                            className="btn-icon text-slate-500 hover:text-clinic-600"
+                            title="View"
+                          >
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                                d="M15 12a3 3 0 11-6 0 3 3 0 016 0z" />
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                                d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
+                            </svg>
+                          </Link>
+                        )}
+                        {can([PERMISSIONS.PATIENTS_WRITE, PERMISSIONS.PATIENTS_REGISTER]) && (
+                          <button
+                            onClick={() => setEditingPatient(patient)}
+                            className="btn-icon text-slate-500 hover:text-blue-600"
+                            title="Edit"
+                          >
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                                d="M11 5H6a2 2 0 00-2 2v11a2 2 0 002 2h11a2 2 0 002-2v-5m-1.414-9.414a2 2 0 112.828 2.828L11.828 15H9v-2.828l8.586-8.586z" />
+                            </svg>
+                          </button>
+                        )}
+                        {can(PERMISSIONS.PATIENTS_DELETE) && (
+                          <button
+                            onClick={() => setDeleteConfirm(patient)}
+                            className="btn-icon text-slate-500 hover:text-red-600"
+                            title="Delete"
+                          >
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                                d="M19 7l-.867 12.142A2 2 0 0116.138 21H7.862a2 2 0 01-1.995-1.858L5 7m5 4v6m4-6v6m1-10V4a1 1 0 00-1-1h-4a1 1 0 00-1 1v3M4 7h16" />
+                            </svg>
+                          </button>
+                        )}
                       </div>
                     </td>
                   </tr>
@@ -242,7 +349,7 @@ function Patients() {
             description={searchQuery 
               ? 'Try adjusting your search or filters' 
               : 'Add your first patient to get started'}
-            action={!searchQuery && (
+            action={!searchQuery && can(PERMISSIONS.PATIENTS_REGISTER) && (
               <button onClick={() => setIsModalOpen(true)} className="btn-primary">
                 Add First Patient
               </button>
@@ -254,21 +361,26 @@ function Patients() {
       {/* Create/Edit Modal */}
       <Modal
         isOpen={isModalOpen || !!editingPatient}
-        onClose={() => {
-          setIsModalOpen(false);
-          setEditingPatient(null);
-        }}
-        title={editingPatient ? 'Edit Patient' : 'Add New Patient'}
+        onClose={closeForm}
+        title={editingPatient ? 'Edit Patient' : duplicateCheck ? 'Possible Duplicate' : 'Add New Patient'}
         size="lg"
       >
-        <PatientForm
-          patient={editingPatient}
-          onSubmit={editingPatient ? handleUpdatePatient : handleCreatePatient}
-          onCancel={() => {
-            setIsModalOpen(false);
-            setEditingPatient(null);
-          }}
-        />
+        {/* Kept mounted while the duplicate warning shows, so going back keeps what was typed */}
+        <div className={duplicateCheck ? 'hidden' : ''}>
+          <PatientForm
+            patient={editingPatient}
+            onSubmit={editingPatient ? handleUpdatePatient : handleCreatePatient}
+            onCancel={closeForm}
+          />
+        </div>
+        {duplicateCheck && (
+          <DuplicateWarning
+            matches={duplicateCheck.matches}
+            canOpenCharts={canReadCharts}
+            onContinue={() => registerPatient(duplicateCheck.data)}
+            onCancel={() => setDuplicateCheck(null)}
+          />
+        )}
       </Modal>
       
       {/* Delete Confirmation */}
@@ -277,7 +389,7 @@ function Patients() {
         onClose={() => setDeleteConfirm(null)}
         onConfirm={handleDeletePatient}
         title="Delete Patient"
-        message={`Are you sure you want to delete ${deleteConfirm?.name}? This action cannot be undone.`}
+        message={`Are you sure you want to delete ${deleteConfirm?.name}? Their appointments and visit records will be moved to the trash with them.`}
         confirmText="Delete"
         confirmVariant="danger"
       />
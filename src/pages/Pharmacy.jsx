@@ -7,28 +7,41 @@
 
 import React, { useState, useMemo } from 'react';
 import { useLocalDB } from '../hooks/useLocalDB';
+import { useTransaction } from '../hooks/useTransaction';
+import { usePatientAccess } from '../hooks/usePatientAccess';
 import { useNotifications } from '../context/NotificationContext';
+import { useAuth } from '../context/AuthContext';
 import { 
   STORAGE_KEYS, 
   APPOINTMENT_STATUS
 } from '../utils/constants';
 import { formatDate, formatTime } from '../utils/helpers';
+import { toActor } from '../db/history';
+import { checkInteractions, summarizeAlerts } from '../utils/interactions';
+import { unresolvedAllergyConflicts } from '../utils/allergies';
 import SearchInput from '../components/common/SearchInput';
 import Badge from '../components/common/Badge';
 import EmptyState from '../components/common/EmptyState';
 import Modal from '../components/common/Modal';
+import RestrictedPatient from '../components/patients/RestrictedPatient';
+import InteractionList from '../components/prescribing/InteractionList';
 
 function Pharmacy() {
-  const { data: appointments, update: updateAppointment } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
+  const { data: appointments } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
   const { data: patients } = useLocalDB(STORAGE_KEYS.PATIENTS);
-  const { data: prescriptions, update: updatePrescription } = useLocalDB(STORAGE_KEYS.PRESCRIPTIONS);
+  const { data: prescriptions } = useLocalDB(STORAGE_KEYS.PRESCRIPTIONS);
   const { data: consultations } = useLocalDB(STORAGE_KEYS.CONSULTATIONS);
-  const { data: inventory, update: updateInventory } = useLocalDB(STORAGE_KEYS.INVENTORY);
+  const { data: inventory } = useLocalDB(STORAGE_KEYS.INVENTORY);
+  const { runTransaction, isCommitting } = useTransaction();
   const { success, error: showError, warning } = useNotifications();
+  const { user } = useAuth();
+  const { isMasked, displayName } = usePatientAccess();
   
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedPrescription, setSelectedPrescription] = useState(null);
   const [dispensedMeds, setDispensedMeds] = useState({});
+  // Pharmacist has reviewed the prescription's interaction alerts
+  const [interactionsReviewed, setInteractionsReviewed] = useState(false);
   
   // Get patient details
   const getPatient = (patientId) => patients.find(p => p.id === patientId);
@@ -57,8 +70,23 @@ function Pharmacy() {
     });
   }, [prescriptions]);
   
+  // Interactions are checked again at dispensing, whatever was acknowledged
+  const interactionAlerts = useMemo(
+    () => (selectedPrescription ? checkInteractions(selectedPrescription.medications) : []),
+    [selectedPrescription]
+  );
+  
+  // Medications that clash with the patient's allergies as recorded now,
+  // without an override covering it
+  const uncheckedMedIds = useMemo(() => {
+    if (!selectedPrescription) return new Set();
+    const patient = getPatient(selectedPrescription.patientId);
+    return new Set(unresolvedAllergyConflicts(selectedPrescription.medications, patient?.allergies)
+      .map(({ medication }) => medication.id));
+  }, [selectedPrescription, patients]);
+  
   // Handle dispense medication
-  const handleDispense = () => {
+  const handleDispense = async () => {
     if (!selectedPrescription) return;
     
     const allDispensed = selectedPrescription.medications.every(
@@ -70,31 +98,57 @@ function Pharmacy() {
       return;
     }
     
-    try {
+    if (uncheckedMedIds.size > 0) {
+      showError('Some medications conflict with the patient\'s allergies. Send the prescription back to the doctor.');
+      return;
+    }
+    
+    if (interactionAlerts.length > 0 && !interactionsReviewed) {
+      warning('Please review the interaction alerts before dispensing');
+      return;
+    }
+    
+    const appointment = appointments.find(a => a.id === selectedPrescription.appointmentId);
+    
+    // Prescription and visit completion are saved together
+    const result = await runTransaction((tx) => {
       // Update prescription
-      updatePrescription(selectedPrescription.id, {
+      tx.update(STORAGE_KEYS.PRESCRIPTIONS, selectedPrescription.id, {
         dispensed: true,
         dispensedAt: new Date().toISOString(),
-        dispensedBy: 'Current Pharmacist'
+        dispensedBy: toActor(user),
+        ...(interactionAlerts.length > 0 && {
+          interactionReview: {
+            alerts: summarizeAlerts(interactionAlerts),
+            reviewedAt: new Date().toISOString(),
+            reviewedBy: toActor(user)
+          }
+        })
       });
       
       // Update appointment status to completed
-      updateAppointment(selectedPrescription.appointmentId, {
-        status: APPOINTMENT_STATUS.COMPLETED,
-        completedAt: new Date().toISOString()
-      });
+      if (appointment) {
+        tx.update(STORAGE_KEYS.APPOINTMENTS, selectedPrescription.appointmentId, {
+          status: APPOINTMENT_STATUS.COMPLETED,
+          completedAt: new Date().toISOString()
+        });
+      }
       
       // Optionally update inventory (decrease stock)
       // This would need proper inventory item matching
-      
-      const patient = getPatient(selectedPrescription.patientId);
-      success(`Prescription dispensed for ${patient?.name}`, 'Visit Complete');
-      
-      setSelectedPrescription(null);
-      setDispensedMeds({});
-    } catch (err) {
-      showError('Failed to dispense prescription');
+    });
+    
+    if (!result.success) {
+      showError('Failed to dispense prescription. No changes were made.');
+      return;
     }
+    
+    const patient = getPatient(selectedPrescription.patientId);
+    success(`Prescription dispensed for ${displayName(patient)}`, 'Visit Complete');
+    
+    setSelectedPrescription(null);
+    setDispensedMeds({});
+    setInteractionsReviewed(false);
   };
   
   // Toggle medication dispensed
@@ -168,6 +222,7 @@ function Pharmacy() {
                     onClick={() => {
                       setSelectedPrescription(prescription);
                       setDispensedMeds({});
+                      setInteractionsReviewed(false);
                     }}
                     className={`p-4 cursor-pointer transition-colors ${
                       selectedPrescription?.id === prescription.id 
@@ -183,7 +238,7 @@ function Pharmacy() {
                           </svg>
                         </div>
                         <div>
-                          <h3 className="font-medium text-slate-800">{patient?.name}</h3>
+                          <h3 className="font-medium text-slate-800">{displayName(patient)}</h3>
                           <p className="text-sm text-slate-500">
                             {prescription.medications.length} medication(s) • {waitTime} min ago
                           </p>
@@ -195,18 +250,20 @@ function Pharmacy() {
                     </div>
                     
                     {/* Preview medications */}
-                    <div className="mt-3 flex flex-wrap gap-2">
-                      {prescription.medications.slice(0, 3).map((med, idx) => (
-                        <span key={idx} className="text-xs bg-slate-100 text-slate-600 px-2 py-1 rounded">
-                          {med.name.split(' ')[0]}
-                        </span>
-                      ))}
-                      {prescription.medications.length > 3 && (
-                        <span className="text-xs text-slate-400">
-                          +{prescription.medications.length - 3} more
-                        </span>
-                      )}
-                    </div>
+                    {!isMasked(patient) && (
+                      <div className="mt-3 flex flex-wrap gap-2">
+                        {prescription.medications.slice(0, 3).map((med, idx) => (
+                          <span key={idx} className="text-xs bg-slate-100 text-slate-600 px-2 py-1 rounded">
+                            {med.name.split(' ')[0]}
+                          </span>
+                        ))}
+                        {prescription.medications.length > 3 && (
+                          <span className="text-xs text-slate-400">
+                            +{prescription.medications.length - 3} more
+                          </span>
+                        )}
+                      </div>
+                    )}
                   </div>
                 );
               })}
@@ -231,6 +288,10 @@ function Pharmacy() {
             const patient = getPatient(selectedPrescription.patientId);
             const consultation = getConsultation(selectedPrescription.consultationId);
             
+            if (isMasked(patient)) {
+              return <RestrictedPatient patient={patient} compact />;
+            }
+            
             return (
               <div className="p-4">
                 {/* Patient Info */}
@@ -258,6 +319,23 @@ function Pharmacy() {
                   </div>
                 )}
                 
+                {/* Interaction Alerts */}
+                {interactionAlerts.length > 0 && (
+                  <div className="mb-4 p-3 bg-amber-50 border border-amber-200 rounded-lg space-y-2">
+                    <p className="text-sm font-semibold text-amber-800">⚠️ Interaction alerts</p>
+                    <InteractionList alerts={interactionAlerts} />
+                    <label className="flex items-start gap-2 text-sm text-slate-700">
+                      <input
+                        type="checkbox"
+                        checked={interactionsReviewed}
+                        onChange={(e) => setInteractionsReviewed(e.target.checked)}
+                        className="mt-0.5 rounded border-slate-300"
+                      />
+                      I have reviewed these alerts with the prescriber or patient
+                    </label>
+                  </div>
+                )}
+                
                 {/* Medications List */}
                 <div className="space-y-3 max-h-[300px] overflow-y-auto">
                   {selectedPrescription.medications.map((med) => (
@@ -287,6 +365,16 @@ function Pharmacy() {
                             {med.instructions && (
                               <p className="text-orange-600">Note: {med.instructions}</p>
                             )}
+                            {uncheckedMedIds.has(med.id) && (
+                              <p className="text-red-600 font-medium">
+                                Conflicts with the patient's allergies and was not cleared by the doctor
+                              </p>
+                            )}
+                            {med.allergyOverride && (
+                              <p className="text-red-600">
+                                Allergy override ({med.allergyOverride.allergies.join(', ')}): {med.allergyOverride.reason}
+                              </p>
+                            )}
                           </div>
                         </div>
                         <div className={`
@@ -331,6 +419,7 @@ function Pharmacy() {
                     onClick={() => {
                       setSelectedPrescription(null);
                       setDispensedMeds({});
+                      setInteractionsReviewed(false);
                     }}
                     className="btn-secondary flex-1"
                   >
@@ -338,7 +427,11 @@ function Pharmacy() {
                   </button>
                   <button
                     onClick={handleDispense}
-                    disabled={!selectedPrescription.medications.every(med => dispensedMeds[med.id])}
+                    disabled={
+                      isCommitting ||
+                      !selectedPrescription.medications.every(med => dispensedMeds[med.id]) ||
+                      (interactionAlerts.length > 0 && !interactionsReviewed)
+                    }
                     className="btn-primary flex-1 disabled:opacity-50"
                   >
                     Complete Dispensing
@@ -5,9 +5,14 @@
  * @workflow Shows patients after triage, ready for consultation
  */
 
-import React, { useState, useMemo } from 'react';
-import { useLocalDB } from '../hooks/useLocalDB';
+import React, { useState, useMemo, useCallback } from 'react';
+import { useCollection } from '../hooks/useCollection';
+import { useTransaction } from '../hooks/useTransaction';
+import { usePatientAccess } from '../hooks/usePatientAccess';
 import { useNotifications } from '../context/NotificationContext';
+import { useAuth } from '../context/AuthContext';
+import { writeFailureMessage } from '../db/quota';
+import { toActor } from '../db/history';
 import { 
   STORAGE_KEYS, 
   APPOINTMENT_STATUS,
@@ -16,16 +21,32 @@ import {
   SERVICE_TYPES 
 } from '../utils/constants';
 import { formatTime } from '../utils/helpers';
+import { PERMISSIONS } from '../utils/permissions';
 import Badge from '../components/common/Badge';
 import EmptyState from '../components/common/EmptyState';
 import Modal from '../components/common/Modal';
+import RestrictedPatient from '../components/patients/RestrictedPatient';
+
+// Queue entries not yet completed
+const selectWaiting = (queue) => queue.filter(q => !q.completed);
 
 function Queue() {
-  const { data: appointments, update: updateAppointment } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
-  const { data: patients } = useLocalDB(STORAGE_KEYS.PATIENTS);
-  const { data: queue, update: updateQueue, remove: removeFromQueue } = useLocalDB(STORAGE_KEYS.QUEUE);
-  const { data: triageRecords } = useLocalDB(STORAGE_KEYS.TRIAGE);
-  const { success } = useNotifications();
+  // Subscribe only to the waiting queue and its patients' records, so
+  // activity on finished visits doesn't re-render the page
+  const queue = useCollection(STORAGE_KEYS.QUEUE, selectWaiting);
+  const patients = useCollection(STORAGE_KEYS.PATIENTS, useCallback(
+    (records, { findBy }) => queue.flatMap(q => findBy('id', q.patientId)),
+    [queue]
+  ));
+  const triageRecords = useCollection(STORAGE_KEYS.TRIAGE, useCallback(
+    (records, { findBy }) => queue.flatMap(q => findBy('appointmentId', q.appointmentId)),
+    [queue]
+  ));
+  const { runTransaction } = useTransaction();
+  const { success, error: showError } = useNotifications();
+  const { user, can } = useAuth();
+  const canManage = can(PERMISSIONS.QUEUE_MANAGE);
+  const { isMasked, displayName } = usePatientAccess();
   
   const [selectedService, setSelectedService] = useState('all');
   const [showDetails, setShowDetails] = useState(null);
@@ -36,13 +57,9 @@ function Queue() {
   // Get triage data
   const getTriage = (appointmentId) => triageRecords.find(t => t.appointmentId === appointmentId);
   
-  // Get appointment
-  const getAppointment = (appointmentId) => appointments.find(a => a.id === appointmentId);
-  
   // Active queue (not completed)
   const activeQueue = useMemo(() => {
     return queue
-      .filter(q => !q.completed)
       .filter(q => selectedService === 'all' || q.service === selectedService)
       .sort((a, b) => {
         // Emergency first, then urgent, then by position
@@ -58,34 +75,49 @@ function Queue() {
   const serviceStats = useMemo(() => {
     const stats = {};
     SERVICE_TYPES.forEach(type => {
-      stats[type.value] = queue.filter(q => !q.completed && q.service === type.value).length;
+      stats[type.value] = queue.filter(q => q.service === type.value).length;
     });
     return stats;
   }, [queue]);
   
   // Call next patient
-  const handleCallNext = (queueItem) => {
-    updateAppointment(queueItem.appointmentId, {
-      status: APPOINTMENT_STATUS.WITH_DOCTOR,
-      calledAt: new Date().toISOString()
-    });
-    
-    updateQueue(queueItem.id, {
-      called: true,
-      calledAt: new Date().toISOString()
+  const handleCallNext = async (queueItem) => {
+    const calledAt = new Date().toISOString();
+    // Appointment and queue entry change together or not at all
+    const result = await runTransaction((tx) => {
+      tx.update(STORAGE_KEYS.APPOINTMENTS, queueItem.appointmentId, {
+        status: APPOINTMENT_STATUS.WITH_DOCTOR,
+        calledAt,
+        calledBy: toActor(user)
+      });
+      tx.update(STORAGE_KEYS.QUEUE, queueItem.id, {
+        called: true,
+        calledAt,
+        calledBy: toActor(user)
+      });
     });
+    if (!result.success) {
+      showError(writeFailureMessage('Failed to call patient'));
+      return;
+    }
     
     const patient = getPatient(queueItem.patientId);
-    success(`${patient?.name} called for consultation`, 'Queue #' + queueItem.position);
+    success(`${displayName(patient)} called for consultation`, 'Queue #' + queueItem.position);
   };
   
   // Skip patient
-  const handleSkip = (queueItem) => {
+  const handleSkip = async (queueItem) => {
     const maxPosition = Math.max(...activeQueue.map(q => q.position));
-    updateQueue(queueItem.id, {
-      position: maxPosition + 1,
-      skipped: true
+    const result = await runTransaction((tx) => {
+      tx.update(STORAGE_KEYS.QUEUE, queueItem.id, {
+        position: maxPosition + 1,
+        skipped: true
+      });
     });
+    if (!result.success) {
+      showError(writeFailureMessage('Failed to move patient'));
+      return;
+    }
     success('Patient moved to end of queue');
   };
   
@@ -173,13 +205,13 @@ function Queue() {
               <div className="p-6">
                 <div className="text-center mb-4">
                   <div className="w-24 h-24 mx-auto bg-gradient-to-br from-clinic-500 to-clinic-600 rounded-full flex items-center justify-center text-white text-3xl font-bold mb-3">
-                    {patient?.name?.charAt(0)}
+                    {displayName(patient)?.charAt(0)}
                   </div>
-                  <h3 className="text-xl font-bold text-slate-800">{patient?.name}</h3>
+                  <h3 className="text-xl font-bold text-slate-800">{displayName(patient)}</h3>
                   <p className="text-slate-500">Queue #{currentPatient.position}</p>
                 </div>
                 
-                {triage && (
+                {triage && !isMasked(patient) && (
                   <div className="bg-slate-50 rounded-lg p-4 space-y-2 text-sm">
                     <div className="flex justify-between">
                       <span className="text-slate-500">Chief Complaint:</span>
@@ -235,7 +267,7 @@ function Queue() {
                         </div>
                         <div>
                           <h3 className="font-semibold text-slate-800 flex items-center gap-2">
-                            {patient?.name}
+                            {displayName(patient)}
                             {queueItem.urgency !== 'normal' && (
                               <Badge variant={queueItem.urgency === 'emergency' ? 'danger' : 'warning'}>
                                 {queueItem.urgency}
@@ -247,7 +279,7 @@ function Queue() {
                             <span>•</span>
                             <span>Waiting {waitTime} min</span>
                           </div>
-                          {triage?.chiefComplaint && (
+                          {triage?.chiefComplaint && !isMasked(patient) && (
                             <p className="text-sm text-slate-400 mt-1 truncate max-w-md">
                               {triage.chiefComplaint}
                             </p>
@@ -266,16 +298,18 @@ function Queue() {
                             <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M2.458 12C3.732 7.943 7.523 5 12 5c4.478 0 8.268 2.943 9.542 7-1.274 4.057-5.064 7-9.542 7-4.477 0-8.268-2.943-9.542-7z" />
                           </svg>
                         </button>
-                        <button
-                          onClick={() => handleSkip(queueItem)}
-                          className="p-2 text-slate-400 hover:text-orange-600 hover:bg-orange-50 rounded-lg"
-                          title="Skip"
-                        >
-                          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 5l7 7-7 7M5 5l7 7-7 7" />
-                          </svg>
-                        </button>
-                        {index === 0 && (
+                        {canManage && (
+                          <button
+                            onClick={() => handleSkip(queueItem)}
+                            className="p-2 text-slate-400 hover:text-orange-600 hover:bg-orange-50 rounded-lg"
+                            title="Skip"
+                          >
+                            <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M13 5l7 7-7 7M5 5l7 7-7 7" />
+                            </svg>
+                          </button>
+                        )}
+                        {index === 0 && canManage && (
                           <button
                             onClick={() => handleCallNext(queueItem)}
                             className="btn-primary"
@@ -303,7 +337,10 @@ function Queue() {
         {showDetails && (() => {
           const patient = getPatient(showDetails.patientId);
           const triage = getTriage(showDetails.appointmentId);
-          const appointment = getAppointment(showDetails.appointmentId);
+          
+          if (isMasked(patient)) {
+            return <RestrictedPatient patient={patient} compact />;
+          }
           
           return (
             <div className="space-y-6">
@@ -360,15 +397,17 @@ function Queue() {
               
               {/* Actions */}
               <div className="flex gap-3">
-                <button
-                  onClick={() => {
-                    handleCallNext(showDetails);
-                    setShowDetails(null);
-                  }}
-                  className="btn-primary flex-1"
-                >
-                  Call Patient
-                </button>
+                {canManage && (
+                  <button
+                    onClick={() => {
+                      handleCallNext(showDetails);
+                      setShowDetails(null);
+                    }}
+                    className="btn-primary flex-1"
+                  >
+                    Call Patient
+                  </button>
+                )}
                 <button
                   onClick={() => setShowDetails(null)}
                   className="btn-secondary flex-1"
@@ -8,44 +8,57 @@ import React, { useState, useRef } from 'react';
 import { useAuth } from '../context/AuthContext';
 import { useLocalDB } from '../hooks/useLocalDB';
 import { useNotifications } from '../context/NotificationContext';
-import { STORAGE_KEYS, ROLES, ROLE_LABELS, DEFAULT_SETTINGS } from '../utils/constants';
+import { writeFailureMessage, isWriteBlocked, STORAGE_FULL_MESSAGE } from '../db/quota';
+import { STORAGE_KEYS, DEFAULT_SETTINGS } from '../utils/constants';
+import { PERMISSIONS } from '../utils/permissions';
+import { formatMrn, normalizeMrnPrefix } from '../utils/patientIdentity';
 import { createFullBackup, validateBackup, parseJSONFile } from '../utils/exportUtils';
 import Modal from '../components/common/Modal';
 import ConfirmDialog from '../components/common/ConfirmDialog';
+import TrashBin from '../components/settings/TrashBin';
+import IntegrityChecker from '../components/settings/IntegrityChecker';
+import StorageManager from '../components/settings/StorageManager';
+import SyncSettings from '../components/settings/SyncSettings';
+import EncryptionSettings from '../components/settings/EncryptionSettings';
+import MergeReports from '../components/settings/MergeReports';
+import PasswordChangeForm from '../components/settings/PasswordChangeForm';
+import PinSettings from '../components/settings/PinSettings';
+import SessionSettings from '../components/settings/SessionSettings';
+import ValidationReport from '../components/common/ValidationReport';
 
 function Settings() {
-  const { user, updateRole } = useAuth();
-  const { data: patients, replaceAll: replacePatients, clear: clearPatients } = useLocalDB(STORAGE_KEYS.PATIENTS);
-  const { data: inventory, replaceAll: replaceInventory, clear: clearInventory } = useLocalDB(STORAGE_KEYS.INVENTORY);
-  const { data: appointments, replaceAll: replaceAppointments, clear: clearAppointments } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
-  const { data: settingsArray, create: createSettings, update: updateSettings, clear: clearSettings } = useLocalDB(STORAGE_KEYS.SETTINGS);
+  const { user, can, roleLabel } = useAuth();
+  const { data: patients, replaceAll: replacePatients, importData: mergePatients, clear: clearPatients } = useLocalDB(STORAGE_KEYS.PATIENTS);
+  const { data: inventory, replaceAll: replaceInventory, importData: mergeInventory, clear: clearInventory } = useLocalDB(STORAGE_KEYS.INVENTORY);
+  const { data: appointments, replaceAll: replaceAppointments, importData: mergeAppointments, clear: clearAppointments } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
+  const { data: settingsArray, create: createSettings, update: updateSettings, importData: mergeSettings, clear: clearSettings } = useLocalDB(STORAGE_KEYS.SETTINGS);
   
   const settings = settingsArray[0] || DEFAULT_SETTINGS;
+  const canConfigure = can(PERMISSIONS.SETTINGS_MANAGE);
+  const canExport = can(PERMISSIONS.DATA_EXPORT);
+  const canImport = can(PERMISSIONS.DATA_IMPORT);
   const { success, error: showError, warning } = useNotifications();
   
   const [showResetConfirm, setShowResetConfirm] = useState(false);
   const [showImportModal, setShowImportModal] = useState(false);
   const [importData, setImportData] = useState(null);
+  const [importReports, setImportReports] = useState([]);
+  const [mergeBackup, setMergeBackup] = useState(false);
   
   const fileInputRef = useRef(null);
   
   // Handle settings change
-  const handleSettingChange = (key, value) => {
-    const newSettings = { ...settings, [key]: value };
-    if (settingsArray.length === 0) {
-      createSettings(newSettings);
-    } else {
-      updateSettings(settings.id, newSettings);
+  const handleSettingChange = async (key, value) => {
+    const result = await (settingsArray.length === 0
+      ? createSettings({ ...settings, [key]: value })
+      : updateSettings(settings.id, { [key]: value }));
+    if (!result.success) {
+      showError(writeFailureMessage('Setting could not be saved: the value is invalid'));
+      return;
     }
     success('Setting updated');
   };
   
-  // Handle role change
-  const handleRoleChange = (newRole) => {
-    updateRole(newRole);
-    success(`Role changed to ${ROLE_LABELS[newRole]}`);
-  };
-  
   // Create backup
   const handleBackup = () => {
     try {
@@ -70,12 +83,14 @@ function Settings() {
       const data = await parseJSONFile(file);
       const validation = validateBackup(data);
       
-      if (!validation.valid) {
+      // Invalid records are listed in the restore dialog instead
+      if (!validation.valid && validation.reports.length === 0) {
         showError(validation.errors.join(', '));
         return;
       }
       
       setImportData(data);
+      setImportReports(validation.reports);
       setShowImportModal(true);
     } catch (err) {
       showError('Invalid backup file: ' + err.message);
@@ -86,22 +101,38 @@ function Settings() {
   };
   
   // Perform restore
-  const handleRestore = () => {
-    if (!importData?.data) return;
+  const handleRestore = async () => {
+    if (!importData?.data || importReports.length > 0) return;
+    if (isWriteBlocked()) {
+      showError(STORAGE_FULL_MESSAGE);
+      return;
+    }
+    
+    if (mergeBackup) {
+      handleMergeRestore();
+      return;
+    }
     
     try {
+      const writes = [];
       if (importData.data.patients) {
-        replacePatients(importData.data.patients);
+        writes.push(replacePatients(importData.data.patients));
       }
       if (importData.data.inventory) {
-        replaceInventory(importData.data.inventory);
+        writes.push(replaceInventory(importData.data.inventory));
       }
       if (importData.data.appointments) {
-        replaceAppointments(importData.data.appointments);
+        writes.push(replaceAppointments(importData.data.appointments));
       }
       if (importData.data.settings) {
-        clearSettings();
-        createSettings(importData.data.settings);
+        writes.push(clearSettings());
+        writes.push(createSettings(importData.data.settings));
+      }
+      
+      const failed = (await Promise.all(writes)).find(result => !result.success);
+      if (failed) {
+        showError(writeFailureMessage('Failed to restore data: ' + (failed.error?.message || 'the backup could not be saved')));
+        return;
       }
       
       success('Data restored successfully');
@@ -112,6 +143,34 @@ function Settings() {
     }
   };
   
+  // Merge a backup into this device's data, keeping the newest value of each field
+  const handleMergeRestore = () => {
+    const { data } = importData;
+    const from = `backup of ${importData.createdAt ? new Date(importData.createdAt).toLocaleString() : 'unknown date'}`;
+    const sections = [
+      [data.patients, mergePatients],
+      [data.inventory, mergeInventory],
+      [data.appointments, mergeAppointments],
+      [data.settings?.id ? [data.settings] : null, mergeSettings]
+    ].filter(([records]) => records);
+    
+    let merged = 0;
+    for (const [records, merge] of sections) {
+      const result = merge(JSON.stringify(records), true, from);
+      if (!result.success) {
+        showError('Failed to merge backup: ' + result.error);
+        return;
+      }
+      merged += result.merged.length;
+    }
+    
+    success(merged > 0
+      ? `Backup merged. ${merged} record${merged === 1 ? ' was' : 's were'} changed in both; see Merge Reports.`
+      : 'Backup merged');
+    setShowImportModal(false);
+    setImportData(null);
+  };
+  
   // Reset all data
   const handleReset = () => {
     try {
@@ -159,48 +218,29 @@ function Settings() {
             </div>
           </div>
           
-          {/* Role Selection */}
-          <div className="input-group">
-            <label className="label">Current Role</label>
-            <div className="grid grid-cols-2 gap-3">
-              {Object.entries(ROLES).filter(([key]) => key !== 'ADMIN').map(([key, value]) => (
-                <button
-                  key={key}
-                  onClick={() => handleRoleChange(value)}
-                  className={`
-                    flex items-center gap-3 p-4 rounded-xl border-2 text-left transition-all
-                    ${user?.role === value
-                      ? 'border-clinic-500 bg-clinic-50'
-                      : 'border-slate-200 hover:border-slate-300'}
-                  `}
-                >
-                  <div className={`
-                    w-10 h-10 rounded-lg flex items-center justify-center
-                    ${user?.role === value ? 'bg-clinic-500 text-white' : 'bg-slate-100 text-slate-500'}
-                  `}>
-                    {value === ROLES.CLINICIAN ? (
-                      <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                          d="M5.121 17.804A13.937 13.937 0 0112 16c2.5 0 4.847.655 6.879 1.804M15 10a3 3 0 11-6 0 3 3 0 016 0z" />
-                      </svg>
-                    ) : (
-                      <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                        <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                          d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
-                      </svg>
-                    )}
-                  </div>
-                  <div>
-                    <p className="font-medium text-slate-800">{ROLE_LABELS[value]}</p>
-                    <p className="text-xs text-slate-500">
-                      {value === ROLES.CLINICIAN 
-                        ? 'Patients, appointments, analytics' 
-                        : 'Inventory, supplies, reports'}
-                    </p>
-                  </div>
-                </button>
-              ))}
+          {/* Role (assigned by an administrator) */}
+          <div className="flex items-center justify-between gap-4">
+            <div>
+              <p className="label mb-0">Role</p>
+              <p className="text-sm text-slate-500">
+                {can(PERMISSIONS.USERS_MANAGE)
+                  ? 'Roles are assigned on the Users page.'
+                  : 'Only an administrator can change your role.'}
+              </p>
             </div>
+            <span className="px-3 py-1 rounded-full text-sm font-medium bg-clinic-50 text-clinic-700">
+              {roleLabel(user?.role)}
+            </span>
+          </div>
+          
+          <div className="border-t border-slate-200 pt-4">
+            <h3 className="text-sm font-semibold text-slate-700 mb-3">Change Password</h3>
+            <PasswordChangeForm />
+          </div>
+          
+          <div className="border-t border-slate-200 pt-4">
+            <h3 className="text-sm font-semibold text-slate-700 mb-3">Screen Unlock PIN</h3>
+            <PinSettings />
           </div>
         </div>
       </div>
@@ -223,6 +263,7 @@ function Settings() {
               min="0"
               value={settings.lowStockThreshold || 20}
               onChange={(e) => handleSettingChange('lowStockThreshold', parseInt(e.target.value) || 0)}
+              disabled={!canConfigure}
               className="input w-32"
             />
           </div>
@@ -238,6 +279,7 @@ function Settings() {
               min="0"
               value={settings.nearExpiryDays || 30}
               onChange={(e) => handleSettingChange('nearExpiryDays', parseInt(e.target.value) || 0)}
+              disabled={!canConfigure}
               className="input w-32"
             />
           </div>
@@ -258,11 +300,33 @@ function Settings() {
               type="text"
               value={settings.clinicName || ''}
               onChange={(e) => handleSettingChange('clinicName', e.target.value)}
+              disabled={!canConfigure}
               className="input"
               placeholder="ClinicCare Lite"
             />
           </div>
           
+          <div className="input-group">
+            <label htmlFor="mrnPrefix" className="label">
+              Medical Record Number Prefix
+              <span className="text-slate-400 font-normal ml-2">(letters and digits, up to 6)</span>
+            </label>
+            <input
+              id="mrnPrefix"
+              type="text"
+              value={settings.mrnPrefix ?? DEFAULT_SETTINGS.mrnPrefix}
+              onChange={(e) => handleSettingChange('mrnPrefix', normalizeMrnPrefix(e.target.value))}
+              disabled={!canConfigure}
+              className="input w-32 font-mono"
+              placeholder={DEFAULT_SETTINGS.mrnPrefix}
+            />
+            <p className="mt-1.5 text-xs text-slate-500">
+              New patients get numbers like {formatMrn(settings.mrnPrefix || DEFAULT_SETTINGS.mrnPrefix, 1, '1001')},
+              where 1001 stands for a code picked for each device, so synced devices never give out the same number.
+              Numbers already given out don't change.
+            </p>
+          </div>
+          
           <div className="input-group">
             <label htmlFor="clinicContact" className="label">Contact Number</label>
             <input
@@ -270,6 +334,7 @@ function Settings() {
               type="tel"
               value={settings.clinicContact || ''}
               onChange={(e) => handleSettingChange('clinicContact', e.target.value)}
+              disabled={!canConfigure}
               className="input"
               placeholder="+1234567890"
             />
@@ -281,6 +346,7 @@ function Settings() {
               id="clinicAddress"
               value={settings.clinicAddress || ''}
               onChange={(e) => handleSettingChange('clinicAddress', e.target.value)}
+              disabled={!canConfigure}
               className="input min-h-[80px]"
               placeholder="123 Medical Center Dr..."
               rows={2}
@@ -290,6 +356,7 @@ function Settings() {
       </div>
       
       {/* Data Management */}
+      {(canExport || canImport) && (
       <div className="card">
         <h2 className="text-lg font-heading font-semibold text-slate-800 mb-4">
           Data Management
@@ -313,6 +380,7 @@ function Settings() {
         
         {/* Backup & Restore */}
         <div className="space-y-3">
+          {canExport && (
           <button onClick={handleBackup} className="btn-primary w-full sm:w-auto">
             <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
               <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
@@ -320,7 +388,10 @@ function Settings() {
             </svg>
             Create Full Backup
           </button>
+          )}
           
+          {canImport && (
+          <>
           <input
             ref={fileInputRef}
             type="file"
@@ -339,7 +410,10 @@ function Settings() {
             </svg>
             Restore from Backup
           </button>
+          </>
+          )}
           
+          {canImport && (
           <div className="border-t border-slate-200 pt-4 mt-4">
             <button 
               onClick={() => setShowResetConfirm(true)} 
@@ -355,8 +429,31 @@ function Settings() {
               This will permanently delete all patients, inventory, and appointments.
             </p>
           </div>
+          )}
         </div>
       </div>
+      )}
+      
+      {/* Sync */}
+      <SyncSettings />
+      
+      {/* Merge Reports */}
+      <MergeReports />
+      
+      {/* Encryption */}
+      <EncryptionSettings />
+      
+      {/* Session Timeouts */}
+      <SessionSettings />
+      
+      {/* Storage */}
+      <StorageManager />
+      
+      {/* Trash */}
+      <TrashBin />
+      
+      {/* Data Integrity */}
+      <IntegrityChecker />
       
       {/* About */}
       <div className="card">
@@ -366,7 +463,7 @@ function Settings() {
         <div className="text-sm text-slate-600 space-y-2">
           <p><strong>Version:</strong> 1.0.0</p>
           <p><strong>Type:</strong> Offline-first Progressive Web App</p>
-          <p><strong>Storage:</strong> LocalStorage / IndexedDB</p>
+          <p><strong>Storage:</strong> IndexedDB</p>
           <p className="pt-2">
             ClinicCare Lite is a clinic management application 
             designed for offline-first operation. All data is stored locally 
@@ -395,23 +492,42 @@ function Settings() {
             >
               Cancel
             </button>
-            <button onClick={handleRestore} className="btn-primary">
-              Restore Data
+            <button
+              onClick={handleRestore}
+              disabled={importReports.length > 0}
+              className="btn-primary"
+            >
+              {mergeBackup ? 'Merge Data' : 'Restore Data'}
             </button>
           </>
         }
       >
         <div className="space-y-4">
-          <div className="alert-warning">
-            <svg className="w-5 h-5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-              <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
-            </svg>
-            <div>
-              <p className="font-semibold">This will replace all existing data</p>
-              <p className="text-sm">Current data will be overwritten with the backup contents.</p>
+          <label className="flex items-start gap-3 text-sm text-slate-700">
+            <input
+              type="checkbox"
+              checked={mergeBackup}
+              onChange={(e) => setMergeBackup(e.target.checked)}
+              className="mt-0.5 w-4 h-4 rounded border-slate-300 text-clinic-600"
+            />
+            <span>
+              Merge with the data on this device instead of replacing it
+              (e.g. another clinic's export). The newest value of each field is kept.
+            </span>
+          </label>
+          
+          {!mergeBackup && (
+            <div className="alert-warning">
+              <svg className="w-5 h-5 flex-shrink-0" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+                <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
+                  d="M12 9v2m0 4h.01m-6.938 4h13.856c1.54 0 2.502-1.667 1.732-3L13.732 4c-.77-1.333-2.694-1.333-3.464 0L3.34 16c-.77 1.333.192 3 1.732 3z" />
+              </svg>
+              <div>
+                <p className="font-semibold">This will replace all existing data</p>
+                <p className="text-sm">Current data will be overwritten with the backup contents.</p>
+              </div>
             </div>
-          </div>
+          )}
           
           {importData && (
             <div className="space-y-2 text-sm">
@@ -421,6 +537,17 @@ function Settings() {
               <p><strong>Appointments:</strong> {importData.data?.appointments?.length || 0}</p>
             </div>
           )}
+          
+          {importReports.length > 0 && (
+            <>
+              <p className="text-sm text-slate-600">
+                This backup can't be restored until these records are fixed. Nothing has been changed.
+              </p>
+              {importReports.map(({ section, label, report }) => (
+                <ValidationReport key={section} title={label} report={report} />
+              ))}
+            </>
+          )}
         </div>
       </Modal>
       
@@ -1,7 +1,10 @@
 /**
  * Signup Page
  * 
- * @description User registration page with role selection
+ * @description Creates the clinic's first account, which becomes its
+ * administrator, with the minimum password policy (see utils/passwords.js).
+ * Once an administrator exists, sign-up is closed and admins create
+ * accounts on the Users page.
  */
 
 import React, { useState } from 'react';
@@ -9,7 +12,7 @@ import { Link, useNavigate } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { useNotifications } from '../context/NotificationContext';
 import { useFormValidation } from '../hooks/useFormValidation';
-import { ROLES, ROLE_LABELS } from '../utils/constants';
+import { PASSWORD_RULES, passwordPolicyErrors } from '../utils/passwords';
 
 // Validation schema
 const signupSchema = {
@@ -28,7 +31,10 @@ const signupSchema = {
   password: {
     label: 'Password',
     required: true,
-    minLength: 6
+    custom: (value, values) => {
+      const unmet = passwordPolicyErrors(value, { username: values.username });
+      return unmet.length > 0 ? `Password needs: ${unmet.join(', ').toLowerCase()}` : null;
+    }
   },
   confirmPassword: {
     label: 'Confirm Password',
@@ -39,16 +45,12 @@ const signupSchema = {
       }
       return null;
     }
-  },
-  role: {
-    label: 'Role',
-    required: true
   }
 };
 
 function Signup() {
   const navigate = useNavigate();
-  const { signup } = useAuth();
+  const { signup, signupOpen } = useAuth();
   const { success, error: showError } = useNotifications();
   const [isLoading, setIsLoading] = useState(false);
   
@@ -64,8 +66,7 @@ function Signup() {
     name: '',
     username: '',
     password: '',
-    confirmPassword: '',
-    role: ROLES.CLINICIAN
+    confirmPassword: ''
   });
   
   const onSubmit = async (formData) => {
@@ -74,15 +75,14 @@ function Signup() {
     // Simulate network delay
     await new Promise(resolve => setTimeout(resolve, 500));
     
-    const result = signup({
+    const result = await signup({
       name: formData.name,
       username: formData.username,
-      password: formData.password,
-      role: formData.role
+      password: formData.password
     });
     
     if (result.success) {
-      success('Your account has been created!', 'Welcome to ClinicCare');
+      success('Your administrator account has been created. Add your team on the Users page.', 'Welcome to ClinicCare');
       navigate('/dashboard');
     } else {
       showError(result.message);
@@ -152,139 +152,111 @@ function Signup() {
               Create Account
             </h2>
             <p className="text-slate-500">
-              Get started with ClinicCare Lite
+              {signupOpen
+                ? 'Set up ClinicCare Lite. The first account is the clinic administrator.'
+                : 'This clinic is already set up'}
             </p>
           </div>
           
-          <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
-            {/* Full Name */}
-            <div className="input-group">
-              <label htmlFor="name" className="label">Full Name</label>
-              <input
-                id="name"
-                type="text"
-                {...getFieldProps('name')}
-                className={`input ${touched.name && errors.name ? 'input-error' : ''}`}
-                placeholder="Enter your full name"
-                autoComplete="name"
-              />
-              {touched.name && errors.name && (
-                <p className="mt-1.5 text-sm text-red-600">{errors.name}</p>
-              )}
-            </div>
-            
-            {/* Username */}
-            <div className="input-group">
-              <label htmlFor="username" className="label">Username</label>
-              <input
-                id="username"
-                type="text"
-                {...getFieldProps('username')}
-                className={`input ${touched.username && errors.username ? 'input-error' : ''}`}
-                placeholder="Choose a username"
-                autoComplete="username"
-              />
-              {touched.username && errors.username && (
-                <p className="mt-1.5 text-sm text-red-600">{errors.username}</p>
-              )}
-              <p className="mt-1 text-xs text-slate-400">Letters, numbers, and underscores only</p>
-            </div>
-            
-            {/* Password */}
-            <div className="input-group">
-              <label htmlFor="password" className="label">Password</label>
-              <input
-                id="password"
-                type="password"
-                {...getFieldProps('password')}
-                className={`input ${touched.password && errors.password ? 'input-error' : ''}`}
-                placeholder="Create a password"
-                autoComplete="new-password"
-              />
-              {touched.password && errors.password && (
-                <p className="mt-1.5 text-sm text-red-600">{errors.password}</p>
-              )}
+          {!signupOpen ? (
+            <div className="alert-warning text-sm">
+              <p>
+                Sign-up is closed. Ask an administrator to create your account;
+                they will give you a temporary password to sign in with.
+              </p>
             </div>
-            
-            {/* Confirm Password */}
-            <div className="input-group">
-              <label htmlFor="confirmPassword" className="label">Confirm Password</label>
-              <input
-                id="confirmPassword"
-                type="password"
-                {...getFieldProps('confirmPassword')}
-                className={`input ${touched.confirmPassword && errors.confirmPassword ? 'input-error' : ''}`}
-                placeholder="Confirm your password"
-                autoComplete="new-password"
-              />
-              {touched.confirmPassword && errors.confirmPassword && (
-                <p className="mt-1.5 text-sm text-red-600">{errors.confirmPassword}</p>
-              )}
-            </div>
-            
-            {/* Role Selection */}
-            <div className="input-group">
-              <label className="label">Select Your Role</label>
-              <div className="grid grid-cols-2 gap-3">
-                {Object.entries(ROLES).filter(([key]) => key !== 'ADMIN').map(([key, value]) => (
-                  <label
-                    key={key}
-                    className={`
-                      flex items-center gap-3 p-4 rounded-xl border-2 cursor-pointer
-                      transition-all duration-200
-                      ${values.role === value 
-                        ? 'border-clinic-500 bg-clinic-50 ring-2 ring-clinic-500/20' 
-                        : 'border-slate-200 hover:border-slate-300'}
-                    `}
-                  >
-                    <input
-                      type="radio"
-                      name="role"
-                      value={value}
-                      checked={values.role === value}
-                      onChange={handleChange}
-                      className="sr-only"
-                    />
-                    <div className={`
-                      w-10 h-10 rounded-lg flex items-center justify-center
-                      ${values.role === value ? 'bg-clinic-500 text-white' : 'bg-slate-100 text-slate-500'}
-                    `}>
-                      {value === ROLES.CLINICIAN ? (
-                        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                            d="M5.121 17.804A13.937 13.937 0 0112 16c2.5 0 4.847.655 6.879 1.804M15 10a3 3 0 11-6 0 3 3 0 016 0zm6 2a9 9 0 11-18 0 9 9 0 0118 0z" />
-                        </svg>
-                      ) : (
-                        <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
-                          <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} 
-                            d="M20 7l-8-4-8 4m16 0l-8 4m8-4v10l-8 4m0-10L4 7m8 4v10M4 7v10l8 4" />
-                        </svg>
-                      )}
-                    </div>
-                    <div>
-                      <p className={`font-medium ${values.role === value ? 'text-clinic-700' : 'text-slate-700'}`}>
-                        {ROLE_LABELS[value]}
-                      </p>
-                    </div>
-                  </label>
-                ))}
+          ) : (
+            <form onSubmit={handleSubmit(onSubmit)} className="space-y-4">
+              {/* Full Name */}
+              <div className="input-group">
+                <label htmlFor="name" className="label">Full Name</label>
+                <input
+                  id="name"
+                  type="text"
+                  {...getFieldProps('name')}
+                  className={`input ${touched.name && errors.name ? 'input-error' : ''}`}
+                  placeholder="Enter your full name"
+                  autoComplete="name"
+                />
+                {touched.name && errors.name && (
+                  <p className="mt-1.5 text-sm text-red-600">{errors.name}</p>
+                )}
               </div>
-            </div>
-            
-            {/* Submit Button */}
-            <button
-              type="submit"
-              disabled={isLoading}
-              className="btn-primary w-full py-3 mt-6"
-            >
-              {isLoading ? (
-                <span className="flex items-center justify-center gap-2">
-                  <span className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
-                  Creating Account...
-                </span>
-              ) : 'Create Account'}
-            </button>
-          </form>
+              
+              {/* Username */}
+              <div className="input-group">
+                <label htmlFor="username" className="label">Username</label>
+                <input
+                  id="username"
+                  type="text"
+                  {...getFieldProps('username')}
+                  className={`input ${touched.username && errors.username ? 'input-error' : ''}`}
+                  placeholder="Choose a username"
+                  autoComplete="username"
+                />
+                {touched.username && errors.username && (
+                  <p className="mt-1.5 text-sm text-red-600">{errors.username}</p>
+                )}
+                <p className="mt-1 text-xs text-slate-400">Letters, numbers, and underscores only</p>
+              </div>
+              
+              {/* Password */}
+              <div className="input-group">
+                <label htmlFor="password" className="label">Password</label>
+                <input
+                  id="password"
+                  type="password"
+                  {...getFieldProps('password')}
+                  className={`input ${touched.password && errors.password ? 'input-error' : ''}`}
+                  placeholder="Create a password"
+                  autoComplete="new-password"
+                />
+                {touched.password && errors.password && (
+                  <p className="mt-1.5 text-sm text-red-600">{errors.password}</p>
+                )}
+                <ul className="mt-2 space-y-0.5">
+                  {PASSWORD_RULES.map(rule => {
+                    const met = rule.test(values.password, { username: values.username });
+                    return (
+                      <li key={rule.id} className={`text-xs ${met ? 'text-green-600' : 'text-slate-500'}`}>
+                        {met ? '✓' : '○'} {rule.label}
+                      </li>
+                    );
+                  })}
+                </ul>
+              </div>
+              
+              {/* Confirm Password */}
+              <div className="input-group">
+                <label htmlFor="confirmPassword" className="label">Confirm Password</label>
+                <input
+                  id="confirmPassword"
+                  type="password"
+                  {...getFieldProps('confirmPassword')}
+                  className={`input ${touched.confirmPassword && errors.confirmPassword ? 'input-error' : ''}`}
+                  placeholder="Confirm your password"
+                  autoComplete="new-password"
+                />
+                {touched.confirmPassword && errors.confirmPassword && (
+                  <p className="mt-1.5 text-sm text-red-600">{errors.confirmPassword}</p>
+                )}
+              </div>
+              
+              {/* Submit Button */}
+              <button
+                type="submit"
+                disabled={isLoading}
+                className="btn-primary w-full py-3 mt-6"
+              >
+                {isLoading ? (
+                  <span className="flex items-center justify-center gap-2">
+                    <span className="w-5 h-5 border-2 border-white/30 border-t-white rounded-full animate-spin" />
+                    Creating Account...
+                  </span>
+                ) : 'Create Account'}
+              </button>
+            </form>
+          )}
           
           {/* Sign In Link */}
           <p className="mt-6 text-center text-slate-500">
@@ -7,24 +7,32 @@
 
 import React, { useState, useMemo } from 'react';
 import { useLocalDB } from '../hooks/useLocalDB';
+import { useTransaction } from '../hooks/useTransaction';
+import { usePatientAccess } from '../hooks/usePatientAccess';
 import { useNotifications } from '../context/NotificationContext';
+import { useAuth } from '../context/AuthContext';
 import { 
   STORAGE_KEYS, 
   APPOINTMENT_STATUS,
   SERVICE_TYPES 
 } from '../utils/constants';
 import { formatTime, generateId } from '../utils/helpers';
+import { toActor } from '../db/history';
 import SearchInput from '../components/common/SearchInput';
 import Badge from '../components/common/Badge';
 import EmptyState from '../components/common/EmptyState';
 import Modal from '../components/common/Modal';
+import RestrictedPatient from '../components/patients/RestrictedPatient';
 
 function Triage() {
-  const { data: appointments, update: updateAppointment } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
+  const { data: appointments } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
   const { data: patients } = useLocalDB(STORAGE_KEYS.PATIENTS);
-  const { data: triageRecords, create: createTriage } = useLocalDB(STORAGE_KEYS.TRIAGE);
-  const { data: queue, create: addToQueue } = useLocalDB(STORAGE_KEYS.QUEUE);
+  const { data: triageRecords } = useLocalDB(STORAGE_KEYS.TRIAGE);
+  const { data: queue } = useLocalDB(STORAGE_KEYS.QUEUE);
+  const { runTransaction, isCommitting } = useTransaction();
   const { success, error: showError } = useNotifications();
+  const { user } = useAuth();
+  const { isMasked, displayName } = usePatientAccess();
   
   const [searchQuery, setSearchQuery] = useState('');
   const [selectedAppointment, setSelectedAppointment] = useState(null);
@@ -97,7 +105,7 @@ function Triage() {
   };
   
   // Handle triage submission
-  const handleSubmitTriage = () => {
+  const handleSubmitTriage = async () => {
     if (!selectedAppointment) return;
     
     // Validate required fields
@@ -106,30 +114,32 @@ function Triage() {
       return;
     }
     
-    try {
-      // Create triage record
-      const triageData = {
-        id: generateId('tr'),
-        appointmentId: selectedAppointment.id,
-        patientId: selectedAppointment.patientId,
-        ...triageForm,
-        bmi: calculateBMI(),
-        recordedAt: new Date().toISOString(),
-        recordedBy: 'Current User' // Would come from auth context
-      };
-      
-      createTriage(triageData);
+    // Create triage record
+    const triageData = {
+      id: generateId('tr'),
+      appointmentId: selectedAppointment.id,
+      patientId: selectedAppointment.patientId,
+      ...triageForm,
+      bmi: calculateBMI(),
+      recordedAt: new Date().toISOString(),
+      recordedBy: toActor(user)
+    };
+    
+    const queuePosition = queue.filter(q => !q.completed).length + 1;
+    
+    // Triage record, appointment status and queue entry are saved together
+    const result = await runTransaction((tx) => {
+      tx.create(STORAGE_KEYS.TRIAGE, triageData);
       
       // Update appointment status to IN_QUEUE (ready for consultation)
-      updateAppointment(selectedAppointment.id, {
+      tx.update(STORAGE_KEYS.APPOINTMENTS, selectedAppointment.id, {
         status: APPOINTMENT_STATUS.IN_QUEUE,
         triagedAt: new Date().toISOString(),
         triageId: triageData.id
       });
       
       // Add to queue
-      const queuePosition = queue.filter(q => !q.completed).length + 1;
-      addToQueue({
+      tx.create(STORAGE_KEYS.QUEUE, {
         id: generateId('q'),
         appointmentId: selectedAppointment.id,
         patientId: selectedAppointment.patientId,
@@ -139,30 +149,33 @@ function Triage() {
         addedAt: new Date().toISOString(),
         completed: false
       });
-      
-      success(
-        `${getPatient(selectedAppointment.patientId)?.name} triaged successfully`,
-        `Added to queue at position ${queuePosition}`
-      );
-      
-      // Reset form
-      setSelectedAppointment(null);
-      setTriageForm({
-        temperature: '',
-        bloodPressure: '',
-        pulse: '',
-        respiratoryRate: '',
-        oxygenSaturation: '',
-        weight: '',
-        height: '',
-        painLevel: '',
-        notes: '',
-        urgency: 'normal',
-        serviceType: 'general-consultation'
-      });
-    } catch (err) {
-      showError('Failed to save triage data');
+    });
+    
+    if (!result.success) {
+      showError('Failed to save triage data. No changes were made.');
+      return;
     }
+    
+    success(
+      `${displayName(getPatient(selectedAppointment.patientId))} triaged successfully`,
+      `Added to queue at position ${queuePosition}`
+    );
+    
+    // Reset form
+    setSelectedAppointment(null);
+    setTriageForm({
+      temperature: '',
+      bloodPressure: '',
+      pulse: '',
+      respiratoryRate: '',
+      oxygenSaturation: '',
+      weight: '',
+      height: '',
+      painLevel: '',
+      notes: '',
+      urgency: 'normal',
+      serviceType: 'general-consultation'
+    });
   };
   
   // Get urgency badge variant
@@ -238,11 +251,11 @@ function Triage() {
                       <div className="flex items-center gap-3">
                         <div className="w-10 h-10 rounded-full bg-teal-100 flex items-center justify-center">
                           <span className="font-semibold text-teal-600">
-                            {patient?.name?.charAt(0) || '?'}
+                            {displayName(patient)?.charAt(0) || '?'}
                           </span>
                         </div>
                         <div>
-                          <h3 className="font-medium text-slate-800">{patient?.name}</h3>
+                          <h3 className="font-medium text-slate-800">{displayName(patient)}</h3>
                           <p className="text-sm text-slate-500">
                             Waiting {waitTime} min
                           </p>
@@ -264,7 +277,7 @@ function Triage() {
           <div className="p-4 border-b border-slate-200">
             <h2 className="font-semibold text-slate-800">
               {selectedAppointment 
-                ? `Triage: ${getPatient(selectedAppointment.patientId)?.name}`
+                ? `Triage: ${displayName(getPatient(selectedAppointment.patientId))}`
                 : 'Select a Patient'
               }
             </h2>
@@ -277,6 +290,8 @@ function Triage() {
               </svg>
               <p>Select a patient from the waiting list to begin triage</p>
             </div>
+          ) : isMasked(getPatient(selectedAppointment.patientId)) ? (
+            <RestrictedPatient patient={getPatient(selectedAppointment.patientId)} compact />
           ) : (
             <div className="p-4 space-y-4 max-h-[500px] overflow-y-auto">
               {/* Vital Signs */}
@@ -451,6 +466,7 @@ function Triage() {
                 </button>
                 <button
                   onClick={handleSubmitTriage}
+                  disabled={isCommitting}
                   className="btn-primary flex-1"
                 >
                   Complete Triage & Add to Queue
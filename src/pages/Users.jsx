@@ -0,0 +1,479 @@
+/**
+ * Users Page
+ * 
+ * @description User account management for administrators
+ * @features
+ *   - Create accounts with a role and a temporary password
+ *   - Change roles (someone active can always manage users)
+ *   - Edit what each role may do, and add custom roles
+ *   - Deactivate and reactivate accounts
+ *   - Reset passwords, which also lifts a sign-in lockout
+ *   - Review what each user has recorded and changed
+ */
+
+import React, { useState } from 'react';
+import { useAuth } from '../context/AuthContext';
+import { useNotifications } from '../context/NotificationContext';
+import { ROLES } from '../utils/constants';
+import { PERMISSION_GROUPS } from '../utils/permissions';
+import { PASSWORD_RULES } from '../utils/passwords';
+import { formatDate } from '../utils/helpers';
+
+import Modal from '../components/common/Modal';
+import Badge from '../components/common/Badge';
+import ConfirmDialog from '../components/common/ConfirmDialog';
+import UserActivity from '../components/users/UserActivity';
+
+const EMPTY_USER = { name: '', username: '', role: ROLES.CLINICIAN, password: '' };
+const EMPTY_ROLE = { label: '', permissions: [] };
+
+/**
+ * Password policy checklist for a temporary password
+ */
+function PasswordRules({ password, username }) {
+  return (
+    <ul className="mt-2 space-y-0.5">
+      {PASSWORD_RULES.map(rule => {
+        const met = rule.test(password, { username });
+        return (
+          <li key={rule.id} className={`text-xs ${met ? 'text-green-600' : 'text-slate-500'}`}>
+            {met ? '✓' : '○'} {rule.label}
+          </li>
+        );
+      })}
+    </ul>
+  );
+}
+
+function Users() {
+  const {
+    user, users, roles, roleLabel,
+    createUser, updateUserRole, setUserActive, resetPassword, saveRole, deleteRole
+  } = useAuth();
+  const { success, error: showError } = useNotifications();
+  
+  const [isAddOpen, setIsAddOpen] = useState(false);
+  const [newUser, setNewUser] = useState(EMPTY_USER);
+  const [resetTarget, setResetTarget] = useState(null);
+  const [temporaryPassword, setTemporaryPassword] = useState('');
+  const [deactivateTarget, setDeactivateTarget] = useState(null);
+  const [activityTarget, setActivityTarget] = useState(null);
+  const [editingRole, setEditingRole] = useState(null);
+  const [deleteRoleTarget, setDeleteRoleTarget] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  
+  const activeCount = users.filter(u => u.active).length;
+  
+  const showResult = (result) => {
+    if (result.success) {
+      success(result.message);
+    } else {
+      showError(result.message);
+    }
+    return result.success;
+  };
+  
+  const handleNewUserChange = (field, value) => {
+    setNewUser(prev => ({ ...prev, [field]: value }));
+  };
+  
+  // Create account
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!/^[a-zA-Z0-9_]{3,20}$/.test(newUser.username)) {
+      showError('Usernames are 3-20 letters, numbers or underscores');
+      return;
+    }
+    if (newUser.name.trim().length < 2) {
+      showError('Enter the full name');
+      return;
+    }
+    
+    setIsSaving(true);
+    const result = await createUser({ ...newUser, name: newUser.name.trim() });
+    setIsSaving(false);
+    if (showResult(result)) {
+      setIsAddOpen(false);
+      setNewUser(EMPTY_USER);
+    }
+  };
+  
+  // Reset password
+  const handleReset = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    const result = await resetPassword(resetTarget.id, temporaryPassword);
+    setIsSaving(false);
+    if (showResult(result)) {
+      setResetTarget(null);
+      setTemporaryPassword('');
+    }
+  };
+  
+  // Role editor
+  const togglePermission = (permission) => {
+    setEditingRole(prev => ({
+      ...prev,
+      permissions: prev.permissions.includes(permission)
+        ? prev.permissions.filter(p => p !== permission)
+        : [...prev.permissions, permission]
+    }));
+  };
+  
+  const handleSaveRole = (e) => {
+    e.preventDefault();
+    if (showResult(saveRole(editingRole))) {
+      setEditingRole(null);
+    }
+  };
+  
+  const getStatusBadges = (account) => {
+    if (!account.active) return <Badge variant="neutral">Deactivated</Badge>;
+    return (
+      <div className="flex flex-wrap gap-1">
+        <Badge variant="success">Active</Badge>
+        {account.locked && <Badge variant="danger">Locked out</Badge>}
+        {account.mustChangePassword && <Badge variant="warning">Temporary password</Badge>}
+      </div>
+    );
+  };
+  
+  return (
+    <div className="space-y-6 animate-fade-in">
+      {/* Header */}
+      <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4">
+        <div>
+          <h1 className="text-2xl font-heading font-bold text-slate-800">Users</h1>
+          <p className="text-slate-500">{activeCount} active of {users.length} accounts</p>
+        </div>
+        <button onClick={() => setIsAddOpen(true)} className="btn-primary">
+          <svg className="w-5 h-5" fill="none" viewBox="0 0 24 24" stroke="currentColor">
+            <path strokeLinecap="round" strokeLinejoin="round" strokeWidth={2} d="M12 6v6m0 0v6m0-6h6m-6 0H6" />
+          </svg>
+          Add User
+        </button>
+      </div>
+      
+      {/* User List */}
+      <div className="card p-0 overflow-hidden">
+        <div className="table-container">
+          <table className="table">
+            <thead>
+              <tr>
+                <th>User</th>
+                <th>Role</th>
+                <th>Status</th>
+                <th>Created</th>
+                <th className="text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {users.map((account) => (
+                <tr key={account.id}>
+                  <td>
+                    <div>
+                      <p className="font-medium text-slate-800">
+                        {account.name}
+                        {account.id === user?.id && <span className="text-slate-400 font-normal"> (you)</span>}
+                      </p>
+                      <p className="text-xs text-slate-400">@{account.username}</p>
+                    </div>
+                  </td>
+                  <td>
+                    <select
+                      value={account.role}
+                      onChange={(e) => showResult(updateUserRole(account.id, e.target.value))}
+                      className="select w-44"
+                      aria-label={`Role of ${account.name}`}
+                    >
+                      {roles.map(role => (
+                        <option key={role.id} value={role.id}>{role.label}</option>
+                      ))}
+                    </select>
+                  </td>
+                  <td>{getStatusBadges(account)}</td>
+                  <td className="text-sm text-slate-600">
+                    {account.createdAt ? formatDate(account.createdAt) : '-'}
+                  </td>
+                  <td>
+                    <div className="flex justify-end gap-2">
+                      <button
+                        onClick={() => setActivityTarget(account)}
+                        className="btn-ghost text-sm"
+                      >
+                        Activity
+                      </button>
+                      <button
+                        onClick={() => setResetTarget(account)}
+                        className="btn-ghost text-sm"
+                      >
+                        Reset Password
+                      </button>
+                      {account.id !== user?.id && (
+                        account.active ? (
+                          <button
+                            onClick={() => setDeactivateTarget(account)}
+                            className="btn-ghost text-sm text-red-600"
+                          >
+                            Deactivate
+                          </button>
+                        ) : (
+                          <button
+                            onClick={() => showResult(setUserActive(account.id, true))}
+                            className="btn-ghost text-sm"
+                          >
+                            Reactivate
+                          </button>
+                        )
+                      )}
+                    </div>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </div>
+      
+      {/* Roles */}
+      <div className="card">
+        <div className="flex items-center justify-between mb-4">
+          <div>
+            <h2 className="text-lg font-heading font-semibold text-slate-800">Roles</h2>
+            <p className="text-sm text-slate-500">Each role is a set of permissions. Administrator always has all of them.</p>
+          </div>
+          <button onClick={() => setEditingRole(EMPTY_ROLE)} className="btn-secondary">
+            New Role
+          </button>
+        </div>
+        <div className="divide-y divide-slate-100">
+          {roles.map(role => {
+            const holders = users.filter(u => u.role === role.id).length;
+            return (
+              <div key={role.id} className="flex items-center justify-between py-3">
+                <div>
+                  <p className="font-medium text-slate-800">
+                    {role.label}
+                    {!role.builtIn && <span className="ml-2"><Badge variant="info">Custom</Badge></span>}
+                  </p>
+                  <p className="text-xs text-slate-500">
+                    {role.permissions.length} permission{role.permissions.length === 1 ? '' : 's'} · {holders} user{holders === 1 ? '' : 's'}
+                  </p>
+                </div>
+                {role.id !== ROLES.ADMIN && (
+                  <div className="flex gap-2">
+                    <button onClick={() => setEditingRole(role)} className="btn-ghost text-sm">
+                      Edit
+                    </button>
+                    {!role.builtIn && (
+                      <button onClick={() => setDeleteRoleTarget(role)} className="btn-ghost text-sm text-red-600">
+                        Delete
+                      </button>
+                    )}
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      </div>
+      
+      {/* Add User Modal */}
+      <Modal
+        isOpen={isAddOpen}
+        onClose={() => {
+          setIsAddOpen(false);
+          setNewUser(EMPTY_USER);
+        }}
+        title="Add User"
+        size="md"
+      >
+        <form onSubmit={handleCreate} className="space-y-4">
+          <div className="input-group">
+            <label htmlFor="newUserName" className="label">Full Name</label>
+            <input
+              id="newUserName"
+              type="text"
+              value={newUser.name}
+              onChange={(e) => handleNewUserChange('name', e.target.value)}
+              className="input"
+            />
+          </div>
+          <div className="grid grid-cols-1 sm:grid-cols-2 gap-4">
+            <div className="input-group">
+              <label htmlFor="newUserUsername" className="label">Username</label>
+              <input
+                id="newUserUsername"
+                type="text"
+                value={newUser.username}
+                onChange={(e) => handleNewUserChange('username', e.target.value)}
+                className="input"
+                autoComplete="off"
+              />
+            </div>
+            <div className="input-group">
+              <label htmlFor="newUserRole" className="label">Role</label>
+              <select
+                id="newUserRole"
+                value={newUser.role}
+                onChange={(e) => handleNewUserChange('role', e.target.value)}
+                className="select"
+              >
+                {roles.map(role => (
+                  <option key={role.id} value={role.id}>{role.label}</option>
+                ))}
+              </select>
+            </div>
+          </div>
+          <div className="input-group">
+            <label htmlFor="newUserPassword" className="label">Temporary Password</label>
+            <input
+              id="newUserPassword"
+              type="password"
+              value={newUser.password}
+              onChange={(e) => handleNewUserChange('password', e.target.value)}
+              className="input"
+              autoComplete="new-password"
+            />
+            <PasswordRules password={newUser.password} username={newUser.username} />
+            <p className="mt-1 text-xs text-slate-400">
+              Give it to the user in person; they choose their own password at first sign-in.
+            </p>
+          </div>
+          <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
+            <button type="button" onClick={() => setIsAddOpen(false)} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={isSaving} className="btn-primary">
+              {isSaving ? 'Creating...' : 'Create Account'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+      
+      {/* Reset Password Modal */}
+      <Modal
+        isOpen={!!resetTarget}
+        onClose={() => {
+          setResetTarget(null);
+          setTemporaryPassword('');
+        }}
+        title={`Reset Password - ${resetTarget?.name}`}
+        size="md"
+      >
+        <form onSubmit={handleReset} className="space-y-4">
+          <p className="text-sm text-slate-600">
+            {resetTarget?.name} signs in with this temporary password and must then choose a new one.
+            A sign-in lockout is lifted too.
+          </p>
+          <div className="input-group">
+            <label htmlFor="temporaryPassword" className="label">Temporary Password</label>
+            <input
+              id="temporaryPassword"
+              type="password"
+              value={temporaryPassword}
+              onChange={(e) => setTemporaryPassword(e.target.value)}
+              className="input"
+              autoComplete="new-password"
+            />
+            <PasswordRules password={temporaryPassword} username={resetTarget?.username} />
+          </div>
+          <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
+            <button type="button" onClick={() => setResetTarget(null)} className="btn-secondary">
+              Cancel
+            </button>
+            <button type="submit" disabled={isSaving || !temporaryPassword} className="btn-primary">
+              {isSaving ? 'Saving...' : 'Reset Password'}
+            </button>
+          </div>
+        </form>
+      </Modal>
+      
+      {/* Role Editor Modal */}
+      <Modal
+        isOpen={!!editingRole}
+        onClose={() => setEditingRole(null)}
+        title={editingRole?.id ? `Edit Role - ${roleLabel(editingRole.id)}` : 'New Role'}
+        size="lg"
+      >
+        {editingRole && (
+          <form onSubmit={handleSaveRole} className="space-y-4">
+            {!editingRole.builtIn && (
+              <div className="input-group">
+                <label htmlFor="roleLabel" className="label">Role Name</label>
+                <input
+                  id="roleLabel"
+                  type="text"
+                  value={editingRole.label}
+                  onChange={(e) => setEditingRole(prev => ({ ...prev, label: e.target.value }))}
+                  className="input"
+                />
+              </div>
+            )}
+            {PERMISSION_GROUPS.map(group => (
+              <fieldset key={group.label}>
+                <legend className="label">{group.label}</legend>
+                <div className="space-y-1.5">
+                  {group.permissions.map(permission => (
+                    <label key={permission.id} className="flex items-start gap-2 text-sm text-slate-700">
+                      <input
+                        type="checkbox"
+                        checked={editingRole.permissions.includes(permission.id)}
+                        onChange={() => togglePermission(permission.id)}
+                        className="mt-0.5"
+                      />
+                      <span>
+                        {permission.label}
+                        <span className="ml-1 text-xs text-slate-400">{permission.id}</span>
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </fieldset>
+            ))}
+            <div className="flex justify-end gap-3 pt-4 border-t border-slate-100">
+              <button type="button" onClick={() => setEditingRole(null)} className="btn-secondary">
+                Cancel
+              </button>
+              <button type="submit" className="btn-primary">
+                Save Role
+              </button>
+            </div>
+          </form>
+        )}
+      </Modal>
+      
+      {/* Delete Role Confirmation */}
+      <ConfirmDialog
+        isOpen={!!deleteRoleTarget}
+        onClose={() => setDeleteRoleTarget(null)}
+        onConfirm={() => showResult(deleteRole(deleteRoleTarget.id))}
+        title="Delete Role"
+        message={`Delete the ${deleteRoleTarget?.label} role? Only roles nobody has can be deleted.`}
+        confirmText="Delete"
+      />
+      
+      {/* Activity Modal */}
+      <Modal
+        isOpen={!!activityTarget}
+        onClose={() => setActivityTarget(null)}
+        title={`Activity - ${activityTarget?.name}`}
+        size="lg"
+      >
+        {activityTarget && <UserActivity userId={activityTarget.id} />}
+      </Modal>
+      
+      {/* Deactivate Confirmation */}
+      <ConfirmDialog
+        isOpen={!!deactivateTarget}
+        onClose={() => setDeactivateTarget(null)}
+        onConfirm={() => showResult(setUserActive(deactivateTarget.id, false))}
+        title="Deactivate Account"
+        message={`${deactivateTarget?.name} will be signed out and can no longer sign in. Their records stay, and the account can be reactivated later.`}
+        confirmText="Deactivate"
+      />
+    </div>
+  );
+}
+
+export default Users;
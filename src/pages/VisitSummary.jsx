@@ -5,27 +5,39 @@
  * @workflow Final view showing all visit data
  */
 
-import React, { useMemo } from 'react';
+import React, { useMemo, useCallback } from 'react';
 import { useParams, useNavigate, Link } from 'react-router-dom';
 import { useLocalDB } from '../hooks/useLocalDB';
+import { useCollection } from '../hooks/useCollection';
+import { useChartAccess } from '../hooks/useChartAccess';
 import { 
   STORAGE_KEYS, 
   APPOINTMENT_STATUS_LABELS,
   APPOINTMENT_STATUS_COLORS
 } from '../utils/constants';
 import { formatDate, formatTime } from '../utils/helpers';
+import { actorName } from '../db/history';
+import { ACCESS_VIEWS } from '../db/accessLog';
 import Badge from '../components/common/Badge';
+import LoadingSpinner from '../components/common/LoadingSpinner';
+import RestrictedPatient from '../components/patients/RestrictedPatient';
 
 function VisitSummary() {
   const { appointmentId } = useParams();
   const navigate = useNavigate();
   
-  const { data: appointments } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
+  const { data: appointments, isLoading } = useLocalDB(STORAGE_KEYS.APPOINTMENTS);
   const { data: patients } = useLocalDB(STORAGE_KEYS.PATIENTS);
-  const { data: triageRecords } = useLocalDB(STORAGE_KEYS.TRIAGE);
-  const { data: consultations } = useLocalDB(STORAGE_KEYS.CONSULTATIONS);
-  const { data: prescriptions } = useLocalDB(STORAGE_KEYS.PRESCRIPTIONS);
-  const { data: labOrders } = useLocalDB(STORAGE_KEYS.LAB_ORDERS);
+  
+  // Only this visit's records; writes to other visits don't re-render
+  const selectForVisit = useCallback(
+    (records) => records.find(r => r.appointmentId === appointmentId),
+    [appointmentId]
+  );
+  const triage = useCollection(STORAGE_KEYS.TRIAGE, selectForVisit);
+  const consultation = useCollection(STORAGE_KEYS.CONSULTATIONS, selectForVisit);
+  const prescription = useCollection(STORAGE_KEYS.PRESCRIPTIONS, selectForVisit);
+  const labOrder = useCollection(STORAGE_KEYS.LAB_ORDERS, selectForVisit);
   
   // Get all visit data
   const visitData = useMemo(() => {
@@ -33,20 +45,23 @@ function VisitSummary() {
     if (!appointment) return null;
     
     const patient = patients.find(p => p.id === appointment.patientId);
-    const triage = triageRecords.find(t => t.appointmentId === appointmentId);
-    const consultation = consultations.find(c => c.appointmentId === appointmentId);
-    const prescription = prescriptions.find(rx => rx.appointmentId === appointmentId);
-    const labOrder = labOrders.find(l => l.appointmentId === appointmentId);
     
-    return {
-      appointment,
-      patient,
-      triage,
-      consultation,
-      prescription,
-      labOrder
-    };
-  }, [appointmentId, appointments, patients, triageRecords, consultations, prescriptions, labOrders]);
+    return { appointment, patient };
+  }, [appointmentId, appointments, patients]);
+  
+  const masked = useChartAccess({
+    view: ACCESS_VIEWS.VISIT_SUMMARY,
+    patient: visitData?.patient,
+    appointmentId
+  });
+  
+  if (isLoading) {
+    return (
+      <div className="card p-12">
+        <LoadingSpinner text="Loading visit..." />
+      </div>
+    );
+  }
   
   if (!visitData) {
     return (
@@ -63,7 +78,15 @@ function VisitSummary() {
     );
   }
   
-  const { appointment, patient, triage, consultation, prescription, labOrder } = visitData;
+  const { appointment, patient } = visitData;
+  
+  if (masked) {
+    return (
+      <div className="max-w-4xl mx-auto">
+        <RestrictedPatient patient={patient} />
+      </div>
+    );
+  }
   
   // Print summary
   const handlePrint = () => {
@@ -301,6 +324,11 @@ function VisitSummary() {
                     {med.instructions && (
                       <p className="text-orange-600">Instructions: {med.instructions}</p>
                     )}
+                    {med.allergyOverride && (
+                      <p className="text-red-600">
+                        Allergy override ({med.allergyOverride.allergies.join(', ')}): {med.allergyOverride.reason}
+                      </p>
+                    )}
                   </div>
                 </div>
               ))}
@@ -309,6 +337,7 @@ function VisitSummary() {
             {prescription.dispensedAt && (
               <p className="text-sm text-slate-500 mt-4">
                 Dispensed on: {formatDate(prescription.dispensedAt)} at {formatTime(prescription.dispensedAt)}
+                {prescription.dispensedBy && ` by ${actorName(prescription.dispensedBy)}`}
               </p>
             )}
           </div>
@@ -325,6 +354,7 @@ function VisitSummary() {
             {appointment.checkedInAt && (
               <TimelineItem
                 time={appointment.checkedInAt}
+                by={appointment.checkedInBy}
                 title="Checked In"
                 icon="check"
                 color="green"
@@ -333,6 +363,7 @@ function VisitSummary() {
             {triage?.recordedAt && (
               <TimelineItem
                 time={triage.recordedAt}
+                by={triage.recordedBy}
                 title="Triage Completed"
                 icon="vitals"
                 color="teal"
@@ -341,6 +372,7 @@ function VisitSummary() {
             {appointment.calledAt && (
               <TimelineItem
                 time={appointment.calledAt}
+                by={appointment.calledBy}
                 title="Called for Consultation"
                 icon="call"
                 color="yellow"
@@ -349,6 +381,7 @@ function VisitSummary() {
             {consultation?.completedAt && (
               <TimelineItem
                 time={consultation.completedAt}
+                by={consultation.completedBy}
                 title="Consultation Completed"
                 icon="document"
                 color="purple"
@@ -357,6 +390,7 @@ function VisitSummary() {
             {labOrder?.completedAt && (
               <TimelineItem
                 time={labOrder.completedAt}
+                by={labOrder.completedBy}
                 title="Lab Tests Completed"
                 icon="lab"
                 color="indigo"
@@ -365,6 +399,7 @@ function VisitSummary() {
             {prescription?.dispensedAt && (
               <TimelineItem
                 time={prescription.dispensedAt}
+                by={prescription.dispensedBy}
                 title="Medications Dispensed"
                 icon="pharmacy"
                 color="orange"
@@ -387,7 +422,7 @@ function VisitSummary() {
 }
 
 // Timeline Item Component
-function TimelineItem({ time, title, icon, color, isLast = false }) {
+function TimelineItem({ time, by, title, icon, color, isLast = false }) {
   const colorClasses = {
     green: 'bg-green-100 text-green-600',
     teal: 'bg-teal-100 text-teal-600',
@@ -410,7 +445,10 @@ function TimelineItem({ time, title, icon, color, isLast = false }) {
       </div>
       <div className="pb-4">
         <p className="font-medium text-slate-800">{title}</p>
-        <p className="text-sm text-slate-500">{formatTime(time)}</p>
+        <p className="text-sm text-slate-500">
+          {formatTime(time)}
+          {by && ` · ${actorName(by)}`}
+        </p>
       </div>
     </div>
   );
@@ -3,6 +3,8 @@
  */
 
 import '@testing-library/jest-dom';
+// In-memory IndexedDB for the storage layer (must load before localforage)
+import 'fake-indexeddb/auto';
 
 // Mock localStorage
 const localStorageMock = {
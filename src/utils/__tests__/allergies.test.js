@@ -0,0 +1,133 @@
+/**
+ * Allergies Tests
+ * 
+ * @description Unit tests for allergy entries and the drug-allergy check
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  parseAllergies,
+  formatAllergies,
+  combineAllergies,
+  checkAllergies,
+  isHardStop,
+  unresolvedAllergyConflicts,
+  overrideReasonError,
+  ALLERGY_SEVERITY
+} from '../allergies';
+import { drugClassesOf } from '../drugClasses';
+import { COMMON_MEDICATIONS } from '../constants';
+
+const amoxicillin = COMMON_MEDICATIONS.find(med => med.name.startsWith('Amoxicillin'));
+
+describe('parseAllergies', () => {
+  it('should read free text from older records as entries of unknown severity', () => {
+    expect(parseAllergies('Penicillin, Latex; peanuts')).toEqual([
+      { substance: 'Penicillin', reaction: '', severity: ALLERGY_SEVERITY.UNKNOWN },
+      { substance: 'Latex', reaction: '', severity: ALLERGY_SEVERITY.UNKNOWN },
+      { substance: 'peanuts', reaction: '', severity: ALLERGY_SEVERITY.UNKNOWN }
+    ]);
+    expect(parseAllergies(undefined)).toEqual([]);
+  });
+  
+  it('should drop entries without a substance', () => {
+    expect(parseAllergies([
+      { substance: ' Sulfa ', reaction: 'Rash', severity: 'moderate' },
+      { substance: '', reaction: '', severity: 'mild' }
+    ])).toEqual([{ substance: 'Sulfa', reaction: 'Rash', severity: 'moderate' }]);
+  });
+  
+  it('should format entries with their severity and reaction', () => {
+    expect(formatAllergies([
+      { substance: 'Penicillin', reaction: 'anaphylaxis', severity: 'severe' },
+      { substance: 'Latex', reaction: '', severity: 'unknown' }
+    ])).toBe('Penicillin (severe: anaphylaxis), Latex');
+  });
+});
+
+describe('combineAllergies', () => {
+  it('should keep each substance once, with its most severe entry', () => {
+    const combined = combineAllergies(
+      [{ substance: 'Penicillin', reaction: 'Rash', severity: 'mild' }],
+      [{ substance: 'penicillin', reaction: 'Anaphylaxis', severity: 'severe' }, { substance: 'Latex' }]
+    );
+    
+    expect(combined.map(a => [a.substance, a.severity])).toEqual([
+      ['penicillin', 'severe'],
+      ['Latex', 'unknown']
+    ]);
+  });
+});
+
+describe('checkAllergies', () => {
+  it('should map common medications to their drug class', () => {
+    expect(drugClassesOf(amoxicillin)).toEqual(['penicillin']);
+    expect(drugClassesOf({ name: 'Ceftriaxone 1g' })).toEqual(['cephalosporin']);
+    expect(drugClassesOf({ name: 'ORS Sachets' })).toEqual([]);
+  });
+  
+  it('should catch a drug in the class the patient is allergic to', () => {
+    const [conflict] = checkAllergies(amoxicillin, 'Penicillin');
+    
+    expect(conflict).toMatchObject({ drugClass: 'penicillin', crossReactive: false, blocking: false });
+  });
+  
+  it('should stop a drug the patient is severely allergic to', () => {
+    const conflicts = checkAllergies(amoxicillin, [{ substance: 'Penicillin', severity: 'severe' }]);
+    
+    expect(isHardStop(conflicts)).toBe(true);
+  });
+  
+  it('should warn about cross-reactions without stopping them', () => {
+    const conflicts = checkAllergies({ name: 'Cefuroxime 250mg' }, [{ substance: 'Penicillin', severity: 'severe' }]);
+    
+    expect(conflicts).toEqual([expect.objectContaining({ crossReactive: true, blocking: false })]);
+  });
+  
+  it('should match an allergy naming a drug outside any class', () => {
+    const conflicts = checkAllergies({ name: 'Albendazole 400mg' }, 'albendazole');
+    
+    expect(conflicts).toEqual([expect.objectContaining({ drugClass: null })]);
+  });
+  
+  it('should ignore unrelated allergies', () => {
+    expect(checkAllergies(amoxicillin, 'Peanuts, Latex, Sulfa')).toEqual([]);
+  });
+});
+
+describe('unresolvedAllergyConflicts', () => {
+  const override = (allergies) => ({ allergies, reason: 'Tolerated a full course last year' });
+  
+  it('should let through overridden conflicts and drugs without any', () => {
+    const medications = [
+      { ...amoxicillin, allergyOverride: override(['Penicillin']) },
+      { name: 'Paracetamol 500mg' }
+    ];
+    
+    expect(unresolvedAllergyConflicts(medications, 'Penicillin')).toEqual([]);
+  });
+  
+  it('should hold back drugs overridden for other allergies, or not at all', () => {
+    const medications = [
+      { ...amoxicillin, allergyOverride: override(['Latex']) },
+      { name: 'Cefuroxime 250mg' }
+    ];
+    
+    const unresolved = unresolvedAllergyConflicts(medications, 'Penicillin');
+    
+    expect(unresolved.map(({ medication }) => medication.name)).toEqual([amoxicillin.name, 'Cefuroxime 250mg']);
+  });
+  
+  it('should hold back a severe allergy even with an override', () => {
+    const medications = [{ ...amoxicillin, allergyOverride: override(['Penicillin']) }];
+    
+    expect(unresolvedAllergyConflicts(medications, [{ substance: 'Penicillin', severity: 'severe' }])).toHaveLength(1);
+  });
+});
+
+describe('overrideReasonError', () => {
+  it('should need a real reason', () => {
+    expect(overrideReasonError('  ok  ')).not.toBeNull();
+    expect(overrideReasonError('Tolerated a full course last year')).toBeNull();
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Dosing Tests
+ * 
+ * @description Unit tests for weight-based dose suggestions and dose checks
+ */
+
+import { describe, it, expect } from 'vitest';
+import { format, subYears } from 'date-fns';
+import {
+  patientDosingInfo,
+  suggestDose,
+  checkDose,
+  parseDoseMg,
+  findDosingRule,
+  DOSE_ISSUES
+} from '../dosing';
+import { COMMON_MEDICATIONS } from '../constants';
+
+const formulary = (prefix) => COMMON_MEDICATIONS.find(med => med.name.startsWith(prefix));
+const child = { weightKg: 12, ageMonths: 30 };
+const adult = { weightKg: 70, ageMonths: 480 };
+
+describe('patientDosingInfo', () => {
+  it('should take the triage weight and the age in months', () => {
+    const dob = format(subYears(new Date(), 3), 'yyyy-MM-dd');
+    
+    expect(patientDosingInfo({ dob }, { weight: '14.5' })).toEqual({ weightKg: 14.5, ageMonths: 36 });
+    expect(patientDosingInfo({ dob: '' }, { weight: '' })).toEqual({ weightKg: null, ageMonths: null });
+  });
+});
+
+describe('suggestDose', () => {
+  it('should work out mg/kg doses, rounded and capped at the maximum', () => {
+    expect(suggestDose({ name: 'Paracetamol 120mg/5ml' }, child)).toMatchObject({
+      mg: 180,
+      dose: '180 mg (7.5 ml)',
+      range: { minMg: 120, maxMg: 180 }
+    });
+    expect(suggestDose(formulary('Ibuprofen'), { weightKg: 38, ageMonths: 130 }).mg).toBe(380);
+    expect(suggestDose(formulary('Ibuprofen'), { weightKg: 45, ageMonths: 140 }).mg).toBe(400);
+  });
+  
+  it('should use weight bands, in tablets where the rule counts them', () => {
+    const coartem = formulary('Artemether');
+    
+    expect(suggestDose(coartem, child).dose).toBe('1 tablet');
+    expect(suggestDose(coartem, { weightKg: 15, ageMonths: 60 }).dose).toBe('2 tablets');
+    expect(suggestDose(coartem, adult).dose).toBe('4 tablets');
+    expect(suggestDose(formulary('Omeprazole'), child).dose).toBe('10 mg');
+  });
+  
+  it('should only dose adults by weight for drugs banded at all ages', () => {
+    expect(suggestDose(formulary('Paracetamol'), adult)).toBeNull();
+    expect(suggestDose(formulary('Paracetamol'), { weightKg: 20, ageMonths: null }).mg).toBe(300);
+    expect(suggestDose(formulary('Vitamin C'), child)).toBeNull();
+  });
+  
+  it('should not suggest a dose without a weight or below the minimum age and weight', () => {
+    expect(suggestDose(formulary('Amoxicillin'), { weightKg: null, ageMonths: 30 }).issues)
+      .toEqual([expect.objectContaining({ type: DOSE_ISSUES.NO_WEIGHT })]);
+    
+    const infant = suggestDose(formulary('Ibuprofen'), { weightKg: 4, ageMonths: 2 });
+    expect(infant.dose).toBeNull();
+    expect(infant.issues.map(i => i.type)).toEqual([DOSE_ISSUES.TOO_YOUNG, DOSE_ISSUES.TOO_LIGHT]);
+  });
+});
+
+describe('parseDoseMg', () => {
+  it('should read mg, ml and tablet doses', () => {
+    const syrup = { name: 'Paracetamol 120mg/5ml' };
+    const tablets = formulary('Paracetamol');
+    
+    expect(parseDoseMg('250 mg', syrup)).toEqual({ minMg: 250, maxMg: 250 });
+    expect(parseDoseMg('7.5ml', syrup)).toEqual({ minMg: 180, maxMg: 180 });
+    expect(parseDoseMg('1-2 tablets', tablets)).toEqual({ minMg: 500, maxMg: 1000 });
+    expect(parseDoseMg('2 tabs', formulary('Artemether'), findDosingRule(formulary('Artemether'))))
+      .toEqual({ minMg: 40, maxMg: 40 });
+    expect(parseDoseMg('As per weight', formulary('Artemether'))).toBeNull();
+    expect(parseDoseMg('5 ml', tablets)).toBeNull();
+  });
+});
+
+describe('checkDose', () => {
+  it('should flag typed doses outside the range for the weight', () => {
+    expect(checkDose({ ...formulary('Paracetamol'), dosage: '1-2 tablets' }, child))
+      .toEqual([{ type: DOSE_ISSUES.TOO_HIGH, message: 'Above the 180 mg maximum for 12 kg' }]);
+    expect(checkDose({ ...formulary('Amoxicillin'), dosage: '100 mg' }, child).map(i => i.type))
+      .toEqual([DOSE_ISSUES.TOO_LOW]);
+    expect(checkDose({ ...formulary('Artemether'), dosage: '3 tablets' }, child).map(i => i.type))
+      .toEqual([DOSE_ISSUES.TOO_HIGH]);
+  });
+  
+  it('should accept doses in range, within the rounding margin, or that it can\'t read', () => {
+    expect(checkDose({ name: 'Paracetamol 120mg/5ml', dosage: '7.5 ml' }, child)).toEqual([]);
+    expect(checkDose({ name: 'Ibuprofen 100mg/5ml', dosage: '6.5 ml' }, child)).toEqual([]);
+    expect(checkDose({ ...formulary('Artemether'), dosage: 'As per weight' }, child)).toEqual([]);
+    expect(checkDose({ ...formulary('Paracetamol'), dosage: '1-2 tablets' }, adult)).toEqual([]);
+  });
+  
+  it('should carry the problems that stop a suggestion', () => {
+    expect(checkDose({ ...formulary('Ibuprofen'), dosage: '20 mg' }, { weightKg: 4, ageMonths: 2 }).map(i => i.type))
+      .toEqual([DOSE_ISSUES.TOO_YOUNG, DOSE_ISSUES.TOO_LIGHT]);
+  });
+});
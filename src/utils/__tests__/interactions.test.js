@@ -0,0 +1,114 @@
+/**
+ * Interactions Tests
+ * 
+ * @description Unit tests for drug-drug interaction and duplicate therapy checks
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  checkInteractions,
+  interactionsWith,
+  highestSeverity,
+  summarizeAlerts,
+  ALERT_TYPES,
+  INTERACTION_SEVERITY
+} from '../interactions';
+import { classesIn } from '../drugClasses';
+import { COMMON_MEDICATIONS } from '../constants';
+
+const formulary = (prefix) => COMMON_MEDICATIONS.find(med => med.name.startsWith(prefix));
+const ibuprofen = formulary('Ibuprofen');
+const paracetamol = formulary('Paracetamol');
+const ciprofloxacin = formulary('Ciprofloxacin');
+
+describe('checkInteractions', () => {
+  it('should flag two drugs of the same class as duplicate therapy', () => {
+    const alerts = checkInteractions([ibuprofen, { name: 'Diclofenac 50mg' }]);
+    
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      type: ALERT_TYPES.DUPLICATE,
+      severity: INTERACTION_SEVERITY.MODERATE,
+      drugs: ['Ibuprofen 400mg', 'Diclofenac 50mg'],
+      drugClass: 'nsaid'
+    });
+  });
+  
+  it('should flag the same drug prescribed twice', () => {
+    const alerts = checkInteractions([{ name: 'Salbutamol inhaler' }, { name: 'Salbutamol 4mg tablets' }]);
+    
+    expect(alerts).toEqual([expect.objectContaining({ type: ALERT_TYPES.DUPLICATE, severity: INTERACTION_SEVERITY.MODERATE })]);
+  });
+  
+  it('should find interactions between classes, including custom medications', () => {
+    expect(checkInteractions([ibuprofen, { name: 'Warfarin 5mg' }])[0]).toMatchObject({
+      type: ALERT_TYPES.INTERACTION,
+      severity: INTERACTION_SEVERITY.MAJOR
+    });
+    expect(checkInteractions([{ name: 'Zinc sulfate 20mg' }, ciprofloxacin])[0]).toMatchObject({
+      type: ALERT_TYPES.INTERACTION,
+      severity: INTERACTION_SEVERITY.MODERATE,
+      drugs: ['Zinc sulfate 20mg', 'Ciprofloxacin 500mg']
+    });
+    expect(checkInteractions([{ name: 'Co-trimoxazole 960mg' }, { name: 'Methotrexate 2.5mg' }])[0].severity)
+      .toBe(INTERACTION_SEVERITY.CONTRAINDICATED);
+  });
+  
+  it('should not flag unrelated drugs or two mineral supplements', () => {
+    expect(checkInteractions(COMMON_MEDICATIONS.filter(med => !med.drugClass))).toEqual([]);
+    expect(checkInteractions([paracetamol, formulary('Amoxicillin'), formulary('Omeprazole')])).toEqual([]);
+    expect(checkInteractions([{ name: 'Ferrous sulfate 200mg' }, { name: 'Calcium carbonate 500mg' }])).toEqual([]);
+  });
+  
+  it('should list the most serious alerts first', () => {
+    const alerts = checkInteractions([
+      paracetamol,
+      { name: 'Warfarin 5mg' },
+      ibuprofen,
+      { name: 'Diclofenac 50mg' }
+    ]);
+    
+    expect(alerts.map(a => a.severity)).toEqual([
+      INTERACTION_SEVERITY.MAJOR,
+      INTERACTION_SEVERITY.MAJOR,
+      INTERACTION_SEVERITY.MODERATE,
+      INTERACTION_SEVERITY.MINOR
+    ]);
+  });
+});
+
+describe('interactionsWith', () => {
+  it('should only report alerts involving the new medication', () => {
+    const prescribed = [ibuprofen, { name: 'Diclofenac 50mg' }, paracetamol];
+    const alerts = interactionsWith({ name: 'Panadol Extra' }, prescribed);
+    
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({
+      type: ALERT_TYPES.DUPLICATE,
+      severity: INTERACTION_SEVERITY.MAJOR,
+      drugs: ['Panadol Extra', 'Paracetamol 500mg']
+    });
+    expect(interactionsWith(paracetamol, [])).toEqual([]);
+  });
+});
+
+describe('highestSeverity and summarizeAlerts', () => {
+  it('should pick the worst severity and keep a short record of each alert', () => {
+    const alerts = checkInteractions([paracetamol, { name: 'Warfarin 5mg' }, ibuprofen]);
+    
+    expect(highestSeverity(alerts)).toBe(INTERACTION_SEVERITY.MAJOR);
+    expect(highestSeverity([])).toBeNull();
+    expect(summarizeAlerts(alerts)[0]).toEqual({
+      type: ALERT_TYPES.INTERACTION,
+      severity: INTERACTION_SEVERITY.MAJOR,
+      drugs: ['Warfarin 5mg', 'Ibuprofen 400mg']
+    });
+  });
+});
+
+describe('classesIn', () => {
+  it('should not take sulfate salts for sulfonamides', () => {
+    expect(classesIn('Ferrous sulfate 200mg')).toEqual(['mineral']);
+    expect(classesIn('Sulfamethoxazole')).toEqual(['sulfonamide']);
+  });
+});
@@ -0,0 +1,68 @@
+/**
+ * Password Utilities Tests
+ * 
+ * @description Unit tests for password hashing, the password policy and lockout
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  hashPassword,
+  verifyPassword,
+  passwordPolicyErrors,
+  lockoutRemaining,
+  failedLoginUpdate,
+  MAX_FAILED_LOGINS,
+  LOCKOUT_MINUTES
+} from '../passwords';
+
+describe('password hashing', () => {
+  it('should verify the right password and reject a wrong one', async () => {
+    const stored = await hashPassword('clinic2025pass');
+    
+    expect(JSON.stringify(stored)).not.toContain('clinic2025pass');
+    expect(await verifyPassword('clinic2025pass', stored)).toBe(true);
+    expect(await verifyPassword('clinic2025Pass', stored)).toBe(false);
+  });
+  
+  it('should salt every hash', async () => {
+    const [a, b] = [await hashPassword('clinic2025pass'), await hashPassword('clinic2025pass')];
+    
+    expect(a.salt).not.toBe(b.salt);
+    expect(a.hash).not.toBe(b.hash);
+  });
+});
+
+describe('passwordPolicyErrors', () => {
+  it('should list every rule a password breaks', () => {
+    expect(passwordPolicyErrors('short')).toEqual([
+      'At least 10 characters',
+      'At least one number'
+    ]);
+    expect(passwordPolicyErrors('amina2025xyz', { username: 'Amina' })).toEqual([
+      'Does not contain the username'
+    ]);
+    expect(passwordPolicyErrors('ward-round-42', { username: 'amina' })).toEqual([]);
+  });
+});
+
+describe('sign-in lockout', () => {
+  const now = Date.parse('2025-06-01T08:00:00Z');
+  
+  it('should lock the account after too many failed attempts', () => {
+    let user = {};
+    for (let i = 0; i < MAX_FAILED_LOGINS - 1; i++) {
+      user = { ...user, ...failedLoginUpdate(user, now) };
+      expect(user.lockedUntil).toBeNull();
+    }
+    user = { ...user, ...failedLoginUpdate(user, now) };
+    
+    expect(lockoutRemaining(user, now)).toBe(LOCKOUT_MINUTES * 60000);
+    expect(lockoutRemaining(user, now + LOCKOUT_MINUTES * 60000)).toBe(0);
+  });
+  
+  it('should start counting again once a lockout has run out', () => {
+    const user = { failedLogins: MAX_FAILED_LOGINS, lockedUntil: new Date(now - 1000).toISOString() };
+    
+    expect(failedLoginUpdate(user, now)).toEqual({ failedLogins: 1, lockedUntil: null });
+  });
+});
@@ -0,0 +1,131 @@
+/**
+ * Patient Identity Tests
+ * 
+ * @description Unit tests for MRNs, duplicate detection and merge rules
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  formatMrn,
+  parseMrn,
+  isValidMrn,
+  normalizeMrnPrefix,
+  nameSimilarity,
+  findDuplicates,
+  mergedFields,
+  DUPLICATE_REASONS
+} from '../patientIdentity';
+
+describe('MRNs', () => {
+  it('should pad the sequence and append a check digit', () => {
+    expect(formatMrn('MRN', 1)).toBe('MRN-0000018');
+    expect(formatMrn('cc', 42)).toBe('CC-0000422');
+    expect(parseMrn('mrn-0000018')).toEqual({ prefix: 'MRN', device: null, sequence: 1 });
+    expect(parseMrn(formatMrn('MRN', 1234567))).toEqual({ prefix: 'MRN', device: null, sequence: 1234567 });
+  });
+  
+  it('should put the device code in the number and its check digit', () => {
+    expect(formatMrn('MRN', 1, '1001')).toBe('MRN-1001-0000015');
+    expect(parseMrn('mrn-1001-0000015')).toEqual({ prefix: 'MRN', device: '1001', sequence: 1 });
+    // Same sequence from another device
+    expect(formatMrn('MRN', 1, '2002')).not.toBe(formatMrn('MRN', 1, '1001'));
+    expect(isValidMrn('MRN-2002-0000015')).toBe(false);
+  });
+  
+  it('should reject a mistyped number', () => {
+    expect(isValidMrn('MRN-0000018')).toBe(true);
+    expect(isValidMrn('MRN-0000019')).toBe(false);
+    // Two neighbouring digits swapped
+    expect(isValidMrn('MRN-0000108')).toBe(false);
+    expect(isValidMrn('0000018')).toBe(false);
+  });
+  
+  it('should clean up prefixes', () => {
+    expect(normalizeMrnPrefix(' st-luke\'s ')).toBe('STLUKE');
+    expect(normalizeMrnPrefix('')).toBe('');
+  });
+});
+
+describe('nameSimilarity', () => {
+  it('should ignore case, accents, punctuation and word order', () => {
+    expect(nameSimilarity('José  García', 'garcia, jose')).toBe(1);
+  });
+  
+  it('should score small spelling differences highly and different names low', () => {
+    expect(nameSimilarity('Jon Smith', 'John Smith')).toBeGreaterThanOrEqual(0.8);
+    expect(nameSimilarity('Mohammed Ali', 'Muhammad Ali')).toBeGreaterThanOrEqual(0.8);
+    expect(nameSimilarity('Jane Doe', 'Peter Okafor')).toBeLessThan(0.5);
+  });
+});
+
+describe('findDuplicates', () => {
+  const patients = [
+    { id: 'p1', name: 'Grace Adeyemi', dob: '1990-04-12', contact: '+234 803 555 0101' },
+    { id: 'p2', name: 'Grace Adeyemi', dob: '1975-01-01', contact: '0700 000 000' },
+    { id: 'p3', name: 'Tunde Adeyemi', dob: '1990-04-12', contact: '08035550101' },
+    { id: 'p4', name: 'Someone Else', nationalId: 'A123-456' }
+  ];
+  
+  it('should need a similar name and another match', () => {
+    const matches = findDuplicates({ name: 'Grace Adeyemy', dob: '1990-04-12', contact: '0803 555 0101' }, patients);
+    
+    expect(matches.map(m => m.patient.id)).toEqual(['p1']);
+    expect(matches[0].reasons).toEqual([DUPLICATE_REASONS.NAME, DUPLICATE_REASONS.DOB, DUPLICATE_REASONS.PHONE]);
+  });
+  
+  it('should treat a matching national ID as enough on its own', () => {
+    const matches = findDuplicates({ name: 'S. Else', nationalId: 'a123 456' }, patients);
+    
+    expect(matches.map(m => m.patient.id)).toEqual(['p4']);
+  });
+  
+  it('should leave out the record being checked', () => {
+    expect(findDuplicates(patients[0], patients, { excludeId: 'p1' })).toEqual([]);
+  });
+});
+
+describe('mergedFields', () => {
+  const survivor = {
+    id: 'p1',
+    name: 'Grace Adeyemi',
+    dob: '1990-04-12',
+    contact: '',
+    allergies: [
+      { substance: 'Penicillin', reaction: 'Rash', severity: 'moderate' },
+      { substance: 'Latex', reaction: '', severity: 'mild' }
+    ],
+    visits: [{ date: '2025-03-01' }]
+  };
+  const duplicate = {
+    id: 'p2',
+    name: 'Grace Adeyemy',
+    dob: '1990-04-12',
+    contact: '0803 555 0101',
+    // Recorded before allergies were structured
+    allergies: 'latex; Peanuts',
+    medicalHistory: 'Asthma',
+    visits: [{ date: '2025-01-15' }],
+    restricted: true,
+    assignedClinicians: ['u1']
+  };
+  
+  it('should keep the survivor\'s details, filling gaps from the duplicate', () => {
+    const fields = mergedFields(survivor, duplicate);
+    
+    expect(fields).toMatchObject({ name: 'Grace Adeyemi', contact: '0803 555 0101' });
+    expect(mergedFields(survivor, duplicate, { name: 'duplicate' }).name).toBe('Grace Adeyemy');
+  });
+  
+  it('should keep allergies, history and visits from both', () => {
+    const fields = mergedFields(survivor, duplicate);
+    
+    expect(fields.allergies.map(a => a.substance)).toEqual(['Penicillin', 'Latex', 'Peanuts']);
+    expect(fields.medicalHistory).toBe('Asthma');
+    expect(fields.visits.map(v => v.date)).toEqual(['2025-01-15', '2025-03-01']);
+  });
+  
+  it('should keep the chart restricted if either record was', () => {
+    expect(mergedFields(survivor, duplicate)).toMatchObject({ restricted: true, assignedClinicians: ['u1'] });
+    expect(mergedFields(survivor, { ...duplicate, restricted: false })).not.toHaveProperty('restricted');
+  });
+});
@@ -0,0 +1,91 @@
+/**
+ * Patient Search Tests
+ * 
+ * @description Unit tests for fuzzy, ranked patient search
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  phoneticCode,
+  queryTokens,
+  createPatientIndex,
+  searchPatients,
+  MATCH_FIELDS
+} from '../patientSearch';
+
+const patients = [
+  { id: 'p1', name: 'Chukwuemeka Obi', mrn: 'MRN-0000018', dob: '1990-04-12', contact: '+234 803 555 0101' },
+  { id: 'p2', name: 'Mary-Jane Okafor', mrn: 'MRN-0000026', dob: '1985-11-03', contact: '0700 123 4567', nationalId: 'A123-456' },
+  { id: 'p3', name: 'Catherine Mensah', mrn: 'MRN-0000034', dob: '1990-07-01', contact: '0244 987 654' },
+  { id: 'p4', name: 'Muhammad Bello', mrn: 'MRN-0000042', dob: '2001-02-20', contact: '', mergedRecords: [{ id: 'p9', mrn: 'MRN-0000091' }] },
+  { id: 'p5', name: 'Obiageli Eze', mrn: 'MRN-0000059', dob: '1990-04-12' }
+];
+
+const index = createPatientIndex(patients);
+const ids = (query) => searchPatients(index, query).map(result => result.patient.id);
+
+describe('phoneticCode', () => {
+  it('should code names that sound alike the same way', () => {
+    expect(phoneticCode('chukwuemeka')).toBe(phoneticCode('chukuemeka'));
+    expect(phoneticCode('catherine')).toBe(phoneticCode('katherine'));
+    expect(phoneticCode('muhammad')).toBe(phoneticCode('mohammed'));
+    expect(phoneticCode('obi')).not.toBe(phoneticCode('eze'));
+  });
+});
+
+describe('queryTokens', () => {
+  it('should keep a phone number typed with spaces as one word', () => {
+    expect(queryTokens('+234 (803) 555-0101')).toEqual(['2348035550101']);
+    expect(queryTokens('12/04/1990')).toEqual(['12/04/1990']);
+  });
+  
+  it('should split names at punctuation', () => {
+    expect(queryTokens('Mary-Jane, Okafor')).toEqual(['mary', 'jane', 'okafor']);
+  });
+});
+
+describe('searchPatients', () => {
+  it('should forgive typos and spelling variants in names', () => {
+    expect(ids('Chukuemeka')).toEqual(['p1']);
+    expect(ids('Katherine')).toEqual(['p3']);
+    expect(ids('mohammed')).toEqual(['p4']);
+    expect(ids('okafr')).toEqual(['p2']);
+  });
+  
+  it('should match phone numbers however they are typed', () => {
+    expect(ids('08035550101')).toEqual(['p1']);
+    expect(ids('+234-803-555-0101')).toEqual(['p1']);
+    expect(ids('0244 987')).toEqual(['p3']);
+  });
+  
+  it('should match current and former MRNs and ID numbers', () => {
+    expect(ids('mrn-0000034')).toEqual(['p3']);
+    expect(ids('MRN-0000091')).toEqual(['p4']);
+    expect(ids('a123456')).toEqual(['p2']);
+  });
+  
+  it('should match dates of birth in either order', () => {
+    expect(ids('1990-04-12')).toEqual(['p1', 'p5']);
+    expect(ids('12/04/1990')).toEqual(['p1', 'p5']);
+  });
+  
+  it('should need every word to match', () => {
+    const [result] = searchPatients(index, 'obi 1990-04-12');
+    
+    expect(ids('obi 1990-04-12')).toEqual(['p1', 'p5']);
+    expect(result.matchedOn).toEqual([MATCH_FIELDS.NAME, MATCH_FIELDS.DOB]);
+    expect(ids('obi 0700')).toEqual([]);
+  });
+  
+  it('should rank exact matches above near ones', () => {
+    const results = searchPatients(index, 'obi');
+    
+    expect(results.map(r => r.patient.id)).toEqual(['p1', 'p5']);
+    expect(results[0].score).toBeGreaterThan(results[1].score);
+  });
+  
+  it('should return nothing for an empty query and respect the limit', () => {
+    expect(searchPatients(index, '  ')).toEqual([]);
+    expect(searchPatients(index, '1990', { limit: 1 })).toHaveLength(1);
+  });
+});
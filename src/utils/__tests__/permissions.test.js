@@ -0,0 +1,57 @@
+/**
+ * Permissions Tests
+ * 
+ * @description Unit tests for role resolution and permission checks
+ */
+
+import { describe, it, expect } from 'vitest';
+import { PERMISSIONS, resolveRoles, roleHasPermission, normalizePermissions } from '../permissions';
+import { ROLES } from '../constants';
+
+describe('resolveRoles', () => {
+  it('should give built-in roles their default permissions until changed', () => {
+    const roles = resolveRoles();
+    
+    expect(roleHasPermission(roles, ROLES.RECEPTIONIST, PERMISSIONS.PATIENTS_REGISTER)).toBe(true);
+    expect(roleHasPermission(roles, ROLES.RECEPTIONIST, PERMISSIONS.PATIENTS_READ)).toBe(false);
+    
+    const changed = resolveRoles([{ id: ROLES.RECEPTIONIST, label: 'Receptionist', permissions: [PERMISSIONS.PATIENTS_READ] }]);
+    expect(roleHasPermission(changed, ROLES.RECEPTIONIST, PERMISSIONS.PATIENTS_READ)).toBe(true);
+    expect(roleHasPermission(changed, ROLES.RECEPTIONIST, PERMISSIONS.PATIENTS_REGISTER)).toBe(false);
+  });
+  
+  it('should always give the administrator every permission', () => {
+    const roles = resolveRoles([{ id: ROLES.ADMIN, label: 'Administrator', permissions: [] }]);
+    
+    Object.values(PERMISSIONS).forEach(permission => {
+      expect(roleHasPermission(roles, ROLES.ADMIN, permission)).toBe(true);
+    });
+  });
+  
+  it('should add custom roles after the built-in ones', () => {
+    const roles = resolveRoles([{ id: 'role_1', label: 'Midwife', permissions: [PERMISSIONS.TRIAGE_WRITE] }]);
+    
+    expect(roles[roles.length - 1]).toMatchObject({ id: 'role_1', label: 'Midwife', builtIn: false });
+    expect(roleHasPermission(roles, 'role_1', PERMISSIONS.TRIAGE_WRITE)).toBe(true);
+  });
+});
+
+describe('roleHasPermission', () => {
+  it('should accept any one of several permissions', () => {
+    const roles = resolveRoles();
+    
+    expect(roleHasPermission(roles, ROLES.RECEPTIONIST, [PERMISSIONS.PATIENTS_READ, PERMISSIONS.PATIENTS_REGISTER])).toBe(true);
+    expect(roleHasPermission(roles, ROLES.LAB_TECHNICIAN, [PERMISSIONS.PATIENTS_READ, PERMISSIONS.PATIENTS_REGISTER])).toBe(false);
+  });
+  
+  it('should grant nothing to an unknown role', () => {
+    expect(roleHasPermission(resolveRoles(), 'retired_role', PERMISSIONS.QUEUE_READ)).toBe(false);
+  });
+});
+
+describe('normalizePermissions', () => {
+  it('should drop unknown names and duplicates', () => {
+    expect(normalizePermissions(['lab.read', 'made.up', 'patients.read', 'lab.read']))
+      .toEqual([PERMISSIONS.PATIENTS_READ, PERMISSIONS.LAB_READ]);
+  });
+});
@@ -0,0 +1,40 @@
+/**
+ * Restricted Charts Tests
+ * 
+ * @description Unit tests for who may see a restricted patient's chart
+ */
+
+import { describe, it, expect } from 'vitest';
+import { canViewPatient, maskName, justificationError } from '../restrictions';
+
+const ASSIGNED = { id: 'u1', name: 'Dr. Ada' };
+const OTHER = { id: 'u2', name: 'Nurse Joy' };
+
+describe('canViewPatient', () => {
+  it('should let anyone see a chart that is not restricted', () => {
+    expect(canViewPatient({ id: 'p1', name: 'Jane Doe' }, OTHER)).toBe(true);
+  });
+  
+  it('should only let assigned clinicians, or someone who broke the glass, see a restricted chart', () => {
+    const patient = { id: 'p1', name: 'Jane Doe', restricted: true, assignedClinicians: ['u1'] };
+    
+    expect(canViewPatient(patient, ASSIGNED)).toBe(true);
+    expect(canViewPatient(patient, OTHER)).toBe(false);
+    expect(canViewPatient(patient, OTHER, new Set(['p1']))).toBe(true);
+    expect(canViewPatient(patient, null)).toBe(false);
+  });
+});
+
+describe('maskName', () => {
+  it('should keep only initials', () => {
+    expect(maskName('Jane  Doe')).toBe('J*** D***');
+    expect(maskName('')).toBe('Restricted patient');
+  });
+});
+
+describe('justificationError', () => {
+  it('should ask for a real reason', () => {
+    expect(justificationError('   because ')).toMatch(/at least/);
+    expect(justificationError('Emergency, assigned doctor off duty')).toBeNull();
+  });
+});
@@ -0,0 +1,47 @@
+/**
+ * Session Utilities Tests
+ * 
+ * @description Unit tests for idle lock and expiry decisions
+ */
+
+import { describe, it, expect } from 'vitest';
+import { sessionStatus, sessionSettingsError, SESSION_STATES } from '../session';
+
+const NOW = new Date('2025-06-01T12:00:00Z').getTime();
+const SETTINGS = { lockAfterMinutes: 5, expireAfterMinutes: 60 };
+
+const idleFor = minutes => ({
+  lastActiveAt: new Date(NOW - minutes * 60000).toISOString(),
+  locked: false,
+  pinAttempts: 0
+});
+
+describe('sessionStatus', () => {
+  it('should lock after the lock timeout and expire after the expiry timeout', () => {
+    expect(sessionStatus(idleFor(4), SETTINGS, NOW)).toBe(SESSION_STATES.ACTIVE);
+    expect(sessionStatus(idleFor(5), SETTINGS, NOW)).toBe(SESSION_STATES.LOCKED);
+    expect(sessionStatus(idleFor(60), SETTINGS, NOW)).toBe(SESSION_STATES.EXPIRED);
+  });
+  
+  it('should stay locked once locked, until it expires', () => {
+    const state = { ...idleFor(1), locked: true };
+    
+    expect(sessionStatus(state, SETTINGS, NOW)).toBe(SESSION_STATES.LOCKED);
+    expect(sessionStatus({ ...idleFor(61), locked: true }, SETTINGS, NOW)).toBe(SESSION_STATES.EXPIRED);
+  });
+  
+  it('should treat a timeout of 0 as never', () => {
+    const never = { lockAfterMinutes: 0, expireAfterMinutes: 0 };
+    
+    expect(sessionStatus(idleFor(24 * 60), never, NOW)).toBe(SESSION_STATES.ACTIVE);
+  });
+});
+
+describe('sessionSettingsError', () => {
+  it('should require the session to expire after it locks', () => {
+    expect(sessionSettingsError({ lockAfterMinutes: 5, expireAfterMinutes: 60 })).toBeNull();
+    expect(sessionSettingsError({ lockAfterMinutes: 30, expireAfterMinutes: 30 })).toMatch(/later/);
+    expect(sessionSettingsError({ lockAfterMinutes: 0, expireAfterMinutes: 30 })).toBeNull();
+    expect(sessionSettingsError({ lockAfterMinutes: 2.5, expireAfterMinutes: 30 })).toMatch(/whole/);
+  });
+});
@@ -0,0 +1,183 @@
+/**
+ * Allergies
+ * 
+ * @description Structured allergy entries on the patient record and the
+ * drug-allergy check run when a medication is prescribed
+ * @features
+ *   - Entries are { substance, reaction, severity }; older records hold free
+ *     text ("Penicillin, Latex"), which is read as entries of unknown severity
+ *   - Drugs and recorded allergies are mapped to drug classes (see
+ *     drugClasses.js), so an allergy to penicillin also matches Amoxicillin
+ *   - Penicillins and cephalosporins cross-react
+ *   - A severe allergy to the drug or its class stops the prescription;
+ *     anything else needs a reason to go ahead
+ *   - The whole prescription is checked again when it is saved
+ * 
+ * @example
+ *   const conflicts = checkAllergies({ name: 'Amoxicillin 500mg' }, patient.allergies);
+ *   if (isHardStop(conflicts)) { ... } else if (conflicts.length > 0) { ... }
+ */
+
+import { DRUG_CLASSES, classesIn, drugClassesOf } from './drugClasses';
+
+// Shortest reason accepted for prescribing despite an allergy
+export const MIN_OVERRIDE_REASON_LENGTH = 10;
+
+export const ALLERGY_SEVERITY = {
+  MILD: 'mild',
+  MODERATE: 'moderate',
+  SEVERE: 'severe',
+  UNKNOWN: 'unknown'
+};
+
+export const ALLERGY_SEVERITY_OPTIONS = [
+  { value: ALLERGY_SEVERITY.MILD, label: 'Mild' },
+  { value: ALLERGY_SEVERITY.MODERATE, label: 'Moderate' },
+  { value: ALLERGY_SEVERITY.SEVERE, label: 'Severe' },
+  { value: ALLERGY_SEVERITY.UNKNOWN, label: 'Unknown' }
+];
+
+export const ALLERGY_SEVERITY_LABELS = Object.fromEntries(
+  ALLERGY_SEVERITY_OPTIONS.map(option => [option.value, option.label])
+);
+
+// Order used when two entries for the same substance are combined
+const SEVERITY_RANK = {
+  [ALLERGY_SEVERITY.UNKNOWN]: 0,
+  [ALLERGY_SEVERITY.MILD]: 1,
+  [ALLERGY_SEVERITY.MODERATE]: 2,
+  [ALLERGY_SEVERITY.SEVERE]: 3
+};
+
+const clean = (value) => String(value || '').trim();
+
+/**
+ * Allergy entries of a patient, whatever form they were stored in
+ * @param {Array|string} value - Patient's `allergies` (entries or legacy free text)
+ * @returns {Array} Entries ({ substance, reaction, severity })
+ */
+export function parseAllergies(value) {
+  if (Array.isArray(value)) {
+    return value
+      .filter(entry => clean(entry?.substance))
+      .map(entry => ({
+        substance: clean(entry.substance),
+        reaction: clean(entry.reaction),
+        severity: ALLERGY_SEVERITY_OPTIONS.some(o => o.value === entry.severity)
+          ? entry.severity
+          : ALLERGY_SEVERITY.UNKNOWN
+      }));
+  }
+  return String(value || '')
+    .split(/[,;\n]+/)
+    .map(clean)
+    .filter(Boolean)
+    .map(substance => ({ substance, reaction: '', severity: ALLERGY_SEVERITY.UNKNOWN }));
+}
+
+/**
+ * One allergy as text
+ * @param {Object} entry - Allergy entry
+ * @returns {string} e.g. "Penicillin (severe: anaphylaxis)"
+ */
+export function formatAllergy({ substance, reaction, severity }) {
+  const details = [severity !== ALLERGY_SEVERITY.UNKNOWN && severity, reaction].filter(Boolean).join(': ');
+  return details ? `${substance} (${details})` : substance;
+}
+
+/**
+ * A patient's allergies as text
+ * @param {Array|string} value - Patient's `allergies`
+ * @returns {string} Comma-separated allergies, '' if none
+ */
+export const formatAllergies = (value) => parseAllergies(value).map(formatAllergy).join(', ');
+
+/**
+ * Allergies from two records, each substance once. Where both list it, the
+ * more severe entry is kept.
+ * @param {Array|string} a - First record's allergies
+ * @param {Array|string} b - Second record's allergies
+ * @returns {Array} Entries
+ */
+export function combineAllergies(a, b) {
+  const bySubstance = new Map();
+  [...parseAllergies(a), ...parseAllergies(b)].forEach(entry => {
+    const key = entry.substance.toLowerCase();
+    const existing = bySubstance.get(key);
+    if (!existing || SEVERITY_RANK[entry.severity] > SEVERITY_RANK[existing.severity]) {
+      bySubstance.set(key, entry);
+    }
+  });
+  return [...bySubstance.values()];
+}
+
+/**
+ * Recorded allergies that a medication may set off
+ * @param {Object} medication - { name, drugClass? }
+ * @param {Array|string} allergies - Patient's `allergies`
+ * @returns {Array} Conflicts ({ allergy, drugClass, crossReactive, blocking }); drugClass is
+ *   null when the allergy names the drug itself. Blocking conflicts can't be overridden.
+ */
+export function checkAllergies(medication, allergies) {
+  const name = clean(medication?.name).toLowerCase();
+  const drugClasses = drugClassesOf(medication);
+  const conflicts = [];
+  
+  parseAllergies(allergies).forEach(allergy => {
+    const substance = allergy.substance.toLowerCase();
+    const allergyClasses = classesIn(substance);
+    const isSevere = allergy.severity === ALLERGY_SEVERITY.SEVERE;
+    
+    const direct = drugClasses.find(key => allergyClasses.includes(key));
+    if (direct || (substance.length >= 4 && name.includes(substance))) {
+      conflicts.push({ allergy, drugClass: direct || null, crossReactive: false, blocking: isSevere });
+      return;
+    }
+    
+    const related = drugClasses.find(key => (DRUG_CLASSES[key]?.crossReacts || [])
+      .some(other => allergyClasses.includes(other)));
+    if (related) {
+      conflicts.push({ allergy, drugClass: related, crossReactive: true, blocking: false });
+    }
+  });
+  
+  return conflicts;
+}
+
+/**
+ * Whether any conflict stops the prescription outright
+ * @param {Array} conflicts - From checkAllergies
+ * @returns {boolean} Whether one does
+ */
+export const isHardStop = (conflicts) => conflicts.some(conflict => conflict.blocking);
+
+/**
+ * Medications that still clash with a patient's allergies: the conflict
+ * stops them outright, or no override names every allergy they set off.
+ * Run again when a prescription is saved, in case it was put together for
+ * someone else or the allergies have changed since.
+ * @param {Array} medications - Medications, with any allergyOverride
+ * @param {Array|string} allergies - Patient's `allergies`
+ * @returns {Array} [{ medication, conflicts }]
+ */
+export function unresolvedAllergyConflicts(medications, allergies) {
+  return medications
+    .map(medication => ({ medication, conflicts: checkAllergies(medication, allergies) }))
+    .filter(({ medication, conflicts }) => {
+      if (conflicts.length === 0) return false;
+      const overridden = medication.allergyOverride?.allergies || [];
+      return isHardStop(conflicts) || conflicts.some(c => !overridden.includes(c.allergy.substance));
+    });
+}
+
+/**
+ * Check a reason for prescribing despite an allergy
+ * @param {string} reason - Reason given
+ * @returns {string|null} Problem, or null if it is acceptable
+ */
+export function overrideReasonError(reason) {
+  if (clean(reason).length < MIN_OVERRIDE_REASON_LENGTH) {
+    return `Please explain why this patient should still get it (at least ${MIN_OVERRIDE_REASON_LENGTH} characters)`;
+  }
+  return null;
+}
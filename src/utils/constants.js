@@ -16,19 +16,35 @@ export const STORAGE_KEYS = {
   QUEUE: 'cliniccare_queue',
   CONSULTATIONS: 'cliniccare_consultations',
   PRESCRIPTIONS: 'cliniccare_prescriptions',
-  LAB_ORDERS: 'cliniccare_lab_orders'
+  LAB_ORDERS: 'cliniccare_lab_orders',
+  HISTORY: 'cliniccare_history',
+  OUTBOX: 'cliniccare_outbox',
+  MERGE_REPORTS: 'cliniccare_merge_reports',
+  ACCESS_LOG: 'cliniccare_access_log'
 };
 
+// Keys AuthContext keeps in localStorage (session + accounts); every other
+// storage key is an IndexedDB store
+export const AUTH_KEYS = [STORAGE_KEYS.USER, STORAGE_KEYS.USERS];
+
 // User Roles
 export const ROLES = {
   ADMIN: 'admin',
   CLINICIAN: 'clinician',
+  NURSE: 'nurse',
+  LAB_TECHNICIAN: 'lab_technician',
+  PHARMACIST: 'pharmacist',
+  RECEPTIONIST: 'receptionist',
   INVENTORY_MANAGER: 'inventory_manager'
 };
 
 export const ROLE_LABELS = {
   [ROLES.ADMIN]: 'Administrator',
   [ROLES.CLINICIAN]: 'Clinician',
+  [ROLES.NURSE]: 'Nurse',
+  [ROLES.LAB_TECHNICIAN]: 'Lab Technician',
+  [ROLES.PHARMACIST]: 'Pharmacist',
+  [ROLES.RECEPTIONIST]: 'Receptionist',
   [ROLES.INVENTORY_MANAGER]: 'Inventory Manager'
 };
 
@@ -117,21 +133,23 @@ export const COMMON_DIAGNOSES = [
   { code: 'K52.9', name: 'Colitis' }
 ];
 
-// Common Medications
+// Common Medications. drugClass is checked against the patient's allergies
+// and other medications (see utils/drugClasses.js).
 export const COMMON_MEDICATIONS = [
-  { name: 'Paracetamol 500mg', dosage: '1-2 tablets', frequency: '3 times daily' },
-  { name: 'Ibuprofen 400mg', dosage: '1 tablet', frequency: '3 times daily' },
-  { name: 'Amoxicillin 500mg', dosage: '1 capsule', frequency: '3 times daily' },
-  { name: 'Artemether-Lumefantrine', dosage: 'As per weight', frequency: 'Twice daily x 3 days' },
-  { name: 'Metformin 500mg', dosage: '1 tablet', frequency: 'Twice daily' },
-  { name: 'Omeprazole 20mg', dosage: '1 capsule', frequency: 'Once daily' },
-  { name: 'Ciprofloxacin 500mg', dosage: '1 tablet', frequency: 'Twice daily' },
-  { name: 'Metronidazole 400mg', dosage: '1 tablet', frequency: '3 times daily' },
+  { name: 'Paracetamol 500mg', dosage: '1-2 tablets', frequency: '3 times daily', drugClass: 'paracetamol' },
+  { name: 'Ibuprofen 400mg', dosage: '1 tablet', frequency: '3 times daily', drugClass: 'nsaid' },
+  { name: 'Amoxicillin 500mg', dosage: '1 capsule', frequency: '3 times daily', drugClass: 'penicillin' },
+  { name: 'Artemether-Lumefantrine', dosage: 'As per weight', frequency: 'Twice daily x 3 days', drugClass: 'artemisinin' },
+  { name: 'Metformin 500mg', dosage: '1 tablet', frequency: 'Twice daily', drugClass: 'biguanide' },
+  { name: 'Omeprazole 20mg', dosage: '1 capsule', frequency: 'Once daily', drugClass: 'ppi' },
+  { name: 'Ciprofloxacin 500mg', dosage: '1 tablet', frequency: 'Twice daily', drugClass: 'fluoroquinolone' },
+  { name: 'Metronidazole 400mg', dosage: '1 tablet', frequency: '3 times daily', drugClass: 'nitroimidazole' },
   { name: 'ORS Sachets', dosage: '1 sachet in 1L water', frequency: 'As needed' },
   { name: 'Vitamin C 1000mg', dosage: '1 tablet', frequency: 'Once daily' }
 ];
 
-// Lab Test Types
+// Lab Test Types. Opening a chart with a sensitive test in it is flagged
+// in the chart access log.
 export const LAB_TESTS = [
   { code: 'CBC', name: 'Complete Blood Count' },
   { code: 'MP', name: 'Malaria Parasite Test' },
@@ -141,10 +159,10 @@ export const LAB_TESTS = [
   { code: 'LFT', name: 'Liver Function Test' },
   { code: 'RFT', name: 'Renal Function Test' },
   { code: 'LIPID', name: 'Lipid Profile' },
-  { code: 'HIV', name: 'HIV Screening' },
-  { code: 'HBsAg', name: 'Hepatitis B Surface Antigen' },
+  { code: 'HIV', name: 'HIV Screening', sensitive: true },
+  { code: 'HBsAg', name: 'Hepatitis B Surface Antigen', sensitive: true },
   { code: 'WD', name: 'Widal Test' },
-  { code: 'PREG', name: 'Pregnancy Test' }
+  { code: 'PREG', name: 'Pregnancy Test', sensitive: true }
 ];
 
 // Gender Options
@@ -214,6 +232,7 @@ export const DEFAULT_SETTINGS = {
   clinicName: 'ClinicCare Lite',
   clinicContact: '',
   clinicAddress: '',
+  mrnPrefix: 'MRN',
   theme: 'light',
   language: 'en'
 };
@@ -226,87 +245,96 @@ export const DATE_FORMATS = {
   time: 'h:mm a'
 };
 
-// Navigation Items
+// Navigation Items. `permission` (one, or several of which any is enough)
+// decides who sees an item; sections show when any of their items does.
 export const NAV_ITEMS = [
   {
     path: '/dashboard',
     label: 'Dashboard',
-    icon: 'dashboard',
-    roles: ['admin', 'clinician', 'inventory_manager']
+    icon: 'dashboard'
   },
   {
     path: '/patients',
     label: 'Patients',
     icon: 'patients',
-    roles: ['admin', 'clinician']
+    permission: ['patients.read', 'patients.register']
   },
   {
     path: '/appointments',
     label: 'Appointments',
     icon: 'appointments',
-    roles: ['admin', 'clinician']
+    permission: 'appointments.read'
   },
   {
-    section: 'Clinic Workflow',
-    roles: ['admin', 'clinician']
+    section: 'Clinic Workflow'
   },
   {
     path: '/check-in',
     label: 'Check-In',
     icon: 'checkin',
-    roles: ['admin', 'clinician']
+    permission: 'checkin.write'
   },
   {
     path: '/triage',
     label: 'Triage',
     icon: 'triage',
-    roles: ['admin', 'clinician']
+    permission: 'triage.write'
   },
   {
     path: '/queue',
     label: 'Queue',
     icon: 'queue',
-    roles: ['admin', 'clinician']
+    permission: 'queue.read'
   },
   {
     path: '/consultation',
     label: 'Consultation',
     icon: 'consultation',
-    roles: ['admin', 'clinician']
+    permission: 'consultation.write'
   },
   {
     path: '/pharmacy',
     label: 'Pharmacy',
     icon: 'pharmacy',
-    roles: ['admin', 'clinician', 'inventory_manager']
+    permission: 'prescriptions.dispense'
   },
   {
     path: '/lab',
     label: 'Lab',
     icon: 'lab',
-    roles: ['admin', 'clinician']
+    permission: 'lab.read'
   },
   {
-    section: 'Management',
-    roles: ['admin', 'clinician', 'inventory_manager']
+    section: 'Management'
   },
   {
     path: '/inventory',
     label: 'Inventory',
     icon: 'inventory',
-    roles: ['admin', 'clinician', 'inventory_manager']
+    permission: 'inventory.read'
   },
   {
     path: '/analytics',
     label: 'Analytics',
     icon: 'analytics',
-    roles: ['admin', 'clinician', 'inventory_manager']
+    permission: 'analytics.read'
+  },
+  {
+    path: '/users',
+    label: 'Users',
+    icon: 'users',
+    permission: 'users.manage'
+  },
+  {
+    path: '/access-log',
+    label: 'Access Log',
+    icon: 'accessLog',
+    permission: 'audit.read'
   },
   {
     path: '/settings',
     label: 'Settings',
-    icon: 'settings',
-    roles: ['admin', 'clinician', 'inventory_manager']
+    icon: 'settings'
   }
 ];
 
@@ -0,0 +1,266 @@
+/**
+ * Dosing
+ * 
+ * @description Weight-based dose rules for formulary drugs. Turns the weight
+ * recorded at triage, and the patient's age, into a suggested dose per
+ * administration and flags typed doses outside the safe range.
+ * @features
+ *   - mg/kg rules (with a maximum single dose) and weight-band rules
+ *   - Rules apply to children; weight-band rules marked allAges apply to anyone
+ *   - Minimum age and weight for each drug
+ *   - Doses typed as mg, ml (when the name gives mg/ml) or tablets are checked,
+ *     with a margin for rounding to something that can be measured
+ * 
+ * @example
+ *   const patient = patientDosingInfo(patient, triage);   // { weightKg: 12, ageMonths: 30 }
+ *   suggestDose({ name: 'Paracetamol 120mg/5ml' }, patient).dose;   // '180 mg (7.5 ml)'
+ *   checkDose({ name: 'Paracetamol 120mg/5ml', dosage: '10 ml' }, patient);
+ *   // [{ type: 'too_high', message: 'Above the 180 mg maximum for 12 kg' }]
+ */
+
+import { calculateAgeInMonths } from './helpers';
+
+// Children are dosed by weight up to their 12th birthday (or, without a
+// date of birth, below 40 kg)
+export const PEDIATRIC_AGE_MONTHS = 144;
+export const PEDIATRIC_WEIGHT_KG = 40;
+
+// Typed doses may be this far outside the range (rounding to a measurable amount)
+export const DOSE_TOLERANCE = 0.1;
+
+export const DOSE_ISSUES = {
+  TOO_HIGH: 'too_high',
+  TOO_LOW: 'too_low',
+  TOO_YOUNG: 'too_young',
+  TOO_LIGHT: 'too_light',
+  NO_WEIGHT: 'no_weight'
+};
+
+/**
+ * Dose rules by drug. mgPerKg is per dose; maxDoseMg caps a single dose.
+ * Weight bands run from minKg up to (not including) maxKg.
+ */
+export const DOSING_RULES = [
+  {
+    drug: 'Paracetamol',
+    terms: ['paracetamol', 'acetaminophen', 'panadol'],
+    mgPerKg: { min: 10, usual: 15, max: 15 },
+    maxDoseMg: 1000
+  },
+  {
+    drug: 'Ibuprofen',
+    terms: ['ibuprofen'],
+    mgPerKg: { min: 5, usual: 10, max: 10 },
+    maxDoseMg: 400,
+    minAgeMonths: 3,
+    minWeightKg: 5
+  },
+  {
+    drug: 'Amoxicillin',
+    terms: ['amoxicillin'],
+    mgPerKg: { min: 15, usual: 25, max: 30 },
+    maxDoseMg: 1000
+  },
+  {
+    drug: 'Artemether-Lumefantrine',
+    terms: ['artemether', 'lumefantrine', 'coartem'],
+    // Dispersible or standard 20/120 mg tablets, counted by artemether
+    unit: { name: 'tablet', mg: 20 },
+    bands: [
+      { minKg: 5, maxKg: 15, mg: 20 },
+      { minKg: 15, maxKg: 25, mg: 40 },
+      { minKg: 25, maxKg: 35, mg: 60 },
+      { minKg: 35, maxKg: null, mg: 80 }
+    ],
+    minWeightKg: 5,
+    allAges: true
+  },
+  {
+    drug: 'Omeprazole',
+    terms: ['omeprazole'],
+    bands: [
+      { minKg: 5, maxKg: 10, mg: 5 },
+      { minKg: 10, maxKg: 20, mg: 10 },
+      { minKg: 20, maxKg: null, mg: 20 }
+    ],
+    minWeightKg: 5
+  },
+  {
+    drug: 'Ciprofloxacin',
+    terms: ['ciprofloxacin'],
+    mgPerKg: { min: 10, usual: 15, max: 20 },
+    maxDoseMg: 750
+  },
+  {
+    drug: 'Metronidazole',
+    terms: ['metronidazole', 'flagyl'],
+    mgPerKg: { min: 7.5, usual: 7.5, max: 10 },
+    maxDoseMg: 400
+  }
+];
+
+const round1 = (value) => Math.round(value * 10) / 10;
+
+/**
+ * Weight and age to dose by
+ * @param {Object} patient - Patient (dob)
+ * @param {Object} triage - Triage record for the visit (weight)
+ * @returns {Object} { weightKg, ageMonths }, null where not recorded
+ */
+export function patientDosingInfo(patient, triage) {
+  const weightKg = parseFloat(triage?.weight);
+  return {
+    weightKg: weightKg > 0 ? weightKg : null,
+    ageMonths: calculateAgeInMonths(patient?.dob)
+  };
+}
+
+/**
+ * Dose rule for a medication, recognised by the drug name
+ * @param {Object} medication - { name }
+ * @returns {Object|null} Rule from DOSING_RULES
+ */
+export function findDosingRule(medication) {
+  const name = String(medication?.name || '').toLowerCase();
+  return DOSING_RULES.find(rule => rule.terms.some(term => name.includes(term))) || null;
+}
+
+/**
+ * Strength given in a medication name, e.g. 500mg or 120mg/5ml
+ * @param {string} name - Medication name
+ * @returns {Object|null} { mg, ml } (ml null for tablets and capsules)
+ */
+function strengthOf(name) {
+  const match = String(name || '').match(/(\d+(?:\.\d+)?)\s*mg(?:\s*\/\s*(\d+(?:\.\d+)?)\s*ml)?/i);
+  if (!match) return null;
+  return { mg: parseFloat(match[1]), ml: match[2] ? parseFloat(match[2]) : null };
+}
+
+/**
+ * Amount in mg of a typed dose
+ * @param {string} dosage - e.g. '250 mg', '7.5 ml', '1-2 tablets'
+ * @param {Object} medication - { name }
+ * @param {Object} rule - Dose rule
+ * @returns {Object|null} { minMg, maxMg }, or null if it can't be worked out
+ */
+export function parseDoseMg(dosage, medication, rule) {
+  const match = String(dosage || '')
+    .match(/(\d+(?:\.\d+)?)(?:\s*(?:-|to)\s*(\d+(?:\.\d+)?))?\s*(mg|ml|tablets?|tabs?|capsules?|caps?)\b/i);
+  if (!match) return null;
+  
+  const low = parseFloat(match[1]);
+  const high = match[2] ? parseFloat(match[2]) : low;
+  const unit = match[3].toLowerCase();
+  const strength = strengthOf(medication?.name);
+  
+  let mgPerUnit;
+  if (unit === 'mg') {
+    mgPerUnit = 1;
+  } else if (unit === 'ml') {
+    if (!strength?.ml) return null;
+    mgPerUnit = strength.mg / strength.ml;
+  } else {
+    mgPerUnit = rule?.unit?.mg ?? (strength && !strength.ml ? strength.mg : null);
+    if (!mgPerUnit) return null;
+  }
+  
+  return { minMg: low * mgPerUnit, maxMg: high * mgPerUnit };
+}
+
+/**
+ * Dose text for an amount in mg, in tablets or with the volume where known
+ * @param {number} mg - Dose
+ * @param {Object} medication - { name }
+ * @param {Object} rule - Dose rule
+ * @returns {string} e.g. '2 tablets', '180 mg (7.5 ml)'
+ */
+function formatDose(mg, medication, rule) {
+  if (rule.unit) {
+    const count = round1(mg / rule.unit.mg);
+    return `${count} ${rule.unit.name}${count === 1 ? '' : 's'}`;
+  }
+  const strength = strengthOf(medication.name);
+  const volume = strength?.ml ? ` (${round1(mg * strength.ml / strength.mg)} ml)` : '';
+  return `${round1(mg)} mg${volume}`;
+}
+
+/**
+ * Suggested dose for a patient
+ * @param {Object} medication - { name }
+ * @param {Object} patient - { weightKg, ageMonths } from patientDosingInfo
+ * @returns {Object|null} { rule, weightKg, mg, dose, range: { minMg, maxMg }, basis, issues },
+ *   mg/dose/range null when no dose can be given; null if no rule applies
+ */
+export function suggestDose(medication, { weightKg, ageMonths } = {}) {
+  const rule = findDosingRule(medication);
+  if (!rule) return null;
+  
+  const isChild = ageMonths !== null && ageMonths !== undefined
+    ? ageMonths < PEDIATRIC_AGE_MONTHS
+    : weightKg !== null && weightKg !== undefined && weightKg < PEDIATRIC_WEIGHT_KG;
+  if (!isChild && !rule.allAges) return null;
+  
+  const result = { rule, weightKg, mg: null, dose: null, range: null, basis: null, issues: [] };
+  
+  if (!weightKg) {
+    result.issues.push({ type: DOSE_ISSUES.NO_WEIGHT, message: 'No weight recorded at triage' });
+    return result;
+  }
+  if (rule.minAgeMonths && ageMonths !== null && ageMonths !== undefined && ageMonths < rule.minAgeMonths) {
+    result.issues.push({
+      type: DOSE_ISSUES.TOO_YOUNG,
+      message: `${rule.drug} is not for children under ${rule.minAgeMonths} months`
+    });
+  }
+  if (rule.minWeightKg && weightKg < rule.minWeightKg) {
+    result.issues.push({
+      type: DOSE_ISSUES.TOO_LIGHT,
+      message: `${rule.drug} is not for children under ${rule.minWeightKg} kg`
+    });
+  }
+  if (result.issues.length > 0) return result;
+  
+  if (rule.bands) {
+    const band = rule.bands.find(b => weightKg >= b.minKg && (b.maxKg === null || weightKg < b.maxKg));
+    result.mg = band.mg;
+    result.range = { minMg: band.mg, maxMg: band.mg };
+    result.basis = `${band.minKg}${band.maxKg ? `–${band.maxKg}` : '+'} kg band`;
+  } else {
+    const { min, usual, max } = rule.mgPerKg;
+    const maxMg = Math.min(weightKg * max, rule.maxDoseMg);
+    const minMg = Math.min(weightKg * min, maxMg);
+    // Nearest 5 mg is easy to measure; the range still wins
+    result.mg = Math.min(Math.max(Math.round(weightKg * usual / 5) * 5, minMg), maxMg);
+    result.range = { minMg, maxMg };
+    result.basis = `${usual} mg/kg, max ${rule.maxDoseMg} mg`;
+  }
+  result.dose = formatDose(result.mg, medication, rule);
+  
+  return result;
+}
+
+/**
+ * Problems with a medication's typed dose for a patient
+ * @param {Object} medication - { name, dosage }
+ * @param {Object} patient - { weightKg, ageMonths } from patientDosingInfo
+ * @returns {Array} [{ type, message }] from DOSE_ISSUES; empty if fine or not checkable
+ */
+export function checkDose(medication, patient) {
+  const suggestion = suggestDose(medication, patient);
+  if (!suggestion) return [];
+  if (!suggestion.range) return suggestion.issues;
+  
+  const typed = parseDoseMg(medication.dosage, medication, suggestion.rule);
+  if (!typed) return [];
+  
+  const { minMg, maxMg } = suggestion.range;
+  const { weightKg } = suggestion;
+  const issues = [];
+  if (typed.maxMg > maxMg * (1 + DOSE_TOLERANCE)) {
+    issues.push({ type: DOSE_ISSUES.TOO_HIGH, message: `Above the ${round1(maxMg)} mg maximum for ${weightKg} kg` });
+  }
+  if (typed.minMg < minMg * (1 - DOSE_TOLERANCE)) {
+    issues.push({ type: DOSE_ISSUES.TOO_LOW, message: `Below the ${round1(minMg)} mg minimum for ${weightKg} kg` });
+  }
+  return issues;
+}
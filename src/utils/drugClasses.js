@@ -0,0 +1,143 @@
+/**
+ * Drug Classes
+ * 
+ * @description Offline drug class table used by the allergy and interaction
+ * checks. Medications are recognised by the drug, brand and class names in
+ * their name, so custom medications typed by the prescriber are covered too.
+ * @features
+ *   - Medications in COMMON_MEDICATIONS name their class with `drugClass`
+ *   - crossReacts: classes an allergy to this one may extend to
+ *   - duplicateSeverity: how serious two drugs of the class together are, as
+ *     an INTERACTION_SEVERITY (moderate if not given; null where that is
+ *     normal, e.g. two mineral supplements)
+ * 
+ * @example
+ *   drugClassesOf({ name: 'Amoxicillin 500mg' });   // ['penicillin']
+ */
+
+export const DRUG_CLASSES = {
+  penicillin: {
+    label: 'Penicillins',
+    terms: ['penicillin', 'amoxicillin', 'ampicillin', 'amoxiclav', 'augmentin', 'cloxacillin', 'flucloxacillin',
+      'dicloxacillin', 'piperacillin', 'benzathine'],
+    crossReacts: ['cephalosporin']
+  },
+  cephalosporin: {
+    label: 'Cephalosporins',
+    terms: ['cephalosporin', 'ceftriaxone', 'cefuroxime', 'cefixime', 'cefalexin', 'cephalexin', 'cefazolin',
+      'cefotaxime', 'ceftazidime', 'cefpodoxime'],
+    crossReacts: ['penicillin']
+  },
+  sulfonamide: {
+    label: 'Sulfonamides',
+    terms: ['sulfa', 'sulpha', 'sulfonamide', 'cotrimoxazole', 'co-trimoxazole', 'septrin', 'bactrim',
+      'sulfadoxine', 'fansidar']
+  },
+  nsaid: {
+    label: 'NSAIDs',
+    terms: ['nsaid', 'ibuprofen', 'diclofenac', 'aspirin', 'acetylsalicylic', 'naproxen', 'indomethacin',
+      'piroxicam', 'ketoprofen', 'mefenamic']
+  },
+  fluoroquinolone: {
+    label: 'Fluoroquinolones',
+    terms: ['quinolone', 'ciprofloxacin', 'levofloxacin', 'ofloxacin', 'norfloxacin', 'moxifloxacin']
+  },
+  nitroimidazole: {
+    label: 'Nitroimidazoles',
+    terms: ['nitroimidazole', 'metronidazole', 'tinidazole', 'flagyl']
+  },
+  macrolide: {
+    label: 'Macrolides',
+    terms: ['macrolide', 'erythromycin', 'azithromycin', 'clarithromycin']
+  },
+  tetracycline: {
+    label: 'Tetracyclines',
+    terms: ['tetracycline', 'doxycycline']
+  },
+  artemisinin: {
+    label: 'Artemisinins',
+    terms: ['artemisinin', 'artemether', 'artesunate', 'arteether', 'coartem', 'lumefantrine']
+  },
+  quinoline: {
+    label: 'Quinine and related antimalarials',
+    terms: ['quinine', 'chloroquine', 'mefloquine', 'halofantrine']
+  },
+  paracetamol: {
+    label: 'Paracetamol',
+    terms: ['paracetamol', 'acetaminophen', 'panadol'],
+    duplicateSeverity: 'major'
+  },
+  biguanide: {
+    label: 'Biguanides',
+    terms: ['metformin']
+  },
+  ppi: {
+    label: 'Proton pump inhibitors',
+    terms: ['proton pump', 'omeprazole', 'esomeprazole', 'lansoprazole', 'pantoprazole']
+  },
+  anticoagulant: {
+    label: 'Anticoagulants',
+    terms: ['anticoagulant', 'warfarin', 'heparin', 'enoxaparin', 'rivaroxaban', 'apixaban'],
+    duplicateSeverity: 'major'
+  },
+  antiplatelet: {
+    label: 'Antiplatelets',
+    terms: ['clopidogrel']
+  },
+  corticosteroid: {
+    label: 'Corticosteroids',
+    terms: ['prednisolone', 'prednisone', 'dexamethasone', 'hydrocortisone', 'methylprednisolone']
+  },
+  aceInhibitor: {
+    label: 'ACE inhibitors',
+    terms: ['lisinopril', 'enalapril', 'captopril', 'ramipril', 'perindopril']
+  },
+  arb: {
+    label: 'Angiotensin receptor blockers',
+    terms: ['losartan', 'valsartan', 'candesartan', 'telmisartan', 'irbesartan']
+  },
+  potassiumSparing: {
+    label: 'Potassium-sparing diuretics',
+    terms: ['spironolactone', 'amiloride', 'eplerenone']
+  },
+  statin: {
+    label: 'Statins',
+    terms: ['simvastatin', 'atorvastatin', 'rosuvastatin', 'pravastatin', 'lovastatin']
+  },
+  xanthine: {
+    label: 'Theophylline',
+    terms: ['theophylline', 'aminophylline']
+  },
+  methotrexate: {
+    label: 'Methotrexate',
+    terms: ['methotrexate']
+  },
+  mineral: {
+    label: 'Antacids and mineral supplements',
+    terms: ['antacid', 'magnesium', 'aluminium', 'aluminum', 'calcium', 'ferrous', 'ferric', 'zinc'],
+    duplicateSeverity: null
+  }
+};
+
+/**
+ * Drug classes whose terms appear in a text
+ * @param {string} text - Medication name or allergy substance
+ * @returns {Array} Class keys
+ */
+export function classesIn(text) {
+  const lower = String(text || '').toLowerCase()
+    // Salts like ferrous sulfate aren't sulfonamides
+    .replace(/sul(f|ph)ate/g, '');
+  return Object.keys(DRUG_CLASSES).filter(key => DRUG_CLASSES[key].terms.some(term => lower.includes(term)));
+}
+
+/**
+ * Drug classes a medication belongs to
+ * @param {Object} medication - { name, drugClass? }
+ * @returns {Array} Class keys
+ */
+export function drugClassesOf(medication) {
+  const classes = classesIn(medication?.name);
+  if (medication?.drugClass && !classes.includes(medication.drugClass)) classes.unshift(medication.drugClass);
+  return classes;
+}
@@ -6,6 +6,17 @@
 
 import Papa from 'papaparse';
 import { downloadFile } from './helpers';
+import { STORAGE_KEYS } from './constants';
+import { validateRecords } from '../db/schemas';
+import { formatAllergies } from './allergies';
+
+// Backup sections and the collections they restore into
+const BACKUP_COLLECTIONS = {
+  patients: { key: STORAGE_KEYS.PATIENTS, label: 'Patients' },
+  inventory: { key: STORAGE_KEYS.INVENTORY, label: 'Inventory' },
+  appointments: { key: STORAGE_KEYS.APPOINTMENTS, label: 'Appointments' },
+  settings: { key: STORAGE_KEYS.SETTINGS, label: 'Settings' }
+};
 
 /**
  * Export data to JSON file
@@ -89,12 +100,16 @@ export function exportPatients(patients, format = 'json') {
     // Flatten patient data for CSV
     const flatData = patients.map(patient => ({
       id: patient.id,
+      mrn: patient.mrn || '',
       name: patient.name,
       dob: patient.dob,
       gender: patient.gender,
       contact: patient.contact,
       email: patient.email || '',
       address: patient.address || '',
+      nationalId: patient.nationalId || '',
+      insuranceNumber: patient.insuranceNumber || '',
+      allergies: formatAllergies(patient.allergies),
       visitCount: patient.visits?.length || 0,
       lastVisit: patient.visits?.[patient.visits.length - 1]?.date || '',
       createdAt: patient.createdAt
@@ -222,6 +237,39 @@ export function exportAttendanceReport(appointments, dateRange = null) {
   exportToCSV(report, filename);
 }
 
+/**
+ * Export chart access log entries, hashes included so the chain can be
+ * re-checked outside the app
+ * @param {Array} entries - Access log entries
+ * @param {string} format - Export format ('json' or 'csv')
+ */
+export function exportAccessLog(entries, format = 'json') {
+  const timestamp = new Date().toISOString().split('T')[0];
+  const filename = `access_log_export_${timestamp}`;
+  
+  if (format === 'csv') {
+    const flatData = entries.map(entry => ({
+      seq: entry.seq,
+      accessedAt: entry.accessedAt,
+      view: entry.view,
+      patientId: entry.patientId,
+      patientName: entry.patientName || '',
+      appointmentId: entry.appointmentId || '',
+      userId: entry.user?.id || '',
+      userName: entry.user?.name || '',
+      userRole: entry.user?.role || '',
+      sensitiveTests: (entry.sensitiveTests || []).join(' '),
+      justification: entry.justification || '',
+      reviewOf: entry.reviewOf ?? '',
+      prevHash: entry.prevHash,
+      hash: entry.hash
+    }));
+    exportToCSV(flatData, filename);
+  } else {
+    exportToJSON(entries, filename);
+  }
+}
+
 /**
  * Create full backup of all data
  * @param {Object} data - Object containing all data collections
@@ -243,19 +291,20 @@ export function createFullBackup(data) {
 }
 
 /**
- * Validate backup file structure
+ * Validate backup file structure and every record in it
  * @param {Object} backup - Backup data to validate
- * @returns {Object} Validation result { valid, errors }
+ * @returns {Object} Validation result { valid, errors, reports }, where reports
+ *   lists invalid records per section: [{ section, label, report }]
  */
 export function validateBackup(backup) {
   const errors = [];
   
   if (!backup || typeof backup !== 'object') {
-    return { valid: false, errors: ['Invalid backup file format'] };
+    return { valid: false, errors: ['Invalid backup file format'], reports: [] };
   }
   
   if (!backup.data) {
-    return { valid: false, errors: ['Missing data object in backup'] };
+    return { valid: false, errors: ['Missing data object in backup'], reports: [] };
   }
   
   // Validate patients
@@ -273,9 +322,23 @@ export function validateBackup(backup) {
     errors.push('Appointments data should be an array');
   }
   
+  // Validate records against their collection schemas
+  const reports = [];
+  Object.entries(BACKUP_COLLECTIONS).forEach(([section, { key, label }]) => {
+    // Settings are backed up as a single record
+    const records = section === 'settings' ? [backup.data[section]] : backup.data[section];
+    if (!Array.isArray(records) || !records[0]) return;
+    const report = validateRecords(key, records);
+    if (report.length > 0) {
+      reports.push({ section, label, report });
+      errors.push(`${label}: ${report.length} invalid record${report.length === 1 ? '' : 's'}`);
+    }
+  });
+  
   return {
     valid: errors.length === 0,
-    errors
+    errors,
+    reports
   };
 }
 
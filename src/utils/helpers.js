@@ -227,6 +227,20 @@ export function truncate(text, length = 50) {
   return text.substring(0, length) + '...';
 }
 
+/**
+ * Short display form of a record field value (history, sync conflicts)
+ * @param {*} value - Field value
+ * @returns {string} Text to show
+ */
+export function formatFieldValue(value) {
+  if (value === null || value === undefined || value === '') return '(empty)';
+  if (Array.isArray(value)) {
+    return value.map(v => (typeof v === 'object' ? v.name || v.code || v.substance || JSON.stringify(v) : v)).join(', ') || '(empty)';
+  }
+  if (typeof value === 'object') return truncate(JSON.stringify(value), 80);
+  return truncate(String(value), 80);
+}
+
 /**
  * Capitalize first letter
  * @param {string} str - String to capitalize
@@ -247,6 +261,23 @@ export function formatNumber(num) {
   return new Intl.NumberFormat().format(num);
 }
 
+/**
+ * Format a size in bytes (e.g. "1.5 MB")
+ * @param {number} bytes - Size in bytes
+ * @returns {string} Formatted size
+ */
+export function formatBytes(bytes) {
+  if (bytes === null || bytes === undefined) return '';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  let size = bytes;
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit += 1;
+  }
+  return `${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
 /**
  * Download data as file
  * @param {string} data - Data to download
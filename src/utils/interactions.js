@@ -0,0 +1,302 @@
+/**
+ * Drug Interactions
+ * 
+ * @description Offline drug-drug interaction and duplicate therapy checks,
+ * run when a medication is prescribed and again when it is dispensed
+ * @features
+ *   - Interactions are listed between drug classes (see drugClasses.js), so
+ *     they cover the formulary and custom medications alike
+ *   - Two drugs of the same class, or the same drug twice, are duplicate therapy
+ *   - Alerts are graded minor, moderate, major or contraindicated and listed
+ *     most serious first
+ * 
+ * @example
+ *   interactionsWith({ name: 'Diclofenac 50mg' }, form.medications);
+ *   // [{ type: 'duplicate', severity: 'moderate', drugs: ['Diclofenac 50mg', 'Ibuprofen 400mg'], ... }]
+ */
+
+import { DRUG_CLASSES, drugClassesOf } from './drugClasses';
+
+export const INTERACTION_SEVERITY = {
+  MINOR: 'minor',
+  MODERATE: 'moderate',
+  MAJOR: 'major',
+  CONTRAINDICATED: 'contraindicated'
+};
+
+export const INTERACTION_SEVERITY_LABELS = {
+  [INTERACTION_SEVERITY.MINOR]: 'Minor',
+  [INTERACTION_SEVERITY.MODERATE]: 'Moderate',
+  [INTERACTION_SEVERITY.MAJOR]: 'Major',
+  [INTERACTION_SEVERITY.CONTRAINDICATED]: 'Contraindicated'
+};
+
+export const ALERT_TYPES = {
+  INTERACTION: 'interaction',
+  DUPLICATE: 'duplicate'
+};
+
+const SEVERITY_RANK = {
+  [INTERACTION_SEVERITY.MINOR]: 1,
+  [INTERACTION_SEVERITY.MODERATE]: 2,
+  [INTERACTION_SEVERITY.MAJOR]: 3,
+  [INTERACTION_SEVERITY.CONTRAINDICATED]: 4
+};
+
+const { MINOR, MODERATE, MAJOR, CONTRAINDICATED } = INTERACTION_SEVERITY;
+
+/**
+ * Interactions between drug classes: what happens and what to do instead
+ */
+export const INTERACTIONS = [
+  {
+    classes: ['nsaid', 'anticoagulant'],
+    severity: MAJOR,
+    effect: 'Higher risk of serious bleeding',
+    advice: 'Use paracetamol for pain; if unavoidable, monitor for bleeding'
+  },
+  {
+    classes: ['nsaid', 'antiplatelet'],
+    severity: MODERATE,
+    effect: 'Higher risk of stomach bleeding',
+    advice: 'Avoid if possible, or add a proton pump inhibitor'
+  },
+  {
+    classes: ['nsaid', 'corticosteroid'],
+    severity: MODERATE,
+    effect: 'Higher risk of stomach ulcers and bleeding',
+    advice: 'Add a proton pump inhibitor, or use paracetamol'
+  },
+  {
+    classes: ['nsaid', 'aceInhibitor'],
+    severity: MODERATE,
+    effect: 'Less blood pressure control; risk of kidney injury',
+    advice: 'Keep the course short and check kidney function in older patients'
+  },
+  {
+    classes: ['nsaid', 'arb'],
+    severity: MODERATE,
+    effect: 'Less blood pressure control; risk of kidney injury',
+    advice: 'Keep the course short and check kidney function in older patients'
+  },
+  {
+    classes: ['nsaid', 'methotrexate'],
+    severity: MAJOR,
+    effect: 'Methotrexate builds up to toxic levels',
+    advice: 'Avoid; use paracetamol for pain'
+  },
+  {
+    classes: ['sulfonamide', 'methotrexate'],
+    severity: CONTRAINDICATED,
+    effect: 'Severe bone marrow suppression',
+    advice: 'Do not combine; choose another antibiotic'
+  },
+  {
+    classes: ['sulfonamide', 'anticoagulant'],
+    severity: MAJOR,
+    effect: 'Anticoagulant effect increased; risk of bleeding',
+    advice: 'Choose another antibiotic, or check INR within a few days'
+  },
+  {
+    classes: ['nitroimidazole', 'anticoagulant'],
+    severity: MAJOR,
+    effect: 'Anticoagulant effect increased; risk of bleeding',
+    advice: 'Check INR within a few days and reduce the dose if needed'
+  },
+  {
+    classes: ['fluoroquinolone', 'anticoagulant'],
+    severity: MODERATE,
+    effect: 'Anticoagulant effect may be increased',
+    advice: 'Monitor INR'
+  },
+  {
+    classes: ['paracetamol', 'anticoagulant'],
+    severity: MINOR,
+    effect: 'Regular paracetamol can raise the INR',
+    advice: 'Occasional doses are fine; monitor INR with regular use'
+  },
+  {
+    classes: ['fluoroquinolone', 'mineral'],
+    severity: MODERATE,
+    effect: 'Antacids, iron, calcium and zinc stop the antibiotic being absorbed',
+    advice: 'Take the antibiotic 2 hours before or 6 hours after them'
+  },
+  {
+    classes: ['tetracycline', 'mineral'],
+    severity: MODERATE,
+    effect: 'Antacids, iron, calcium and zinc stop the antibiotic being absorbed',
+    advice: 'Take the antibiotic 2 hours before or 3 hours after them'
+  },
+  {
+    classes: ['fluoroquinolone', 'xanthine'],
+    severity: MAJOR,
+    effect: 'Theophylline levels rise; risk of seizures',
+    advice: 'Choose another antibiotic, or reduce the theophylline dose'
+  },
+  {
+    classes: ['fluoroquinolone', 'corticosteroid'],
+    severity: MODERATE,
+    effect: 'Higher risk of tendon rupture, especially over 60',
+    advice: 'Warn the patient to stop and report tendon pain'
+  },
+  {
+    classes: ['fluoroquinolone', 'macrolide'],
+    severity: MAJOR,
+    effect: 'Both prolong the QT interval; risk of arrhythmia',
+    advice: 'Avoid combining; use one antibiotic'
+  },
+  {
+    classes: ['artemisinin', 'quinoline'],
+    severity: MAJOR,
+    effect: 'QT prolongation; risk of arrhythmia',
+    advice: 'Don\'t give with or straight after quinine or halofantrine'
+  },
+  {
+    classes: ['artemisinin', 'fluoroquinolone'],
+    severity: MODERATE,
+    effect: 'QT prolongation; risk of arrhythmia',
+    advice: 'Use another antibiotic if possible'
+  },
+  {
+    classes: ['artemisinin', 'macrolide'],
+    severity: MODERATE,
+    effect: 'QT prolongation; risk of arrhythmia',
+    advice: 'Use another antibiotic if possible'
+  },
+  {
+    classes: ['macrolide', 'statin'],
+    severity: MAJOR,
+    effect: 'Statin levels rise; risk of muscle damage',
+    advice: 'Pause the statin for the course, or use azithromycin'
+  },
+  {
+    classes: ['macrolide', 'xanthine'],
+    severity: MAJOR,
+    effect: 'Theophylline levels rise; risk of toxicity',
+    advice: 'Use azithromycin, or reduce the theophylline dose'
+  },
+  {
+    classes: ['aceInhibitor', 'potassiumSparing'],
+    severity: MAJOR,
+    effect: 'High potassium',
+    advice: 'Check potassium and kidney function before and during treatment'
+  },
+  {
+    classes: ['arb', 'potassiumSparing'],
+    severity: MAJOR,
+    effect: 'High potassium',
+    advice: 'Check potassium and kidney function before and during treatment'
+  },
+  {
+    classes: ['aceInhibitor', 'arb'],
+    severity: MAJOR,
+    effect: 'High potassium, low blood pressure and kidney injury',
+    advice: 'Don\'t combine; use one or the other'
+  },
+  {
+    classes: ['ppi', 'antiplatelet'],
+    severity: MODERATE,
+    effect: 'Omeprazole makes clopidogrel less effective',
+    advice: 'Use pantoprazole instead'
+  },
+  {
+    classes: ['penicillin', 'methotrexate'],
+    severity: MODERATE,
+    effect: 'Methotrexate builds up to toxic levels',
+    advice: 'Monitor blood counts, or choose another antibiotic'
+  }
+];
+
+/**
+ * First word of a medication name, to tell the same drug prescribed twice
+ * @param {Object} medication - Medication
+ * @returns {string} Lower-case drug name
+ */
+const drugName = (medication) => String(medication?.name || '').trim().toLowerCase().split(/[\s-]+/)[0];
+
+/**
+ * Alerts between two medications
+ * @param {Object} a - Medication
+ * @param {Object} b - Medication
+ * @returns {Array} Alerts ({ type, severity, drugs, drugClass?, effect, advice })
+ */
+function checkPair(a, b) {
+  const classesA = drugClassesOf(a);
+  const classesB = drugClassesOf(b);
+  const drugs = [a.name, b.name];
+  const alerts = [];
+  
+  INTERACTIONS.forEach(({ classes: [x, y], severity, effect, advice }) => {
+    if ((classesA.includes(x) && classesB.includes(y)) || (classesA.includes(y) && classesB.includes(x))) {
+      alerts.push({ type: ALERT_TYPES.INTERACTION, severity, drugs, effect, advice });
+    }
+  });
+  
+  const shared = classesA.filter(key => classesB.includes(key));
+  shared.forEach(key => {
+    const { label, duplicateSeverity = MODERATE } = DRUG_CLASSES[key];
+    if (duplicateSeverity === null) return;
+    alerts.push({
+      type: ALERT_TYPES.DUPLICATE,
+      severity: duplicateSeverity,
+      drugs,
+      drugClass: key,
+      effect: `Both are ${label.toLowerCase()}; more side effects without more benefit`,
+      advice: 'Prescribe one of them'
+    });
+  });
+  if (shared.length === 0 && drugName(a) && drugName(a) === drugName(b)) {
+    alerts.push({
+      type: ALERT_TYPES.DUPLICATE,
+      severity: MODERATE,
+      drugs,
+      effect: 'The same drug is prescribed twice',
+      advice: 'Remove one, or combine them into a single dose'
+    });
+  }
+  
+  return alerts;
+}
+
+const bySeverity = (a, b) => SEVERITY_RANK[b.severity] - SEVERITY_RANK[a.severity];
+
+/**
+ * Interaction and duplicate therapy alerts within a prescription
+ * @param {Array} medications - Medications
+ * @returns {Array} Alerts, most serious first
+ */
+export function checkInteractions(medications) {
+  const alerts = [];
+  medications.forEach((a, i) => {
+    medications.slice(i + 1).forEach(b => alerts.push(...checkPair(a, b)));
+  });
+  return alerts.sort(bySeverity);
+}
+
+/**
+ * Alerts a medication would add to a prescription
+ * @param {Object} medication - Medication being added
+ * @param {Array} medications - Medications already prescribed
+ * @returns {Array} Alerts, most serious first
+ */
+export function interactionsWith(medication, medications) {
+  return medications.flatMap(other => checkPair(medication, other)).sort(bySeverity);
+}
+
+/**
+ * Most serious severity among alerts
+ * @param {Array} alerts - Alerts
+ * @returns {string|null} INTERACTION_SEVERITY, or null if there are none
+ */
+export function highestSeverity(alerts) {
+  return alerts.reduce((worst, alert) => (
+    !worst || SEVERITY_RANK[alert.severity] > SEVERITY_RANK[worst] ? alert.severity : worst
+  ), null);
+}
+
+/**
+ * Short record of alerts someone acknowledged, to store with a prescription
+ * @param {Array} alerts - Alerts
+ * @returns {Array} [{ type, severity, drugs }]
+ */
+export const summarizeAlerts = (alerts) => alerts.map(({ type, severity, drugs }) => ({ type, severity, drugs }));
@@ -0,0 +1,159 @@
+/**
+ * Password Utilities
+ * 
+ * @description Password hashing, the password policy and sign-in lockout
+ * for AuthContext
+ * @features
+ *   - Salted PBKDF2-SHA256 hashes via WebCrypto; the password is never stored
+ *   - Hashes record their own iteration count, so it can be raised later
+ *     without breaking existing accounts
+ *   - Minimum password policy, checked rule by rule so forms can show progress
+ *   - Accounts lock for LOCKOUT_MINUTES after MAX_FAILED_LOGINS failed sign-ins
+ *   - Short numeric PINs for unlocking a locked screen (hashed the same way)
+ */
+
+export const PASSWORD_HASH_ALGORITHM = 'PBKDF2-SHA256';
+const HASH_ITERATIONS = 600000;
+
+export const MIN_PASSWORD_LENGTH = 10;
+export const MAX_FAILED_LOGINS = 5;
+export const LOCKOUT_MINUTES = 15;
+
+export const MIN_PIN_LENGTH = 4;
+export const MAX_PIN_LENGTH = 8;
+
+// Rules a new password has to meet; `test` gets the password and { username }
+export const PASSWORD_RULES = [
+  {
+    id: 'length',
+    label: `At least ${MIN_PASSWORD_LENGTH} characters`,
+    test: password => password.length >= MIN_PASSWORD_LENGTH
+  },
+  {
+    id: 'letter',
+    label: 'At least one letter',
+    test: password => /[a-z]/i.test(password)
+  },
+  {
+    id: 'number',
+    label: 'At least one number',
+    test: password => /\d/.test(password)
+  },
+  {
+    id: 'username',
+    label: 'Does not contain the username',
+    test: (password, { username } = {}) => !username || !password.toLowerCase().includes(username.toLowerCase())
+  }
+];
+
+/**
+ * Password policy rules a password breaks
+ * @param {string} password - Proposed password
+ * @param {Object} context - { username }
+ * @returns {Array} Labels of the rules not met (empty if the password is fine)
+ */
+export function passwordPolicyErrors(password, context = {}) {
+  return PASSWORD_RULES
+    .filter(rule => !rule.test(password || '', context))
+    .map(rule => rule.label);
+}
+
+/**
+ * Check a proposed screen-unlock PIN
+ * @param {string} pin - Proposed PIN
+ * @returns {string|null} Problem, or null if the PIN is fine
+ */
+export function pinPolicyError(pin) {
+  if (!new RegExp(`^\\d{${MIN_PIN_LENGTH},${MAX_PIN_LENGTH}}$`).test(pin || '')) {
+    return `The PIN must be ${MIN_PIN_LENGTH} to ${MAX_PIN_LENGTH} digits`;
+  }
+  if (/^(\d)\1+$/.test(pin)) {
+    return 'The PIN cannot be one digit repeated';
+  }
+  return null;
+}
+
+const toBase64 = bytes => btoa(String.fromCharCode(...bytes));
+const fromBase64 = text => Uint8Array.from(atob(text), c => c.charCodeAt(0));
+
+/**
+ * PBKDF2 bits for a password
+ * @param {string} password - Password
+ * @param {Uint8Array} salt - Salt
+ * @param {number} iterations - Iteration count
+ * @returns {Promise<Uint8Array>} 256-bit hash
+ */
+async function derive(password, salt, iterations) {
+  const material = await crypto.subtle.importKey(
+    'raw', new TextEncoder().encode(password), 'PBKDF2', false, ['deriveBits']
+  );
+  const bits = await crypto.subtle.deriveBits(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material,
+    256
+  );
+  return new Uint8Array(bits);
+}
+
+/**
+ * Hash a password with a fresh salt
+ * @param {string} password - Password
+ * @returns {Promise<Object>} { algorithm, iterations, salt, hash } (base64 strings)
+ */
+export async function hashPassword(password) {
+  const salt = crypto.getRandomValues(new Uint8Array(16));
+  const hash = await derive(password, salt, HASH_ITERATIONS);
+  return {
+    algorithm: PASSWORD_HASH_ALGORITHM,
+    iterations: HASH_ITERATIONS,
+    salt: toBase64(salt),
+    hash: toBase64(hash)
+  };
+}
+
+/**
+ * Check a password against a stored hash, in time that doesn't depend on
+ * how much of the hash matches
+ * @param {string} password - Password entered
+ * @param {Object} stored - Hash from hashPassword
+ * @returns {Promise<boolean>} Whether the password is right
+ */
+export async function verifyPassword(password, stored) {
+  if (stored?.algorithm !== PASSWORD_HASH_ALGORITHM) return false;
+  const expected = fromBase64(stored.hash);
+  const actual = await derive(password, fromBase64(stored.salt), stored.iterations);
+  let difference = expected.length ^ actual.length;
+  for (let i = 0; i < expected.length; i++) {
+    difference |= expected[i] ^ actual[i];
+  }
+  return difference === 0;
+}
+
+/**
+ * Time left before a locked account can sign in again
+ * @param {Object} user - Stored user
+ * @param {number} now - Current time (ms)
+ * @returns {number} Milliseconds left (0 if not locked)
+ */
+export function lockoutRemaining(user, now = Date.now()) {
+  const until = user?.lockedUntil ? new Date(user.lockedUntil).getTime() : 0;
+  return Math.max(0, until - now);
+}
+
+/**
+ * Failed sign-in bookkeeping after one more failed attempt
+ * @param {Object} user - Stored user
+ * @param {number} now - Current time (ms)
+ * @returns {Object} { failedLogins, lockedUntil } to save on the user
+ */
+export function failedLoginUpdate(user, now = Date.now()) {
+  // A lockout that has run out starts the count again
+  const previous = user.lockedUntil && lockoutRemaining(user, now) === 0 ? 0 : (user.failedLogins || 0);
+  const failedLogins = previous + 1;
+  return {
+    failedLogins,
+    lockedUntil: failedLogins >= MAX_FAILED_LOGINS
+      ? new Date(now + LOCKOUT_MINUTES * 60000).toISOString()
+      : null
+  };
+}
@@ -0,0 +1,324 @@
+/**
+ * Patient Identity
+ * 
+ * @description Medical record numbers, duplicate detection and the rules for
+ * merging two records of the same person
+ * @features
+ *   - MRNs read PREFIX-DDDD-NNNNNNC: a configurable prefix, the code of the
+ *     device that gave it out, a zero-padded sequence and a Luhn check digit
+ *     that catches most typos. Each device counts on its own, so devices
+ *     that sync never hand out the same number. Older PREFIX-NNNNNNC numbers
+ *     (no device code) stay valid.
+ *   - Duplicates need a similar name plus a matching date of birth, phone or
+ *     insurance number; a matching national ID is enough on its own
+ *   - Names are compared ignoring case, accents, punctuation and word order
+ *   - Merging keeps the fields chosen from either record and both records'
+ *     allergies, history and visits
+ * 
+ * @example
+ *   formatMrn('CC', 42, '1001');         // 'CC-1001-0000429'
+ *   findDuplicates(form, patients);      // [{ patient, reasons, similarity }]
+ */
+
+import { combineAllergies } from './allergies';
+
+// Digits in an MRN's sequence number (it grows past this, never truncated)
+const MRN_DIGITS = 6;
+
+// Digits in an MRN's device code
+export const MRN_DEVICE_DIGITS = 4;
+
+// Lowest name similarity (0-1) treated as the same name
+export const NAME_SIMILARITY_THRESHOLD = 0.8;
+
+export const DUPLICATE_REASONS = {
+  NATIONAL_ID: 'national_id',
+  NAME: 'name',
+  DOB: 'dob',
+  PHONE: 'phone',
+  INSURANCE: 'insurance'
+};
+
+export const DUPLICATE_REASON_LABELS = {
+  [DUPLICATE_REASONS.NATIONAL_ID]: 'Same national ID',
+  [DUPLICATE_REASONS.NAME]: 'Similar name',
+  [DUPLICATE_REASONS.DOB]: 'Same date of birth',
+  [DUPLICATE_REASONS.PHONE]: 'Same phone number',
+  [DUPLICATE_REASONS.INSURANCE]: 'Same insurance number'
+};
+
+// Fields the merge wizard lets you take from either record
+export const MERGE_FIELDS = [
+  { field: 'name', label: 'Full Name' },
+  { field: 'dob', label: 'Date of Birth' },
+  { field: 'gender', label: 'Gender' },
+  { field: 'nationalId', label: 'National ID' },
+  { field: 'insuranceNumber', label: 'Insurance Number' },
+  { field: 'contact', label: 'Contact Number' },
+  { field: 'email', label: 'Email' },
+  { field: 'address', label: 'Address' },
+  { field: 'nextOfKin', label: 'Next of Kin' },
+  { field: 'nextOfKinContact', label: 'Next of Kin Contact' },
+  { field: 'bloodType', label: 'Blood Type' }
+];
+
+/**
+ * Luhn check digit of a digit string
+ * @param {string} digits - Digits to protect
+ * @returns {number} Check digit (0-9)
+ */
+export function mrnCheckDigit(digits) {
+  let sum = 0;
+  [...digits].reverse().forEach((char, index) => {
+    let digit = Number(char);
+    if (index % 2 === 0) {
+      digit *= 2;
+      if (digit > 9) digit -= 9;
+    }
+    sum += digit;
+  });
+  return (10 - (sum % 10)) % 10;
+}
+
+/**
+ * Clean up an MRN prefix: letters and digits only, upper case, at most 6
+ * @param {string} prefix - Prefix as typed
+ * @returns {string} Cleaned prefix (may be empty)
+ */
+export const normalizeMrnPrefix = (prefix) => (
+  String(prefix || '').toUpperCase().replace(/[^A-Z0-9]/g, '').slice(0, 6)
+);
+
+/**
+ * Build an MRN
+ * @param {string} prefix - Clinic prefix
+ * @param {number} sequence - Sequence number (from 1)
+ * @param {string} device - Device code (MRN_DEVICE_DIGITS digits); leave
+ *   out for an older MRN without one
+ * @returns {string} e.g. "MRN-1001-0000015"
+ */
+export function formatMrn(prefix, sequence, device = null) {
+  const body = String(sequence).padStart(MRN_DIGITS, '0');
+  const check = mrnCheckDigit(`${device || ''}${body}`);
+  return `${normalizeMrnPrefix(prefix)}-${device ? `${device}-` : ''}${body}${check}`;
+}
+
+/**
+ * Read an MRN back, checking its check digit
+ * @param {string} mrn - MRN
+ * @returns {Object|null} { prefix, device, sequence } (device null for older
+ *   MRNs), or null if it isn't a valid MRN
+ */
+export function parseMrn(mrn) {
+  const match = /^([A-Z0-9]{1,6})-(?:(\d{4})-)?(\d{6,})(\d)$/.exec(String(mrn || '').trim().toUpperCase());
+  if (!match) return null;
+  const [, prefix, device = null, body, check] = match;
+  if (mrnCheckDigit(`${device || ''}${body}`) !== Number(check)) return null;
+  return { prefix, device, sequence: Number(body) };
+}
+
+/**
+ * Every MRN a patient is known by: its own and those retired by merges
+ * @param {Object} patient - Patient
+ * @returns {Array} MRNs
+ */
+export const mrnsOf = (patient) => (
+  [patient.mrn, ...(patient.mergedRecords || []).map(merged => merged.mrn)].filter(Boolean)
+);
+
+/**
+ * Whether a string is a well-formed MRN with a correct check digit
+ * @param {string} mrn - MRN
+ * @returns {boolean} Whether it is
+ */
+export const isValidMrn = (mrn) => parseMrn(mrn) !== null;
+
+/**
+ * Name reduced to its words: lower case, no accents or punctuation, sorted
+ * @param {string} name - Name
+ * @returns {string} Normalized name
+ */
+export function normalizeName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim()
+    .split(' ')
+    .filter(Boolean)
+    .sort()
+    .join(' ');
+}
+
+/**
+ * Edit distance between two strings
+ * @param {string} a - First string
+ * @param {string} b - Second string
+ * @returns {number} Insertions, deletions and substitutions needed
+ */
+export function levenshtein(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * How alike two names are
+ * @param {string} a - First name
+ * @param {string} b - Second name
+ * @returns {number} 0 (nothing alike) to 1 (the same once normalized)
+ */
+export function nameSimilarity(a, b) {
+  const left = normalizeName(a);
+  const right = normalizeName(b);
+  if (!left || !right) return 0;
+  return 1 - levenshtein(left, right) / Math.max(left.length, right.length);
+}
+
+/**
+ * Phone number compared by its last 9 digits, so "+254 712..." matches "0712..."
+ * @param {string} phone - Phone number
+ * @returns {string} Digits compared, or '' if too short to compare
+ */
+export function normalizePhone(phone) {
+  const digits = String(phone || '').replace(/\D/g, '');
+  return digits.length >= 7 ? digits.slice(-9) : '';
+}
+
+/**
+ * ID or insurance number without spaces, dashes or case
+ * @param {string} value - Number as typed
+ * @returns {string} Normalized number
+ */
+export const normalizeIdNumber = (value) => String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+
+const sameWhenNormalized = (normalize, a, b) => {
+  const left = normalize(a);
+  return Boolean(left) && left === normalize(b);
+};
+
+/**
+ * What two patient records have in common that suggests they are one person
+ * @param {Object} a - Patient (or form values)
+ * @param {Object} b - Patient
+ * @returns {Object} { reasons, similarity }
+ */
+export function compareIdentity(a, b) {
+  const similarity = nameSimilarity(a.name, b.name);
+  const reasons = [];
+  if (sameWhenNormalized(normalizeIdNumber, a.nationalId, b.nationalId)) reasons.push(DUPLICATE_REASONS.NATIONAL_ID);
+  if (similarity >= NAME_SIMILARITY_THRESHOLD) reasons.push(DUPLICATE_REASONS.NAME);
+  if (a.dob && a.dob === b.dob) reasons.push(DUPLICATE_REASONS.DOB);
+  if (sameWhenNormalized(normalizePhone, a.contact, b.contact)) reasons.push(DUPLICATE_REASONS.PHONE);
+  if (sameWhenNormalized(normalizeIdNumber, a.insuranceNumber, b.insuranceNumber)) reasons.push(DUPLICATE_REASONS.INSURANCE);
+  return { reasons, similarity };
+}
+
+/**
+ * Whether the reasons found are enough to call two records the same person.
+ * A shared phone or birthday alone is common within a family.
+ * @param {Array} reasons - From compareIdentity
+ * @returns {boolean} Whether they are
+ */
+export function isLikelyDuplicate(reasons) {
+  if (reasons.includes(DUPLICATE_REASONS.NATIONAL_ID)) return true;
+  return reasons.includes(DUPLICATE_REASONS.NAME) && reasons.length >= 2;
+}
+
+/**
+ * Patients who are probably the same person as the one given
+ * @param {Object} candidate - Patient or form values being registered
+ * @param {Array} patients - Patients to look through
+ * @param {Object} options - { excludeId }: leave this record out (the candidate itself)
+ * @returns {Array} [{ patient, reasons, similarity }], strongest match first
+ */
+export function findDuplicates(candidate, patients, { excludeId = null } = {}) {
+  return patients
+    .filter(patient => patient.id !== excludeId)
+    .map(patient => ({ patient, ...compareIdentity(candidate, patient) }))
+    .filter(match => isLikelyDuplicate(match.reasons))
+    .sort((a, b) => (b.reasons.length - a.reasons.length) || (b.similarity - a.similarity));
+}
+
+/**
+ * Free text from both records, once if they say the same thing
+ * @param {string} a - Survivor's text
+ * @param {string} b - Duplicate's text
+ * @returns {string} Combined text
+ */
+function combineText(a, b) {
+  const left = String(a || '').trim();
+  const right = String(b || '').trim();
+  if (!left || left.toLowerCase() === right.toLowerCase()) return right;
+  if (!right) return left;
+  return `${left}\n${right}`;
+}
+
+// Clinical free text kept from both records instead of chosen between
+export const COMBINED_FIELDS = [
+  { field: 'allergies', label: 'Allergies', combine: combineAllergies },
+  { field: 'medicalHistory', label: 'Medical History', combine: combineText }
+];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+/**
+ * Which record each merge field is taken from unless the user says otherwise:
+ * the survivor's, or the duplicate's where the survivor has none
+ * @param {Object} survivor - Record that is kept
+ * @param {Object} duplicate - Record merged into it
+ * @returns {Object} { [field]: 'survivor' | 'duplicate' }
+ */
+export function defaultMergeChoices(survivor, duplicate) {
+  return Object.fromEntries(MERGE_FIELDS.map(({ field }) => [
+    field,
+    isBlank(survivor[field]) && !isBlank(duplicate[field]) ? 'duplicate' : 'survivor'
+  ]));
+}
+
+/**
+ * Fields the survivor ends up with after a merge
+ * @param {Object} survivor - Record that is kept
+ * @param {Object} duplicate - Record merged into it
+ * @param {Object} choices - { [field]: 'survivor' | 'duplicate' } overriding the defaults
+ * @returns {Object} Fields to update on the survivor
+ */
+export function mergedFields(survivor, duplicate, choices = {}) {
+  const sources = { ...defaultMergeChoices(survivor, duplicate), ...choices };
+  const fields = {};
+  
+  MERGE_FIELDS.forEach(({ field }) => {
+    const value = (sources[field] === 'duplicate' ? duplicate : survivor)[field];
+    if (value !== undefined) fields[field] = value;
+  });
+  COMBINED_FIELDS.forEach(({ field, combine }) => {
+    if (!isBlank(survivor[field]) || !isBlank(duplicate[field])) {
+      fields[field] = combine(survivor[field], duplicate[field]);
+    }
+  });
+  
+  fields.visits = [...(survivor.visits || []), ...(duplicate.visits || [])]
+    .sort((a, b) => new Date(a.date) - new Date(b.date));
+  
+  // Merging never makes a restricted chart less private
+  if (survivor.restricted || duplicate.restricted) {
+    fields.restricted = true;
+    fields.assignedClinicians = [...new Set([
+      ...(survivor.assignedClinicians || []),
+      ...(duplicate.assignedClinicians || [])
+    ])];
+  }
+  
+  return fields;
+}
@@ -0,0 +1,252 @@
+/**
+ * Patient Search
+ * 
+ * @description Client-side patient search that forgives typos, spelling
+ * variants and formatting, ranked by how well each patient matches
+ * @features
+ *   - Names match exactly, by prefix while typing, by sound (a Soundex-style
+ *     code, so 'Chukwuemeka' finds 'Chukuemeka') or by small edit distance
+ *   - Phone numbers match on their digits, however they were typed
+ *   - MRNs (including retired ones from merges), national IDs, insurance
+ *     numbers and record IDs match ignoring dashes, spaces and case
+ *   - Dates of birth match as 1990-04-12, 12/04/1990 or 04/12/1990
+ *   - Every word of the query has to match something; the score is their average
+ * 
+ * @example
+ *   const index = useMemo(() => createPatientIndex(patients), [patients]);
+ *   searchPatients(index, 'chukuemeka 0803', { limit: 8 });
+ *   // [{ patient, score, matchedOn: ['name', 'phone'] }]
+ */
+
+import { normalizeIdNumber, levenshtein, mrnsOf } from './patientIdentity';
+
+// Lowest score a query word may get and still count as matching
+export const MIN_TOKEN_SCORE = 0.6;
+
+// Fields a result can have matched on
+export const MATCH_FIELDS = {
+  NAME: 'name',
+  MRN: 'mrn',
+  PHONE: 'phone',
+  DOB: 'dob',
+  ID_NUMBER: 'idNumber'
+};
+
+// Soundex consonant classes; vowels, h, w and y have none
+const SOUND_CODES = {
+  b: '1', f: '1', p: '1', v: '1',
+  c: '2', g: '2', j: '2', k: '2', q: '2', s: '2', x: '2', z: '2',
+  d: '3', t: '3',
+  l: '4',
+  m: '5', n: '5',
+  r: '6'
+};
+
+/**
+ * How a word sounds: its consonant classes, repeats collapsed. Unlike
+ * Soundex it isn't cut to four characters and codes the first letter too,
+ * so 'Catherine' and 'Katherine' agree.
+ * @param {string} word - Lower-case word
+ * @returns {string} Phonetic code
+ */
+export function phoneticCode(word) {
+  const letters = String(word || '').replace(/[^a-z]/g, '');
+  if (!letters) return '';
+  let code = SOUND_CODES[letters[0]] || letters[0];
+  let last = SOUND_CODES[letters[0]] || '';
+  for (const char of letters.slice(1)) {
+    const digit = SOUND_CODES[char];
+    if (digit) {
+      if (digit !== last) code += digit;
+      last = digit;
+    } else if (char !== 'h' && char !== 'w') {
+      // A vowel between two alike consonants keeps both; h and w don't
+      last = '';
+    }
+  }
+  return code;
+}
+
+/**
+ * Lower-case words of a name, without accents or punctuation
+ * @param {string} text - Name
+ * @returns {Array} Words
+ */
+const words = (text) => String(text || '')
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .toLowerCase()
+  .split(/[^a-z0-9]+/)
+  .filter(Boolean);
+
+const digitsOf = (value) => String(value || '').replace(/\D/g, '');
+
+/**
+ * Build the search index for a list of patients
+ * @param {Array} patients - Patients
+ * @returns {Array} Index entries, one per patient
+ */
+export function createPatientIndex(patients) {
+  return patients.map(patient => {
+    const mrns = mrnsOf(patient);
+    return {
+      patient,
+      nameTokens: words(patient.name).map(token => ({ token, sound: phoneticCode(token) })),
+      phone: digitsOf(patient.contact),
+      dob: patient.dob || '',
+      mrns: mrns.map(normalizeIdNumber),
+      mrnDigits: mrns.map(digitsOf),
+      idNumbers: [patient.nationalId, patient.insuranceNumber, patient.id]
+        .filter(Boolean)
+        .map(normalizeIdNumber)
+    };
+  });
+}
+
+/**
+ * Dates of birth a date-like query word could mean
+ * @param {string} token - e.g. '1990-04-12' or '12/04/1990'
+ * @returns {Array} ISO dates (both day/month orders when unclear)
+ */
+function dateCandidates(token) {
+  const parts = token.split(/[/.-]/);
+  if (parts.length !== 3) return [];
+  const pad = (part) => part.padStart(2, '0');
+  const [a, b, c] = parts;
+  if (a.length === 4) return [`${a}-${pad(b)}-${pad(c)}`];
+  if (c.length === 4) return [`${c}-${pad(b)}-${pad(a)}`, `${c}-${pad(a)}-${pad(b)}`];
+  return [];
+}
+
+/**
+ * Score of an identifier (MRN, ID or insurance number) against a query
+ * @param {Array} values - Normalized identifiers
+ * @param {string} query - Normalized query
+ * @returns {number} 0-1
+ */
+function identifierScore(values, query) {
+  if (!query) return 0;
+  return values.reduce((best, value) => {
+    if (value === query) return 1;
+    if (value.startsWith(query)) return Math.max(best, 0.9);
+    if (value.includes(query)) return Math.max(best, 0.8);
+    return best;
+  }, 0);
+}
+
+/**
+ * Score of typed digits against a phone number. Full numbers are compared by
+ * their last 9 digits, so a trunk 0 or a country code doesn't matter.
+ * @param {string} phone - Stored phone digits
+ * @param {string} digits - Typed digits
+ * @returns {number} 0-1
+ */
+function phoneScore(phone, digits) {
+  if (!phone || digits.length < 3) return 0;
+  if (digits.length >= 7 && phone.endsWith(digits.slice(-9))) return 1;
+  const significant = digits.replace(/^0+/, '');
+  return significant.length >= 3 && phone.includes(significant) ? 0.85 : 0;
+}
+
+/**
+ * Score of a query word against one word of a name
+ * @param {string} query - Query word
+ * @param {string} querySound - Its phonetic code
+ * @param {Object} name - { token, sound } from the index
+ * @returns {number} 0-1
+ */
+function nameTokenScore(query, querySound, { token, sound }) {
+  if (token === query) return 1;
+  if (query.length >= 2 && token.startsWith(query)) return 0.9;
+  let score = 0;
+  if (query.length >= 3 && sound === querySound) score = 0.8;
+  // Still typing: the start of the name sounds like what has been typed
+  if (query.length >= 4 && sound.startsWith(querySound)) score = Math.max(score, 0.7);
+  const similarity = 1 - levenshtein(query, token) / Math.max(query.length, token.length);
+  if (similarity >= 0.75) score = Math.max(score, similarity * 0.85);
+  return score;
+}
+
+/**
+ * Best score of one query word against a patient
+ * @param {Object} entry - Index entry
+ * @param {string} token - Lower-case query word
+ * @returns {Object} { score, field }
+ */
+function scoreToken(entry, token) {
+  const candidates = [];
+  const dates = dateCandidates(token);
+  const digits = digitsOf(token);
+  
+  if (dates.length > 0) {
+    candidates.push({ score: dates.includes(entry.dob) ? 1 : 0, field: MATCH_FIELDS.DOB });
+  } else if (/^\d+$/.test(token)) {
+    candidates.push({ score: phoneScore(entry.phone, digits), field: MATCH_FIELDS.PHONE });
+    if (digits.length >= 3) {
+      candidates.push({ score: identifierScore(entry.mrnDigits, digits), field: MATCH_FIELDS.MRN });
+      candidates.push({ score: identifierScore(entry.idNumbers, digits), field: MATCH_FIELDS.ID_NUMBER });
+    }
+    if (digits.length === 4 && entry.dob.startsWith(digits)) {
+      candidates.push({ score: 0.7, field: MATCH_FIELDS.DOB });
+    }
+  } else {
+    const normalized = normalizeIdNumber(token);
+    candidates.push({ score: identifierScore(entry.mrns, normalized), field: MATCH_FIELDS.MRN });
+    candidates.push({ score: identifierScore(entry.idNumbers, normalized), field: MATCH_FIELDS.ID_NUMBER });
+    if (/^[a-z]+$/.test(token)) {
+      const sound = phoneticCode(token);
+      const best = Math.max(0, ...entry.nameTokens.map(name => nameTokenScore(token, sound, name)));
+      candidates.push({ score: best, field: MATCH_FIELDS.NAME });
+    }
+  }
+  
+  return candidates.reduce((best, c) => (c.score > best.score ? c : best), { score: 0, field: null });
+}
+
+/**
+ * Split a query into the words matched separately. A query that is only a
+ * phone number ('0803 555 0101', '+234 (803) 555-0101') stays one word.
+ * @param {string} query - Query as typed
+ * @returns {Array} Lower-case words
+ */
+export function queryTokens(query) {
+  const trimmed = String(query || '').trim().toLowerCase();
+  const compact = trimmed.replace(/[\s()+.-]/g, '');
+  if (/^\d{5,}$/.test(compact) && dateCandidates(trimmed).length === 0) return [compact];
+  return trimmed
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .split(/[\s,]+/)
+    // Words split at punctuation like names do (Mary-Jane, O'Neil); IDs and dates keep theirs
+    .flatMap(token => (/\d/.test(token)
+      ? [token.replace(/^[^a-z0-9]+|[^a-z0-9]+$/g, '')]
+      : token.split(/[^a-z]+/)))
+    .filter(Boolean);
+}
+
+/**
+ * Search the index
+ * @param {Array} index - From createPatientIndex
+ * @param {string} query - Query as typed
+ * @param {Object} options - { limit }: most results returned
+ * @returns {Array} [{ patient, score, matchedOn }], best match first
+ */
+export function searchPatients(index, query, { limit = Infinity } = {}) {
+  const tokens = queryTokens(query);
+  if (tokens.length === 0) return [];
+  
+  const results = [];
+  for (const entry of index) {
+    const scores = tokens.map(token => scoreToken(entry, token));
+    if (scores.some(s => s.score < MIN_TOKEN_SCORE)) continue;
+    results.push({
+      patient: entry.patient,
+      score: scores.reduce((sum, s) => sum + s.score, 0) / scores.length,
+      matchedOn: [...new Set(scores.map(s => s.field))]
+    });
+  }
+  
+  return results
+    .sort((a, b) => (b.score - a.score) || String(a.patient.name).localeCompare(String(b.patient.name)))
+    .slice(0, limit);
+}
@@ -0,0 +1,173 @@
+/**
+ * Permissions
+ * 
+ * @description Permission names and the roles that bundle them. Routes,
+ * navigation and page actions check permissions, never role names.
+ * @features
+ *   - Built-in roles for the usual clinic jobs; admins can change what each
+ *     of them may do (except Administrator, which always has everything)
+ *   - Admins can add their own roles
+ *   - Role definitions live with the user accounts in localStorage
+ * 
+ * @example
+ *   const { can } = useAuth();
+ *   {can(PERMISSIONS.PATIENTS_WRITE) && <button>Edit</button>}
+ */
+
+import { ROLES, ROLE_LABELS } from './constants';
+
+export const PERMISSIONS = {
+  PATIENTS_REGISTER: 'patients.register',
+  PATIENTS_READ: 'patients.read',
+  PATIENTS_WRITE: 'patients.write',
+  PATIENTS_DELETE: 'patients.delete',
+  PATIENTS_RESTRICT: 'patients.restrict',
+  PATIENTS_MERGE: 'patients.merge',
+  APPOINTMENTS_READ: 'appointments.read',
+  APPOINTMENTS_WRITE: 'appointments.write',
+  CHECKIN_WRITE: 'checkin.write',
+  QUEUE_READ: 'queue.read',
+  QUEUE_MANAGE: 'queue.manage',
+  TRIAGE_WRITE: 'triage.write',
+  CONSULTATION_WRITE: 'consultation.write',
+  LAB_READ: 'lab.read',
+  LAB_ORDERS_WRITE: 'lab.orders.write',
+  LAB_RESULTS_WRITE: 'lab.results.write',
+  PRESCRIPTIONS_DISPENSE: 'prescriptions.dispense',
+  INVENTORY_READ: 'inventory.read',
+  INVENTORY_WRITE: 'inventory.write',
+  INVENTORY_ADJUST: 'inventory.adjust',
+  ANALYTICS_READ: 'analytics.read',
+  DATA_EXPORT: 'data.export',
+  DATA_IMPORT: 'data.import',
+  SETTINGS_MANAGE: 'settings.manage',
+  USERS_MANAGE: 'users.manage',
+  AUDIT_READ: 'audit.read'
+};
+
+// Grouped and described for the role editor
+export const PERMISSION_GROUPS = [
+  {
+    label: 'Patients',
+    permissions: [
+      { id: PERMISSIONS.PATIENTS_REGISTER, label: 'Register patients and edit contact details (no chart access)' },
+      { id: PERMISSIONS.PATIENTS_READ, label: 'Open patient charts and visit summaries' },
+      { id: PERMISSIONS.PATIENTS_WRITE, label: 'Edit patient records and add visits' },
+      { id: PERMISSIONS.PATIENTS_DELETE, label: 'Delete patients and visits' },
+      { id: PERMISSIONS.PATIENTS_RESTRICT, label: 'Restrict charts and choose who may open them' },
+      { id: PERMISSIONS.PATIENTS_MERGE, label: 'Merge duplicate patient records' }
+    ]
+  },
+  {
+    label: 'Clinic Workflow',
+    permissions: [
+      { id: PERMISSIONS.APPOINTMENTS_READ, label: 'View appointments' },
+      { id: PERMISSIONS.APPOINTMENTS_WRITE, label: 'Book, change and cancel appointments' },
+      { id: PERMISSIONS.CHECKIN_WRITE, label: 'Check patients in' },
+      { id: PERMISSIONS.QUEUE_READ, label: 'View the queue' },
+      { id: PERMISSIONS.QUEUE_MANAGE, label: 'Call, reorder and move patients in the queue' },
+      { id: PERMISSIONS.TRIAGE_WRITE, label: 'Record triage vitals' },
+      { id: PERMISSIONS.CONSULTATION_WRITE, label: 'Consult, diagnose and prescribe' }
+    ]
+  },
+  {
+    label: 'Lab & Pharmacy',
+    permissions: [
+      { id: PERMISSIONS.LAB_READ, label: 'View lab orders and results' },
+      { id: PERMISSIONS.LAB_ORDERS_WRITE, label: 'Order lab tests' },
+      { id: PERMISSIONS.LAB_RESULTS_WRITE, label: 'Enter lab results' },
+      { id: PERMISSIONS.PRESCRIPTIONS_DISPENSE, label: 'Dispense prescriptions' }
+    ]
+  },
+  {
+    label: 'Inventory',
+    permissions: [
+      { id: PERMISSIONS.INVENTORY_READ, label: 'View inventory' },
+      { id: PERMISSIONS.INVENTORY_WRITE, label: 'Add, edit and delete items' },
+      { id: PERMISSIONS.INVENTORY_ADJUST, label: 'Record stock in, out and adjustments' }
+    ]
+  },
+  {
+    label: 'Administration',
+    permissions: [
+      { id: PERMISSIONS.ANALYTICS_READ, label: 'View analytics' },
+      { id: PERMISSIONS.DATA_EXPORT, label: 'Export data and create backups' },
+      { id: PERMISSIONS.DATA_IMPORT, label: 'Import data, restore backups and clear data' },
+      { id: PERMISSIONS.SETTINGS_MANAGE, label: 'Change clinic settings, sync, encryption and the trash' },
+      { id: PERMISSIONS.USERS_MANAGE, label: 'Manage user accounts and roles' },
+      { id: PERMISSIONS.AUDIT_READ, label: 'View who opened which patient charts and review overrides' }
+    ]
+  }
+];
+
+const ALL_PERMISSIONS = Object.values(PERMISSIONS);
+
+const P = PERMISSIONS;
+
+// What each built-in role may do until an admin changes it
+export const DEFAULT_ROLE_PERMISSIONS = {
+  [ROLES.ADMIN]: ALL_PERMISSIONS,
+  [ROLES.CLINICIAN]: [
+    P.PATIENTS_REGISTER, P.PATIENTS_READ, P.PATIENTS_WRITE, P.PATIENTS_DELETE, P.PATIENTS_MERGE,
+    P.APPOINTMENTS_READ, P.APPOINTMENTS_WRITE, P.CHECKIN_WRITE, P.QUEUE_READ, P.QUEUE_MANAGE,
+    P.TRIAGE_WRITE, P.CONSULTATION_WRITE, P.LAB_READ, P.LAB_ORDERS_WRITE, P.LAB_RESULTS_WRITE,
+    P.PRESCRIPTIONS_DISPENSE, P.INVENTORY_READ, P.INVENTORY_WRITE, P.INVENTORY_ADJUST,
+    P.ANALYTICS_READ, P.DATA_EXPORT
+  ],
+  [ROLES.NURSE]: [
+    P.PATIENTS_REGISTER, P.PATIENTS_READ, P.PATIENTS_WRITE,
+    P.APPOINTMENTS_READ, P.CHECKIN_WRITE, P.QUEUE_READ, P.QUEUE_MANAGE, P.TRIAGE_WRITE, P.LAB_READ
+  ],
+  [ROLES.LAB_TECHNICIAN]: [P.QUEUE_READ, P.LAB_READ, P.LAB_RESULTS_WRITE],
+  [ROLES.PHARMACIST]: [P.QUEUE_READ, P.PRESCRIPTIONS_DISPENSE, P.INVENTORY_READ, P.INVENTORY_ADJUST],
+  [ROLES.RECEPTIONIST]: [
+    P.PATIENTS_REGISTER, P.APPOINTMENTS_READ, P.APPOINTMENTS_WRITE, P.CHECKIN_WRITE, P.QUEUE_READ
+  ],
+  [ROLES.INVENTORY_MANAGER]: [
+    P.PRESCRIPTIONS_DISPENSE, P.INVENTORY_READ, P.INVENTORY_WRITE, P.INVENTORY_ADJUST, P.ANALYTICS_READ
+  ]
+};
+
+/**
+ * Every role: the built-in ones (with any saved changes) and custom ones
+ * @param {Array} savedRoles - Role definitions saved by admins
+ * @returns {Array} { id, label, permissions, builtIn }
+ */
+export function resolveRoles(savedRoles = []) {
+  const saved = new Map(savedRoles.map(role => [role.id, role]));
+  const builtIn = Object.values(ROLES).map(id => ({
+    id,
+    label: ROLE_LABELS[id],
+    builtIn: true,
+    // Administrator can't be narrowed, so someone can always manage the rest
+    permissions: id === ROLES.ADMIN
+      ? ALL_PERMISSIONS
+      : (saved.get(id)?.permissions || DEFAULT_ROLE_PERMISSIONS[id])
+  }));
+  const custom = savedRoles
+    .filter(role => !Object.values(ROLES).includes(role.id))
+    .map(role => ({ ...role, builtIn: false }));
+  return [...builtIn, ...custom];
+}
+
+/**
+ * Whether a role has a permission
+ * @param {Array} roles - Resolved roles
+ * @param {string} roleId - Role ID
+ * @param {string|string[]} permission - Permission, or several (any one is enough)
+ * @returns {boolean} Whether the role grants it
+ */
+export function roleHasPermission(roles, roleId, permission) {
+  const granted = roles.find(role => role.id === roleId)?.permissions || [];
+  const wanted = Array.isArray(permission) ? permission : [permission];
+  return wanted.some(p => granted.includes(p));
+}
+
+/**
+ * Keep only known permissions, in a stable order
+ * @param {Array} permissions - Permission names
+ * @returns {Array} Cleaned list
+ */
+export function normalizePermissions(permissions) {
+  return ALL_PERMISSIONS.filter(p => permissions.includes(p));
+}
@@ -0,0 +1,67 @@
+/**
+ * Restricted Charts
+ * 
+ * @description Patients whose charts only their assigned clinicians may open
+ * (VIPs, staff, HIV-positive patients, ...). Anyone else sees a masked view
+ * until they break the glass with a justification, which is logged.
+ * 
+ * @example
+ *   if (!canViewPatient(patient, user, activeOverrides(entries, user.id))) {
+ *     return <RestrictedPatient patient={patient} />;
+ *   }
+ */
+
+// Shortest justification accepted for breaking the glass
+export const MIN_JUSTIFICATION_LENGTH = 10;
+
+/**
+ * Whether a patient's chart is restricted
+ * @param {Object} patient - Patient record
+ * @returns {boolean} Whether it is
+ */
+export const isRestricted = (patient) => Boolean(patient?.restricted);
+
+/**
+ * Whether a user is one of a patient's assigned clinicians
+ * @param {Object} patient - Patient record
+ * @param {Object} user - User
+ * @returns {boolean} Whether they are
+ */
+export const isAssigned = (patient, user) => (
+  Boolean(user) && (patient?.assignedClinicians || []).includes(user.id)
+);
+
+/**
+ * Whether a user may see a patient's chart unmasked
+ * @param {Object} patient - Patient record
+ * @param {Object} user - User
+ * @param {Set} overrides - Patient IDs the user has broken the glass on (still in effect)
+ * @returns {boolean} Whether they may
+ */
+export function canViewPatient(patient, user, overrides = new Set()) {
+  if (!isRestricted(patient)) return true;
+  return isAssigned(patient, user) || overrides.has(patient.id);
+}
+
+/**
+ * Name shown for a restricted patient: initials only
+ * @param {string} name - Full name
+ * @returns {string} e.g. "J*** D***"
+ */
+export function maskName(name) {
+  const parts = (name || '').trim().split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return 'Restricted patient';
+  return parts.map(part => `${part.charAt(0)}***`).join(' ');
+}
+
+/**
+ * Check a break-the-glass justification
+ * @param {string} justification - Reason given
+ * @returns {string|null} Problem, or null if it is acceptable
+ */
+export function justificationError(justification) {
+  if ((justification || '').trim().length < MIN_JUSTIFICATION_LENGTH) {
+    return `Please explain why you need this chart (at least ${MIN_JUSTIFICATION_LENGTH} characters)`;
+  }
+  return null;
+}
@@ -0,0 +1,134 @@
+/**
+ * Session Utilities
+ * 
+ * @description Idle tracking, auto-lock and expiry for the signed-in
+ * session (used by AuthContext)
+ * @features
+ *   - The time of the last activity is shared by every tab, so working in
+ *     one tab keeps the others open
+ *   - After `lockAfterMinutes` idle the screen locks; the page stays as it
+ *     was underneath and a PIN or the password unlocks it
+ *   - After `expireAfterMinutes` idle the session ends (also across reloads)
+ *   - Timeouts are per device and set by an admin; 0 turns one off
+ */
+
+export const SESSION_STATE_KEY = 'cliniccare_session';
+export const SESSION_SETTINGS_KEY = 'cliniccare_session_settings';
+
+export const DEFAULT_SESSION_SETTINGS = {
+  lockAfterMinutes: 5,
+  expireAfterMinutes: 60
+};
+
+// Choices offered in Settings (minutes, 0 = never)
+export const LOCK_AFTER_OPTIONS = [2, 5, 10, 15, 30, 0];
+export const EXPIRE_AFTER_OPTIONS = [30, 60, 120, 240, 480, 0];
+
+// DOM events that count as activity
+export const ACTIVITY_EVENTS = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+// Record activity at most this often, so typing doesn't write on every key (ms)
+export const ACTIVITY_WRITE_INTERVAL = 15000;
+// How often idle time is checked (ms)
+export const IDLE_CHECK_INTERVAL = 10000;
+
+// PIN failures allowed per lock before the password is needed
+export const MAX_PIN_ATTEMPTS = 3;
+
+export const SESSION_STATES = {
+  ACTIVE: 'active',
+  LOCKED: 'locked',
+  EXPIRED: 'expired'
+};
+
+/**
+ * Parse a localStorage value, falling back on anything unreadable
+ * @param {string} key - localStorage key
+ * @param {Object} fallback - Value when missing or invalid
+ * @returns {Object} Stored value merged over the fallback
+ */
+function readJson(key, fallback) {
+  try {
+    const json = localStorage.getItem(key);
+    return { ...fallback, ...(json ? JSON.parse(json) : {}) };
+  } catch (e) {
+    return { ...fallback };
+  }
+}
+
+/**
+ * Idle timeouts for this device
+ * @returns {Object} { lockAfterMinutes, expireAfterMinutes }
+ */
+export function readSessionSettings() {
+  return readJson(SESSION_SETTINGS_KEY, DEFAULT_SESSION_SETTINGS);
+}
+
+/**
+ * Check idle timeouts before saving them
+ * @param {Object} settings - { lockAfterMinutes, expireAfterMinutes }
+ * @returns {string|null} Problem, or null if they are fine
+ */
+export function sessionSettingsError({ lockAfterMinutes, expireAfterMinutes }) {
+  if (![lockAfterMinutes, expireAfterMinutes].every(value => Number.isInteger(value) && value >= 0)) {
+    return 'Timeouts must be whole minutes';
+  }
+  if (lockAfterMinutes > 0 && expireAfterMinutes > 0 && expireAfterMinutes <= lockAfterMinutes) {
+    return 'Sessions must expire later than they lock';
+  }
+  return null;
+}
+
+/**
+ * Save idle timeouts for this device
+ * @param {Object} settings - { lockAfterMinutes, expireAfterMinutes }
+ */
+export function saveSessionSettings(settings) {
+  localStorage.setItem(SESSION_SETTINGS_KEY, JSON.stringify(settings));
+}
+
+/**
+ * Session state shared by the tabs of this browser
+ * @returns {Object} { lastActiveAt, locked, pinAttempts }
+ */
+export function readSessionState() {
+  return readJson(SESSION_STATE_KEY, { lastActiveAt: null, locked: false, pinAttempts: 0 });
+}
+
+/**
+ * Change the shared session state
+ * @param {Object} changes - Fields to set
+ * @returns {Object} New state
+ */
+export function writeSessionState(changes) {
+  const state = { ...readSessionState(), ...changes };
+  localStorage.setItem(SESSION_STATE_KEY, JSON.stringify(state));
+  return state;
+}
+
+/**
+ * Forget the session state (at sign-out)
+ */
+export function clearSessionState() {
+  localStorage.removeItem(SESSION_STATE_KEY);
+}
+
+/**
+ * Where a session stands after its idle time
+ * @param {Object} state - Session state
+ * @param {Object} settings - Idle timeouts
+ * @param {number} now - Current time (ms)
+ * @returns {string} One of SESSION_STATES
+ */
+export function sessionStatus(state, settings, now = Date.now()) {
+  const idleMinutes = state.lastActiveAt
+    ? (now - new Date(state.lastActiveAt).getTime()) / 60000
+    : 0;
+  
+  if (settings.expireAfterMinutes > 0 && idleMinutes >= settings.expireAfterMinutes) {
+    return SESSION_STATES.EXPIRED;
+  }
+  if (state.locked || (settings.lockAfterMinutes > 0 && idleMinutes >= settings.lockAfterMinutes)) {
+    return SESSION_STATES.LOCKED;
+  }
+  return SESSION_STATES.ACTIVE;
+}